@@ -0,0 +1,133 @@
+/**
+ * Tests for the LLM provider layer and its offline fixture provider
+ */
+
+import { createFixtureProvider, findFixtureResponse } from '../../../lib/llm/fixture-provider';
+import {
+  getLLMProvider,
+  getModelForTask,
+  isTimeoutError,
+  isRateLimitError,
+  LLMConfigurationError
+} from '../../../lib/llm';
+import { validateInterpretedPreferences } from '../../../lib/utils/interpretation-validator';
+
+const fixture = {
+  model: 'recorded-model',
+  responses: [
+    { match: 'Weekend', content: { pattern: 'weekends' } },
+    { match: '[fixture:rate-limit]', error: { status: 429, code: 'rate_limit_exceeded' } },
+    { match: '[fixture:timeout]', error: { timeout: true } },
+    { content: '{"pattern":"weekdays"}' }
+  ]
+};
+
+const userMessages = (text) => [
+  { role: 'system', content: 'Never mention weekends in the system prompt match' },
+  { role: 'user', content: text }
+];
+
+describe('LLM Provider Layer', () => {
+  describe('findFixtureResponse', () => {
+    it('should match user text case-insensitively and ignore system prompts', () => {
+      expect(findFixtureResponse(fixture, userMessages('Only on the weekend')).content)
+        .toEqual({ pattern: 'weekends' });
+      expect(findFixtureResponse(fixture, userMessages('Tuesday evenings')).content)
+        .toBe('{"pattern":"weekdays"}');
+    });
+
+    it('should read text parts of multimodal messages', () => {
+      const messages = [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'weekend card' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+        ]
+      }];
+      expect(findFixtureResponse(fixture, messages).content).toEqual({ pattern: 'weekends' });
+    });
+
+    it('should return null when nothing applies', () => {
+      expect(findFixtureResponse({ responses: [{ match: 'x', content: {} }] }, userMessages('y'))).toBeNull();
+      expect(findFixtureResponse(null, userMessages('y'))).toBeNull();
+    });
+  });
+
+  describe('createFixtureProvider', () => {
+    const provider = createFixtureProvider({ getFixture: task => (task === 'interpret-scheduling' ? fixture : null) });
+
+    it('should replay a recorded completion in OpenAI shape', async () => {
+      const completion = await provider.createChatCompletion({
+        task: 'interpret-scheduling',
+        model: 'gpt-3.5-turbo',
+        messages: userMessages('weekend mornings')
+      });
+
+      expect(completion.model).toBe('recorded-model');
+      expect(JSON.parse(completion.choices[0].message.content)).toEqual({ pattern: 'weekends' });
+      expect(completion.usage.total_tokens).toBe(0);
+    });
+
+    it('should replay recorded rate limits and timeouts', async () => {
+      const request = text => provider.createChatCompletion({
+        task: 'interpret-scheduling',
+        messages: userMessages(text)
+      });
+
+      const rateLimited = await request('[fixture:rate-limit]').catch(error => error);
+      const timedOut = await request('[fixture:timeout]').catch(error => error);
+
+      expect(isRateLimitError(rateLimited)).toBe(true);
+      expect(isTimeoutError(timedOut)).toBe(true);
+    });
+
+    it('should reject tasks with no recorded fixture', async () => {
+      await expect(provider.createChatCompletion({ task: 'extract-symptoms', messages: [] }))
+        .rejects.toThrow('No recorded fixture response for task "extract-symptoms"');
+    });
+  });
+
+  describe('getLLMProvider', () => {
+    it('should default to OpenAI and require its API key', () => {
+      expect(() => getLLMProvider({})).toThrow(LLMConfigurationError);
+      expect(getLLMProvider({ OPENAI_API_KEY: 'sk-test' }).name).toBe('openai');
+    });
+
+    it('should require a base URL for OpenAI-compatible servers', () => {
+      expect(() => getLLMProvider({ LLM_PROVIDER: 'openai-compatible' })).toThrow('LLM_BASE_URL is not set');
+      expect(getLLMProvider({
+        LLM_PROVIDER: 'openai-compatible',
+        LLM_BASE_URL: 'http://localhost:11434/v1'
+      }).name).toBe('openai-compatible');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => getLLMProvider({ LLM_PROVIDER: 'carrier-pigeon' })).toThrow(LLMConfigurationError);
+    });
+
+    it('should replay bundled fixtures that pass route validation', async () => {
+      const provider = getLLMProvider({ LLM_PROVIDER: 'fixture' });
+      const completion = await provider.createChatCompletion({
+        task: 'interpret-scheduling',
+        messages: userMessages('Weekday afternoons after school')
+      });
+
+      expect(validateInterpretedPreferences(JSON.parse(completion.choices[0].message.content))).toEqual([]);
+    });
+  });
+
+  describe('getModelForTask', () => {
+    it('should prefer the task variable, then LLM_MODEL, then the default', () => {
+      expect(getModelForTask('extract-insurance', {})).toBe('gpt-4o');
+      expect(getModelForTask('extract-insurance', { LLM_MODEL: 'llama3' })).toBe('llama3');
+      expect(getModelForTask('extract-insurance', {
+        LLM_MODEL: 'llama3',
+        LLM_MODEL_EXTRACT_INSURANCE: 'llava'
+      })).toBe('llava');
+    });
+
+    it('should reject unknown tasks', () => {
+      expect(() => getModelForTask('summarize', {})).toThrow('Unknown LLM task: summarize');
+    });
+  });
+});
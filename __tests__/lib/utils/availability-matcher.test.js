@@ -0,0 +1,280 @@
+/**
+ * Tests for availability matcher
+ */
+
+import { matchAvailability, matchAvailabilityWithStats, matchRecurringSeries, isLicensedInState, speaksLanguage } from '../../../lib/utils/availability-matcher';
+import { getAppointmentType } from '../../../lib/constants/appointment-types';
+
+const START = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+START.setUTCMinutes(0, 0, 0);
+
+function at(minutes) {
+  return new Date(START.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+const availabilityData = {
+  all: [
+    {
+      id: 1,
+      user_id: 10,
+      range_start: at(0),
+      range_end: at(90),
+      timezone: 'America/Los_Angeles',
+      appointment_location_id: null
+    }
+  ]
+};
+
+describe('matchAvailability', () => {
+  test('splits availability into 30-minute slots', () => {
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles');
+    expect(slots.map(slot => slot.startTime)).toEqual([at(0), at(30), at(60)]);
+  });
+
+  test('skips slots overlapping blocked times for the same clinician', () => {
+    const blockedTimes = [{ clinicianId: 10, startTime: at(30), endTime: at(60) }];
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles', { blockedTimes });
+    expect(slots.map(slot => slot.startTime)).toEqual([at(0), at(60)]);
+  });
+
+  test('ignores blocked times for other clinicians', () => {
+    const blockedTimes = [{ clinicianId: 99, startTime: at(0), endTime: at(90) }];
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles', { blockedTimes });
+    expect(slots).toHaveLength(3);
+  });
+
+  test('lists in-network clinicians first and fills with out-of-network options', () => {
+    const data = {
+      all: [
+        ...availabilityData.all,
+        // In-network clinician available a day later (lower date tie-break)
+        { ...availabilityData.all[0], id: 2, user_id: 20, range_start: at(24 * 60), range_end: at(24 * 60 + 90) }
+      ]
+    };
+
+    const slots = matchAvailability({}, data, 'America/Los_Angeles', { inNetworkClinicianIds: [20] });
+    expect(slots.map(slot => [slot.clinicianId, slot.inNetwork])).toEqual([
+      [20, true],
+      [20, true],
+      [20, true],
+      [10, false],
+      [10, false]
+    ]);
+  });
+
+  test('leaves inNetwork unset without insurance filtering', () => {
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles');
+    expect(slots[0].inNetwork).toBeUndefined();
+  });
+
+  test('excludes clinicians not licensed in the patient state and counts them', () => {
+    const data = {
+      all: [
+        { ...availabilityData.all[0], licensed_states: ['CA'], states_active: [] },
+        { ...availabilityData.all[0], id: 2, user_id: 20, licensed_states: ['NY'], states_active: [] }
+      ]
+    };
+
+    const { slots, stats } = matchAvailabilityWithStats({}, data, 'America/Los_Angeles', { patientState: 'ca' });
+    expect(slots.every(slot => slot.clinicianId === 10)).toBe(true);
+    expect(slots).toHaveLength(3);
+    expect(stats.excludedForLicensure).toBe(3);
+  });
+});
+
+describe('language preferences', () => {
+  const data = {
+    all: [
+      { ...availabilityData.all[0], care_languages: ['eng'] },
+      // Spanish-speaking clinician available a day later
+      { ...availabilityData.all[0], id: 2, user_id: 20, care_languages: ['eng', 'spa'], range_start: at(24 * 60), range_end: at(24 * 60 + 90) }
+    ]
+  };
+
+  test('boosts clinicians who speak a preferred language', () => {
+    const preferences = { languagePreference: { code: 'spa', required: false } };
+    const slots = matchAvailability(preferences, data, 'America/Los_Angeles');
+    expect(slots.map(slot => [slot.clinicianId, slot.languageMatch])).toEqual([
+      [20, true],
+      [20, true],
+      [20, true],
+      [10, false],
+      [10, false]
+    ]);
+  });
+
+  test('excludes clinicians who do not speak a required language', () => {
+    const preferences = { languagePreference: { code: 'spa', required: true } };
+    const { slots, stats } = matchAvailabilityWithStats(preferences, data, 'America/Los_Angeles');
+    expect(slots.every(slot => slot.clinicianId === 20)).toBe(true);
+    expect(stats.excludedForLanguage).toBe(3);
+  });
+
+  test('speaksLanguage normalizes care_languages entries', () => {
+    expect(speaksLanguage({ care_languages: ['Spanish'] }, 'spa')).toBe(true);
+    expect(speaksLanguage({ care_languages: ['es'] }, 'spa')).toBe(true);
+    expect(speaksLanguage({ care_languages: null }, 'spa')).toBe(false);
+  });
+});
+
+describe('clinician fit', () => {
+  const data = {
+    all: [
+      { ...availabilityData.all[0], specialty_categories: ['Behavioral'] },
+      // Anxiety specialist available a day later
+      { ...availabilityData.all[0], id: 2, user_id: 20, specialty_categories: ['Anxiety/Worry'], range_start: at(24 * 60), range_end: at(24 * 60 + 90) }
+    ]
+  };
+
+  test('favors clinicians whose specialties fit the symptoms', () => {
+    const slots = matchAvailability({}, data, 'America/Los_Angeles', { symptomCategoryWeights: { 'Anxiety/Worry': 4 } });
+    expect(slots.map(slot => [slot.clinicianId, slot.clinicianFit])).toEqual([
+      [20, 1],
+      [20, 1],
+      [20, 1],
+      [10, 0],
+      [10, 0]
+    ]);
+  });
+
+  test('lists the earliest times first when prioritizing for safety concerns', () => {
+    const slots = matchAvailability({}, data, 'America/Los_Angeles', {
+      symptomCategoryWeights: { 'Anxiety/Worry': 4 },
+      prioritizeEarliest: true
+    });
+    expect(slots.map(slot => slot.startTime)).toEqual([at(0), at(30), at(60), at(24 * 60), at(24 * 60 + 30)]);
+  });
+
+  test('scores on time alone without symptoms', () => {
+    const slots = matchAvailability({}, data, 'America/Los_Angeles');
+    expect(slots[0].clinicianId).toBe(10);
+    expect(slots[0].clinicianFit).toBeNull();
+  });
+});
+
+describe('appointment types', () => {
+  test('offers 50-minute therapy sessions on the half hour', () => {
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles', {
+      appointmentType: getAppointmentType('individual_therapy')
+    });
+    expect(slots.map(slot => [slot.startTime, slot.endTime])).toEqual([[at(0), at(50)], [at(30), at(80)]]);
+    expect(slots[0].appointmentType).toBe('individual_therapy');
+  });
+
+  test('offers 15-minute intake calls every quarter hour', () => {
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles', {
+      appointmentType: getAppointmentType('intake_call')
+    });
+    expect(slots.map(slot => slot.startTime)).toEqual([at(0), at(15), at(30), at(45), at(60), at(75)]);
+  });
+
+  test('keeps the buffer free around booked times', () => {
+    const blockedTimes = [{ clinicianId: 10, startTime: at(65), endTime: at(120) }];
+    const appointmentType = { id: 'test', durationMinutes: 30, stepMinutes: 30, bufferMinutes: 10, maxResults: 5 };
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles', { blockedTimes, appointmentType });
+    expect(slots.map(slot => slot.startTime)).toEqual([at(0)]);
+  });
+
+  test('limits results to the appointment type\'s count', () => {
+    const appointmentType = { id: 'test', durationMinutes: 15, stepMinutes: 15, bufferMinutes: 0, maxResults: 2 };
+    const slots = matchAvailability({}, availabilityData, 'America/Los_Angeles', { appointmentType });
+    expect(slots).toHaveLength(2);
+  });
+});
+
+describe('diversity and pages', () => {
+  const data = {
+    all: [
+      { ...availabilityData.all[0], range_end: at(240) },
+      { ...availabilityData.all[0], id: 2, user_id: 20, range_start: at(24 * 60), range_end: at(24 * 60 + 60) }
+    ]
+  };
+
+  test('spreads the first page across clinicians and times', () => {
+    const slots = matchAvailability({}, data, 'America/Los_Angeles');
+    expect(slots.filter(slot => slot.clinicianId === 10).length).toBeLessThanOrEqual(3);
+    expect(slots.some(slot => slot.clinicianId === 20)).toBe(true);
+  });
+
+  test('keeps strict ranking without a diversity policy', () => {
+    const slots = matchAvailability({}, data, 'America/Los_Angeles', { diversity: null });
+    expect(slots.map(slot => slot.startTime)).toEqual([at(0), at(30), at(60), at(90), at(120)]);
+  });
+
+  test('pages through every matching time', () => {
+    const firstPage = matchAvailabilityWithStats({}, data, 'America/Los_Angeles');
+    const secondPage = matchAvailabilityWithStats({}, data, 'America/Los_Angeles', { offset: 5 });
+
+    expect(firstPage.totalCount).toBe(10);
+    expect(secondPage.slots).toHaveLength(5);
+    const shown = [...firstPage.slots, ...secondPage.slots].map(slot => `${slot.clinicianId}@${slot.startTime}`);
+    expect(new Set(shown).size).toBe(10);
+  });
+});
+
+describe('isLicensedInState', () => {
+  test('checks licensed_states and states_active', () => {
+    expect(isLicensedInState({ licensed_states: ['TX'], states_active: null }, 'TX')).toBe(true);
+    expect(isLicensedInState({ licensed_states: null, states_active: ['wa'] }, 'WA')).toBe(true);
+    expect(isLicensedInState({ licensed_states: ['TX'] }, 'CA')).toBe(false);
+    expect(isLicensedInState({}, 'CA')).toBe(false);
+  });
+
+  test('allows every clinician when no state is given', () => {
+    expect(isLicensedInState({}, null)).toBe(true);
+  });
+});
+
+describe('matchRecurringSeries', () => {
+  const WEEK = 7 * 24 * 60;
+
+  function weeklyOccurrences(count, { skipWeek = null } = {}) {
+    return Array.from({ length: count }, (_, week) => week)
+      .filter(week => week !== skipWeek)
+      .map(week => ({
+        id: `5_week${week}`,
+        original_id: 5,
+        expanded_from_repeating: true,
+        user_id: 50,
+        range_start: at(week * WEEK),
+        range_end: at(week * WEEK + 60),
+        timezone: 'America/Los_Angeles',
+        appointment_location_id: null
+      }));
+  }
+
+  test('finds the same 50-minute time for consecutive weeks', () => {
+    const series = matchRecurringSeries({}, { all: weeklyOccurrences(5) }, 'America/Los_Angeles');
+    expect(series).toHaveLength(1);
+    expect(series[0].clinicianId).toBe(50);
+    expect(series[0].availabilityId).toBe('5_week0');
+    expect(series[0].weeks).toBe(4);
+    expect(series[0].sessions).toEqual([0, 1, 2, 3].map(week => ({
+      startTime: at(week * WEEK),
+      endTime: at(week * WEEK + 50)
+    })));
+  });
+
+  test('requires every week to be available', () => {
+    const series = matchRecurringSeries({}, { all: weeklyOccurrences(4, { skipWeek: 2 }) }, 'America/Los_Angeles');
+    expect(series).toEqual([]);
+  });
+
+  test('skips series with a week already booked', () => {
+    const blockedTimes = [{ clinicianId: 50, startTime: at(WEEK), endTime: at(WEEK + 30) }];
+    const series = matchRecurringSeries({}, { all: weeklyOccurrences(4) }, 'America/Los_Angeles', { blockedTimes });
+    expect(series).toEqual([]);
+  });
+
+  test('offers no series for intake calls', () => {
+    const series = matchRecurringSeries({}, { all: weeklyOccurrences(5) }, 'America/Los_Angeles', {
+      appointmentType: getAppointmentType('intake_call')
+    });
+    expect(series).toEqual([]);
+  });
+
+  test('ignores one-off availability', () => {
+    const series = matchRecurringSeries({}, availabilityData, 'America/Los_Angeles');
+    expect(series).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for candidate filters
+ */
+
+import { buildCandidateFilters, buildSeriesCandidateFilters } from '../../../lib/utils/candidate-filters';
+
+describe('buildCandidateFilters', () => {
+  it('does not filter when there are no preferences', () => {
+    expect(buildCandidateFilters({ daysOfWeek: [], timeRanges: [], specificDates: [], recurringPattern: 'none' })).toEqual({
+      specificDates: null,
+      dateWindow: null,
+      daysOfWeek: null,
+      timeBands: null
+    });
+  });
+
+  it('maps recurring patterns to weekdays', () => {
+    expect(buildCandidateFilters({ recurringPattern: 'weekdays' }).daysOfWeek).toEqual([1, 2, 3, 4, 5]);
+    expect(buildCandidateFilters({ recurringPattern: 'weekends' }).daysOfWeek).toEqual([0, 6]);
+    expect(buildCandidateFilters({ recurringPattern: 'daily', daysOfWeek: [2] }).daysOfWeek).toBeNull();
+  });
+
+  it('keeps days adjacent to the preferred ones', () => {
+    expect(buildCandidateFilters({ daysOfWeek: [2] }).daysOfWeek).toEqual([1, 2, 3]);
+    expect(buildCandidateFilters({ daysOfWeek: [0] }).daysOfWeek).toEqual([0, 1, 6]);
+  });
+
+  it('drops the day filter when adjacent days cover the whole week', () => {
+    expect(buildCandidateFilters({ daysOfWeek: [0, 3, 5] }).daysOfWeek).toBeNull();
+  });
+
+  it('pads time ranges into bands within the day', () => {
+    const { timeBands } = buildCandidateFilters({
+      timeRanges: [
+        { start: '17:00', end: '19:00', timezone: 'America/Los_Angeles' },
+        { start: '00:15', end: '23:59', timezone: 'America/Los_Angeles' }
+      ]
+    });
+
+    expect(timeBands).toEqual([
+      { startMinutes: 990, endMinutes: 1170 },
+      { startMinutes: 0, endMinutes: 1440 }
+    ]);
+  });
+
+  it('uses specific dates instead of weekdays', () => {
+    const filters = buildCandidateFilters({ daysOfWeek: [2], specificDates: ['2030-01-08'] });
+
+    expect(filters.specificDates).toEqual(['2030-01-08']);
+    expect(filters.daysOfWeek).toBeNull();
+  });
+
+  it('pads date constraints by the days the matcher gives partial credit', () => {
+    expect(buildCandidateFilters({ dateConstraints: { startDate: '2030-01-07', endDate: '2030-01-11' } }).dateWindow).toEqual({
+      startDate: '2030-01-03',
+      endDate: '2030-01-15'
+    });
+    expect(buildCandidateFilters({ dateConstraints: { startDate: '2030-03-01', endDate: null } }).dateWindow).toEqual({
+      startDate: '2030-02-25',
+      endDate: null
+    });
+  });
+
+  it('uses specific dates instead of a date window', () => {
+    const filters = buildCandidateFilters({
+      specificDates: ['2030-01-08'],
+      dateConstraints: { startDate: '2030-01-07', endDate: '2030-01-11' }
+    });
+
+    expect(filters.dateWindow).toBeNull();
+  });
+});
+
+describe('buildSeriesCandidateFilters', () => {
+  it('is not needed when dates are not restricted', () => {
+    expect(buildSeriesCandidateFilters({ daysOfWeek: [2] })).toBeNull();
+  });
+
+  it('covers the weeks after specific dates on the same weekday', () => {
+    const filters = buildSeriesCandidateFilters({
+      specificDates: ['2030-01-10', '2030-01-08'],
+      timeRanges: [{ start: '17:00', end: '19:00', timezone: 'America/Los_Angeles' }]
+    });
+
+    expect(filters).toEqual({
+      specificDates: null,
+      dateWindow: { startDate: '2030-01-08', endDate: '2030-01-31' },
+      daysOfWeek: [2, 4],
+      timeBands: [{ startMinutes: 990, endMinutes: 1170 }],
+      repeatingOnly: true
+    });
+  });
+
+  it('extends a date window by the series weeks', () => {
+    const filters = buildSeriesCandidateFilters({
+      daysOfWeek: [2],
+      dateConstraints: { startDate: '2030-01-07', endDate: '2030-01-11' }
+    });
+
+    expect(filters.dateWindow).toEqual({ startDate: '2030-01-03', endDate: '2030-02-05' });
+    expect(filters.daysOfWeek).toEqual([1, 2, 3]);
+    expect(filters.repeatingOnly).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for clinician fit scoring
+ */
+
+import {
+  getSymptomCategoryWeights,
+  isValidCategoryWeights,
+  parseSpecialtyCategories,
+  scoreClinicianFit
+} from '../../../lib/utils/clinician-fit';
+
+describe('Clinician Fit', () => {
+  describe('getSymptomCategoryWeights', () => {
+    it('should weight daily symptoms above occasional ones', () => {
+      expect(getSymptomCategoryWeights({
+        'excessive-worry': 'Daily',
+        'panic-attacks': 'Some',
+        'temper-outbursts': 'Some',
+        'nightmares': 'None',
+        'daydreaming': ''
+      })).toEqual({ 'Anxiety/Worry': 3, 'Behavioral': 1 });
+    });
+
+    it('should return no weights for missing symptoms', () => {
+      expect(getSymptomCategoryWeights(null)).toEqual({});
+    });
+  });
+
+  describe('isValidCategoryWeights', () => {
+    it('should accept known categories with non-negative numbers', () => {
+      expect(isValidCategoryWeights({ 'Anxiety/Worry': 3, 'Safety Concerns': 0 })).toBe(true);
+    });
+
+    it('should reject unknown categories and bad weights', () => {
+      expect(isValidCategoryWeights({ 'Unknown': 1 })).toBe(false);
+      expect(isValidCategoryWeights({ 'Social': -1 })).toBe(false);
+      expect(isValidCategoryWeights({ 'Social': '2' })).toBe(false);
+      expect(isValidCategoryWeights(['Social'])).toBe(false);
+    });
+  });
+
+  describe('parseSpecialtyCategories', () => {
+    it('should map listed specialties to symptom categories', () => {
+      expect(parseSpecialtyCategories({
+        specialties: ['ADHD', { name: 'Anxiety Disorders' }, 'Trauma-informed care'],
+        bio: 'I also work with depression.'
+      })).toEqual(['Cognitive', 'Anxiety/Worry', 'Other']);
+    });
+
+    it('should fall back to the bio when no specialties are listed', () => {
+      expect(parseSpecialtyCategories({
+        specialties: [],
+        bio: 'I work with teens experiencing depression and suicidal ideation.'
+      })).toEqual(['Mood/Emotional', 'Safety Concerns']);
+    });
+
+    it('should match short keywords as whole words only', () => {
+      expect(parseSpecialtyCategories({ bio: 'Oddly enough, I love gardening.' })).toEqual([]);
+    });
+  });
+
+  describe('scoreClinicianFit', () => {
+    it('should return the share of symptom weight covered', () => {
+      expect(scoreClinicianFit(['Anxiety/Worry'], { 'Anxiety/Worry': 3, 'Behavioral': 1 })).toBe(0.75);
+    });
+
+    it('should return null without symptoms', () => {
+      expect(scoreClinicianFit(['Anxiety/Worry'], {})).toBeNull();
+      expect(scoreClinicianFit(['Anxiety/Worry'], null)).toBeNull();
+    });
+  });
+});
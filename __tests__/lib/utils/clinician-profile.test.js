@@ -0,0 +1,61 @@
+/**
+ * Tests for clinician profile builder
+ */
+
+import { toPublicClinicianProfile } from '../../../lib/utils/clinician-profile';
+
+describe('Clinician Profile', () => {
+  const row = {
+    first_name: 'Jordan',
+    preferred_name: 'Jo',
+    last_name: 'Rivera',
+    preferred_pronoun: 'they/them',
+    title: 'LCSW',
+    bio: '  Works with teens and families.  ',
+    care_languages: ['eng', 'es', 'spa'],
+    licensed_states: ['ca', 'NY'],
+    email: 'jordan@example.com',
+    phone: '555-0100',
+    birthdate: '1980-01-01',
+  };
+
+  it('should build a profile from the preferred name and public fields', () => {
+    expect(toPublicClinicianProfile(row)).toEqual({
+      name: 'Jo Rivera',
+      pronouns: 'they/them',
+      title: 'LCSW',
+      bio: 'Works with teens and families.',
+      languages: ['English', 'Spanish'],
+      licensedStates: ['CA', 'NY'],
+    });
+  });
+
+  it('should never include contact or personal details', () => {
+    const profile = toPublicClinicianProfile(row);
+    expect(profile).not.toHaveProperty('email');
+    expect(profile).not.toHaveProperty('phone');
+    expect(profile).not.toHaveProperty('birthdate');
+  });
+
+  it('should fall back to first name and empty details', () => {
+    expect(toPublicClinicianProfile({ first_name: 'Sam', preferred_name: ' ' })).toEqual({
+      name: 'Sam',
+      pronouns: null,
+      title: null,
+      bio: null,
+      languages: [],
+      licensedStates: [],
+    });
+  });
+
+  it('should return null without a name', () => {
+    expect(toPublicClinicianProfile(null)).toBeNull();
+    expect(toPublicClinicianProfile({ last_name: 'Rivera' })).toBeNull();
+  });
+
+  it('should truncate long bios on a word boundary', () => {
+    const profile = toPublicClinicianProfile({ first_name: 'Sam', bio: 'word '.repeat(200) });
+    expect(profile.bio.length).toBeLessThanOrEqual(601);
+    expect(profile.bio.endsWith('word…')).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for crisis language detector
+ */
+
+import {
+  detectCrisisLanguage,
+  detectCrisisLanguageInAnswers,
+  maxRiskLevel
+} from '../../../lib/utils/crisis-language-detector';
+
+describe('Crisis Language Detector', () => {
+  describe('detectCrisisLanguage', () => {
+    it('should return no risk for ordinary answers', () => {
+      expect(detectCrisisLanguage('She has been irritable and is struggling with homework.')).toEqual({
+        riskLevel: 'none',
+        matches: []
+      });
+    });
+
+    it('should return no risk for empty or non-string input', () => {
+      expect(detectCrisisLanguage('   ').riskLevel).toBe('none');
+      expect(detectCrisisLanguage(null).riskLevel).toBe('none');
+    });
+
+    it('should flag explicit suicidal intent as high risk with matched spans', () => {
+      const text = 'Last week he said he wants to kill himself.';
+      const result = detectCrisisLanguage(text);
+
+      const start = text.indexOf('kill himself');
+
+      expect(result.riskLevel).toBe('high');
+      expect(result.matches).toEqual([
+        { start, end: start + 'kill himself'.length, text: 'kill himself', category: 'suicide', level: 'high' }
+      ]);
+    });
+
+    it('should flag self-harm and psychosis language', () => {
+      expect(detectCrisisLanguage('I found out she has been cutting herself').matches[0]).toMatchObject({
+        category: 'self_harm',
+        level: 'high'
+      });
+      expect(detectCrisisLanguage('He hears voices at night').matches[0]).toMatchObject({
+        category: 'psychosis',
+        level: 'elevated'
+      });
+    });
+
+    it('should prefer the more specific pattern for overlapping phrases', () => {
+      const result = detectCrisisLanguage('There was a suicide attempt in March.');
+      expect(result.matches).toHaveLength(1);
+      expect(result.matches[0]).toMatchObject({ text: 'suicide attempt', level: 'high' });
+    });
+
+    it('should skip clearly negated phrases', () => {
+      expect(detectCrisisLanguage('He has never talked about suicide.').riskLevel).toBe('none');
+      expect(detectCrisisLanguage('No history of self-harm.').riskLevel).toBe('none');
+      expect(detectCrisisLanguage('He is not suicidal.').riskLevel).toBe('none');
+      expect(detectCrisisLanguage('She denies wanting to die.').riskLevel).toBe('none');
+      expect(detectCrisisLanguage('He is not suicidal or self-harming.').riskLevel).toBe('none');
+    });
+
+    it('should not let a negation carry past a comma or conjunction', () => {
+      expect(detectCrisisLanguage('He is not sleeping and wants to die').riskLevel).toBe('high');
+      expect(detectCrisisLanguage('Not eating, wants to die').riskLevel).toBe('high');
+      expect(detectCrisisLanguage("She isn't eating but says she wants to die").riskLevel).toBe('high');
+      expect(detectCrisisLanguage("She can't sleep and wants to kill herself").riskLevel).toBe('high');
+    });
+
+    it('should not treat distant negations as negating the phrase', () => {
+      expect(detectCrisisLanguage('No one knew that she wanted to die.').riskLevel).toBe('high');
+      expect(detectCrisisLanguage('He is not sleeping. He says he wants to die.').riskLevel).toBe('high');
+    });
+
+    it('should handle curly apostrophes and line breaks', () => {
+      expect(detectCrisisLanguage('She doesn’t want to\nlive anymore').riskLevel).toBe('elevated');
+    });
+  });
+
+  describe('detectCrisisLanguageInAnswers', () => {
+    it('should combine risk across answers', () => {
+      const result = detectCrisisLanguageInAnswers([
+        'Trouble sleeping.',
+        'He hears voices sometimes.',
+        'He tried to hurt himself.'
+      ]);
+
+      expect(result.riskLevel).toBe('high');
+      expect(result.categories).toEqual(['self_harm', 'psychosis']);
+      expect(result.answers.map(answer => answer.riskLevel)).toEqual(['none', 'elevated', 'high']);
+    });
+  });
+
+  describe('maxRiskLevel', () => {
+    it('should return the more severe level', () => {
+      expect(maxRiskLevel('none', 'elevated')).toBe('elevated');
+      expect(maxRiskLevel('high', 'elevated')).toBe('high');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for document encryption utilities
+ */
+
+import crypto from 'crypto';
+import { encryptDocument, decryptDocument } from '../../../lib/utils/document-encryption';
+
+const MASTER_KEY = crypto.createHash('sha256').update('test-master-key').digest();
+const DOCUMENT_ID = '123e4567-e89b-12d3-a456-426614174000';
+const IMAGE = Buffer.from('not really a png, but bytes all the same');
+
+describe('encryptDocument / decryptDocument', () => {
+  test('round-trips the document', () => {
+    const { payload, wrappedKey, checksum } = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+
+    expect(payload.includes(IMAGE)).toBe(false);
+    expect(wrappedKey).toMatch(/^v1\./);
+    expect(checksum).toBe(crypto.createHash('sha256').update(IMAGE).digest('hex'));
+    expect(decryptDocument(payload, wrappedKey, { aad: DOCUMENT_ID, masterKey: MASTER_KEY })).toEqual(IMAGE);
+  });
+
+  test('uses a new data key for every document', () => {
+    const first = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+    const second = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+
+    expect(first.wrappedKey).not.toBe(second.wrappedKey);
+    expect(first.payload.equals(second.payload)).toBe(false);
+  });
+
+  test('rejects tampered objects', () => {
+    const { payload, wrappedKey } = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+    payload[payload.length - 1] ^= 0xff;
+
+    expect(() => decryptDocument(payload, wrappedKey, { aad: DOCUMENT_ID, masterKey: MASTER_KEY })).toThrow();
+  });
+
+  test('rejects truncated objects', () => {
+    const { payload, wrappedKey } = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+
+    expect(() => decryptDocument(payload.subarray(0, payload.length - 5), wrappedKey, { aad: DOCUMENT_ID, masterKey: MASTER_KEY })).toThrow();
+    expect(() => decryptDocument(payload.subarray(0, 10), wrappedKey, { aad: DOCUMENT_ID, masterKey: MASTER_KEY })).toThrow();
+  });
+
+  test('rejects objects moved to another document id', () => {
+    const { payload, wrappedKey } = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+
+    expect(() => decryptDocument(payload, wrappedKey, {
+      aad: '00000000-0000-0000-0000-000000000000',
+      masterKey: MASTER_KEY
+    })).toThrow();
+  });
+
+  test('rejects keys wrapped with another master key', () => {
+    const { payload, wrappedKey } = encryptDocument(IMAGE, { aad: DOCUMENT_ID, masterKey: MASTER_KEY });
+    const otherKey = crypto.randomBytes(32);
+
+    expect(() => decryptDocument(payload, wrappedKey, { aad: DOCUMENT_ID, masterKey: otherKey })).toThrow();
+  });
+});
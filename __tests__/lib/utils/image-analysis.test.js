@@ -0,0 +1,191 @@
+/**
+ * Tests for image analysis
+ */
+
+import {
+  ORIENTATION_TEST_JPEG,
+  BLUR_THRESHOLD,
+  readExifOrientation,
+  getOrientationTransform,
+  fitWithin,
+  findCardBounds,
+  assessImageQuality
+} from '../../../lib/utils/image-analysis';
+
+/**
+ * Build an RGBA image filled by a colour function
+ */
+function makeImage(width, height, colorAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+function inRect(x, y, rect) {
+  return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+}
+
+/**
+ * A light card with blue print lines on a dark table
+ */
+function cardOnTable(cards) {
+  return makeImage(400, 300, (x, y) => {
+    const card = cards.find(rect => inRect(x, y, rect));
+    if (!card) {
+      return [60, 50, 40];
+    }
+    return (y - card.y) % 12 < 2 && x - card.x > 10 && x - card.x < card.width - 10
+      ? [20, 60, 140]
+      : [235, 240, 245];
+  });
+}
+
+/**
+ * A JPEG header with a little-endian EXIF orientation tag
+ */
+function littleEndianExifJpeg(orientation) {
+  const tiff = [0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0, 1, 0, 0x12, 0x01, 3, 0, 1, 0, 0, 0, orientation, 0, 0, 0, 0, 0, 0, 0];
+  const payload = [0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff];
+  const length = payload.length + 2;
+  return new Uint8Array([0xff, 0xd8, 0xff, 0xe1, length >> 8, length & 0xff, ...payload, 0xff, 0xda, 0, 2]);
+}
+
+describe('readExifOrientation', () => {
+  it('reads a big-endian orientation tag', () => {
+    const bytes = Buffer.from(ORIENTATION_TEST_JPEG.split(',')[1], 'base64');
+    expect(readExifOrientation(bytes)).toBe(6);
+  });
+
+  it('reads a little-endian orientation tag', () => {
+    expect(readExifOrientation(littleEndianExifJpeg(8))).toBe(8);
+    expect(readExifOrientation(littleEndianExifJpeg(3).buffer)).toBe(3);
+  });
+
+  it('returns 1 for files without an orientation', () => {
+    expect(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]))).toBe(1);
+    expect(readExifOrientation(new Uint8Array([0xff, 0xd8, 0xff, 0xda, 0, 2]))).toBe(1);
+    expect(readExifOrientation(littleEndianExifJpeg(9))).toBe(1);
+  });
+
+  it('returns 1 for a truncated header', () => {
+    expect(readExifOrientation(littleEndianExifJpeg(6).slice(0, 20))).toBe(1);
+  });
+});
+
+describe('getOrientationTransform', () => {
+  // Where the stored pixel (x, y) ends up after the transform
+  const apply = ([a, b, c, d, e, f], x, y) => [a * x + c * y + e, b * x + d * y + f];
+
+  it('leaves upright images alone', () => {
+    expect(getOrientationTransform(1, 400, 300)).toEqual({ width: 400, height: 300, transform: [1, 0, 0, 1, 0, 0] });
+  });
+
+  it('swaps the size and maps corners into the canvas for rotated images', () => {
+    for (const orientation of [5, 6, 7, 8]) {
+      const { width, height, transform } = getOrientationTransform(orientation, 400, 300);
+      expect([width, height]).toEqual([300, 400]);
+      for (const [x, y] of [[0, 0], [400, 0], [0, 300], [400, 300]]) {
+        const [outX, outY] = apply(transform, x, y);
+        expect(outX).toBeGreaterThanOrEqual(0);
+        expect(outX).toBeLessThanOrEqual(width);
+        expect(outY).toBeGreaterThanOrEqual(0);
+        expect(outY).toBeLessThanOrEqual(height);
+      }
+    }
+  });
+
+  it('rotates orientation 6 clockwise', () => {
+    const { transform } = getOrientationTransform(6, 400, 300);
+    // The stored top-left corner becomes the top-right corner
+    expect(apply(transform, 0, 0)).toEqual([300, 0]);
+  });
+});
+
+describe('fitWithin', () => {
+  it('scales the longest side down to the limit', () => {
+    expect(fitWithin(4032, 3024, 2000)).toEqual({ width: 2000, height: 1500, scale: 2000 / 4032 });
+  });
+
+  it('never enlarges small images', () => {
+    expect(fitWithin(800, 600, 2000)).toEqual({ width: 800, height: 600, scale: 1 });
+  });
+});
+
+describe('findCardBounds', () => {
+  it('finds a card lying on a plain background', () => {
+    const bounds = findCardBounds(cardOnTable([{ x: 100, y: 90, width: 200, height: 126 }]));
+
+    expect(bounds).not.toBeNull();
+    expect(Math.abs(bounds.x - 100)).toBeLessThanOrEqual(6);
+    expect(Math.abs(bounds.y - 90)).toBeLessThanOrEqual(6);
+    expect(Math.abs(bounds.width - 200)).toBeLessThanOrEqual(12);
+    expect(Math.abs(bounds.height - 126)).toBeLessThanOrEqual(12);
+  });
+
+  it('does not crop when two cards are side by side', () => {
+    expect(findCardBounds(cardOnTable([
+      { x: 20, y: 100, width: 170, height: 107 },
+      { x: 210, y: 100, width: 170, height: 107 }
+    ]))).toBeNull();
+  });
+
+  it('does not crop a busy background', () => {
+    const noisy = makeImage(400, 300, (x, y) => ((x * 7 + y * 13) % 5 === 0 ? [250, 250, 250] : [20, 20, 20]));
+    expect(findCardBounds(noisy)).toBeNull();
+  });
+
+  it('does not crop when the card fills the photo', () => {
+    expect(findCardBounds(cardOnTable([{ x: 0, y: 0, width: 400, height: 300 }]))).toBeNull();
+  });
+});
+
+describe('assessImageQuality', () => {
+  it('passes a sharp photo without glare', () => {
+    const quality = assessImageQuality(cardOnTable([{ x: 100, y: 90, width: 200, height: 126 }]));
+
+    expect(quality.sharpness).toBeGreaterThan(BLUR_THRESHOLD);
+    expect(quality.warnings).toEqual([]);
+  });
+
+  it('flags a photo without detail as blurry', () => {
+    const smooth = makeImage(200, 120, x => [100 + x / 4, 100 + x / 4, 100 + x / 4]);
+    const quality = assessImageQuality(smooth);
+
+    expect(quality.isBlurry).toBe(true);
+    expect(quality.warnings).toContain('blurry');
+  });
+
+  it('flags a reflection on the card as glare', () => {
+    const image = cardOnTable([{ x: 100, y: 90, width: 200, height: 126 }]);
+    // Blown-out spot fading into a bright halo
+    const { data, width } = image;
+    for (let y = 120; y < 180; y++) {
+      for (let x = 150; x < 230; x++) {
+        const distance = Math.hypot((x - 190) / 40, (y - 150) / 30);
+        if (distance < 1) {
+          const value = distance < 0.6 ? 255 : 240;
+          const i = (y * width + x) * 4;
+          data[i] = data[i + 1] = data[i + 2] = value;
+        }
+      }
+    }
+    const quality = assessImageQuality(image);
+
+    expect(quality.hasGlare).toBe(true);
+    expect(quality.warnings).toContain('glare');
+  });
+
+  it('ignores a white background touching the edge', () => {
+    const scan = makeImage(200, 120, (x, y) => (y > 40 && y < 50 && x > 20 && x < 180 ? [20, 20, 20] : [255, 255, 255]));
+    expect(assessImageQuality(scan).hasGlare).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for insurance card merge
+ */
+
+import { mergeCardSides, selectCardPages } from '../../../lib/utils/insurance-card-merge';
+
+describe('mergeCardSides', () => {
+  it('takes member details from the front and Rx numbers from the back', () => {
+    const merged = mergeCardSides({
+      front: {
+        insurance_company_name: 'Cigna',
+        member_id: 'U12345678',
+        rx_bin: '999999',
+        confidence: 'high'
+      },
+      back: {
+        insurance_company_name: 'Cigna Healthcare',
+        payer_phone: '800-555-0100',
+        rx_bin: '017010',
+        rx_pcn: 'CIHRX',
+        confidence: 'high'
+      }
+    });
+
+    expect(merged.insurance_company_name).toBe('Cigna');
+    expect(merged.member_id).toBe('U12345678');
+    expect(merged.rx_bin).toBe('017010');
+    expect(merged.field_sources).toEqual({
+      insurance_company_name: 'front',
+      member_id: 'front',
+      payer_phone: 'back',
+      rx_bin: 'back',
+      rx_pcn: 'back'
+    });
+    expect(merged.extracted_fields).toEqual(['insurance_company_name', 'member_id', 'payer_phone', 'rx_bin', 'rx_pcn']);
+  });
+
+  it('fills fields missing from the front with the back', () => {
+    const merged = mergeCardSides({
+      front: { insurance_company_name: 'Aetna', group_id: '' },
+      back: { group_id: '0012345', rx_group: null }
+    });
+
+    expect(merged.group_id).toBe('0012345');
+    expect(merged.field_sources.group_id).toBe('back');
+    expect(merged.rx_group).toBeNull();
+    expect(merged.field_sources.rx_group).toBeUndefined();
+  });
+
+  it('uses the lower confidence of the two sides', () => {
+    expect(mergeCardSides({ front: { confidence: 'high' }, back: { confidence: 'medium' } }).confidence).toBe('medium');
+    expect(mergeCardSides({ front: { confidence: 'high' }, back: null }).confidence).toBe('high');
+    expect(mergeCardSides({ front: {}, back: {} }).confidence).toBeNull();
+  });
+
+  it('treats a response without sides as the front', () => {
+    const merged = mergeCardSides({ insurance_company_name: 'Kaiser', payer_phone: '800-555-0199', confidence: 'low' });
+
+    expect(merged.insurance_company_name).toBe('Kaiser');
+    expect(merged.field_sources).toEqual({ insurance_company_name: 'front', payer_phone: 'front' });
+    expect(merged.confidence).toBe('low');
+  });
+});
+
+describe('selectCardPages', () => {
+  const front = { insurance_company_name: 'Cigna', member_id: 'U12345678', group_id: '3340001' };
+  const back = { payer_phone: '800-555-0100', rx_bin: '017010' };
+
+  it('picks the front and back pages of one PDF', () => {
+    const pages = [
+      { upload: 'front', front: null, back: null },
+      { upload: 'front', front, back: null },
+      { upload: 'front', front: null, back }
+    ];
+
+    expect(selectCardPages(pages)).toEqual({ front: 1, back: 2 });
+  });
+
+  it('uses a page showing both sides for both', () => {
+    expect(selectCardPages([{ upload: 'front', front, back }])).toEqual({ front: 0, back: 0 });
+  });
+
+  it('prefers pages from the matching upload, then the most fields', () => {
+    const pages = [
+      { upload: 'front', front: { insurance_company_name: 'Cigna' }, back },
+      { upload: 'front', front, back: null },
+      { upload: 'back', front: null, back: { payer_phone: '800-555-0100' } }
+    ];
+
+    expect(selectCardPages(pages)).toEqual({ front: 1, back: 2 });
+  });
+
+  it('returns null when no page shows a card', () => {
+    expect(selectCardPages([{ upload: 'front', front: {}, back: null }])).toEqual({ front: null, back: null });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for interpreted preference chips
+ */
+
+import {
+  getPreferenceChips,
+  describePreferences,
+  removePreferenceChip,
+  updateTimeRange,
+  updateDateConstraints,
+  formatClockTime
+} from '../../../lib/utils/interpretation-chips';
+import { validateInterpretedPreferences } from '../../../lib/utils/interpretation-validator';
+
+const timezone = 'America/New_York';
+
+const basePreferences = {
+  daysOfWeek: [1, 2, 3, 4, 5],
+  timeRanges: [
+    { start: '09:00', end: '11:00', timezone },
+    { start: '17:00', end: '23:59', timezone }
+  ],
+  dateConstraints: { startDate: '2025-10-20', endDate: '2025-10-26', relative: 'next week' },
+  specificDates: [],
+  recurringPattern: 'weekdays',
+  languagePreference: null
+};
+
+const labels = (preferences) => getPreferenceChips(preferences).map(chip => chip.label);
+
+describe('Interpretation Chips', () => {
+  describe('getPreferenceChips', () => {
+    it('should describe patterns, date windows and time ranges in words', () => {
+      expect(labels(basePreferences)).toEqual(['Weekdays', 'Oct 20 – Oct 26', '9am – 11am', 'After 5pm']);
+    });
+
+    it('should list individual days and specific dates', () => {
+      expect(labels({
+        ...basePreferences,
+        daysOfWeek: [2, 4],
+        recurringPattern: 'none',
+        specificDates: ['2025-10-21'],
+        dateConstraints: null,
+        timeRanges: []
+      })).toEqual(['Tuesday', 'Thursday', 'Tue, Oct 21', 'Any time']);
+    });
+
+    it('should show fixed "Any day" and "Any time" chips when nothing limits them', () => {
+      const chips = getPreferenceChips({ ...basePreferences, recurringPattern: 'daily', timeRanges: [], dateConstraints: null });
+
+      expect(chips.map(chip => [chip.label, chip.removable])).toEqual([['Any day', false], ['Any time', false]]);
+    });
+  });
+
+  describe('describePreferences', () => {
+    it('should summarize preferences in one line', () => {
+      expect(describePreferences(basePreferences)).toBe('Weekdays, Oct 20 – Oct 26, 9am – 11am, After 5pm');
+    });
+  });
+
+  describe('formatClockTime', () => {
+    it('should format times for display', () => {
+      expect(formatClockTime('09:30')).toBe('9:30am');
+      expect(formatClockTime('12:00')).toBe('12pm');
+      expect(formatClockTime('23:59')).toBe('midnight');
+    });
+  });
+
+  describe('removePreferenceChip', () => {
+    it('should widen to any day when the day limit is removed', () => {
+      const preferences = removePreferenceChip(basePreferences, 'pattern');
+
+      expect(preferences.recurringPattern).toBe('daily');
+      expect(preferences.daysOfWeek).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(validateInterpretedPreferences(preferences)).toEqual([]);
+    });
+
+    it('should widen to any day when the last specific date is removed', () => {
+      const preferences = removePreferenceChip(
+        { ...basePreferences, daysOfWeek: [], recurringPattern: 'none', specificDates: ['2025-10-21'] },
+        'date:2025-10-21'
+      );
+
+      expect(preferences.specificDates).toEqual([]);
+      expect(preferences.recurringPattern).toBe('daily');
+    });
+
+    it('should remove single time ranges and date windows', () => {
+      const withoutMorning = removePreferenceChip(basePreferences, 'time:0');
+      expect(withoutMorning.timeRanges).toEqual([{ start: '17:00', end: '23:59', timezone }]);
+
+      const withoutWindow = removePreferenceChip(basePreferences, 'dateRange');
+      expect(withoutWindow.dateConstraints).toBeNull();
+      expect(validateInterpretedPreferences(withoutWindow)).toEqual([]);
+    });
+  });
+
+  describe('updateTimeRange', () => {
+    it('should adjust a range and reject one that ends before it starts', () => {
+      expect(updateTimeRange(basePreferences, 0, { end: '12:00' }).timeRanges[0])
+        .toEqual({ start: '09:00', end: '12:00', timezone });
+      expect(updateTimeRange(basePreferences, 0, { start: '11:00' })).toBeNull();
+    });
+  });
+
+  describe('updateDateConstraints', () => {
+    it('should adjust the window as explicit dates', () => {
+      const preferences = updateDateConstraints(basePreferences, { endDate: '2025-10-31' });
+
+      expect(preferences.dateConstraints).toEqual({ startDate: '2025-10-20', endDate: '2025-10-31', relative: null });
+      expect(validateInterpretedPreferences(preferences)).toEqual([]);
+    });
+
+    it('should reject an inverted window and drop an emptied one', () => {
+      expect(updateDateConstraints(basePreferences, { endDate: '2025-10-01' })).toBeNull();
+      expect(updateDateConstraints(basePreferences, { startDate: '', endDate: '' }).dateConstraints).toBeNull();
+    });
+  });
+});
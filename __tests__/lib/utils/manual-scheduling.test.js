@@ -0,0 +1,95 @@
+/**
+ * Tests for the manual scheduling picker conversions
+ */
+
+import {
+  preferencesToPickerState,
+  pickerStateToPreferences,
+  validatePickerState,
+  emptyPickerState
+} from '../../../lib/utils/manual-scheduling';
+import { validateInterpretedPreferences } from '../../../lib/utils/interpretation-validator';
+
+const timezone = 'America/New_York';
+
+describe('Manual Scheduling', () => {
+  describe('pickerStateToPreferences', () => {
+    it('should produce preferences the interpretation validator accepts', () => {
+      const preferences = pickerStateToPreferences(
+        { days: [5, 1, 3], bands: ['evening'], startDate: '2025-10-20', endDate: '2025-10-31' },
+        timezone
+      );
+
+      expect(validateInterpretedPreferences(preferences)).toEqual([]);
+      expect(preferences).toEqual({
+        daysOfWeek: [1, 3, 5],
+        timeRanges: [{ start: '17:00', end: '23:59', timezone }],
+        dateConstraints: { startDate: '2025-10-20', endDate: '2025-10-31', relative: null },
+        specificDates: [],
+        recurringPattern: 'none',
+        languagePreference: null
+      });
+    });
+
+    it('should merge neighboring bands and name recurring patterns', () => {
+      const preferences = pickerStateToPreferences(
+        { days: [1, 2, 3, 4, 5], bands: ['afternoon', 'morning'], startDate: '', endDate: '' },
+        timezone
+      );
+
+      expect(preferences.recurringPattern).toBe('weekdays');
+      expect(preferences.timeRanges).toEqual([{ start: '06:00', end: '17:00', timezone }]);
+      expect(preferences.dateConstraints).toBeNull();
+    });
+
+    it('should treat no bands as any time of day', () => {
+      const preferences = pickerStateToPreferences({ days: [0, 6], bands: [], startDate: '', endDate: '' }, timezone);
+
+      expect(preferences.recurringPattern).toBe('weekends');
+      expect(preferences.timeRanges).toEqual([]);
+    });
+  });
+
+  describe('preferencesToPickerState', () => {
+    it('should pre-fill days and overlapping bands from an interpretation', () => {
+      expect(preferencesToPickerState({
+        daysOfWeek: [],
+        timeRanges: [{ start: '16:00', end: '19:00', timezone }],
+        dateConstraints: null,
+        specificDates: [],
+        recurringPattern: 'weekdays',
+        languagePreference: null
+      })).toEqual({ days: [1, 2, 3, 4, 5], bands: ['afternoon', 'evening'], startDate: '', endDate: '' });
+    });
+
+    it('should turn specific dates into a range limited to their weekdays', () => {
+      expect(preferencesToPickerState({
+        daysOfWeek: [],
+        timeRanges: [{ start: '09:00', end: '11:00', timezone }],
+        dateConstraints: null,
+        specificDates: ['2025-10-21', '2025-10-16'],
+        recurringPattern: 'none',
+        languagePreference: null
+      })).toEqual({ days: [2, 4], bands: ['morning'], startDate: '2025-10-16', endDate: '2025-10-21' });
+    });
+
+    it('should round-trip picker choices', () => {
+      const state = { days: [2, 4], bands: ['morning', 'evening'], startDate: '2025-11-01', endDate: '' };
+
+      expect(preferencesToPickerState(pickerStateToPreferences(state, timezone))).toEqual(state);
+    });
+
+    it('should start empty without an interpretation', () => {
+      expect(preferencesToPickerState(null)).toEqual(emptyPickerState());
+    });
+  });
+
+  describe('validatePickerState', () => {
+    it('should require a day and an ordered date range', () => {
+      expect(validatePickerState(emptyPickerState())).toBe('Choose at least one day.');
+      expect(validatePickerState({ days: [1], bands: [], startDate: '2025-10-20', endDate: '2025-10-10' }))
+        .toBe('The end date must be on or after the start date.');
+      expect(validatePickerState({ days: [1], bands: [], startDate: '2025-10-20', endDate: '' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for onboarding session validation
+ */
+
+import { validateSessionUpdate } from '../../../lib/utils/onboarding-session-validation';
+
+describe('validateSessionUpdate', () => {
+  test('accepts empty object', () => {
+    expect(validateSessionUpdate({})).toHaveLength(0);
+  });
+
+  test('accepts a full valid update', () => {
+    const data = {
+      status: 'in_progress',
+      currentStep: 8,
+      extractedSymptoms: { 'mood-swings': 'Some', 'excessive-worry': 'Daily', 'bedwetting': '' },
+      extractionMetadata: { extractedAt: 1700000000000, model: 'gpt-3.5-turbo' },
+      insuranceData: { insurance_company_name: 'Aetna', member_id: 'W123' },
+      insuranceValidation: null,
+      schedulingInput: 'Weekday afternoons after 3pm',
+      interpretedPreferences: { daysOfWeek: ['Monday'] },
+      matchedSlots: [{ availabilityId: 1 }],
+      selectedSlot: { availabilityId: 1 },
+      appointmentConfirmed: false
+    };
+    expect(validateSessionUpdate(data)).toHaveLength(0);
+  });
+
+  test('validates patientState as an uppercase US state', () => {
+    expect(validateSessionUpdate({ patientState: 'CA' })).toHaveLength(0);
+    expect(validateSessionUpdate({ patientState: null })).toHaveLength(0);
+    expect(validateSessionUpdate({ patientState: 'ca' })[0].field).toBe('patientState');
+    expect(validateSessionUpdate({ patientState: 'ZZ' })[0].field).toBe('patientState');
+  });
+
+  test('rejects non-object data', () => {
+    const errors = validateSessionUpdate(['not', 'an', 'object']);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].field).toBe('data');
+  });
+
+  test('rejects removed step 5 and out-of-range steps', () => {
+    expect(validateSessionUpdate({ currentStep: 5 })[0].field).toBe('currentStep');
+    expect(validateSessionUpdate({ currentStep: 9 })[0].field).toBe('currentStep');
+    expect(validateSessionUpdate({ currentStep: 2.5 })[0].field).toBe('currentStep');
+  });
+
+  test('rejects unknown status', () => {
+    const errors = validateSessionUpdate({ status: 'deleted' });
+    expect(errors[0].field).toBe('status');
+  });
+
+  test('rejects unknown symptom keys and values', () => {
+    expect(validateSessionUpdate({ extractedSymptoms: { 'not-a-symptom': 'Daily' } })[0].message)
+      .toContain('Invalid symptom key');
+    expect(validateSessionUpdate({ extractedSymptoms: { 'mood-swings': 'Often' } })[0].message)
+      .toContain('Invalid value');
+  });
+
+  test('rejects arrays where objects are expected', () => {
+    const errors = validateSessionUpdate({ selectedSlot: [], insuranceData: [] });
+    expect(errors.map(e => e.field)).toEqual(['insuranceData', 'selectedSlot']);
+  });
+
+  test('rejects scheduling input over 500 characters', () => {
+    const errors = validateSessionUpdate({ schedulingInput: 'a'.repeat(501) });
+    expect(errors[0].field).toBe('schedulingInput');
+    expect(errors[0].message).toContain('500 characters');
+  });
+
+  test('rejects non-boolean appointmentConfirmed', () => {
+    const errors = validateSessionUpdate({ appointmentConfirmed: 'yes' });
+    expect(errors[0].field).toBe('appointmentConfirmed');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for PDF rasterizer
+ *
+ * pdf.js is ESM-only and loads its worker with a native dynamic import, which
+ * Jest's CommonJS runtime can't run, so the rasterizer runs in a separate
+ * Node process and reports a summary of what it rendered.
+ */
+
+import { execFile } from 'child_process';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+const RASTERIZER_URL = pathToFileURL(path.join(ROOT_DIR, 'lib', 'utils', 'pdf-rasterizer.js')).href;
+
+const RASTERIZE_SCRIPT = `
+  const { rasterizePdf } = await import(process.env.RASTERIZER_URL);
+  const data = Buffer.from(process.env.PDF_BASE64, 'base64');
+  try {
+    const { pageCount, pages } = await rasterizePdf(data, JSON.parse(process.env.RASTERIZE_OPTIONS));
+    console.log(JSON.stringify({
+      pageCount,
+      pages: pages.map(page => ({
+        pageNumber: page.pageNumber,
+        contentType: page.image.contentType,
+        jpegMarker: page.image.data.subarray(0, 2).toString('hex'),
+        thumbnail: page.thumbnail.slice(0, 23)
+      }))
+    }));
+  } catch (error) {
+    console.log(JSON.stringify({ error: { name: error.name, code: error.code } }));
+  }
+`;
+
+/**
+ * Rasterize a buffer in a child Node process
+ */
+async function rasterize(data, options = {}) {
+  const { stdout } = await execFileAsync(process.execPath, ['--no-warnings', '--input-type=module', '-e', RASTERIZE_SCRIPT], {
+    cwd: ROOT_DIR,
+    timeout: 30000,
+    env: {
+      ...process.env,
+      RASTERIZER_URL,
+      PDF_BASE64: data.toString('base64'),
+      RASTERIZE_OPTIONS: JSON.stringify(options)
+    }
+  });
+  return JSON.parse(stdout.trim().split('\n').pop());
+}
+
+/**
+ * Build a small PDF: a letter page with a filled card-sized rectangle, plus a blank second page
+ */
+function buildFixturePdf() {
+  const content = '0.2 0.4 0.8 rg 72 500 243 153 re f';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 2 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('rasterizePdf', () => {
+  test('renders each page to a JPEG with a thumbnail', async () => {
+    const { pageCount, pages } = await rasterize(buildFixturePdf());
+
+    expect(pageCount).toBe(2);
+    expect(pages).toEqual([1, 2].map(pageNumber => ({
+      pageNumber,
+      contentType: 'image/jpeg',
+      jpegMarker: 'ffd8',
+      thumbnail: 'data:image/jpeg;base64,'
+    })));
+  });
+
+  test('stops at maxPages but reports the full page count', async () => {
+    const { pageCount, pages } = await rasterize(buildFixturePdf(), { maxPages: 1 });
+
+    expect(pageCount).toBe(2);
+    expect(pages).toHaveLength(1);
+  });
+
+  test('rejects buffers that are not PDFs', async () => {
+    const result = await rasterize(Buffer.from('not a pdf, just some text'));
+
+    expect(result).toEqual({ error: { name: 'PdfRasterizeError', code: 'PDF_UNREADABLE' } });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for result diversifier
+ */
+
+import { diversifySlots, DEFAULT_DIVERSITY_POLICY } from '../../../lib/utils/result-diversifier';
+
+// Noon UTC, so every slot below falls on the same UTC day as its offset in days
+const DAY_START = Date.UTC(2030, 0, 7, 12);
+
+function slot(clinicianId, day, minutes) {
+  return {
+    clinicianId,
+    startTime: new Date(DAY_START + (day * 24 * 60 + minutes) * 60 * 1000).toISOString(),
+    timezone: 'UTC'
+  };
+}
+
+function describeSlots(slots) {
+  return slots.map(s => `${s.clinicianId}@${s.startTime.slice(8, 10)}T${s.startTime.slice(11, 16)}`);
+}
+
+describe('diversifySlots', () => {
+  test('spreads a page across clinicians, days and times', () => {
+    const ranked = [
+      slot(1, 0, 0), slot(1, 0, 30), slot(1, 0, 60), slot(1, 0, 90),
+      slot(2, 0, 0), slot(2, 1, 0), slot(3, 2, 0)
+    ];
+
+    const page = diversifySlots(ranked, 5).slice(0, 5);
+    expect(describeSlots(page)).toEqual([
+      '1@07T12:00', '1@07T13:00', '2@07T12:00', '2@08T12:00', '3@09T12:00'
+    ]);
+  });
+
+  test('keeps the best slot first on every page', () => {
+    const ranked = [slot(1, 0, 0), slot(1, 0, 30), slot(1, 0, 60), slot(2, 1, 0)];
+    const ordered = diversifySlots(ranked, 2);
+    expect(ordered[0]).toBe(ranked[0]);
+    expect(ordered[2]).toBe(ranked[1]);
+  });
+
+  test('relaxes the policy to fill a page', () => {
+    const ranked = [slot(1, 0, 0), slot(1, 0, 30), slot(1, 0, 60)];
+    expect(diversifySlots(ranked, 3)).toEqual(ranked);
+  });
+
+  test('returns every slot exactly once', () => {
+    const ranked = Array.from({ length: 12 }, (_, i) => slot(i % 3, Math.floor(i / 4), (i % 4) * 30));
+    const ordered = diversifySlots(ranked, 5);
+    expect(ordered).toHaveLength(ranked.length);
+    expect(new Set(ordered)).toEqual(new Set(ranked));
+  });
+
+  test('only diversifies up to the limit', () => {
+    const ranked = [slot(1, 0, 0), slot(1, 0, 30), slot(2, 1, 0), slot(1, 0, 60), slot(1, 0, 90)];
+    const ordered = diversifySlots(ranked, 2, DEFAULT_DIVERSITY_POLICY, 2);
+    expect(ordered.slice(0, 2)).toEqual([ranked[0], ranked[2]]);
+    expect(ordered.slice(2)).toEqual([ranked[1], ranked[3], ranked[4]]);
+  });
+
+  test('keeps the ranking without a policy', () => {
+    const ranked = [slot(1, 0, 0), slot(1, 0, 30), slot(2, 1, 0)];
+    expect(diversifySlots(ranked, 2, null)).toBe(ranked);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for result formatter paging
+ */
+
+import { appendSlotPage } from '../../../lib/utils/result-formatter';
+import { validateSessionUpdate, MAX_MATCHED_SLOTS } from '../../../lib/utils/onboarding-session-validation';
+
+function makePage(offset, size) {
+  return Array.from({ length: size }, (_, i) => ({
+    availabilityId: offset + i,
+    startTime: `2025-11-${String(1 + ((offset + i) % 28)).padStart(2, '0')}T17:00:00.000Z`
+  }));
+}
+
+describe('appendSlotPage', () => {
+  test('appends new slots and skips ones already shown', () => {
+    const shown = makePage(0, 3);
+    const { slots, hasMore } = appendSlotPage(shown, [shown[2], ...makePage(3, 2)], true);
+
+    expect(slots.map(slot => slot.availabilityId)).toEqual([0, 1, 2, 3, 4]);
+    expect(hasMore).toBe(true);
+  });
+
+  test('stops offering more when a page adds nothing new', () => {
+    const shown = makePage(0, 3);
+    expect(appendSlotPage(shown, shown, true).hasMore).toBe(false);
+  });
+
+  test('keeps every page within what a session can store', () => {
+    let slots = makePage(0, 8);
+
+    // Keep clicking "show more times" well past the limit
+    for (let page = 1; page <= 12; page++) {
+      const result = appendSlotPage(slots, makePage(slots.length, 8), true);
+      slots = result.slots;
+
+      expect(slots.length).toBeLessThanOrEqual(MAX_MATCHED_SLOTS);
+      expect(validateSessionUpdate({ matchedSlots: slots })).toHaveLength(0);
+      if (!result.hasMore) break;
+    }
+
+    expect(slots).toHaveLength(MAX_MATCHED_SLOTS);
+    expect(appendSlotPage(slots, makePage(slots.length, 8), true)).toEqual({ slots, hasMore: false });
+  });
+
+  test('one slot over the limit is rejected by the session validator', () => {
+    expect(validateSessionUpdate({ matchedSlots: makePage(0, MAX_MATCHED_SLOTS + 1) })).toEqual([
+      expect.objectContaining({ field: 'matchedSlots' })
+    ]);
+  });
+});
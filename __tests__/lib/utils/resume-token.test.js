@@ -0,0 +1,59 @@
+/**
+ * Tests for resume token utilities
+ */
+
+import { createResumeToken, verifyResumeToken } from '../../../lib/utils/resume-token';
+
+const SECRET = 'test-secret';
+const SESSION_ID = '123e4567-e89b-12d3-a456-426614174000';
+const NOW = 1700000000000;
+
+describe('createResumeToken / verifyResumeToken', () => {
+  test('round-trips the session id', () => {
+    const { token, expiresAt } = createResumeToken(SESSION_ID, { secret: SECRET, ttlMs: 60000, now: NOW });
+    expect(expiresAt).toBe(NOW + 60000);
+
+    const result = verifyResumeToken(token, { secret: SECRET, now: NOW + 1000 });
+    expect(result).toEqual({ valid: true, sessionId: SESSION_ID, expiresAt: NOW + 60000 });
+  });
+
+  test('rejects expired tokens', () => {
+    const { token } = createResumeToken(SESSION_ID, { secret: SECRET, ttlMs: 60000, now: NOW });
+    const result = verifyResumeToken(token, { secret: SECRET, now: NOW + 60000 });
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const { token } = createResumeToken(SESSION_ID, { secret: 'other-secret', now: NOW });
+    const result = verifyResumeToken(token, { secret: SECRET, now: NOW });
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('TOKEN_INVALID');
+  });
+
+  test('only verifies tokens for the purpose they were created for', () => {
+    const { token } = createResumeToken(SESSION_ID, { secret: SECRET, purpose: 'session', now: NOW });
+
+    expect(verifyResumeToken(token, { secret: SECRET, purpose: 'session', now: NOW }).valid).toBe(true);
+    expect(verifyResumeToken(token, { secret: SECRET, now: NOW }).code).toBe('TOKEN_INVALID');
+  });
+
+  test('rejects tampered payloads', () => {
+    const { token } = createResumeToken(SESSION_ID, { secret: SECRET, now: NOW });
+    const [, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sid: 'someone-else', exp: NOW + 999999999 })).toString('base64url');
+    const result = verifyResumeToken(`${forgedPayload}.${signature}`, { secret: SECRET, now: NOW });
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('TOKEN_INVALID');
+  });
+
+  test('rejects missing and malformed tokens', () => {
+    expect(verifyResumeToken('', { secret: SECRET }).code).toBe('TOKEN_MISSING');
+    expect(verifyResumeToken('not-a-token', { secret: SECRET }).code).toBe('TOKEN_INVALID');
+    expect(verifyResumeToken('a.b.c', { secret: SECRET }).code).toBe('TOKEN_INVALID');
+  });
+
+  test('requires a session id', () => {
+    expect(() => createResumeToken(null, { secret: SECRET })).toThrow('sessionId is required');
+  });
+});
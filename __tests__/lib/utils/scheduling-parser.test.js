@@ -0,0 +1,184 @@
+/**
+ * Tests for the rule-based scheduling parser
+ */
+
+import {
+  parseSchedulingPreferences,
+  refineSchedulingPreferences,
+  crossCheckInterpretation
+} from '../../../lib/utils/scheduling-parser';
+import { validateInterpretedPreferences } from '../../../lib/utils/interpretation-validator';
+
+// Tuesday, October 14th 2025
+const context = { currentDate: '2025-10-14', userTimezone: 'America/Los_Angeles' };
+
+const parse = (input) => parseSchedulingPreferences(input, context);
+const ranges = (result) => result.preferences.timeRanges.map(range => [range.start, range.end]);
+
+describe('Scheduling Parser', () => {
+  describe('parseSchedulingPreferences', () => {
+    it('should parse weekdays after a time', () => {
+      const result = parse("I'm free weekdays after 5pm");
+
+      expect(result.preferences.daysOfWeek).toEqual([1, 2, 3, 4, 5]);
+      expect(result.preferences.recurringPattern).toBe('weekdays');
+      expect(result.preferences.timeRanges).toEqual([
+        { start: '17:00', end: '23:59', timezone: 'America/Los_Angeles' }
+      ]);
+    });
+
+    it('should resolve next weekdays to dates and carry am/pm across a range', () => {
+      const result = parse('Next Tuesday and Thursday 9-11am');
+
+      expect(result.preferences.specificDates).toEqual(['2025-10-16', '2025-10-21']);
+      expect(result.preferences.daysOfWeek).toEqual([2, 4]);
+      expect(result.preferences.recurringPattern).toBe('none');
+      expect(ranges(result)).toEqual([['09:00', '11:00']]);
+    });
+
+    it('should let "this" include today', () => {
+      expect(parse('this Tuesday at 4').preferences.specificDates).toEqual(['2025-10-14']);
+      expect(parse('next Tuesday at 4').preferences.specificDates).toEqual(['2025-10-21']);
+    });
+
+    it('should parse weekends in the morning', () => {
+      const result = parse('Weekends in the morning');
+
+      expect(result.preferences.daysOfWeek).toEqual([0, 6]);
+      expect(result.preferences.recurringPattern).toBe('weekends');
+      expect(ranges(result)).toEqual([['06:00', '12:00']]);
+    });
+
+    it('should parse today or tomorrow evening', () => {
+      const result = parse('Today or tomorrow evening');
+
+      expect(result.preferences.specificDates).toEqual(['2025-10-14', '2025-10-15']);
+      expect(ranges(result)).toEqual([['18:00', '23:59']]);
+    });
+
+    it('should parse week windows as date constraints', () => {
+      expect(parse('Next week, any day after 2pm').preferences.dateConstraints).toEqual({
+        startDate: '2025-10-20',
+        endDate: '2025-10-26',
+        relative: 'next_week'
+      });
+      expect(parse('this week in the afternoon').preferences.dateConstraints).toEqual({
+        startDate: '2025-10-14',
+        endDate: '2025-10-19',
+        relative: 'this_week'
+      });
+    });
+
+    it('should infer am/pm from time-of-day words and plausible hours', () => {
+      expect(ranges(parse('tuesdays from 4:30 to 6'))).toEqual([['16:30', '18:00']]);
+      expect(ranges(parse('mornings between 8 and 10'))).toEqual([['08:00', '10:00']]);
+      expect(ranges(parse('Monday through Friday 11-1pm'))).toEqual([['11:00', '13:00']]);
+      expect(ranges(parse('fridays before noon'))).toEqual([['06:00', '12:00']]);
+    });
+
+    it('should expand day spans and honor exclusions', () => {
+      expect(parse('Mon through Fri after school').preferences.recurringPattern).toBe('weekdays');
+      expect(parse('any day except Wednesday after 3pm').preferences.daysOfWeek).toEqual([0, 1, 2, 4, 5, 6]);
+    });
+
+    it('should not read counts or durations as clock times', () => {
+      expect(parse('after 2 weeks, 2-3 times')).toBeNull();
+    });
+
+    it('should detect required and nice-to-have clinician languages', () => {
+      expect(parse('Weekday mornings with a Spanish-speaking therapist').preferences.languagePreference)
+        .toEqual({ code: 'spa', required: true });
+      expect(parse('Saturdays, Korean would be nice').preferences.languagePreference)
+        .toEqual({ code: 'kor', required: false });
+    });
+
+    it('should return null when nothing is recognized', () => {
+      expect(parse('whenever works for you')).toBeNull();
+      expect(parse('   ')).toBeNull();
+    });
+
+    it('should always emit preferences the interpretation validator accepts', () => {
+      [
+        "I'm free weekdays after 5pm",
+        'Next Tuesday and Thursday 9-11am',
+        'Weekends in the morning',
+        'Today or tomorrow evening',
+        'next 2 weeks, lunchtime or after 6',
+        'French speaking, ideally',
+        '5pm or later on weekends'
+      ].forEach(input => {
+        expect(validateInterpretedPreferences(parse(input).preferences)).toEqual([]);
+      });
+    });
+  });
+
+  describe('crossCheckInterpretation', () => {
+    const llmPreferences = {
+      daysOfWeek: [2, 4],
+      timeRanges: [{ start: '09:00', end: '11:00', timezone: 'America/Los_Angeles' }],
+      dateConstraints: null,
+      specificDates: ['2025-10-15', '2025-10-17'],
+      recurringPattern: 'none',
+      languagePreference: null
+    };
+
+    it('should take calendar dates from the rules when they disagree', () => {
+      const result = crossCheckInterpretation(llmPreferences, parse('Next Tuesday and Thursday 9-11am'));
+
+      expect(result.disagreements).toEqual(['specificDates']);
+      expect(result.corrected).toEqual(['specificDates']);
+      expect(result.preferences.specificDates).toEqual(['2025-10-16', '2025-10-21']);
+      expect(result.preferences.timeRanges).toBe(llmPreferences.timeRanges);
+    });
+
+    it('should report but keep other LLM fields', () => {
+      const result = crossCheckInterpretation(llmPreferences, parse('tuesdays and thursdays 3-5pm'));
+
+      expect(result.disagreements).toEqual(['timeRanges']);
+      expect(result.corrected).toEqual([]);
+      expect(result.preferences).toEqual(llmPreferences);
+    });
+
+    it('should pass the LLM reading through without a rule result', () => {
+      expect(crossCheckInterpretation(llmPreferences, null)).toEqual({
+        preferences: llmPreferences,
+        disagreements: [],
+        corrected: []
+      });
+    });
+  });
+
+  describe('refineSchedulingPreferences', () => {
+    const weekdayEvenings = parse("I'm free weekdays after 5pm").preferences;
+    const refine = (followUp, previous = weekdayEvenings) => refineSchedulingPreferences(previous, followUp, context);
+
+    it('should drop ruled-out days and keep everything else', () => {
+      const result = refine('actually not Fridays');
+
+      expect(result.recognized).toEqual({ days: true, times: false, dates: false, language: false });
+      expect(result.preferences.daysOfWeek).toEqual([1, 2, 3, 4]);
+      expect(result.preferences.recurringPattern).toBe('none');
+      expect(result.preferences.timeRanges).toBe(weekdayEvenings.timeRanges);
+      expect(validateInterpretedPreferences(result.preferences)).toEqual([]);
+    });
+
+    it('should widen time ranges for "earlier" and "later"', () => {
+      expect(ranges(refine('anything earlier?'))).toEqual([['15:00', '23:59']]);
+      expect(ranges(refine('anything later?', parse('weekday mornings').preferences))).toEqual([['06:00', '14:00']]);
+    });
+
+    it('should replace days, times and dates the follow-up names', () => {
+      const result = refine('what about next Tuesday 9-11am');
+
+      expect(result.preferences.specificDates).toEqual(['2025-10-21']);
+      expect(result.preferences.recurringPattern).toBe('none');
+      expect(ranges(result)).toEqual([['09:00', '11:00']]);
+      expect(refine('no Mondays', result.preferences).preferences.specificDates).toEqual(['2025-10-21']);
+      expect(refine('no Tuesdays', result.preferences).preferences.specificDates).toEqual([]);
+    });
+
+    it('should return null when the follow-up changes nothing it understands', () => {
+      expect(refine('hmm, any others?')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for onboarding session cookie
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  SESSION_COOKIE_NAME,
+  setSessionCookie,
+  getCookieSessionId,
+  sessionAccessError
+} from '../../../lib/utils/session-cookie';
+import { createResumeToken } from '../../../lib/utils/resume-token';
+
+const SESSION_ID = '123e4567-e89b-12d3-a456-426614174000';
+const OTHER_SESSION_ID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Build a request carrying a cookie header
+ */
+function requestWithCookie(cookie) {
+  return new Request('http://localhost/api/onboarding/session', {
+    headers: cookie ? { cookie } : {}
+  });
+}
+
+/**
+ * Get the session cookie a response sets
+ */
+function sessionCookieFrom(response) {
+  return response.cookies.get(SESSION_COOKIE_NAME);
+}
+
+describe('session cookie', () => {
+  test('sets an HttpOnly cookie that identifies the session', () => {
+    const cookie = sessionCookieFrom(setSessionCookie(NextResponse.json({}), SESSION_ID));
+
+    expect(cookie).toMatchObject({ httpOnly: true, sameSite: 'lax', path: '/' });
+    expect(getCookieSessionId(requestWithCookie(`${SESSION_COOKIE_NAME}=${cookie.value}`))).toBe(SESSION_ID);
+  });
+
+  test('lets only the browser holding the session through', async () => {
+    const cookie = sessionCookieFrom(setSessionCookie(NextResponse.json({}), SESSION_ID));
+    const request = requestWithCookie(`other=1; ${SESSION_COOKIE_NAME}=${cookie.value}`);
+
+    expect(sessionAccessError(request, SESSION_ID)).toBeNull();
+
+    const response = sessionAccessError(request, OTHER_SESSION_ID);
+    expect(response.status).toBe(404);
+    await expect(response.json()).resolves.toEqual({ error: 'Onboarding session not found' });
+  });
+
+  test('rejects requests without a cookie or with a resume link token', () => {
+    const { token } = createResumeToken(SESSION_ID);
+
+    expect(getCookieSessionId(requestWithCookie(null))).toBeNull();
+    expect(getCookieSessionId(requestWithCookie(`${SESSION_COOKIE_NAME}=${token}`))).toBeNull();
+    expect(sessionAccessError(requestWithCookie(null), SESSION_ID).status).toBe(404);
+  });
+});
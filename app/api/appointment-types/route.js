@@ -0,0 +1,54 @@
+/**
+ * Appointment Types API Route
+ *
+ * GET    /api/appointment-types - Appointment types the family can schedule
+ *
+ * Types are limited to the services in the deployment organization's
+ * contracts (see contract-service).
+ */
+
+import { NextResponse } from 'next/server';
+import { getContractedAppointmentTypes } from '@/lib/services/contract-service';
+import {
+  APPOINTMENT_TYPES,
+  DEFAULT_APPOINTMENT_TYPE
+} from '@/lib/constants/appointment-types';
+
+/**
+ * Pick the default type among those offered
+ * @param {array} appointmentTypes - Offered appointment types
+ * @returns {string} Appointment type id
+ */
+function pickDefaultType(appointmentTypes) {
+  return appointmentTypes.some(type => type.id === DEFAULT_APPOINTMENT_TYPE)
+    ? DEFAULT_APPOINTMENT_TYPE
+    : appointmentTypes[0].id;
+}
+
+/**
+ * GET /api/appointment-types
+ * List offered appointment types and the default one
+ */
+export async function GET() {
+  let appointmentTypes;
+  try {
+    appointmentTypes = await getContractedAppointmentTypes();
+  } catch (error) {
+    // Offer every type rather than blocking scheduling; booking is reviewed by a care coordinator
+    console.error('Error in GET /api/appointment-types:', error);
+    appointmentTypes = APPOINTMENT_TYPES;
+  }
+
+  return NextResponse.json(
+    {
+      appointmentTypes: appointmentTypes.map(type => ({
+        id: type.id,
+        label: type.label,
+        description: type.description,
+        durationMinutes: type.durationMinutes
+      })),
+      defaultAppointmentType: pickDefaultType(appointmentTypes)
+    },
+    { status: 200 }
+  );
+}
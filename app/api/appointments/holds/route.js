@@ -0,0 +1,34 @@
+/**
+ * Slot Holds API Routes (support staff)
+ *
+ * GET    /api/appointments/holds - List active slot holds
+ *
+ * Requires the x-staff-api-key header to match STAFF_API_KEY.
+ */
+
+import { NextResponse } from 'next/server';
+import { listActiveHolds } from '@/lib/services/slot-hold-service';
+import { staffAuthError } from '@/lib/utils/staff-auth';
+
+/**
+ * GET /api/appointments/holds
+ * List active holds, soonest expiry first
+ */
+export async function GET(request) {
+  try {
+    const authError = staffAuthError(request);
+    if (authError) {
+      return authError;
+    }
+
+    const holds = await listActiveHolds();
+
+    return NextResponse.json({ holds, count: holds.length }, { status: 200 });
+  } catch (error) {
+    console.error('Error in GET /api/appointments/holds:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Appointments API Routes
+ *
+ * POST   /api/appointments - Hold a matched slot for an onboarding session
+ * GET    /api/appointments?appointmentId={id}&sessionId={id} - Get an appointment
+ * PATCH  /api/appointments?appointmentId={id} - Confirm, release or cancel an appointment
+ *
+ * Every route requires the onboarding session cookie (see utils/session-cookie)
+ * and only reaches appointments belonging to that session.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  holdSlot,
+  confirmAppointment,
+  cancelAppointment,
+  getAppointment
+} from '@/lib/services/appointment-service';
+import { releaseHold } from '@/lib/services/slot-hold-service';
+import { sanitizeUuid } from '@/lib/utils/sanitization';
+import { errorResponse } from '@/lib/utils/route-errors';
+import { sessionAccessError } from '@/lib/utils/session-cookie';
+
+/**
+ * POST /api/appointments
+ * Hold a slot returned by /api/match-availability
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const sessionId = sanitizeUuid(body.sessionId);
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId is required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    if (!body.slot) {
+      return NextResponse.json(
+        { error: 'slot is required' },
+        { status: 400 }
+      );
+    }
+
+    const appointment = await holdSlot(sessionId, body.slot);
+
+    return NextResponse.json(appointment, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'POST /api/appointments');
+  }
+}
+
+/**
+ * GET /api/appointments?appointmentId={id}&sessionId={id}
+ * Get an appointment held or booked by the onboarding session
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const appointmentId = sanitizeUuid(searchParams.get('appointmentId'));
+    const sessionId = sanitizeUuid(searchParams.get('sessionId'));
+
+    if (!appointmentId || !sessionId) {
+      return NextResponse.json(
+        { error: 'Valid appointmentId and sessionId query parameters are required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const appointment = await getAppointment(appointmentId, sessionId);
+
+    if (!appointment) {
+      return NextResponse.json(
+        { error: 'Appointment not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(appointment, { status: 200 });
+  } catch (error) {
+    return errorResponse(error, 'GET /api/appointments');
+  }
+}
+
+/**
+ * PATCH /api/appointments?appointmentId={id}
+ * Body: { sessionId, status: 'confirmed' | 'released' | 'cancelled' }
+ * 'released' only applies to holds; 'cancelled' also cancels confirmed bookings
+ */
+export async function PATCH(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const appointmentId = sanitizeUuid(searchParams.get('appointmentId'));
+    const body = await request.json();
+    const sessionId = sanitizeUuid(body.sessionId);
+
+    if (!appointmentId || !sessionId) {
+      return NextResponse.json(
+        { error: 'A valid appointmentId and sessionId are required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    let appointment;
+    if (body.status === 'confirmed') {
+      appointment = await confirmAppointment(appointmentId, sessionId);
+    } else if (body.status === 'released') {
+      appointment = await releaseHold(appointmentId, sessionId);
+    } else if (body.status === 'cancelled') {
+      appointment = await cancelAppointment(appointmentId, sessionId);
+    } else {
+      return NextResponse.json(
+        { error: 'status must be "confirmed", "released" or "cancelled"' },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(appointment, { status: 200 });
+  } catch (error) {
+    return errorResponse(error, 'PATCH /api/appointments');
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Documents API Routes (support staff)
+ *
+ * GET    /api/documents/{documentId} - Get a stored document (decrypted)
+ * DELETE /api/documents/{documentId} - Delete a stored document
+ *
+ * Document URLs such as insurance_coverages.front_card_url point here. The
+ * contents are only served to callers with the x-staff-api-key header
+ * matching STAFF_API_KEY, and never after the retention deadline.
+ */
+
+import { NextResponse } from 'next/server';
+import { readDocument, deleteDocument } from '@/lib/services/document-storage-service';
+import { NotFoundError } from '@/lib/services/errors';
+import { sanitizeUuid } from '@/lib/utils/sanitization';
+import { staffAuthError } from '@/lib/utils/staff-auth';
+import { errorResponse } from '@/lib/utils/route-errors';
+
+/**
+ * GET /api/documents/{documentId}
+ * Serve a document once it has been decrypted and verified
+ */
+export async function GET(request, { params }) {
+  try {
+    const authError = staffAuthError(request);
+    if (authError) {
+      return authError;
+    }
+
+    const { documentId: rawDocumentId } = await params;
+    const documentId = sanitizeUuid(rawDocumentId);
+    if (!documentId) {
+      return NextResponse.json(
+        { error: 'Invalid document ID' },
+        { status: 400 }
+      );
+    }
+
+    const document = await readDocument(documentId, { accessedBy: 'staff' });
+
+    return new NextResponse(document.data, {
+      status: 200,
+      headers: {
+        'Content-Type': document.contentType,
+        'Content-Length': String(document.byteSize),
+        'Content-Disposition': 'inline',
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+  } catch (error) {
+    return errorResponse(error, 'GET /api/documents/[documentId]');
+  }
+}
+
+/**
+ * DELETE /api/documents/{documentId}
+ * Delete a document before its retention deadline
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const authError = staffAuthError(request);
+    if (authError) {
+      return authError;
+    }
+
+    const { documentId: rawDocumentId } = await params;
+    const documentId = sanitizeUuid(rawDocumentId);
+    if (!documentId) {
+      return NextResponse.json(
+        { error: 'Invalid document ID' },
+        { status: 400 }
+      );
+    }
+
+    const deleted = await deleteDocument(documentId);
+    if (!deleted) {
+      throw new NotFoundError('Document not found');
+    }
+
+    return NextResponse.json({ success: true }, { status: 200 });
+  } catch (error) {
+    return errorResponse(error, 'DELETE /api/documents/[documentId]');
+  }
+}
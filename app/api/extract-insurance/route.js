@@ -1,7 +1,11 @@
 import { NextResponse } from 'next/server'
-import OpenAI from 'openai'
-import { sanitizeInput } from '@/lib/utils/sanitization'
+import { sanitizeInput, sanitizeUuid } from '@/lib/utils/sanitization'
 import { validateInsuranceData } from '@/lib/utils/insurance-validation'
+import { mergeCardSides, selectCardPages, CARD_FIELDS, CARD_SIDES } from '@/lib/utils/insurance-card-merge'
+import { rasterizePdf, PdfRasterizeError } from '@/lib/utils/pdf-rasterizer'
+import { storeInsuranceCardImages } from '@/lib/services/insurance-coverage-service'
+import { isSessionOwner } from '@/lib/utils/session-cookie'
+import { getLLMProvider, createChatCompletion, isTimeoutError, isRateLimitError } from '@/lib/llm'
 
 // Simple in-memory rate limiting store
 const rateLimitStore = new Map()
@@ -47,19 +51,20 @@ function getClientIP(request) {
 }
 
 /**
- * System prompt for insurance card extraction
+ * Field rules and per-side format shared by the extraction prompts
  */
-const SYSTEM_PROMPT = `You are an expert at extracting structured data from US health insurance cards. 
-Extract all visible information from the insurance card image and return as JSON 
-matching this exact schema. If a field is not visible or unclear, use null or 
-empty string. For dates, use YYYY-MM-DD format. For state, use 2-letter 
-abbreviation (e.g., "CA", "TX"). For gender, use 0=unknown, 1=male, 2=female.
-Country should always be "US" for US insurance cards.
-
-Include a confidence level: "high" if all key fields are clear, "medium" if 
-most fields are clear, "low" if image is unclear or many fields missing.
-
-Return JSON in this exact format:
+const CARD_SIDE_SCHEMA = `If a field is not visible or unclear on that side, use null or empty
+string. For dates, use YYYY-MM-DD format. For state, use 2-letter
+abbreviation (e.g., "CA", "TX"). For gender, use 0=unknown, 1=male,
+2=female. Country should always be "US" for US insurance cards. The back
+usually lists the payer's phone numbers and the pharmacy (Rx) BIN, PCN and
+group.
+
+Include a confidence level per side: "high" if all key fields are clear,
+"medium" if most fields are clear, "low" if image is unclear or many fields
+missing.
+
+Each side uses this format:
 {
   "insurance_company_name": "string or null",
   "member_id": "string or null",
@@ -72,8 +77,41 @@ Return JSON in this exact format:
   "plan_holder_city": "string or null",
   "plan_holder_zip_code": "string or null",
   "plan_holder_legal_gender": 0|1|2 or null,
-  "confidence": "high|medium|low",
-  "extracted_fields": ["field1", "field2"]
+  "payer_phone": "member services phone number or null",
+  "rx_bin": "string or null",
+  "rx_pcn": "string or null",
+  "rx_group": "string or null",
+  "confidence": "high|medium|low"
+}`
+
+/**
+ * System prompt for insurance card extraction
+ */
+const SYSTEM_PROMPT = `You are an expert at extracting structured data from US health insurance cards. 
+You are given the front of an insurance card and, if the family uploaded it,
+the back. Extract all visible information from each side separately and
+return as JSON matching this exact schema. ${CARD_SIDE_SCHEMA}
+
+Return JSON in this exact format (back is null when no back image is given):
+{
+  "front": { ...fields from the front },
+  "back": { ...fields from the back } or null
+}`
+
+/**
+ * System prompt for one page of an uploaded PDF
+ */
+const PAGE_PROMPT = `You are an expert at extracting structured data from US health insurance cards. 
+You are given one page of a PDF a family uploaded. It may show the front of
+an insurance card, the back, both sides (a scan of the whole card), or no
+card at all (a cover letter, instructions). Extract all visible information
+from each card side shown on the page and return as JSON matching this
+exact schema. ${CARD_SIDE_SCHEMA}
+
+Return JSON in this exact format (use null for a side the page does not show):
+{
+  "front": { ...fields from the front } or null,
+  "back": { ...fields from the back } or null
 }`
 
 /**
@@ -95,19 +133,78 @@ function validateFile(file) {
 }
 
 /**
- * Convert file to base64
+ * Read an uploaded file into a Buffer
  */
-async function fileToBase64(file) {
+async function fileToBuffer(file) {
   try {
     // Convert File to ArrayBuffer
     const arrayBuffer = await file.arrayBuffer()
     // Convert ArrayBuffer to Buffer
-    const buffer = Buffer.from(arrayBuffer)
-    // Convert Buffer to base64
-    return buffer.toString('base64')
+    return Buffer.from(arrayBuffer)
   } catch (error) {
-    throw new Error(`Failed to convert file to base64: ${error.message}`)
+    throw new Error(`Failed to read file: ${error.message}`)
+  }
+}
+
+/**
+ * Build the labeled image parts for each uploaded side
+ */
+function buildCardImageContent(sides) {
+  const content = []
+  for (const side of CARD_SIDES) {
+    if (!sides[side]) continue
+    content.push({ type: 'text', text: side === 'front' ? 'Front of the card:' : 'Back of the card:' })
+    content.push({
+      type: 'image_url',
+      image_url: {
+        url: `data:${sides[side].contentType};base64,${sides[side].data.toString('base64')}`
+      }
+    })
+  }
+  return content
+}
+
+/**
+ * Rasterize PDF uploads into pages; image uploads are one page each
+ * Returns null when nothing was a PDF (both sides are read in one request).
+ */
+async function buildCardPages(sides) {
+  if (!CARD_SIDES.some(side => sides[side]?.contentType === 'application/pdf')) {
+    return null
+  }
+
+  const pages = []
+  const pageCounts = {}
+  for (const side of CARD_SIDES) {
+    if (!sides[side]) continue
+
+    if (sides[side].contentType !== 'application/pdf') {
+      pages.push({ upload: side, pageNumber: null, image: sides[side], thumbnail: null })
+      pageCounts[side] = 1
+      continue
+    }
+
+    const pdf = await rasterizePdf(sides[side].data)
+    pageCounts[side] = pdf.pageCount
+    for (const page of pdf.pages) {
+      pages.push({ upload: side, pageNumber: page.pageNumber, image: page.image, thumbnail: page.thumbnail })
+    }
+  }
+
+  return { pages, pageCounts }
+}
+
+/**
+ * Sanitize the fields read from one side of one page (null if the page doesn't show it)
+ */
+function sanitizePageSide(data) {
+  if (!data || typeof data !== 'object') {
+    return null
   }
+  const fields = sanitizeInsuranceData(data)
+  delete fields.extracted_fields
+  delete fields.field_sources
+  return fields
 }
 
 /**
@@ -124,7 +221,11 @@ function sanitizeInsuranceData(data) {
     'plan_holder_first_name',
     'plan_holder_last_name',
     'plan_holder_city',
-    'plan_holder_zip_code'
+    'plan_holder_zip_code',
+    'payer_phone',
+    'rx_bin',
+    'rx_pcn',
+    'rx_group'
   ]
 
   for (const field of stringFields) {
@@ -185,6 +286,16 @@ function sanitizeInsuranceData(data) {
     sanitized.extracted_fields = []
   }
 
+  // Which side of the card each field was read from
+  sanitized.field_sources = {}
+  if (data.field_sources && typeof data.field_sources === 'object') {
+    for (const field of CARD_FIELDS) {
+      if (CARD_SIDES.includes(data.field_sources[field])) {
+        sanitized.field_sources[field] = data.field_sources[field]
+      }
+    }
+  }
+
   return sanitized
 }
 
@@ -204,85 +315,107 @@ export async function POST(request) {
   }
 
   try {
-    // Parse FormData
+    // Parse FormData (`file` is the front in older clients)
     const formData = await request.formData()
-    const file = formData.get('file')
+    const files = {
+      front: formData.get('front') || formData.get('file'),
+      back: formData.get('back')
+    }
+    const sessionId = sanitizeUuid(formData.get('sessionId'))
 
-    if (!file) {
+    if (!files.front || typeof files.front === 'string') {
       return NextResponse.json(
         { error: 'No file provided' },
         { status: 400 }
       )
     }
+    if (typeof files.back === 'string') {
+      files.back = null
+    }
 
-    // Validate file
-    const fileValidation = validateFile(file)
-    if (!fileValidation.valid) {
+    // Validate files
+    for (const side of CARD_SIDES) {
+      if (!files[side]) continue
+      const fileValidation = validateFile(files[side])
+      if (!fileValidation.valid) {
+        return NextResponse.json(
+          { error: side === 'back' ? `Back of card: ${fileValidation.error}` : fileValidation.error },
+          { status: 400 }
+        )
+      }
+    }
+
+    // Read files
+    const sides = {}
+    try {
+      for (const side of CARD_SIDES) {
+        if (!files[side]) continue
+        sides[side] = { data: await fileToBuffer(files[side]), contentType: files[side].type }
+      }
+    } catch (error) {
+      console.error('Error reading uploaded file:', error)
       return NextResponse.json(
-        { error: fileValidation.error },
+        { error: 'Unable to process image. Please enter information manually.' },
         { status: 400 }
       )
     }
 
-    // Convert file to base64
-    let base64Image
+    // Rasterize PDFs so each page can be read (and picked) on its own
+    let cardPages
     try {
-      base64Image = await fileToBase64(file)
+      cardPages = await buildCardPages(sides)
     } catch (error) {
-      console.error('Error converting file to base64:', error)
+      if (!(error instanceof PdfRasterizeError)) {
+        throw error
+      }
+      console.log('Analytics:', {
+        event: 'extraction_pdf_error',
+        code: error.code,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      })
       return NextResponse.json(
-        { error: 'Unable to process image. Please enter information manually.' },
+        {
+          error: error.code === 'PDF_PASSWORD'
+            ? 'This PDF is password protected. Please upload a photo or screenshot of your card instead.'
+            : 'Unable to read this PDF. Please upload a photo of your card or enter information manually.'
+        },
         { status: 400 }
       )
     }
 
-    // Create OpenAI client
-    const apiKey = process.env.OPENAI_API_KEY
-    if (!apiKey) {
-      console.error('OPENAI_API_KEY is not set')
+    // Both sides in one request, or one request per PDF page
+    const requests = cardPages
+      ? cardPages.pages.map(page => [
+        { type: 'text', text: PAGE_PROMPT },
+        { type: 'image_url', image_url: { url: `data:${page.image.contentType};base64,${page.image.data.toString('base64')}` } }
+      ])
+      : [[{ type: 'text', text: SYSTEM_PROMPT }, ...buildCardImageContent(sides)]]
+
+    // Create LLM provider
+    let llm
+    try {
+      llm = getLLMProvider()
+    } catch (error) {
+      console.error(error.message)
       return NextResponse.json(
         { error: 'Unable to process image. Please enter information manually.' },
         { status: 503 }
       )
     }
 
-    const openai = new OpenAI({
-      apiKey: apiKey,
-      timeout: 60000, // 60 seconds
-    })
-
-    // Determine image MIME type
-    const mimeType = file.type === 'application/pdf' ? 'application/pdf' : file.type
-
-    // Call OpenAI Vision API
-    let completion
+    // Call LLM (vision)
+    let completions
     try {
-      completion = await Promise.race([
-        openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: [
-            {
-              role: 'user',
-              content: [
-                { type: 'text', text: SYSTEM_PROMPT },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: `data:${mimeType};base64,${base64Image}`
-                  }
-                }
-              ]
-            }
-          ],
-          response_format: { type: 'json_object' },
-          temperature: 0.1, // Low temperature for consistent extraction
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Request timeout')), 60000)
-        )
-      ])
+      completions = await Promise.all(requests.map(content => createChatCompletion(llm, {
+        task: 'extract-insurance',
+        messages: [{ role: 'user', content }],
+        responseFormat: 'json_object',
+        temperature: 0.1, // Low temperature for consistent extraction
+        timeoutMs: 60000 // 60 seconds
+      })))
     } catch (error) {
-      if (error.message === 'Request timeout') {
+      if (isTimeoutError(error)) {
         const duration = Date.now() - startTime
         console.log('Analytics:', {
           event: 'extraction_timeout',
@@ -295,8 +428,8 @@ export async function POST(request) {
         )
       }
 
-      // Handle OpenAI API errors
-      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      // Handle provider API errors
+      if (isRateLimitError(error)) {
         const duration = Date.now() - startTime
         console.log('Analytics:', {
           event: 'extraction_rate_limited',
@@ -343,12 +476,32 @@ export async function POST(request) {
 
     // Parse response
     let extractedData
+    let pageResults = null
+    let selectedPages = null
     try {
-      const content = completion.choices[0]?.message?.content
-      if (!content) {
-        throw new Error('No content in OpenAI response')
+      const parsed = completions.map((completion) => {
+        const content = completion.choices[0]?.message?.content
+        if (!content) {
+          throw new Error('No content in LLM response')
+        }
+        return JSON.parse(content)
+      })
+
+      if (cardPages) {
+        // Detect which pages show the front and back, then merge those
+        pageResults = parsed.map((result, index) => ({
+          upload: cardPages.pages[index].upload,
+          front: result?.front || null,
+          back: result?.back || null
+        }))
+        selectedPages = selectCardPages(pageResults)
+        extractedData = mergeCardSides({
+          front: selectedPages.front !== null ? pageResults[selectedPages.front].front : null,
+          back: selectedPages.back !== null ? pageResults[selectedPages.back].back : null
+        })
+      } else {
+        extractedData = mergeCardSides(parsed[0])
       }
-      extractedData = JSON.parse(content)
     } catch (error) {
       const duration = Date.now() - startTime
       console.log('Analytics:', {
@@ -385,13 +538,37 @@ export async function POST(request) {
       )
     }
 
+    // Keep the card images for the coverage record, only for the session the
+    // caller's browser holds. Extraction still succeeds without them, and the
+    // response says whether they were stored.
+    let cardUrls = {}
+    if (sessionId && !isSessionOwner(request, sessionId)) {
+      console.error('Not storing insurance card images: caller does not hold the onboarding session')
+    } else if (sessionId) {
+      try {
+        cardUrls = await storeInsuranceCardImages(sessionId, sides)
+      } catch (error) {
+        console.error('Error storing insurance card images:', error.message)
+      }
+    }
+    const imagesStored = Boolean(cardUrls.front_card_url)
+
     // Log metadata (NO PHI)
     const duration = Date.now() - startTime
-    const tokenUsage = completion.usage || {}
+    const tokenUsage = completions.reduce((total, completion) => {
+      for (const key of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+        total[key] = (total[key] || 0) + (completion.usage?.[key] || 0)
+      }
+      return total
+    }, {})
     console.log('Analytics:', {
       event: 'extraction_success',
-      model: completion.model,
+      provider: llm.name,
+      model: completions[0].model,
       duration,
+      sides: Object.keys(sides).length,
+      pages: cardPages ? cardPages.pages.length : null,
+      imagesStored,
       confidence: sanitizedData.confidence,
       extractedFieldsCount: sanitizedData.extracted_fields?.length || 0,
       tokens: {
@@ -403,7 +580,25 @@ export async function POST(request) {
     })
 
     // Return sanitized and validated response
-    return NextResponse.json(sanitizedData)
+    if (!cardPages) {
+      return NextResponse.json({ ...sanitizedData, ...cardUrls, imagesStored })
+    }
+
+    // PDF pages, so the parent can pick a different page for either side
+    return NextResponse.json({
+      ...sanitizedData,
+      ...cardUrls,
+      imagesStored,
+      pages: cardPages.pages.map((page, index) => ({
+        upload: page.upload,
+        pageNumber: page.pageNumber,
+        thumbnail: page.thumbnail,
+        front: sanitizePageSide(pageResults[index].front),
+        back: sanitizePageSide(pageResults[index].back)
+      })),
+      pageCounts: cardPages.pageCounts,
+      selectedPages
+    })
 
   } catch (error) {
     // Unexpected errors
@@ -1,6 +1,10 @@
 import { NextResponse } from 'next/server'
-import OpenAI from 'openai'
 import { getAllSymptomKeys } from '@/lib/constants/symptom-mapping'
+import { detectCrisisLanguageInAnswers } from '@/lib/utils/crisis-language-detector'
+import { reportCrisisLanguage } from '@/lib/services/safety-escalation-service'
+import { sanitizeUuid } from '@/lib/utils/sanitization'
+import { isSessionOwner } from '@/lib/utils/session-cookie'
+import { getLLMProvider, createChatCompletion, isTimeoutError, isRateLimitError } from '@/lib/llm'
 
 // Simple in-memory rate limiting store
 const rateLimitStore = new Map()
@@ -46,7 +50,7 @@ function getClientIP(request) {
 }
 
 /**
- * System prompt for OpenAI
+ * System prompt for the LLM
  */
 const SYSTEM_PROMPT = `You are a mental health assessment assistant. Your task is to extract symptom information from narrative responses about a child's mental health over the past 2 weeks.
 
@@ -108,24 +112,33 @@ Response format:
   // ... all 32 symptoms
 }`
 
+/**
+ * Get the answers from the request body: { answers, sessionId } or a bare array of answers
+ */
+function getAnswers(body) {
+  return Array.isArray(body) ? body : body?.answers
+}
+
 /**
  * Validate request body
  */
 function validateRequest(body) {
-  if (!Array.isArray(body)) {
-    return { valid: false, error: 'Request body must be an array of 5 strings' }
+  const answers = getAnswers(body)
+
+  if (!Array.isArray(answers)) {
+    return { valid: false, error: 'answers must be an array of 5 strings' }
   }
 
-  if (body.length !== 5) {
-    return { valid: false, error: 'Request body must contain exactly 5 answers' }
+  if (answers.length !== 5) {
+    return { valid: false, error: 'answers must contain exactly 5 answers' }
   }
 
-  for (let i = 0; i < body.length; i++) {
-    if (typeof body[i] !== 'string') {
+  for (let i = 0; i < answers.length; i++) {
+    if (typeof answers[i] !== 'string') {
       return { valid: false, error: `Answer ${i + 1} must be a string` }
     }
 
-    const length = body[i].length
+    const length = answers[i].length
     if (length < 10 || length > 5000) {
       return { valid: false, error: `Answer ${i + 1} must be between 10 and 5000 characters` }
     }
@@ -135,7 +148,40 @@ function validateRequest(body) {
 }
 
 /**
- * Validate and sanitize OpenAI response
+ * List the matched crisis phrases with the answer (1-5) each came from
+ */
+function listCrisisMatches(detection) {
+  return detection.answers.flatMap((result, index) => (
+    result.matches.map(match => ({ answer: index + 1, ...match }))
+  ))
+}
+
+/**
+ * Flag the session for urgent follow-up when the answers contain crisis language
+ * Only the caller's own session is flagged; a failure is logged and doesn't block extraction.
+ * @returns {Promise<boolean>} True if the session was flagged
+ */
+async function flagCrisisLanguage(request, sessionId, crisisLanguage) {
+  if (crisisLanguage.riskLevel === 'none' || !sessionId) {
+    return false
+  }
+
+  if (!isSessionOwner(request, sessionId)) {
+    console.warn('Crisis language detected for a session the caller does not hold; not flagged')
+    return false
+  }
+
+  try {
+    await reportCrisisLanguage(sessionId, crisisLanguage)
+    return true
+  } catch (error) {
+    console.error('Error flagging crisis language:', error)
+    return false
+  }
+}
+
+/**
+ * Validate and sanitize LLM response
  */
 function validateResponse(response, expectedKeys) {
   const validated = {}
@@ -195,43 +241,58 @@ export async function POST(request) {
       )
     }
 
-    // Create OpenAI client
-    const apiKey = process.env.OPENAI_API_KEY
-    if (!apiKey) {
-      console.error('OPENAI_API_KEY is not set')
+    const answers = getAnswers(body)
+    const sessionId = Array.isArray(body) ? null : sanitizeUuid(body.sessionId)
+
+    // Check for explicit crisis language before extraction (deterministic, no LLM),
+    // and flag the session here rather than relying on the browser to report it
+    const detection = detectCrisisLanguageInAnswers(answers)
+    const crisisLanguage = {
+      riskLevel: detection.riskLevel,
+      categories: detection.categories,
+      matches: listCrisisMatches(detection)
+    }
+    const flagged = await flagCrisisLanguage(request, sessionId, crisisLanguage)
+    if (crisisLanguage.riskLevel !== 'none') {
+      console.log('Analytics:', {
+        event: 'crisis_language_detected',
+        riskLevel: crisisLanguage.riskLevel,
+        categories: crisisLanguage.categories,
+        flagged,
+        timestamp: new Date().toISOString()
+      })
+    }
+
+    // Create LLM provider
+    let llm
+    try {
+      llm = getLLMProvider()
+    } catch (error) {
+      console.error(error.message)
       return NextResponse.json(
         { error: 'Service temporarily unavailable. Please try again in a moment.' },
         { status: 503 }
       )
     }
 
-    const openai = new OpenAI({
-      apiKey: apiKey,
-      timeout: 60000, // 60 seconds
-    })
-
     // Format user prompt
-    const userPrompt = `Q1: ${body[0]}\n\nQ2: ${body[1]}\n\nQ3: ${body[2]}\n\nQ4: ${body[3]}\n\nQ5: ${body[4]}`
+    const userPrompt = `Q1: ${answers[0]}\n\nQ2: ${answers[1]}\n\nQ3: ${answers[2]}\n\nQ4: ${answers[3]}\n\nQ5: ${answers[4]}`
 
-    // Call OpenAI API
+    // Call LLM
     let completion
     try {
-      completion = await Promise.race([
-        openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            { role: 'system', content: SYSTEM_PROMPT },
-            { role: 'user', content: userPrompt }
-          ],
-          response_format: { type: 'json_object' },
-          temperature: 0.3, // Lower temperature for more consistent extraction
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Request timeout')), 60000)
-        )
-      ])
+      completion = await createChatCompletion(llm, {
+        task: 'extract-symptoms',
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: userPrompt }
+        ],
+        responseFormat: 'json_object',
+        temperature: 0.3, // Lower temperature for more consistent extraction
+        timeoutMs: 60000 // 60 seconds
+      })
     } catch (error) {
-      if (error.message === 'Request timeout') {
+      if (isTimeoutError(error)) {
         const duration = Date.now() - startTime
         console.log('Analytics:', {
           event: 'extraction_timeout',
@@ -244,8 +305,8 @@ export async function POST(request) {
         )
       }
 
-      // Handle OpenAI API errors
-      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      // Handle provider API errors
+      if (isRateLimitError(error)) {
         const duration = Date.now() - startTime
         console.log('Analytics:', {
           event: 'extraction_rate_limited',
@@ -277,7 +338,7 @@ export async function POST(request) {
     try {
       const content = completion.choices[0]?.message?.content
       if (!content) {
-        throw new Error('No content in OpenAI response')
+        throw new Error('No content in LLM response')
       }
       extractedData = JSON.parse(content)
     } catch (error) {
@@ -303,6 +364,7 @@ export async function POST(request) {
     const tokenUsage = completion.usage || {}
     console.log('Analytics:', {
       event: 'extraction_success',
+      provider: llm.name,
       model: completion.model,
       duration,
       tokens: {
@@ -316,6 +378,7 @@ export async function POST(request) {
     // Return validated response
     return NextResponse.json({
       symptoms: validatedData,
+      crisisLanguage: { ...crisisLanguage, flagged },
       metadata: {
         extractedAt: Date.now(),
         model: completion.model
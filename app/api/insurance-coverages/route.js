@@ -0,0 +1,77 @@
+/**
+ * Insurance Coverages API Routes
+ *
+ * POST   /api/insurance-coverages - Save a reviewed insurance card for a session's patient
+ *                                   (body: { sessionId, level, insuranceData, credentialedInsuranceId })
+ * GET    /api/insurance-coverages?sessionId={id} - List the coverages on file for a session's patient
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  saveInsuranceCoverage,
+  getInsuranceCoverages
+} from '@/lib/services/insurance-coverage-service';
+import { DEFAULT_COVERAGE_LEVEL } from '@/lib/constants/insurance-coverage';
+import { sanitizeUuid } from '@/lib/utils/sanitization';
+import { errorResponse } from '@/lib/utils/route-errors';
+
+/**
+ * POST /api/insurance-coverages
+ * Save the card details reviewed on the insurance step
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const sessionId = sanitizeUuid(body.sessionId);
+
+    // TODO: Verify the caller owns this onboarding session
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!body.insuranceData || typeof body.insuranceData !== 'object' || Array.isArray(body.insuranceData)) {
+      return NextResponse.json(
+        { error: 'insuranceData must be an object' },
+        { status: 400 }
+      );
+    }
+
+    const coverage = await saveInsuranceCoverage(sessionId, {
+      level: body.level ?? DEFAULT_COVERAGE_LEVEL,
+      insuranceData: body.insuranceData,
+      credentialedInsuranceId: sanitizeUuid(body.credentialedInsuranceId)
+    });
+
+    return NextResponse.json(coverage, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'POST /api/insurance-coverages');
+  }
+}
+
+/**
+ * GET /api/insurance-coverages?sessionId={id}
+ * List the coverages on file
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const sessionId = sanitizeUuid(searchParams.get('sessionId'));
+
+    // TODO: Verify the caller owns this onboarding session
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const coverages = await getInsuranceCoverages(sessionId);
+
+    return NextResponse.json({ coverages }, { status: 200 });
+  } catch (error) {
+    return errorResponse(error, 'GET /api/insurance-coverages');
+  }
+}
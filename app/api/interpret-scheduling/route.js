@@ -1,10 +1,19 @@
 import { NextResponse } from 'next/server'
-import OpenAI from 'openai'
-import { getSystemPrompt, getUserPrompt } from '@/lib/prompts/scheduling-prompt'
+import { getSystemPrompt, getUserPrompt, getRefinementPrompt } from '@/lib/prompts/scheduling-prompt'
 import { validateInterpretedPreferences } from '@/lib/utils/interpretation-validator'
 import { validateTimezone, detectUserTimezone } from '@/lib/utils/timezone-utils'
+import { normalizeLanguageCode } from '@/lib/constants/care-languages'
+import { getLLMProvider, createChatCompletion, isTimeoutError, isRateLimitError } from '@/lib/llm'
+import { parseSchedulingPreferences, refineSchedulingPreferences, crossCheckInterpretation } from '@/lib/utils/scheduling-parser'
 import { formatInTimeZone } from 'date-fns-tz'
 
+// Input lengths (follow-ups can be as short as "no Fridays")
+const MIN_INPUT_LENGTH = 10
+const MIN_FOLLOW_UP_LENGTH = 2
+const MAX_INPUT_LENGTH = 500
+// Earlier messages sent along with a follow-up
+const MAX_CONVERSATION_TURNS = 5
+
 // Simple in-memory rate limiting store
 const rateLimitStore = new Map()
 
@@ -56,20 +65,42 @@ function validateRequest(body) {
     return { valid: false, error: 'Request body must be an object', code: 'INVALID_REQUEST' }
   }
 
-  const { userInput, userTimezone } = body
+  const { userInput, userTimezone, previousPreferences, conversation } = body
+  const isFollowUp = previousPreferences !== undefined && previousPreferences !== null
 
   // Validate userInput
   if (typeof userInput !== 'string') {
     return { valid: false, error: 'userInput must be a string', code: 'INVALID_INPUT' }
   }
 
-  const inputLength = userInput.length
-  if (inputLength < 10) {
-    return { valid: false, error: 'userInput must be at least 10 characters', code: 'INPUT_TOO_SHORT' }
+  const inputLength = userInput.trim().length
+  const minLength = isFollowUp ? MIN_FOLLOW_UP_LENGTH : MIN_INPUT_LENGTH
+  if (inputLength < minLength) {
+    return { valid: false, error: `userInput must be at least ${minLength} characters`, code: 'INPUT_TOO_SHORT' }
+  }
+
+  if (userInput.length > MAX_INPUT_LENGTH) {
+    return { valid: false, error: `userInput must be at most ${MAX_INPUT_LENGTH} characters`, code: 'INPUT_TOO_LONG' }
   }
 
-  if (inputLength > 500) {
-    return { valid: false, error: 'userInput must be at most 500 characters', code: 'INPUT_TOO_LONG' }
+  // Validate the preferences a follow-up refines
+  if (isFollowUp && validateInterpretedPreferences(previousPreferences).length > 0) {
+    return { valid: false, error: 'previousPreferences must be valid interpreted preferences', code: 'INVALID_PREVIOUS_PREFERENCES' }
+  }
+
+  // Validate conversation (earlier messages, oldest first)
+  if (conversation !== undefined && conversation !== null) {
+    if (!isFollowUp) {
+      return { valid: false, error: 'conversation requires previousPreferences', code: 'INVALID_CONVERSATION' }
+    }
+    if (!Array.isArray(conversation) || conversation.length > MAX_CONVERSATION_TURNS ||
+      conversation.some(turn => typeof turn !== 'string' || turn.length > MAX_INPUT_LENGTH)) {
+      return {
+        valid: false,
+        error: `conversation must be at most ${MAX_CONVERSATION_TURNS} messages of at most ${MAX_INPUT_LENGTH} characters`,
+        code: 'INVALID_CONVERSATION'
+      }
+    }
   }
 
   // Validate userTimezone
@@ -85,35 +116,27 @@ function validateRequest(body) {
 }
 
 /**
- * Retry OpenAI API call with exponential backoff
+ * Retry LLM call with exponential backoff
  */
-async function callOpenAIWithRetry(openai, messages, maxRetries = 3) {
+async function callLLMWithRetry(llm, messages, maxRetries = 3) {
   let lastError = null
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      const completion = await Promise.race([
-        openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages,
-          response_format: { type: 'json_object' },
-          temperature: 0.3,
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Request timeout')), 5000)
-        )
-      ])
+      const completion = await createChatCompletion(llm, {
+        task: 'interpret-scheduling',
+        messages,
+        responseFormat: 'json_object',
+        temperature: 0.3,
+        timeoutMs: 5000 // 5 seconds
+      })
 
       return completion
     } catch (error) {
       lastError = error
 
       // Don't retry on timeout or rate limit - return immediately
-      if (error.message === 'Request timeout') {
-        throw error
-      }
-
-      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      if (isTimeoutError(error) || isRateLimitError(error)) {
         throw error
       }
 
@@ -128,6 +151,26 @@ async function callOpenAIWithRetry(openai, messages, maxRetries = 3) {
   throw lastError
 }
 
+/**
+ * Respond with the rule-based interpretation when the LLM can't be used
+ */
+function ruleFallbackResponse(ruleResult, reason, startTime, isFollowUp) {
+  console.log('Analytics:', {
+    event: 'interpretation_rule_fallback',
+    reason,
+    followUp: isFollowUp,
+    duration: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  })
+
+  return NextResponse.json({
+    success: true,
+    interpretedPreferences: ruleResult.preferences,
+    source: 'rules',
+    refined: isFollowUp
+  })
+}
+
 /**
  * POST handler for scheduling interpretation
  */
@@ -163,12 +206,28 @@ export async function POST(request) {
       )
     }
 
-    const { userInput, userTimezone } = body
+    const { userInput, userTimezone, previousPreferences, conversation } = body
+    const isFollowUp = previousPreferences !== undefined && previousPreferences !== null
+
+    // Get current date and time in user's timezone
+    const now = new Date()
+    const currentDate = formatInTimeZone(now, userTimezone, 'yyyy-MM-dd')
+    const currentTime = formatInTimeZone(now, userTimezone, 'HH:mm')
+
+    // Deterministic interpretation: fallback if the LLM fails, cross-check if it succeeds
+    const ruleResult = isFollowUp
+      ? refineSchedulingPreferences(previousPreferences, userInput, { currentDate, userTimezone })
+      : parseSchedulingPreferences(userInput, { currentDate, userTimezone })
 
-    // Create OpenAI client
-    const apiKey = process.env.OPENAI_API_KEY
-    if (!apiKey) {
-      console.error('OPENAI_API_KEY is not set')
+    // Create LLM provider
+    let llm
+    try {
+      llm = getLLMProvider()
+    } catch (error) {
+      console.error(error.message)
+      if (ruleResult) {
+        return ruleFallbackResponse(ruleResult, 'not_configured', startTime, isFollowUp)
+      }
       return NextResponse.json(
         {
           success: false,
@@ -179,36 +238,31 @@ export async function POST(request) {
       )
     }
 
-    const openai = new OpenAI({
-      apiKey: apiKey,
-      timeout: 5000, // 5 seconds
-    })
-
-    // Get current date and time in user's timezone
-    const now = new Date()
-    const currentDate = formatInTimeZone(now, userTimezone, 'yyyy-MM-dd')
-    const currentTime = formatInTimeZone(now, userTimezone, 'HH:mm')
-
     // Build prompts
     const systemPrompt = getSystemPrompt()
-    const userPrompt = getUserPrompt(userInput, currentDate, currentTime, userTimezone)
+    const userPrompt = isFollowUp
+      ? getRefinementPrompt(userInput, previousPreferences, conversation || [], currentDate, currentTime, userTimezone)
+      : getUserPrompt(userInput, currentDate, currentTime, userTimezone)
 
-    // Call OpenAI API with retry logic
+    // Call LLM with retry logic
     let completion
     try {
-      completion = await callOpenAIWithRetry(openai, [
+      completion = await callLLMWithRetry(llm, [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ])
     } catch (error) {
       const duration = Date.now() - startTime
 
-      if (error.message === 'Request timeout') {
+      if (isTimeoutError(error)) {
         console.log('Analytics:', {
           event: 'interpretation_timeout',
           duration,
           timestamp: new Date().toISOString()
         })
+        if (ruleResult) {
+          return ruleFallbackResponse(ruleResult, 'timeout', startTime, isFollowUp)
+        }
         return NextResponse.json(
           {
             success: false,
@@ -219,12 +273,15 @@ export async function POST(request) {
         )
       }
 
-      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      if (isRateLimitError(error)) {
         console.log('Analytics:', {
           event: 'interpretation_rate_limited',
           duration,
           timestamp: new Date().toISOString()
         })
+        if (ruleResult) {
+          return ruleFallbackResponse(ruleResult, 'rate_limited', startTime, isFollowUp)
+        }
         return NextResponse.json(
           {
             success: false,
@@ -242,6 +299,9 @@ export async function POST(request) {
         duration,
         timestamp: new Date().toISOString()
       })
+      if (ruleResult) {
+        return ruleFallbackResponse(ruleResult, 'api_error', startTime, isFollowUp)
+      }
       return NextResponse.json(
         {
           success: false,
@@ -257,7 +317,7 @@ export async function POST(request) {
     try {
       const content = completion.choices[0]?.message?.content
       if (!content) {
-        throw new Error('No content in OpenAI response')
+        throw new Error('No content in LLM response')
       }
       interpretedData = JSON.parse(content)
     } catch (error) {
@@ -268,6 +328,9 @@ export async function POST(request) {
         duration,
         timestamp: new Date().toISOString()
       })
+      if (ruleResult) {
+        return ruleFallbackResponse(ruleResult, 'parse_error', startTime, isFollowUp)
+      }
       return NextResponse.json(
         {
           success: false,
@@ -278,6 +341,14 @@ export async function POST(request) {
       )
     }
 
+    // Normalize the extracted language (e.g. "es" -> "spa") and drop unsupported ones
+    if (interpretedData && interpretedData.languagePreference) {
+      const code = normalizeLanguageCode(interpretedData.languagePreference.code)
+      interpretedData.languagePreference = code
+        ? { code, required: interpretedData.languagePreference.required === true }
+        : null
+    }
+
     // Validate interpreted preferences structure
     const validationErrors = validateInterpretedPreferences(interpretedData)
     if (validationErrors.length > 0) {
@@ -288,6 +359,9 @@ export async function POST(request) {
         duration,
         timestamp: new Date().toISOString()
       })
+      if (ruleResult) {
+        return ruleFallbackResponse(ruleResult, 'validation_error', startTime, isFollowUp)
+      }
       return NextResponse.json(
         {
           success: false,
@@ -298,14 +372,27 @@ export async function POST(request) {
       )
     }
 
+    // Cross-check against the rule-based reading (which wins on calendar dates)
+    const crossCheck = crossCheckInterpretation(interpretedData, ruleResult)
+    if (crossCheck.disagreements.length > 0) {
+      console.log('Analytics:', {
+        event: 'interpretation_cross_check',
+        disagreements: crossCheck.disagreements,
+        corrected: crossCheck.corrected,
+        timestamp: new Date().toISOString()
+      })
+    }
+
     // Log metadata (sanitized, no PII)
     const duration = Date.now() - startTime
     const tokenUsage = completion.usage || {}
     console.log('Analytics:', {
       event: 'interpretation_success',
+      provider: llm.name,
       model: completion.model,
       duration,
       inputLength: userInput.length,
+      followUp: isFollowUp,
       tokens: {
         prompt: tokenUsage.prompt_tokens || 0,
         completion: tokenUsage.completion_tokens || 0,
@@ -317,7 +404,9 @@ export async function POST(request) {
     // Return validated response
     return NextResponse.json({
       success: true,
-      interpretedPreferences: interpretedData
+      interpretedPreferences: crossCheck.preferences,
+      source: 'llm',
+      refined: isFollowUp
     })
 
   } catch (error) {
@@ -1,9 +1,20 @@
 import { NextResponse } from 'next/server'
-import { getAvailabilityData } from '@/lib/data/availability-cache'
-import { matchAvailability } from '@/lib/utils/availability-matcher'
-import { formatMatchedSlots } from '@/lib/utils/result-formatter'
+import { refreshOccurrencesInBackground, findCandidateAvailabilities } from '@/lib/data/availability-occurrences'
+import { matchAvailabilityWithStats, matchRecurringSeries } from '@/lib/utils/availability-matcher'
+import { formatMatchedSlots, formatMatchedSeries } from '@/lib/utils/result-formatter'
 import { validateInterpretedPreferences } from '@/lib/utils/interpretation-validator'
 import { detectUserTimezone } from '@/lib/utils/timezone-utils'
+import { sanitizeUuid } from '@/lib/utils/sanitization'
+import { isValidUSState } from '@/lib/utils/insurance-validation'
+import { isValidCategoryWeights } from '@/lib/utils/clinician-fit'
+import { sweepExpiredHolds, getBlockedTimes } from '@/lib/services/slot-hold-service'
+import { getInNetworkClinicianIds } from '@/lib/services/insurance-matcher'
+import { getContractedAppointmentTypes } from '@/lib/services/contract-service'
+import { getAppointmentType, isValidAppointmentType, DEFAULT_APPOINTMENT_TYPE } from '@/lib/constants/appointment-types'
+import { MAX_MATCHED_SLOTS } from '@/lib/utils/onboarding-session-validation'
+
+// "Show more times" pages stop where the onboarding session stops storing them
+const MAX_OFFSET = MAX_MATCHED_SLOTS
 
 // Simple in-memory rate limiting store
 const rateLimitStore = new Map()
@@ -78,6 +89,31 @@ function validateRequest(body) {
     return { valid: false, error: 'organizationId must be a number', code: 'INVALID_ORGANIZATION_ID' }
   }
 
+  // Validate optional patientState
+  if (body.patientState !== undefined && body.patientState !== null && !isValidUSState(body.patientState)) {
+    return { valid: false, error: 'patientState must be a 2-letter US state abbreviation', code: 'INVALID_PATIENT_STATE' }
+  }
+
+  // Validate optional symptomCategoryWeights
+  if (body.symptomCategoryWeights !== undefined && body.symptomCategoryWeights !== null && !isValidCategoryWeights(body.symptomCategoryWeights)) {
+    return { valid: false, error: 'symptomCategoryWeights must map symptom categories to non-negative numbers', code: 'INVALID_SYMPTOM_WEIGHTS' }
+  }
+
+  // Validate optional appointmentType
+  if (body.appointmentType !== undefined && body.appointmentType !== null && !isValidAppointmentType(body.appointmentType)) {
+    return { valid: false, error: 'appointmentType must be a known appointment type', code: 'INVALID_APPOINTMENT_TYPE' }
+  }
+
+  // Validate optional offset (for showing more times)
+  if (body.offset !== undefined && (!Number.isInteger(body.offset) || body.offset < 0 || body.offset > MAX_OFFSET)) {
+    return { valid: false, error: `offset must be an integer from 0 to ${MAX_OFFSET}`, code: 'INVALID_OFFSET' }
+  }
+
+  // Validate optional prioritizeEarliest
+  if (body.prioritizeEarliest !== undefined && typeof body.prioritizeEarliest !== 'boolean') {
+    return { valid: false, error: 'prioritizeEarliest must be a boolean', code: 'INVALID_REQUEST' }
+  }
+
   return { valid: true }
 }
 
@@ -117,11 +153,41 @@ export async function POST(request) {
     }
 
     const { interpretedPreferences, organizationId } = body
+    const sessionId = sanitizeUuid(body.sessionId)
+    const credentialedInsuranceId = sanitizeUuid(body.credentialedInsuranceId)
+    const patientState = body.patientState ? body.patientState.toUpperCase().trim() : null
+    const symptomCategoryWeights = body.symptomCategoryWeights || null
+    const prioritizeEarliest = body.prioritizeEarliest === true
+    const offset = body.offset || 0
+    const appointmentType = getAppointmentType(body.appointmentType || DEFAULT_APPOINTMENT_TYPE)
 
-    // Get availability data from cache
+    // Only offer appointment types the organization's contract covers
+    let contractedTypes = null
+    try {
+      contractedTypes = await getContractedAppointmentTypes()
+    } catch (error) {
+      // Care coordinators review every booking, so match rather than block scheduling
+      console.error('Error loading contracted appointment types:', error)
+    }
+    if (contractedTypes && !contractedTypes.some(type => type.id === appointmentType.id)) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: `${appointmentType.label}s aren't available for your school or district.`,
+          code: 'APPOINTMENT_TYPE_NOT_CONTRACTED'
+        },
+        { status: 400 }
+      )
+    }
+
+    // Keep the expanded occurrences current (rebuilt on import, and when stale);
+    // the rebuild runs in the background and this request matches against the last one
+    refreshOccurrencesInBackground()
+
+    // Fetch candidate times for the preferred dates, days and times
     let availabilityData
     try {
-      availabilityData = await getAvailabilityData()
+      availabilityData = await findCandidateAvailabilities(interpretedPreferences)
     } catch (error) {
       console.error('Error loading availability data:', error)
       return NextResponse.json(
@@ -141,11 +207,48 @@ export async function POST(request) {
       userTimezone = interpretedPreferences.timeRanges[0].timezone || userTimezone
     }
 
+    // Hide times booked or held by other families (this session's own hold stays visible)
+    let blockedTimes = []
+    try {
+      await sweepExpiredHolds()
+      blockedTimes = await getBlockedTimes({ excludeSessionId: sessionId })
+    } catch (error) {
+      // Booking re-checks the slot, so matching can proceed without hold data
+      console.error('Error loading blocked times:', error)
+    }
+
+    // Look up in-network clinicians for the family's matched insurance
+    let inNetworkClinicianIds = null
+    if (credentialedInsuranceId) {
+      try {
+        inNetworkClinicianIds = await getInNetworkClinicianIds(credentialedInsuranceId)
+      } catch (error) {
+        // Fall back to unfiltered matching rather than showing no times
+        console.error('Error loading in-network clinicians:', error)
+      }
+    }
+
     // Match availability
-    const matchedSlots = matchAvailability(interpretedPreferences, availabilityData, userTimezone)
+    const matchOptions = {
+      blockedTimes,
+      inNetworkClinicianIds,
+      patientState,
+      symptomCategoryWeights,
+      prioritizeEarliest,
+      appointmentType,
+      offset,
+    }
+    const { slots: matchedSlots, stats, totalCount } = matchAvailabilityWithStats(interpretedPreferences, availabilityData, userTimezone, matchOptions)
+
+    // Weekly series at a regular time, for ongoing therapy (none for intake calls);
+    // they're shown once, so later pages skip them
+    const matchedSeries = offset === 0
+      ? matchRecurringSeries(interpretedPreferences, { all: availabilityData.series }, userTimezone, matchOptions)
+      : []
 
     // Format results
     const formattedSlots = formatMatchedSlots(matchedSlots, userTimezone)
+    const formattedSeries = formatMatchedSeries(matchedSeries, userTimezone)
 
     // Log analytics
     const duration = Date.now() - startTime
@@ -153,6 +256,17 @@ export async function POST(request) {
       event: 'matching_success',
       duration,
       matchesFound: formattedSlots.length,
+      seriesFound: formattedSeries.length,
+      inNetworkFound: formattedSlots.filter(slot => slot.inNetwork === true).length,
+      insuranceFiltered: inNetworkClinicianIds !== null,
+      excludedForLicensure: stats.excludedForLicensure,
+      excludedForLanguage: stats.excludedForLanguage,
+      symptomFitApplied: symptomCategoryWeights !== null,
+      prioritizeEarliest,
+      appointmentType: appointmentType.id,
+      offset,
+      totalCount,
+      candidatesScored: availabilityData.all.length,
       organizationId,
       timestamp: new Date().toISOString()
     })
@@ -160,7 +274,20 @@ export async function POST(request) {
     // Return results (empty array is valid - no matches found)
     return NextResponse.json({
       success: true,
-      matchedSlots: formattedSlots
+      matchedSlots: formattedSlots,
+      matchedSeries: formattedSeries,
+      insuranceFiltered: inNetworkClinicianIds !== null,
+      patientState,
+      excludedForLicensure: stats.excludedForLicensure,
+      excludedForLanguage: stats.excludedForLanguage,
+      prioritizeEarliest,
+      appointmentType: appointmentType.id,
+      pagination: {
+        offset,
+        pageSize: appointmentType.maxResults,
+        totalCount,
+        hasMore: offset + formattedSlots.length < totalCount && offset + formattedSlots.length < MAX_OFFSET
+      }
     })
 
   } catch (error) {
@@ -3,7 +3,7 @@ import { matchInsurance } from '@/lib/services/insurance-matcher'
 
 /**
  * POST handler for insurance matching
- * Validates insurance (no data storage)
+ * Validates insurance only; reviewed card details are saved by /api/insurance-coverages
  */
 export async function POST(request) {
   const startTime = Date.now()
@@ -0,0 +1,123 @@
+/**
+ * Onboarding Resume API Routes
+ *
+ * POST   /api/onboarding/resume - Email a "finish later" link for a session
+ * GET    /api/onboarding/resume?token={token} - Restore a session from a link
+ *
+ * Opening a link gives the browser the session cookie; only the browser
+ * holding it can request a link for the session.
+ */
+
+import { NextResponse } from 'next/server';
+import { sendResumeLink, resumeSession, getAppBaseUrl } from '@/lib/services/resume-link-service';
+import { ValidationError, NotFoundError, UnauthorizedError } from '@/lib/services/errors';
+import { sanitizeUuid } from '@/lib/utils/sanitization';
+import { setSessionCookie, sessionAccessError } from '@/lib/utils/session-cookie';
+
+/**
+ * GET /api/onboarding/resume?token={token}
+ * Verify a resume token and return the onboarding session it points to; the
+ * browser gets the session cookie so it can keep syncing the session
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const token = searchParams.get('token');
+
+    if (!token) {
+      return NextResponse.json(
+        { error: 'token query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const session = await resumeSession(token);
+
+    return setSessionCookie(NextResponse.json(session, { status: 200 }), session.sessionId);
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: 401 }
+      );
+    }
+
+    if (error instanceof NotFoundError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 404 }
+      );
+    }
+
+    console.error('Error in GET /api/onboarding/resume:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/onboarding/resume
+ * Email a resume link for an onboarding session
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const sessionId = sanitizeUuid(body.sessionId);
+    const { email } = body;
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId is required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    if (!email) {
+      return NextResponse.json(
+        { error: 'email is required' },
+        { status: 400 }
+      );
+    }
+
+    // Links point at the public app URL; the Host header is not trusted in production
+    const baseUrl = getAppBaseUrl(new URL(request.url).origin);
+    if (!baseUrl) {
+      console.error('APP_URL must be set in production to send resume links');
+      return NextResponse.json(
+        { error: 'Resume links are not configured' },
+        { status: 503 }
+      );
+    }
+
+    const { expiresAt } = await sendResumeLink(sessionId, email, baseUrl);
+
+    return NextResponse.json({ success: true, expiresAt }, { status: 200 });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json(
+        { error: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error instanceof NotFoundError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 404 }
+      );
+    }
+
+    console.error('Error in POST /api/onboarding/resume:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
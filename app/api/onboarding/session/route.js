@@ -0,0 +1,136 @@
+/**
+ * Onboarding Session API Routes
+ *
+ * POST   /api/onboarding/session - Create a session (and its patient record)
+ * GET    /api/onboarding/session?sessionId={id} - Resume a session
+ * PATCH  /api/onboarding/session?sessionId={id} - Partial update of a session
+ *
+ * Creating a session gives the browser the session cookie (see
+ * utils/session-cookie); reading and updating require it. Other devices
+ * resume through a signed "finish later" link (/api/onboarding/resume).
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  createSession,
+  getSession,
+  updateSession
+} from '@/lib/services/onboarding-session-service';
+import { ValidationError, NotFoundError } from '@/lib/services/errors';
+import { sanitizeUuid } from '@/lib/utils/sanitization';
+import { setSessionCookie, sessionAccessError } from '@/lib/utils/session-cookie';
+
+/**
+ * GET /api/onboarding/session?sessionId={id}
+ * Retrieve an onboarding session to resume the flow
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const sessionId = sanitizeUuid(searchParams.get('sessionId'));
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return NextResponse.json(
+        { error: 'Onboarding session not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(session, { status: 200 });
+  } catch (error) {
+    console.error('Error in GET /api/onboarding/session:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/onboarding/session
+ * Create a new onboarding session
+ */
+export async function POST() {
+  try {
+    const session = await createSession();
+
+    return setSessionCookie(NextResponse.json(session, { status: 201 }), session.sessionId);
+  } catch (error) {
+    console.error('Error in POST /api/onboarding/session:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH /api/onboarding/session?sessionId={id}
+ * Partial update of an onboarding session (state sync)
+ */
+export async function PATCH(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const sessionId = sanitizeUuid(searchParams.get('sessionId'));
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const body = await request.json();
+    const { data } = body;
+
+    if (!data) {
+      return NextResponse.json(
+        { error: 'data is required' },
+        { status: 400 }
+      );
+    }
+
+    const session = await updateSession(sessionId, data);
+
+    return NextResponse.json(session, { status: 200 });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json(
+        { error: error.message, errors: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error instanceof NotFoundError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 404 }
+      );
+    }
+
+    console.error('Error in PATCH /api/onboarding/session:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Safety Escalations API Routes
+ *
+ * POST   /api/safety-escalations - Flag a session for urgent care-coordinator follow-up
+ *                                  (body: { sessionId, concerns } or { sessionId, crisisLanguage })
+ * GET    /api/safety-escalations - List unresolved escalations (support staff)
+ * PATCH  /api/safety-escalations?escalationId={id} - Acknowledge or resolve an escalation (support staff)
+ *
+ * Staff endpoints require the x-staff-api-key header to match STAFF_API_KEY.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  reportSafetyConcerns,
+  reportCrisisLanguage,
+  listOpenEscalations,
+  updateEscalationStatus
+} from '@/lib/services/safety-escalation-service';
+import { sanitizeUuid } from '@/lib/utils/sanitization';
+import { staffAuthError } from '@/lib/utils/staff-auth';
+import { sessionAccessError } from '@/lib/utils/session-cookie';
+import { errorResponse } from '@/lib/utils/route-errors';
+
+/**
+ * POST /api/safety-escalations
+ * Flag a session whose symptom review reported safety concerns, or whose
+ * narrative answers contain crisis language
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const sessionId = sanitizeUuid(body.sessionId);
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'A valid sessionId is required' },
+        { status: 400 }
+      );
+    }
+
+    const accessError = sessionAccessError(request, sessionId);
+    if (accessError) {
+      return accessError;
+    }
+
+    const escalation = body.crisisLanguage
+      ? await reportCrisisLanguage(sessionId, body.crisisLanguage)
+      : await reportSafetyConcerns(sessionId, body.concerns);
+
+    // Families only need to know the flag was raised, not coordinator details
+    return NextResponse.json(
+      { escalationId: escalation.escalationId, status: escalation.status },
+      { status: 201 }
+    );
+  } catch (error) {
+    return errorResponse(error, 'POST /api/safety-escalations');
+  }
+}
+
+/**
+ * GET /api/safety-escalations
+ * List unresolved escalations, oldest first
+ */
+export async function GET(request) {
+  const authError = staffAuthError(request);
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const escalations = await listOpenEscalations();
+
+    return NextResponse.json({ escalations, count: escalations.length }, { status: 200 });
+  } catch (error) {
+    return errorResponse(error, 'GET /api/safety-escalations');
+  }
+}
+
+/**
+ * PATCH /api/safety-escalations?escalationId={id}
+ * Acknowledge or resolve an escalation
+ */
+export async function PATCH(request) {
+  const authError = staffAuthError(request);
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const escalationId = sanitizeUuid(searchParams.get('escalationId'));
+
+    if (!escalationId) {
+      return NextResponse.json(
+        { error: 'A valid escalationId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const body = await request.json();
+    const escalation = await updateEscalationStatus(escalationId, body.status);
+
+    return NextResponse.json(escalation, { status: 200 });
+  } catch (error) {
+    return errorResponse(error, 'PATCH /api/safety-escalations');
+  }
+}
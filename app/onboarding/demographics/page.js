@@ -8,12 +8,13 @@
 
 import { useRouter } from 'next/navigation';
 import { DemographicsWizard } from '@/components/demographics';
+import { useOnboardingState } from '@/lib/context/OnboardingContext';
 
 export default function DemographicsOnboardingPage() {
   const router = useRouter();
 
-  // TODO: Get actual patient ID from authentication/session
-  const patientId = '123e4567-e89b-12d3-a456-426614174000';
+  // Patient created for the server-side onboarding session (null until one exists)
+  const { patientId } = useOnboardingState();
 
   const handleComplete = (data) => {
     console.log('Demographics completed:', data);
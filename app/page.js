@@ -25,7 +25,7 @@ const SchedulingAssistant = dynamic(() => import('@/components/onboarding/Schedu
  * Components are lazy loaded for optimal performance.
  */
 export default function Home() {
-  const { currentStep, isInitialized, setCurrentStep } = useOnboardingState()
+  const { currentStep, isInitialized, setCurrentStep, patientId } = useOnboardingState()
 
   // Handle invalid state - default to step 1 (landing page)
   useEffect(() => {
@@ -54,8 +54,7 @@ export default function Home() {
   }, [currentStep, isInitialized])
 
   // Demographics Part 1 completion handler
-  const handleDemographicsPart1Complete = useCallback((data) => {
-    console.log('Demographics Part 1 completed:', data)
+  const handleDemographicsPart1Complete = useCallback(() => {
     // Navigate to Intake Survey (Step 3)
     setCurrentStep(3)
   }, [setCurrentStep])
@@ -90,7 +89,7 @@ export default function Home() {
       case 2: // User-facing Step 1: Demographics - Basic Information
         return (
           <DemographicsWizard 
-            patientId="temp-patient-id" 
+            patientId={patientId}
             onComplete={handleDemographicsPart1Complete}
             onSkipAll={handleDemographicsPart1Skip}
             part={1}
@@ -11,6 +11,7 @@ import PrivacyNotice from './PrivacyNotice';
 import ProgressIndicator from './ProgressIndicator';
 import AutoSaveIndicator from './AutoSaveIndicator';
 import WizardNavigation from './WizardNavigation';
+import SaveForLaterDialog from '@/components/shared/SaveForLaterDialog';
 
 // Page components
 import BasicInformationPage from './pages/BasicInformationPage';
@@ -22,6 +23,7 @@ import ActivitiesPage from './pages/ActivitiesPage';
 
 // API
 import { getDemographics, saveDemographics } from '@/lib/api/demographics-client';
+import { useOnboardingState } from '@/lib/context/OnboardingContext';
 
 // First demographics flow - Basic Information only
 const PAGES_PART_1 = [
@@ -54,44 +56,48 @@ export default function DemographicsWizard({
   const [lastSaved, setLastSaved] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [hasLoaded, setHasLoaded] = useState(false);
+  const [showSaveForLater, setShowSaveForLater] = useState(false);
+  const { saveForLater } = useOnboardingState();
 
   const autoSaveTimerRef = useRef(null);
   const lastDataRef = useRef(formData);
 
-  // Load existing demographics on mount (DISABLED - not saving to backend for now)
+  // Load existing demographics on mount (when resuming an onboarding session)
   useEffect(() => {
-    // Backend integration disabled - just mark as loaded
-    setHasLoaded(true);
-    
-    // Note: When backend is needed, uncomment below:
-    // const loadExistingData = async () => {
-    //   try {
-    //     const existing = await getDemographics(patientId);
-    //     if (existing) {
-    //       setFormData(existing);
-    //       setSectionsCompleted(existing.sections_completed || []);
-    //       setLastSaved(existing.updated_at);
-    //       
-    //       // Jump to first incomplete section if resuming
-    //       const firstIncompleteIndex = PAGES.findIndex(
-    //         page => !existing.sections_completed?.includes(page.id)
-    //       );
-    //       if (firstIncompleteIndex !== -1 && firstIncompleteIndex > 0) {
-    //         setCurrentStep(firstIncompleteIndex + 1);
-    //       }
-    //     }
-    //     setHasLoaded(true);
-    //   } catch (error) {
-    //     console.error('Error loading demographics:', error);
-    //     setHasLoaded(true);
-    //   }
-    // };
-    // if (patientId && !hasLoaded) {
-    //   loadExistingData();
-    // }
-  }, [hasLoaded]);
+    if (hasLoaded) return;
+
+    // No patient record yet (e.g. server session unavailable) - start with an empty form
+    if (!patientId) {
+      setHasLoaded(true);
+      return;
+    }
+
+    const loadExistingData = async () => {
+      try {
+        const existing = await getDemographics(patientId);
+        if (existing) {
+          setFormData(existing);
+          setSectionsCompleted(existing.sections_completed || []);
+          setLastSaved(existing.updated_at);
+          
+          // Jump to first incomplete section if resuming
+          const firstIncompleteIndex = PAGES.findIndex(
+            page => !existing.sections_completed?.includes(page.id)
+          );
+          if (firstIncompleteIndex !== -1 && firstIncompleteIndex > 0) {
+            setCurrentStep(firstIncompleteIndex + 1);
+          }
+        }
+        setHasLoaded(true);
+      } catch (error) {
+        console.error('Error loading demographics:', error);
+        setHasLoaded(true);
+      }
+    };
+    loadExistingData();
+  }, [patientId, hasLoaded, PAGES]);
 
-  // Auto-save when data changes (DISABLED - not saving to backend for now)
+  // Auto-save when data changes (DISABLED - demographics are saved on continue)
   useEffect(() => {
     // Backend integration disabled - auto-save is skipped
     
@@ -146,20 +152,18 @@ export default function DemographicsWizard({
       const updatedSections = [...new Set([...sectionsCompleted, currentPage.id])];
       setSectionsCompleted(updatedSections);
 
-      // Prepare data (but don't save to backend for now)
       const dataToSave = {
         ...formData,
         sections_completed: updatedSections,
         completed: currentStep === PAGES.length
       };
 
-      // Backend integration disabled - skip save
-      console.log('Save skipped (backend disabled). Data:', dataToSave);
-      
-      // Note: When backend is needed, uncomment below:
-      // await saveDemographics(patientId, dataToSave, false);
-      // setLastSaved(new Date().toISOString());
-      // lastDataRef.current = formData;
+      // Save to the patient created for the onboarding session (if any)
+      if (patientId) {
+        await saveDemographics(patientId, dataToSave, false);
+        setLastSaved(new Date().toISOString());
+        lastDataRef.current = formData;
+      }
 
       // Move to next page or complete
       if (currentStep < PAGES.length) {
@@ -200,6 +204,22 @@ export default function DemographicsWizard({
     }
   };
 
+  const handleSaveForLater = async (email) => {
+    const result = await saveForLater(email);
+
+    // Keep answers entered on this page so the link restores them too
+    try {
+      await saveDemographics(result.patientId, {
+        ...formData,
+        sections_completed: sectionsCompleted
+      }, true);
+    } catch (error) {
+      console.error('Error saving demographics before finishing later:', error);
+    }
+
+    return result;
+  };
+
   const handleDataChange = (newData) => {
     setFormData(newData);
   };
@@ -296,13 +316,21 @@ export default function DemographicsWizard({
           onContinue={handleSaveAndContinue}
           onBack={handleBack}
           onSkip={handleSkip}
+          onSaveForLater={() => setShowSaveForLater(true)}
           showBack={false}
           showSkip={true}
+          showSaveForLater={true}
           isLoading={isLoading}
           isLastStep={currentStep === PAGES.length}
         />
       </div>
       </div>
+
+      <SaveForLaterDialog
+        isOpen={showSaveForLater}
+        onClose={() => setShowSaveForLater(false)}
+        onSubmit={handleSaveForLater}
+      />
     </div>
   );
 }
@@ -1,7 +1,8 @@
 /**
  * WizardNavigation Component
  * 
- * Navigation buttons for the demographics wizard (Continue, Back, Skip)
+ * Navigation buttons for the demographics wizard (Continue, Back, Skip,
+ * and optionally Save and finish later)
  */
 
 'use client';
@@ -10,8 +11,10 @@ export default function WizardNavigation({
   onContinue,
   onBack,
   onSkip,
+  onSaveForLater,
   showBack = true,
   showSkip = true,
+  showSaveForLater = false,
   continueLabel = 'Continue',
   continueDisabled = false,
   isLoading = false,
@@ -19,7 +22,7 @@ export default function WizardNavigation({
 }) {
   return (
     <div className="flex items-center justify-between pt-6 border-t border-gray-200">
-      <div>
+      <div className="flex items-center gap-3">
         {showBack && (
           <button
             type="button"
@@ -37,6 +40,23 @@ export default function WizardNavigation({
             ← Back
           </button>
         )}
+
+        {showSaveForLater && (
+          <button
+            type="button"
+            onClick={onSaveForLater}
+            disabled={isLoading}
+            className="
+              px-4 py-2 text-sm font-medium text-primary-500 underline
+              hover:text-primary-600 focus:outline-none focus:ring-2
+              focus:ring-offset-2 focus:ring-primary-500 rounded-full
+              disabled:opacity-50 disabled:cursor-not-allowed
+              transition-colors duration-200
+            "
+          >
+            Save and finish later
+          </button>
+        )}
       </div>
 
       <div className="flex items-center gap-3">
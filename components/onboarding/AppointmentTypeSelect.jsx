@@ -0,0 +1,53 @@
+'use client'
+
+/**
+ * AppointmentTypeSelect Component
+ *
+ * Lets the family choose what they're scheduling (intake call, therapy
+ * session, family session). Only types covered by the organization's
+ * contract are offered; nothing is shown when there's just one.
+ *
+ * @param {Object} props
+ * @param {Array} props.appointmentTypes - Offered types ({ id, label, description, durationMinutes })
+ * @param {string} props.value - Selected appointment type id
+ * @param {Function} props.onChange - Called with the new appointment type id
+ * @param {boolean} props.disabled - Disabled state
+ */
+export default function AppointmentTypeSelect({ appointmentTypes, value, onChange, disabled = false }) {
+  if (!appointmentTypes || appointmentTypes.length < 2) {
+    return null
+  }
+
+  return (
+    <fieldset className="mb-6" disabled={disabled}>
+      <legend className="block text-sm font-medium text-text-body mb-2">
+        What would you like to schedule?
+      </legend>
+      <div className="flex flex-col sm:flex-row gap-3">
+        {appointmentTypes.map((type) => (
+          <label
+            key={type.id}
+            className={`
+              flex-1 flex items-start gap-3 rounded-lg border-2 p-3 cursor-pointer
+              transition-colors duration-normal
+              ${value === type.id ? 'border-primary-500 bg-primary-50' : 'border-neutral-200 hover:border-primary-300'}
+            `}
+          >
+            <input
+              type="radio"
+              name="appointment-type"
+              value={type.id}
+              checked={value === type.id}
+              onChange={() => onChange(type.id)}
+              className="mt-1 h-4 w-4 border-neutral-300 text-primary-500 focus:ring-primary-500"
+            />
+            <span>
+              <span className="block text-sm font-medium text-text-primary">{type.label}</span>
+              <span className="block text-sm text-text-secondary">{type.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  )
+}
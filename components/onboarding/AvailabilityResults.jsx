@@ -4,31 +4,126 @@ import { useState, useEffect } from 'react'
 import { useOnboardingState } from '@/lib/context/OnboardingContext'
 import Button from '@/components/shared/Button'
 import SlotCard from './SlotCard'
+import { getLanguageLabel } from '@/lib/constants/care-languages'
+
+/**
+ * Selection id for a slot or series; a series shares its first session's availabilityId
+ */
+function getOptionId(option) {
+  return option.seriesLabel ? `series:${option.availabilityId}` : option.availabilityId
+}
 
 /**
  * AvailabilityResults Component
  * 
  * Displays matched appointment time slots and handles selection.
+ * When matching used the family's insurance, out-of-network slots are
+ * shown in a separate fallback section. Weekly series (the same clinician at
+ * the same weekday and time for several weeks) are offered above the one-off
+ * times; choosing one books only its first session, and the later sessions
+ * are scheduled with the clinician.
+ *
+ * @param {Object} props
+ * @param {Array} props.slots - Formatted matched slots
+ * @param {Array} props.series - Formatted weekly series
+ * @param {Function} props.onSelectSlot - Called with the selected slot
+ * @param {Function} props.onTryAgain - Returns to the availability input
+ * @param {Function} props.onAdjustPreferences - Opens the day/time picker pre-filled with the current preferences
+ * @param {number} props.excludedForLicensure - Matching times hidden because clinicians aren't licensed in the patient's state
+ * @param {string|null} props.patientState - Patient's state abbreviation
+ * @param {number} props.excludedForLanguage - Matching times hidden because clinicians don't speak a required language
+ * @param {Object|null} props.languagePreference - { code, required } requested language
+ * @param {boolean} props.prioritizedEarliest - Whether slots were ordered earliest-first because of safety concerns
+ * @param {boolean} props.hasMore - Whether more matching times can be shown
+ * @param {Function} props.onShowMore - Loads the next page of times
+ * @param {boolean} props.isLoadingMore - Whether more times are loading
+ * @param {string|null} props.loadMoreError - Error from the last attempt to load more times
  */
-export default function AvailabilityResults({ slots, onSelectSlot, onTryAgain }) {
+export default function AvailabilityResults({
+  slots,
+  series = [],
+  onSelectSlot,
+  onTryAgain,
+  onAdjustPreferences,
+  excludedForLicensure = 0,
+  patientState = null,
+  excludedForLanguage = 0,
+  languagePreference = null,
+  prioritizedEarliest = false,
+  hasMore = false,
+  onShowMore,
+  isLoadingMore = false,
+  loadMoreError = null,
+}) {
   const { selectedSlot, setSelectedSlot } = useOnboardingState()
   const [selectedSlotId, setSelectedSlotId] = useState(null)
 
   // Sync selectedSlotId with context
   useEffect(() => {
     if (selectedSlot) {
-      setSelectedSlotId(selectedSlot.availabilityId)
+      setSelectedSlotId(getOptionId(selectedSlot))
     } else {
       setSelectedSlotId(null)
     }
   }, [selectedSlot])
 
+  // Slots without insurance info (inNetwork === null) stay in the main list
+  const primarySlots = (slots || []).filter(slot => slot.inNetwork !== false)
+  const outOfNetworkSlots = (slots || []).filter(slot => slot.inNetwork === false)
+
   const handleSlotSelect = (slot) => {
-    setSelectedSlotId(slot.availabilityId)
+    setSelectedSlotId(getOptionId(slot))
     setSelectedSlot(slot) // Update context
     onSelectSlot(slot)
   }
 
+  const licensureNote = excludedForLicensure > 0 && patientState ? (
+    <p className="text-sm text-text-secondary">
+      {excludedForLicensure} matching time{excludedForLicensure !== 1 ? 's were' : ' was'} hidden because
+      {' '}those clinicians aren&apos;t licensed in {patientState}.
+    </p>
+  ) : null
+
+  const languageLabel = languagePreference ? getLanguageLabel(languagePreference.code) : null
+  const languageNote = excludedForLanguage > 0 && languageLabel ? (
+    <p className="text-sm text-text-secondary">
+      {excludedForLanguage} matching time{excludedForLanguage !== 1 ? 's were' : ' was'} hidden because
+      {' '}those clinicians don&apos;t speak {languageLabel}.
+    </p>
+  ) : null
+
+  const priorityNote = prioritizedEarliest ? (
+    <div className="bg-informational-50 border border-informational-200 rounded-lg p-4">
+      <p className="text-sm text-informational-800">
+        Because of what you shared about your child&apos;s safety, we&apos;re showing the earliest available times first.
+        {' '}If your child is in crisis, call or text <a href="tel:988" className="underline">988</a>, or call 911 in an emergency.
+      </p>
+    </div>
+  ) : null
+
+  const renderSlots = (slotsToRender, label) => (
+    <div
+      className="space-y-4"
+      role="listbox"
+      aria-label={label}
+    >
+      {slotsToRender.map((slot) => (
+        <div
+          key={getOptionId(slot) || slot.startTime}
+          role="option"
+          aria-selected={selectedSlotId === getOptionId(slot)}
+        >
+          <SlotCard
+            slot={slot}
+            isSelected={selectedSlotId === getOptionId(slot)}
+            onSelect={() => handleSlotSelect(slot)}
+            languageLabel={slot.languageMatch ? languageLabel : null}
+          />
+        </div>
+      ))}
+    </div>
+  )
+
   // No matches found
   if (!slots || slots.length === 0) {
     return (
@@ -44,14 +139,29 @@ export default function AvailabilityResults({ slots, onSelectSlot, onTryAgain })
           <p className="text-sm text-text-body mb-4">
             Please try different times or contact us for assistance.
           </p>
-          <Button
-            variant="primary"
-            size="medium"
-            onClick={onTryAgain}
-            ariaLabel="Try different times"
-          >
-            Try Different Times
-          </Button>
+          {priorityNote && <div className="mb-4 text-left">{priorityNote}</div>}
+          {licensureNote && <div className="mb-4">{licensureNote}</div>}
+          {languageNote && <div className="mb-4">{languageNote}</div>}
+          <div className="flex flex-col sm:flex-row justify-center gap-3">
+            <Button
+              variant="primary"
+              size="medium"
+              onClick={onTryAgain}
+              ariaLabel="Try different times"
+            >
+              Try Different Times
+            </Button>
+            {onAdjustPreferences && (
+              <Button
+                variant="outline"
+                size="medium"
+                onClick={onAdjustPreferences}
+                ariaLabel="Adjust days and times"
+              >
+                Adjust Days &amp; Times
+              </Button>
+            )}
+          </div>
         </div>
       </div>
     )
@@ -74,29 +184,70 @@ export default function AvailabilityResults({ slots, onSelectSlot, onTryAgain })
         </p>
       </div>
 
+      {priorityNote}
+      {licensureNote}
+      {languageNote}
+
+      {/* Weekly Series */}
+      {series.length > 0 && (
+        <section aria-labelledby="weekly-series-heading" className="space-y-4">
+          <div>
+            <h3 id="weekly-series-heading" className="text-lg font-heading font-semibold text-text-primary mb-1">
+              Weekly sessions at a regular time
+            </h3>
+            <p className="text-sm text-text-secondary">
+              Therapy usually meets weekly. These clinicians are free at the same time every week, so your child can keep a steady routine.
+            </p>
+            <p className="text-sm text-text-secondary mt-1">
+              Choosing one books the first session only; later sessions are scheduled with your clinician.
+            </p>
+          </div>
+          {renderSlots(series, 'Weekly appointment series')}
+        </section>
+      )}
+
       {/* Slot Cards */}
-      <div
-        className="space-y-4"
-        role="listbox"
-        aria-label="Available appointment time slots"
-      >
-        {slots.map((slot) => (
-          <div
-            key={slot.availabilityId || slot.startTime}
-            role="option"
-            aria-selected={selectedSlotId === slot.availabilityId}
-          >
-            <SlotCard
-              slot={slot}
-              isSelected={selectedSlotId === slot.availabilityId}
-              onSelect={() => handleSlotSelect(slot)}
-            />
+      {primarySlots.length > 0 && renderSlots(primarySlots, 'Available appointment time slots')}
+
+      {/* Out-of-Network Fallback */}
+      {outOfNetworkSlots.length > 0 && (
+        <section aria-labelledby="out-of-network-heading" className="space-y-4">
+          <div className="bg-warning-50 border border-warning-200 rounded-lg p-4">
+            <h3 id="out-of-network-heading" className="text-lg font-heading font-semibold text-text-primary mb-1">
+              Out-of-network options
+            </h3>
+            <p className="text-sm text-text-body">
+              {primarySlots.length === 0
+                ? 'We couldn\'t find in-network clinicians for your insurance at these times. '
+                : ''}
+              These clinicians aren&apos;t in-network with your insurance, so you may have out-of-pocket costs.
+            </p>
           </div>
-        ))}
-      </div>
+          {renderSlots(outOfNetworkSlots, 'Out-of-network appointment time slots')}
+        </section>
+      )}
+
+      {/* Show More Times */}
+      {hasMore && onShowMore && (
+        <div className="flex flex-col items-center gap-2">
+          <Button
+            variant="outline"
+            size="medium"
+            onClick={onShowMore}
+            loading={isLoadingMore}
+            disabled={isLoadingMore}
+            ariaLabel="Show more available times"
+          >
+            {isLoadingMore ? 'Loading More Times...' : 'Show More Times'}
+          </Button>
+          {loadMoreError && (
+            <p className="text-sm text-warning-600" role="alert">{loadMoreError}</p>
+          )}
+        </div>
+      )}
 
       {/* Try Again Button */}
-      <div className="pt-4 border-t border-neutral-200">
+      <div className="pt-4 border-t border-neutral-200 flex flex-col sm:flex-row gap-3">
         <Button
           variant="text"
           size="medium"
@@ -106,6 +257,17 @@ export default function AvailabilityResults({ slots, onSelectSlot, onTryAgain })
         >
           Try Different Times
         </Button>
+        {onAdjustPreferences && (
+          <Button
+            variant="text"
+            size="medium"
+            onClick={onAdjustPreferences}
+            ariaLabel="Adjust days and times"
+            className="w-full sm:w-auto"
+          >
+            Adjust Days &amp; Times
+          </Button>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,72 @@
+'use client'
+
+import { useId, useState } from 'react'
+import { ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline'
+
+/**
+ * ClinicianProfile Component
+ *
+ * Shows who the clinician is: name, pronouns and credentials, with an
+ * expandable section for their bio, languages and licensed states.
+ *
+ * @param {Object} props
+ * @param {Object} props.clinician - Public profile from toPublicClinicianProfile
+ * @param {boolean} props.defaultExpanded - Whether details start expanded
+ */
+export default function ClinicianProfile({ clinician, defaultExpanded = false }) {
+  const [isExpanded, setIsExpanded] = useState(defaultExpanded)
+  const detailsId = useId()
+
+  if (!clinician) {
+    return null
+  }
+
+  const hasDetails = Boolean(clinician.bio) || clinician.languages.length > 0 || clinician.licensedStates.length > 0
+
+  return (
+    <div className="mt-2">
+      <div className="text-text-body text-sm">
+        with <span className="font-medium text-text-primary">{clinician.name}</span>
+        {clinician.title && <span>, {clinician.title}</span>}
+        {clinician.pronouns && <span className="text-text-secondary"> ({clinician.pronouns})</span>}
+      </div>
+
+      {hasDetails && (
+        <>
+          <button
+            type="button"
+            onClick={() => setIsExpanded(!isExpanded)}
+            aria-expanded={isExpanded}
+            aria-controls={detailsId}
+            className="inline-flex items-center gap-1 mt-1 text-sm text-primary-600 hover:text-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded"
+          >
+            {isExpanded ? 'Hide profile' : `About ${clinician.name}`}
+            {isExpanded
+              ? <ChevronUpIcon className="w-4 h-4" aria-hidden="true" />
+              : <ChevronDownIcon className="w-4 h-4" aria-hidden="true" />}
+          </button>
+
+          {isExpanded && (
+            <div id={detailsId} className="mt-2 space-y-2 text-sm text-text-body">
+              {clinician.bio && (
+                <p className="whitespace-pre-line">{clinician.bio}</p>
+              )}
+              {clinician.languages.length > 0 && (
+                <p>
+                  <span className="text-text-secondary">Languages: </span>
+                  {clinician.languages.join(', ')}
+                </p>
+              )}
+              {clinician.licensedStates.length > 0 && (
+                <p>
+                  <span className="text-text-secondary">Licensed in: </span>
+                  {clinician.licensedStates.join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+'use client'
+
+import { PhoneIcon } from '@heroicons/react/24/solid'
+
+/**
+ * CrisisResources Component
+ *
+ * Crisis lines shown as soon as a safety concern (suicidal thoughts,
+ * self-harm, hearing or seeing things) is reported or crisis language is
+ * detected in a narrative answer, along with the status of the urgent
+ * care-coordinator follow-up. Intentionally has no dismiss control.
+ *
+ * @param {Object} props
+ * @param {string} props.followUpStatus - 'pending' | 'flagged' | 'error'
+ */
+export default function CrisisResources({ followUpStatus = 'pending' }) {
+  return (
+    <section
+      className="mb-8 p-6 bg-red-50 border-2 border-red-300 rounded-lg"
+      role="alert"
+      aria-labelledby="crisis-resources-heading"
+    >
+      <h2 id="crisis-resources-heading" className="text-xl font-heading font-semibold text-red-800 mb-2">
+        Your child&apos;s safety comes first
+      </h2>
+      <p className="text-base text-red-900 mb-4">
+        What you&apos;ve shared suggests your child may be at risk of harming themselves or others,
+        or may be seeing or hearing things others don&apos;t. Support is available right now, any time of day.
+      </p>
+
+      <ul className="space-y-3 mb-4">
+        <li className="flex items-start gap-3">
+          <PhoneIcon className="w-5 h-5 text-red-700 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span className="text-base text-red-900">
+            <strong>If your child is in immediate danger, call <a href="tel:911" className="underline">911</a></strong>{' '}
+            or go to the nearest emergency room.
+          </span>
+        </li>
+        <li className="flex items-start gap-3">
+          <PhoneIcon className="w-5 h-5 text-red-700 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span className="text-base text-red-900">
+            <strong>988 Suicide &amp; Crisis Lifeline:</strong>{' '}
+            call or text <a href="tel:988" className="underline">988</a>, or chat at{' '}
+            <a href="https://988lifeline.org" target="_blank" rel="noopener noreferrer" className="underline">988lifeline.org</a>.
+          </span>
+        </li>
+        <li className="flex items-start gap-3">
+          <PhoneIcon className="w-5 h-5 text-red-700 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span className="text-base text-red-900">
+            <strong>Crisis Text Line:</strong> text HOME to <a href="sms:741741&body=HOME" className="underline">741741</a>.
+          </span>
+        </li>
+      </ul>
+
+      <p className="text-sm text-red-900" aria-live="polite">
+        {followUpStatus === 'flagged' && 'A Daybreak care coordinator has been notified and will reach out to you as soon as possible.'}
+        {followUpStatus === 'pending' && 'Letting a Daybreak care coordinator know...'}
+        {followUpStatus === 'error' && 'We couldn\'t notify a care coordinator automatically. Please use the resources above if you need help now.'}
+      </p>
+    </section>
+  )
+}
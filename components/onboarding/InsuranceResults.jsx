@@ -1,20 +1,54 @@
 'use client'
 
+import { useState, useEffect } from 'react'
 import { CheckCircleIcon, ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/solid'
 import { useStepNavigation } from '@/lib/hooks/useStepNavigation'
 import { useOnboardingState } from '@/lib/context/OnboardingContext'
 import Button from '@/components/shared/Button'
 import FAQChatbot from '@/components/shared/FAQChatbot'
+import { getInsuranceCoverages } from '@/lib/api/insurance-coverages-client'
+
+/**
+ * Show only the last four characters of a member ID
+ * @param {string|null} memberId - Member ID
+ * @returns {string|null} Masked member ID
+ */
+function maskMemberId(memberId) {
+  if (!memberId) {
+    return null
+  }
+  return memberId.length > 4 ? `••••${memberId.slice(-4)}` : memberId
+}
 
 /**
  * InsuranceResults Component
  * 
- * Results screen showing insurance validation status (valid/invalid).
+ * Results screen showing insurance validation status (valid/invalid)
+ * and the coverages saved for the patient.
  * User can always proceed regardless of validation status.
  */
 export default function InsuranceResults() {
   const { goToNextStep, goToPreviousStep } = useStepNavigation()
-  const { insuranceValidationResults, extractedInsuranceData } = useOnboardingState()
+  const { insuranceValidationResults, extractedInsuranceData, sessionId } = useOnboardingState()
+  const [coverages, setCoverages] = useState([])
+
+  // Load the coverages on file (nothing is shown if this fails)
+  useEffect(() => {
+    if (!sessionId) return
+
+    let cancelled = false
+    getInsuranceCoverages(sessionId)
+      .then((result) => {
+        if (!cancelled) setCoverages(result)
+      })
+      .catch((error) => {
+        console.error('Error loading insurance coverages:', error)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [sessionId])
 
   const handleContinue = () => {
     goToNextStep()
@@ -90,6 +124,38 @@ export default function InsuranceResults() {
             )}
           </div>
 
+          {/* Coverages On File */}
+          {coverages.length > 0 && (
+            <div className="max-w-2xl mx-auto mb-8 text-left">
+              <h2 className="text-lg font-heading font-semibold text-primary-500 mb-3">
+                Insurance on file
+              </h2>
+              <ul className="space-y-3">
+                {coverages.map((coverage) => (
+                  <li key={coverage.coverageId} className="bg-white rounded-lg shadow-sm p-4">
+                    <p className="text-sm font-medium text-text-secondary">{coverage.levelLabel}</p>
+                    <p className="text-base font-medium text-text-primary">
+                      {coverage.insuranceCompanyName || 'Insurance company not provided'}
+                    </p>
+                    {coverage.memberId && (
+                      <p className="text-sm text-text-body">Member ID {maskMemberId(coverage.memberId)}</p>
+                    )}
+                    {(coverage.planHolderFirstName || coverage.planHolderLastName) && (
+                      <p className="text-sm text-text-body">
+                        Plan holder: {[coverage.planHolderFirstName, coverage.planHolderLastName].filter(Boolean).join(' ')}
+                      </p>
+                    )}
+                    {(coverage.hasFrontCard || coverage.hasBackCard) && (
+                      <p className="text-sm text-text-secondary">
+                        Card photos: {[coverage.hasFrontCard && 'front', coverage.hasBackCard && 'back'].filter(Boolean).join(' and ')}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex justify-center gap-4">
             <Button
@@ -3,59 +3,141 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
 import { useStepNavigation } from '@/lib/hooks/useStepNavigation'
 import { useOnboardingState } from '@/lib/context/OnboardingContext'
+import { saveInsuranceCoverage } from '@/lib/api/insurance-coverages-client'
+import { COVERAGE_LEVELS, DEFAULT_COVERAGE_LEVEL } from '@/lib/constants/insurance-coverage'
+import { mergeCardSides } from '@/lib/utils/insurance-card-merge'
 import FileUpload from '@/components/shared/FileUpload'
 import Button from '@/components/shared/Button'
 import FAQChatbot from '@/components/shared/FAQChatbot'
 
+// Pharmacy routing numbers, usually printed on the back of the card
+const RX_FIELDS = [
+  { field: 'rx_bin', label: 'Rx BIN' },
+  { field: 'rx_pcn', label: 'Rx PCN' },
+  { field: 'rx_group', label: 'Rx Group' },
+]
+
+/**
+ * Which upload and page a side was read from, for the saved coverage
+ */
+function cardPageRef(pages, index) {
+  if (!pages || index === null || index === undefined || !pages[index]) {
+    return null
+  }
+  return { upload: pages[index].upload, pageNumber: pages[index].pageNumber }
+}
+
 /**
  * InsuranceUpload Component
  * 
- * Screen for uploading front of insurance card with extraction and review.
+ * Screen for uploading the front (and optionally the back) of an insurance card
+ * with extraction and review. Both sides are read in one extraction; payer phone
+ * and pharmacy (Rx) numbers usually come from the back. Confirmed card details
+ * are saved as the patient's primary or secondary coverage. For PDF uploads
+ * each page is read separately; FileUpload shows the pages so the parent can
+ * pick a different page for either side. Photos are prepared in the browser
+ * (see FileUpload's preprocess prop); if either looks blurry or has glare the
+ * parent is asked to retake it before extraction.
  */
 export default function InsuranceUpload() {
   const { goToNextStep } = useStepNavigation()
-  const { setInsuranceUploaded, setExtractedInsuranceData, extractedInsuranceData, setInsuranceValidationResults } = useOnboardingState()
-  const [cardFile, setCardFile] = useState(null)
+  const { setInsuranceUploaded, setExtractedInsuranceData, extractedInsuranceData, setInsuranceValidationResults, ensureSession } = useOnboardingState()
+  const [frontFile, setFrontFile] = useState(null)
+  const [backFile, setBackFile] = useState(null)
   const [cardError, setCardError] = useState(null)
+  const [backError, setBackError] = useState(null)
   const [isExtracting, setIsExtracting] = useState(false)
   const [isValidating, setIsValidating] = useState(false)
   const [showReview, setShowReview] = useState(false)
   const [extractedData, setExtractedData] = useState(null)
   const [editableData, setEditableData] = useState(null)
   const [validationResults, setValidationResults] = useState(null)
+  const [coverageLevel, setCoverageLevel] = useState(DEFAULT_COVERAGE_LEVEL)
+  const [isSaving, setIsSaving] = useState(false)
+  const [cardPages, setCardPages] = useState(null)
+  const [pageCounts, setPageCounts] = useState(null)
+  const [selectedPages, setSelectedPages] = useState(null)
+  const [photoWarnings, setPhotoWarnings] = useState({ front: [], back: [] })
+  const [showQualityPrompt, setShowQualityPrompt] = useState(false)
+  const [imagesStored, setImagesStored] = useState(true)
   const validationTimeoutRef = useRef(null)
 
-  // Handle file selection
-  const handleCardSelect = useCallback((file) => {
-    setCardFile(file)
-    setCardError(null)
+  // Clear a previous extraction when either side changes
+  const resetExtraction = useCallback(() => {
     setShowReview(false)
     setExtractedData(null)
     setEditableData(null)
+    setCardPages(null)
+    setPageCounts(null)
+    setSelectedPages(null)
+    setImagesStored(true)
   }, [])
 
-  // Handle file removal
-  const handleCardRemove = useCallback(() => {
-    setCardFile(null)
-    setCardError(null)
-    setShowReview(false)
-    setExtractedData(null)
-    setEditableData(null)
+  // Remember the quality warnings for one side's photo
+  const setSideWarnings = useCallback((side, info) => {
+    setPhotoWarnings((prev) => ({ ...prev, [side]: info?.quality?.warnings || [] }))
+    setShowQualityPrompt(false)
   }, [])
 
-  // Extract insurance data from image
+  // Handle front file selection
+  const handleFrontSelect = useCallback((file, info) => {
+    setFrontFile(file)
+    setCardError(null)
+    setSideWarnings('front', info)
+    resetExtraction()
+  }, [resetExtraction, setSideWarnings])
+
+  // Handle front file removal
+  const handleFrontRemove = useCallback(() => {
+    setFrontFile(null)
+    setCardError(null)
+    setSideWarnings('front', null)
+    resetExtraction()
+  }, [resetExtraction, setSideWarnings])
+
+  // Handle back file selection
+  const handleBackSelect = useCallback((file, info) => {
+    setBackFile(file)
+    setBackError(null)
+    setSideWarnings('back', info)
+    resetExtraction()
+  }, [resetExtraction, setSideWarnings])
+
+  // Handle back file removal
+  const handleBackRemove = useCallback(() => {
+    setBackFile(null)
+    setBackError(null)
+    setSideWarnings('back', null)
+    resetExtraction()
+  }, [resetExtraction, setSideWarnings])
+
+  // Extract insurance data from both sides of the card
   const handleExtract = useCallback(async () => {
-    if (!cardFile) {
-      setCardError('Please select a file first')
+    if (!frontFile) {
+      setCardError('Please select the front of your card first')
       return
     }
 
     setIsExtracting(true)
     setCardError(null)
+    setBackError(null)
 
     try {
       const formData = new FormData()
-      formData.append('file', cardFile)
+      formData.append('front', frontFile)
+      if (backFile) {
+        formData.append('back', backFile)
+      }
+
+      // Attach the session so the card images are kept with the coverage
+      try {
+        const { sessionId } = await ensureSession()
+        if (sessionId) {
+          formData.append('sessionId', sessionId)
+        }
+      } catch (error) {
+        console.error('Error creating onboarding session:', error)
+      }
 
       const response = await fetch('/api/extract-insurance', {
         method: 'POST',
@@ -70,6 +152,8 @@ export default function InsuranceUpload() {
           setCardError('Please wait a moment and try again')
         } else if (response.status === 504) {
           setCardError('Processing took too long. Please try again or enter information manually.')
+        } else if (response.status === 400 && data.error?.startsWith('Back of card:')) {
+          setBackError(data.error.replace('Back of card: ', ''))
         } else if (response.status === 400 && data.missingField) {
           setCardError(data.error || 'Unable to extract required information. Please enter information manually.')
         } else {
@@ -79,23 +163,69 @@ export default function InsuranceUpload() {
         return
       }
 
-      // Success - show review screen
-      setExtractedData(data)
-      setEditableData({ ...data })
+      // Success - show review screen (PDF pages are kept apart from the card fields)
+      const { pages, pageCounts: counts, selectedPages: selection, imagesStored: stored, ...cardData } = data
+      const reviewData = pages
+        ? {
+            ...cardData,
+            card_pages: {
+              front: cardPageRef(pages, selection?.front),
+              back: cardPageRef(pages, selection?.back),
+            },
+          }
+        : cardData
+      setCardPages(pages || null)
+      setPageCounts(counts || null)
+      setSelectedPages(selection || null)
+      setImagesStored(stored !== false)
+      setExtractedData(reviewData)
+      setEditableData({ ...reviewData })
       setShowReview(true)
-      setExtractedInsuranceData(data)
+      setExtractedInsuranceData(reviewData)
       setIsExtracting(false)
     } catch (error) {
       console.error('Error extracting insurance data:', error)
       setCardError('Unable to process image. Please enter information manually.')
       setIsExtracting(false)
     }
-  }, [cardFile, setExtractedInsuranceData])
+  }, [frontFile, backFile, ensureSession, setExtractedInsuranceData])
 
-  // Validate insurance
+  // Ask before extracting from photos that may be hard to read
+  const handleContinue = useCallback(() => {
+    if (photoWarnings.front.length > 0 || photoWarnings.back.length > 0) {
+      setShowQualityPrompt(true)
+      return
+    }
+    handleExtract()
+  }, [photoWarnings, handleExtract])
+
+  // Extract from the flagged photos as they are
+  const handleUsePhotosAnyway = useCallback(() => {
+    setShowQualityPrompt(false)
+    handleExtract()
+  }, [handleExtract])
+
+  // Clear the flagged photos so they can be taken again
+  const handleRetake = useCallback(() => {
+    setShowQualityPrompt(false)
+    if (photoWarnings.front.length > 0) {
+      handleFrontRemove()
+    }
+    if (photoWarnings.back.length > 0) {
+      handleBackRemove()
+    }
+  }, [photoWarnings, handleFrontRemove, handleBackRemove])
+
+  // Validate insurance (resolves with the validation results)
   const validateInsurance = useCallback(async (insuranceName, state) => {
     if (!insuranceName || insuranceName.trim().length === 0) {
-      return
+      return null
+    }
+
+    const fallbackResults = {
+      is_valid_insurance: false,
+      message: 'Unable to validate insurance. You can still proceed.',
+      confidence: 'low'
     }
 
     setIsValidating(true)
@@ -117,21 +247,16 @@ export default function InsuranceUpload() {
       if (response.ok) {
         setValidationResults(data)
         setInsuranceValidationResults(data)
-      } else {
-        // Validation failed but allow user to proceed
-        setValidationResults({
-          is_valid_insurance: false,
-          message: 'Unable to validate insurance. You can still proceed.',
-          confidence: 'low'
-        })
+        return data
       }
+
+      // Validation failed but allow user to proceed
+      setValidationResults(fallbackResults)
+      return fallbackResults
     } catch (error) {
       console.error('Error validating insurance:', error)
-      setValidationResults({
-        is_valid_insurance: false,
-        message: 'Unable to validate insurance. You can still proceed.',
-        confidence: 'low'
-      })
+      setValidationResults(fallbackResults)
+      return fallbackResults
     } finally {
       setIsValidating(false)
     }
@@ -162,25 +287,107 @@ export default function InsuranceUpload() {
     }
   }, [editableData, validateInsurance])
 
+  // Use a different PDF page for one side of the card and re-read the fields
+  const handlePageSelect = useCallback((side, pageIndex) => {
+    if (!cardPages) {
+      return
+    }
+
+    const selection = { ...selectedPages, [side]: pageIndex }
+    const merged = mergeCardSides({
+      front: selection.front !== null && selection.front !== undefined ? cardPages[selection.front]?.front || null : null,
+      back: selection.back !== null && selection.back !== undefined ? cardPages[selection.back]?.back || null : null,
+    })
+    const updatedData = {
+      ...editableData,
+      ...merged,
+      card_pages: {
+        front: cardPageRef(cardPages, selection.front),
+        back: cardPageRef(cardPages, selection.back),
+      },
+    }
+
+    setSelectedPages(selection)
+    setEditableData(updatedData)
+    setExtractedData(updatedData)
+    validateInsurance(updatedData.insurance_company_name, updatedData.plan_holder_state)
+  }, [cardPages, selectedPages, editableData, validateInsurance])
+
+  // Page thumbnails and choices for a PDF upload ('front' or 'back' file input)
+  const getPageProps = useCallback((upload) => {
+    if (!cardPages) {
+      return {}
+    }
+
+    const pages = cardPages
+      .map((page, index) => ({ ...page, id: index }))
+      .filter((page) => page.upload === upload && page.pageNumber)
+      .map((page) => ({ id: page.id, label: `Page ${page.pageNumber}`, thumbnail: page.thumbnail }))
+
+    const pagePickers = []
+    if (upload === 'front') {
+      pagePickers.push({
+        id: 'front',
+        label: 'Which page shows the front of the card?',
+        selectedPageId: selectedPages?.front ?? null,
+        onSelect: (pageIndex) => pageIndex !== null && handlePageSelect('front', pageIndex),
+      })
+    }
+    if (upload === 'back' || !backFile) {
+      pagePickers.push({
+        id: 'back',
+        label: 'Which page shows the back of the card?',
+        selectedPageId: selectedPages?.back ?? null,
+        onSelect: (pageIndex) => handlePageSelect('back', pageIndex),
+        allowNone: true,
+      })
+    }
+
+    const shown = pages.length
+    const total = pageCounts?.[upload] || shown
+    return {
+      pages,
+      pagePickers,
+      pagesNote: total > shown ? `Showing the first ${shown} of ${total} pages.` : null,
+    }
+  }, [cardPages, pageCounts, selectedPages, backFile, handlePageSelect])
+
   // Handle confirm extracted data
   const handleConfirm = useCallback(async () => {
     // Update context with edited data
     setExtractedInsuranceData(editableData)
     setExtractedData(editableData)
 
-    // Validate insurance before proceeding
+    // Validate insurance, then save it with the matched insurance (if any)
     if (editableData.insurance_company_name) {
-      await validateInsurance(
+      const results = await validateInsurance(
         editableData.insurance_company_name,
         editableData.plan_holder_state
       )
+
+      setIsSaving(true)
+      try {
+        const { sessionId } = await ensureSession()
+        await saveInsuranceCoverage(sessionId, {
+          level: coverageLevel,
+          insuranceData: editableData,
+          credentialedInsuranceId: results?.is_valid_insurance
+            ? results.matched_insurance?.id || null
+            : null,
+        })
+      } catch (error) {
+        // The card details stay on the onboarding session for the care coordinator
+        console.error('Error saving insurance coverage:', error)
+      } finally {
+        setIsSaving(false)
+      }
     }
 
     // Navigate to results screen
     setShowReview(false)
     setInsuranceUploaded(true)
     goToNextStep()
-  }, [editableData, setExtractedInsuranceData, setInsuranceUploaded, goToNextStep, validateInsurance])
+  }, [editableData, coverageLevel, ensureSession, setExtractedInsuranceData, setInsuranceUploaded, goToNextStep, validateInsurance])
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -220,6 +427,62 @@ export default function InsuranceUpload() {
           {/* Review Form */}
           <div className="max-w-2xl mx-auto mb-8">
             <div className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+              {/* Card images weren't kept with the coverage */}
+              {!imagesStored && (
+                <div className="bg-informational-50 border border-informational-200 rounded-lg p-4" role="status">
+                  <p className="text-sm text-informational-800">
+                    We couldn&apos;t save a copy of your card images. Your card details below are still used, but our team may ask you for a photo of your card later.
+                  </p>
+                </div>
+              )}
+
+              {/* PDF pages used for each side */}
+              {cardPages && (
+                <div className="space-y-4">
+                  {frontFile?.type === 'application/pdf' && (
+                    <FileUpload
+                      label="Front of Card"
+                      accept="image/jpeg,image/jpg,image/png,application/pdf"
+                      maxSize={10 * 1024 * 1024}
+                      onFileSelect={handleFrontSelect}
+                      onFileRemove={handleFrontRemove}
+                      preview={frontFile}
+                      required={false}
+                      {...getPageProps('front')}
+                    />
+                  )}
+                  {backFile?.type === 'application/pdf' && (
+                    <FileUpload
+                      label="Back of Card"
+                      accept="image/jpeg,image/jpg,image/png,application/pdf"
+                      maxSize={10 * 1024 * 1024}
+                      onFileSelect={handleBackSelect}
+                      onFileRemove={handleBackRemove}
+                      preview={backFile}
+                      required={false}
+                      {...getPageProps('back')}
+                    />
+                  )}
+                </div>
+              )}
+
+              {/* Coverage Level */}
+              <div>
+                <label htmlFor="coverage-level" className="block text-sm font-medium text-text-body mb-2">
+                  Is this your child&apos;s primary or secondary insurance?
+                </label>
+                <select
+                  id="coverage-level"
+                  value={coverageLevel}
+                  onChange={(e) => setCoverageLevel(e.target.value)}
+                  className="w-full px-4 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                >
+                  {COVERAGE_LEVELS.map((level) => (
+                    <option key={level.id} value={level.id}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+
               {/* Insurance Company Name (Required) */}
               <div>
                 <label className="block text-sm font-medium text-text-body mb-2">
@@ -340,6 +603,40 @@ export default function InsuranceUpload() {
                 </div>
               </div>
 
+              {/* Back of Card */}
+              <div>
+                <label className="block text-sm font-medium text-text-body mb-2">
+                  Member Services Phone
+                </label>
+                <input
+                  type="tel"
+                  value={editableData.payer_phone || ''}
+                  onChange={(e) => handleFieldEdit('payer_phone', e.target.value)}
+                  className="w-full px-4 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+                {editableData.field_sources?.payer_phone && (
+                  <p className="mt-1 text-xs text-text-secondary">
+                    Read from the {editableData.field_sources.payer_phone} of the card
+                  </p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                {RX_FIELDS.map(({ field, label }) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-text-body mb-2">
+                      {label}
+                    </label>
+                    <input
+                      type="text"
+                      value={editableData[field] || ''}
+                      onChange={(e) => handleFieldEdit(field, e.target.value)}
+                      className="w-full px-4 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                ))}
+              </div>
+
               {/* Confidence Badge */}
               {extractedData?.confidence && (
                 <div className="pt-4 border-t border-neutral-200">
@@ -391,6 +688,8 @@ export default function InsuranceUpload() {
               onClick={handleConfirm}
               variant="primary"
               size="large"
+              loading={isSaving}
+              disabled={isSaving}
               ariaLabel="Confirm extracted data"
             >
               Confirm
@@ -413,30 +712,81 @@ export default function InsuranceUpload() {
             Insurance Card
           </h1>
           <p className="text-base sm:text-lg text-text-body">
-            Upload a photo of your insurance card.
+            Upload photos of the front and back of your insurance card.
           </p>
         </div>
 
         {/* File Upload Form */}
-        <div className="mb-8 max-w-xl mx-auto">
+        <div className="mb-8 max-w-xl mx-auto space-y-6">
           <FileUpload
-            label="Insurance Card"
+            label="Front of Card"
             accept="image/jpeg,image/jpg,image/png,application/pdf"
             maxSize={10 * 1024 * 1024}
-            onFileSelect={handleCardSelect}
-            onFileRemove={handleCardRemove}
-            preview={cardFile}
+            onFileSelect={handleFrontSelect}
+            preprocess
+            onFileRemove={handleFrontRemove}
+            preview={frontFile}
             error={cardError}
             required={false}
+            {...getPageProps('front')}
+          />
+          <FileUpload
+            label="Back of Card (optional)"
+            accept="image/jpeg,image/jpg,image/png,application/pdf"
+            maxSize={10 * 1024 * 1024}
+            onFileSelect={handleBackSelect}
+            preprocess
+            onFileRemove={handleBackRemove}
+            preview={backFile}
+            error={backError}
+            required={false}
+            {...getPageProps('back')}
           />
         </div>
 
+        {/* Photo quality prompt */}
+        {showQualityPrompt && !isExtracting && (
+          <div
+            className="mb-8 max-w-xl mx-auto rounded-lg border-2 border-warning-500 bg-white p-4"
+            role="alertdialog"
+            aria-labelledby="photo-quality-title"
+          >
+            <h2 id="photo-quality-title" className="text-base font-semibold text-text-body mb-1">
+              {photoWarnings.front.length > 0 && photoWarnings.back.length > 0
+                ? 'These photos may be hard to read'
+                : 'This photo may be hard to read'}
+            </h2>
+            <p className="text-sm text-text-secondary mb-4">
+              Retaking it usually gets your card details right the first time. You can
+              also continue and check the details on the next screen.
+            </p>
+            <div className="flex flex-wrap justify-end gap-3">
+              <Button
+                type="button"
+                onClick={handleUsePhotosAnyway}
+                variant="secondary"
+                ariaLabel="Use photos anyway"
+              >
+                Use anyway
+              </Button>
+              <Button
+                type="button"
+                onClick={handleRetake}
+                variant="primary"
+                ariaLabel="Retake photos"
+              >
+                Retake
+              </Button>
+            </div>
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="flex justify-center gap-4 mb-8">
-          {cardFile && !isExtracting && (
+          {frontFile && !isExtracting && !showQualityPrompt && (
             <Button
               type="button"
-              onClick={handleExtract}
+              onClick={handleContinue}
               variant="primary"
               size="large"
               ariaLabel="Continue"
@@ -450,7 +800,7 @@ export default function InsuranceUpload() {
               <span className="text-text-body">Analyzing card...</span>
             </div>
           )}
-          {!cardFile && (
+          {!frontFile && (
             <Button
               type="button"
               onClick={handleSubmit}
@@ -466,7 +816,8 @@ export default function InsuranceUpload() {
         {/* Help Text */}
         <div className="text-center">
           <p className="text-sm text-text-secondary">
-            Make sure the photo is clear and readable.
+            Make sure the photos are clear and readable. The back lists your
+            plan&apos;s phone number and pharmacy details.
           </p>
         </div>
       </div>
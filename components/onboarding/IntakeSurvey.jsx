@@ -8,8 +8,34 @@ import Button from '@/components/shared/Button'
 import CharacterCounter from '@/components/shared/CharacterCounter'
 import SymptomReviewForm from '@/components/onboarding/SymptomReviewForm'
 import CenteredScreen from '@/components/shared/CenteredScreen'
+import SaveForLaterDialog from '@/components/shared/SaveForLaterDialog'
 import { saveToLocalStorage, loadFromLocalStorage, removeFromLocalStorage, isLocalStorageAvailable } from '@/lib/utils/localStorage'
 import { logQuestionTime, logRetry, logSymptomEdit, logFormCompletion } from '@/lib/utils/analytics'
+import { getSafetyConcerns } from '@/lib/constants/symptom-mapping'
+import { reportSafetyConcerns, reportCrisisLanguage } from '@/lib/api/safety-escalations-client'
+import { detectCrisisLanguageInAnswers, maxRiskLevel, CRISIS_CATEGORIES } from '@/lib/utils/crisis-language-detector'
+import CrisisResources from '@/components/onboarding/CrisisResources'
+
+const NO_CRISIS_LANGUAGE = { riskLevel: 'none', categories: [] }
+
+/**
+ * Merge a new crisis-language detection into the highest risk seen so far
+ * Once detected, crisis language stays flagged even if the answer is edited.
+ * @param {Object} current - { riskLevel, categories } seen so far
+ * @param {Object} detection - New { riskLevel, categories }
+ * @returns {Object} Merged result (the same object if nothing changed)
+ */
+function mergeCrisisLanguage(current, detection) {
+  const riskLevel = maxRiskLevel(current.riskLevel, detection.riskLevel)
+  const categories = CRISIS_CATEGORIES.filter(category => (
+    current.categories.includes(category) || detection.categories.includes(category)
+  ))
+
+  if (riskLevel === current.riskLevel && categories.length === current.categories.length) {
+    return current
+  }
+  return { riskLevel, categories }
+}
 
 // Narrative answers are NOT persisted to sessionStorage
 // They only exist in component state during the current session
@@ -55,7 +81,7 @@ const QUESTIONS = [
  */
 export default function IntakeSurvey() {
   const { goToNextStep, currentStep } = useStepNavigation()
-  const { extractedSymptoms, setExtractedSymptoms, setExtractionMetadata, extractionMetadata } = useOnboardingState()
+  const { extractedSymptoms, setExtractedSymptoms, setExtractionMetadata, extractionMetadata, saveForLater, ensureSession, setCrisisRiskLevel } = useOnboardingState()
   const [showIntro, setShowIntro] = useState(true)
   const [currentQuestion, setCurrentQuestion] = useState(1) // 1-5
   const [narrativeAnswers, setNarrativeAnswers] = useState({
@@ -70,6 +96,11 @@ export default function IntakeSurvey() {
   const [saveConfirmations, setSaveConfirmations] = useState({})
   const [localStorageWarning, setLocalStorageWarning] = useState(false)
   const [retryCount, setRetryCount] = useState(0)
+  const [showSaveForLater, setShowSaveForLater] = useState(false)
+  const [safetyFollowUpStatus, setSafetyFollowUpStatus] = useState('pending') // 'pending' | 'flagged' | 'error'
+  const [crisisLanguage, setCrisisLanguage] = useState(NO_CRISIS_LANGUAGE)
+  const reportedSafetyConcernsRef = useRef(null)
+  const reportedCrisisLanguageRef = useRef(null)
   const debounceTimerRef = useRef(null)
   const symptomDebounceTimersRef = useRef({})
   const textareaRef = useRef(null)
@@ -210,6 +241,14 @@ export default function IntakeSurvey() {
         narrativeAnswers.q5 || ''
       ]
 
+      // The server flags crisis language on the session itself
+      let sessionId = null
+      try {
+        ({ sessionId } = await ensureSession())
+      } catch (error) {
+        console.warn('Unable to start onboarding session before extraction:', error)
+      }
+
       // Update progress step
       setExtractionStep('extracting')
 
@@ -219,7 +258,7 @@ export default function IntakeSurvey() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(answers),
+        body: JSON.stringify({ answers, sessionId }),
         signal: abortControllerRef.current.signal,
       })
 
@@ -259,6 +298,14 @@ export default function IntakeSurvey() {
 
       const data = await response.json()
 
+      // The server re-checks the answers for crisis language before extraction
+      if (data.crisisLanguage) {
+        setCrisisLanguage(prev => mergeCrisisLanguage(prev, data.crisisLanguage))
+        if (data.crisisLanguage.flagged) {
+          setSafetyFollowUpStatus('flagged')
+        }
+      }
+
       // Store extracted symptoms in context
       if (data.symptoms) {
         setExtractedSymptoms(data.symptoms)
@@ -268,7 +315,7 @@ export default function IntakeSurvey() {
       if (data.metadata) {
         setExtractionMetadata({
           extractedAt: data.metadata.extractedAt || Date.now(),
-          model: data.metadata.model || 'gpt-3.5-turbo'
+          model: data.metadata.model || null
         })
       }
 
@@ -299,7 +346,7 @@ export default function IntakeSurvey() {
       inFlightRequestRef.current = false
       abortControllerRef.current = null
     }
-  }, [narrativeAnswers, setExtractedSymptoms, setExtractionMetadata, logQuestionTimeOnNavigation])
+  }, [narrativeAnswers, setExtractedSymptoms, setExtractionMetadata, logQuestionTimeOnNavigation, ensureSession])
 
   const handleContinue = useCallback(() => {
     const questionId = `q${currentQuestion}`
@@ -475,6 +522,64 @@ export default function IntakeSurvey() {
     }
   }, [extractedSymptoms, showReviewForm, isProcessing, extractionError, extractionMetadata])
 
+  // Check answers for crisis language as the parent types
+  useEffect(() => {
+    const detection = detectCrisisLanguageInAnswers(Object.values(narrativeAnswers))
+    if (detection.riskLevel !== 'none') {
+      setCrisisLanguage(prev => mergeCrisisLanguage(prev, detection))
+    }
+  }, [narrativeAnswers])
+
+  // Share the risk with later steps (scheduling offers the earliest times first)
+  useEffect(() => {
+    setCrisisRiskLevel(crisisLanguage.riskLevel)
+  }, [crisisLanguage.riskLevel, setCrisisRiskLevel])
+
+  // Flag the session for urgent follow-up when crisis language is first detected or escalates
+  useEffect(() => {
+    const crisisKey = JSON.stringify(crisisLanguage)
+    if (crisisLanguage.riskLevel === 'none' || crisisKey === reportedCrisisLanguageRef.current) {
+      return
+    }
+    reportedCrisisLanguageRef.current = crisisKey
+
+    const flagSession = async () => {
+      try {
+        const { sessionId } = await ensureSession()
+        await reportCrisisLanguage(sessionId, crisisLanguage)
+        setSafetyFollowUpStatus('flagged')
+      } catch (error) {
+        console.error('Error reporting crisis language:', error)
+        reportedCrisisLanguageRef.current = null // Retry on the next change
+        setSafetyFollowUpStatus('error')
+      }
+    }
+    flagSession()
+  }, [crisisLanguage, ensureSession])
+
+  // Flag the session for urgent follow-up whenever reported safety concerns change
+  useEffect(() => {
+    const concerns = getSafetyConcerns(extractedSymptoms)
+    const concernsKey = JSON.stringify(concerns)
+    if (Object.keys(concerns).length === 0 || concernsKey === reportedSafetyConcernsRef.current) {
+      return
+    }
+    reportedSafetyConcernsRef.current = concernsKey
+
+    const flagSession = async () => {
+      try {
+        const { sessionId } = await ensureSession()
+        await reportSafetyConcerns(sessionId, concerns)
+        setSafetyFollowUpStatus('flagged')
+      } catch (error) {
+        console.error('Error reporting safety concerns:', error)
+        reportedSafetyConcernsRef.current = null // Retry on the next change
+        setSafetyFollowUpStatus('error')
+      }
+    }
+    flagSession()
+  }, [extractedSymptoms, ensureSession])
+
   // Cleanup on unmount - cancel any in-flight requests
   useEffect(() => {
     const timers = symptomDebounceTimersRef.current
@@ -514,8 +619,28 @@ export default function IntakeSurvey() {
             onSymptomChange={handleSymptomChange}
             onContinue={handleReviewContinue}
             saveConfirmations={saveConfirmations}
+            safetyFollowUpStatus={safetyFollowUpStatus}
+            crisisLanguageDetected={crisisLanguage.riskLevel !== 'none'}
           />
+
+          {/* Save and finish later */}
+          <div className="flex justify-center mt-6">
+            <Button
+              onClick={() => setShowSaveForLater(true)}
+              variant="text"
+              size="medium"
+              ariaLabel="Save and finish later"
+            >
+              Save and finish later
+            </Button>
+          </div>
         </div>
+
+        <SaveForLaterDialog
+          isOpen={showSaveForLater}
+          onClose={() => setShowSaveForLater(false)}
+          onSubmit={saveForLater}
+        />
       </main>
     )
   }
@@ -559,6 +684,8 @@ export default function IntakeSurvey() {
           )}
 
           <div className="max-w-3xl mx-auto">
+            {crisisLanguage.riskLevel !== 'none' && <CrisisResources followUpStatus={safetyFollowUpStatus} />}
+
             {/* Error message */}
             <div className="mb-6 p-6 bg-red-50 border border-red-200 rounded-lg" role="alert">
               <p className="text-base text-red-800 font-medium mb-2">
@@ -631,6 +758,9 @@ export default function IntakeSurvey() {
 
         {/* Question Screen UI */}
         <div className="max-w-3xl mx-auto">
+          {/* Crisis resources stay visible for the rest of the survey once crisis language is detected */}
+          {crisisLanguage.riskLevel !== 'none' && <CrisisResources followUpStatus={safetyFollowUpStatus} />}
+
           {/* Progress text */}
           <div className="mb-6 text-center">
             <p className="text-base text-text-secondary">
@@ -726,8 +856,27 @@ export default function IntakeSurvey() {
             </Button>
             )}
           </div>
+
+          {/* Save and finish later */}
+          <div className="flex justify-center mt-6">
+            <Button
+              onClick={() => setShowSaveForLater(true)}
+              variant="text"
+              size="medium"
+              ariaLabel="Save and finish later"
+            >
+              Save and finish later
+            </Button>
+          </div>
         </div>
       </div>
+
+      <SaveForLaterDialog
+        isOpen={showSaveForLater}
+        onClose={() => setShowSaveForLater(false)}
+        onSubmit={saveForLater}
+        note="For your privacy, answers to these questions aren't saved. You'll start this section from the first question when you come back."
+      />
       </main>
     )
 }
@@ -0,0 +1,190 @@
+'use client'
+
+import { useState } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import {
+  TIME_OPTIONS,
+  formatClockTime,
+  getPreferenceChips,
+  removePreferenceChip,
+  updateTimeRange,
+  updateDateConstraints
+} from '@/lib/utils/interpretation-chips'
+
+/**
+ * Time select for adjusting a range, keeping an off-grid current value selectable
+ */
+function TimeSelect({ id, label, value, onChange }) {
+  const options = TIME_OPTIONS.includes(value) ? TIME_OPTIONS : [...TIME_OPTIONS, value].sort()
+
+  return (
+    <label htmlFor={id} className="flex flex-col text-sm text-text-body">
+      {label}
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 px-3 py-2 border border-neutral-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+      >
+        {options.map((time) => (
+          <option key={time} value={time}>{formatClockTime(time)}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+/**
+ * InterpretationChips Component
+ *
+ * Shows how the family's availability was understood as chips ("Weekdays",
+ * "After 5pm", "Oct 20 – Oct 26"). Chips can be removed, and time and date
+ * ranges adjusted; every change is passed up so matching can re-run.
+ *
+ * @param {Object} props
+ * @param {Object} props.preferences - interpretedPreferences
+ * @param {Function} props.onChange - Called with the edited preferences
+ * @param {boolean} props.isUpdating - Whether matches are being refreshed
+ */
+export default function InterpretationChips({ preferences, onChange, isUpdating = false }) {
+  const [editingChipId, setEditingChipId] = useState(null)
+  const [editError, setEditError] = useState(null)
+
+  const chips = getPreferenceChips(preferences)
+  const editingChip = chips.find(chip => chip.id === editingChipId)
+
+  const applyEdit = (next, message) => {
+    if (!next) {
+      setEditError(message)
+      return
+    }
+    setEditError(null)
+    onChange(next)
+  }
+
+  const handleRemove = (chip) => {
+    if (editingChipId === chip.id) {
+      setEditingChipId(null)
+    }
+    setEditError(null)
+    onChange(removePreferenceChip(preferences, chip.id))
+  }
+
+  const handleToggleEdit = (chip) => {
+    setEditError(null)
+    setEditingChipId(editingChipId === chip.id ? null : chip.id)
+  }
+
+  const isEditable = (chip) => chip.kind === 'dateRange' || (chip.kind === 'time' && chip.removable)
+
+  return (
+    <section aria-labelledby="interpretation-heading" className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 id="interpretation-heading" className="text-base font-medium text-text-primary">
+          Here&apos;s what we understood
+        </h3>
+        {isUpdating && (
+          <span className="text-sm text-text-secondary" role="status" aria-live="polite">
+            Updating times...
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-text-secondary mb-3">
+        Remove anything we got wrong, or tap a time or date range to adjust it.
+      </p>
+
+      <ul className="flex flex-wrap gap-2" aria-label="Interpreted availability">
+        {chips.map((chip) => (
+          <li
+            key={chip.id}
+            className={`
+              inline-flex items-center rounded-full border text-sm
+              ${editingChipId === chip.id ? 'border-primary-500 bg-primary-50' : 'border-neutral-300 bg-white'}
+            `}
+          >
+            {isEditable(chip) ? (
+              <button
+                type="button"
+                onClick={() => handleToggleEdit(chip)}
+                aria-expanded={editingChipId === chip.id}
+                aria-label={`Adjust ${chip.label}`}
+                className="px-3 py-1 rounded-full text-text-primary hover:text-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {chip.label}
+              </button>
+            ) : (
+              <span className="px-3 py-1 text-text-primary">{chip.label}</span>
+            )}
+            {chip.removable && (
+              <button
+                type="button"
+                onClick={() => handleRemove(chip)}
+                aria-label={`Remove ${chip.label}`}
+                className="mr-1 p-1 rounded-full text-text-secondary hover:text-warning-600 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <XMarkIcon className="w-4 h-4" aria-hidden="true" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {editingChip?.kind === 'time' && (
+        <div className="flex flex-wrap gap-3 mt-3">
+          <TimeSelect
+            id={`${editingChip.id}-start`}
+            label="From"
+            value={editingChip.start}
+            onChange={(start) => applyEdit(
+              updateTimeRange(preferences, editingChip.index, { start }),
+              'The start time must be before the end time.'
+            )}
+          />
+          <TimeSelect
+            id={`${editingChip.id}-end`}
+            label="Until"
+            value={editingChip.end}
+            onChange={(end) => applyEdit(
+              updateTimeRange(preferences, editingChip.index, { end }),
+              'The end time must be after the start time.'
+            )}
+          />
+        </div>
+      )}
+
+      {editingChip?.kind === 'dateRange' && (
+        <div className="flex flex-wrap gap-3 mt-3">
+          <label className="flex flex-col text-sm text-text-body">
+            From
+            <input
+              type="date"
+              value={editingChip.startDate}
+              onChange={(e) => applyEdit(
+                updateDateConstraints(preferences, { startDate: e.target.value }),
+                'The start date must be on or before the end date.'
+              )}
+              className="mt-1 px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </label>
+          <label className="flex flex-col text-sm text-text-body">
+            Until
+            <input
+              type="date"
+              value={editingChip.endDate}
+              min={editingChip.startDate || undefined}
+              onChange={(e) => applyEdit(
+                updateDateConstraints(preferences, { endDate: e.target.value }),
+                'The end date must be on or after the start date.'
+              )}
+              className="mt-1 px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </label>
+        </div>
+      )}
+
+      {editError && (
+        <p className="text-sm text-warning-600 mt-2" role="alert">{editError}</p>
+      )}
+    </section>
+  )
+}
@@ -1,6 +1,7 @@
 'use client'
 
 import { useStepNavigation } from '@/lib/hooks/useStepNavigation'
+import { useOnboardingState } from '@/lib/context/OnboardingContext'
 import Button from '@/components/shared/Button'
 import ProgressIndicator from '@/components/shared/ProgressIndicator'
 import FAQChatbot from '@/components/shared/FAQChatbot'
@@ -13,8 +14,10 @@ import DaybreakLogo from '@/components/shared/DaybreakLogo'
  */
 export default function LandingPage() {
   const { goToNextStep } = useStepNavigation()
+  const { resumeError, clearResumeError } = useOnboardingState()
 
   const handleGetStarted = () => {
+    clearResumeError()
     goToNextStep()
   }
 
@@ -69,6 +72,13 @@ export default function LandingPage() {
             </span>
           </h1>
           
+          {/* Resume link error (expired or invalid "finish later" link) */}
+          {resumeError && (
+            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 max-w-xl" role="alert">
+              <p>{resumeError}. You can start again below.</p>
+            </div>
+          )}
+
           {/* Company Info */}
           <p className="text-lg text-text-body mb-12 w-full max-w-xl">
             We are building a world where every young person benefits from mental health support.
@@ -0,0 +1,61 @@
+'use client'
+
+import { CARE_LANGUAGES, getLanguageLabel } from '@/lib/constants/care-languages'
+
+/**
+ * LanguagePreferenceSelect Component
+ *
+ * Lets the family ask for a clinician who speaks a particular language,
+ * either as a preference (matching clinicians are listed first) or as a
+ * requirement (only matching clinicians are shown).
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - { code, required } or null for no preference
+ * @param {Function} props.onChange - Called with the new value
+ * @param {boolean} props.disabled - Disabled state
+ */
+export default function LanguagePreferenceSelect({ value, onChange, disabled = false }) {
+  const handleLanguageChange = (e) => {
+    const code = e.target.value
+    onChange(code ? { code, required: value?.required ?? false } : null)
+  }
+
+  const handleRequiredChange = (e) => {
+    onChange({ ...value, required: e.target.checked })
+  }
+
+  return (
+    <div className="mb-6">
+      <label htmlFor="language-preference" className="block text-sm font-medium text-text-body mb-1">
+        Preferred language for sessions
+      </label>
+      <select
+        id="language-preference"
+        value={value?.code || ''}
+        onChange={handleLanguageChange}
+        disabled={disabled}
+        className="w-full sm:w-72 px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white shadow-sm disabled:bg-neutral-100"
+      >
+        <option value="">No preference</option>
+        {CARE_LANGUAGES.map((language) => (
+          <option key={language.code} value={language.code}>
+            {language.label}
+          </option>
+        ))}
+      </select>
+
+      {value?.code && (
+        <label className="flex items-center gap-2 mt-2 text-sm text-text-body">
+          <input
+            type="checkbox"
+            checked={value.required}
+            onChange={handleRequiredChange}
+            disabled={disabled}
+            className="h-4 w-4 rounded border-neutral-300 text-primary-500 focus:ring-primary-500"
+          />
+          Only show clinicians who speak {getLanguageLabel(value.code)}
+        </label>
+      )}
+    </div>
+  )
+}
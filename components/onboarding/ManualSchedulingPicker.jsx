@@ -0,0 +1,183 @@
+'use client'
+
+import { useState } from 'react'
+import { formatInTimeZone } from 'date-fns-tz'
+import Button from '@/components/shared/Button'
+import {
+  DAY_OPTIONS,
+  TIME_BANDS,
+  preferencesToPickerState,
+  pickerStateToPreferences,
+  validatePickerState
+} from '@/lib/utils/manual-scheduling'
+
+const DAY_SHORTCUTS = [
+  { label: 'Weekdays', days: [1, 2, 3, 4, 5] },
+  { label: 'Weekends', days: [0, 6] },
+  { label: 'Every day', days: [0, 1, 2, 3, 4, 5, 6] }
+]
+
+/**
+ * Toggle a value in an array
+ */
+function toggle(values, value) {
+  return values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+}
+
+/**
+ * ManualSchedulingPicker Component
+ *
+ * Structured alternative to describing availability in words: day-of-week
+ * toggles, time-of-day bands and an optional date range. Produces the same
+ * interpretedPreferences object as the text interpretation, and can be
+ * pre-filled from one so a misread can be corrected.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.initialPreferences - interpretedPreferences to pre-fill from
+ * @param {string} props.userTimezone - User's IANA timezone
+ * @param {Function} props.onSubmit - Called with interpretedPreferences
+ * @param {boolean} props.isLoading - Loading state
+ * @param {string|null} props.error - Error from the last search
+ */
+export default function ManualSchedulingPicker({ initialPreferences, userTimezone, onSubmit, isLoading, error }) {
+  const [picker, setPicker] = useState(() => preferencesToPickerState(initialPreferences))
+  const [validationError, setValidationError] = useState(null)
+
+  const today = formatInTimeZone(new Date(), userTimezone, 'yyyy-MM-dd')
+  const shownError = validationError || error
+
+  const update = (changes) => {
+    setPicker(prev => ({ ...prev, ...changes }))
+    setValidationError(null)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (isLoading) return
+
+    const message = validatePickerState(picker)
+    if (message) {
+      setValidationError(message)
+      return
+    }
+    onSubmit(pickerStateToPreferences(picker, userTimezone))
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full space-y-6" aria-describedby={shownError ? 'picker-error' : undefined}>
+      {/* Days */}
+      <fieldset disabled={isLoading}>
+        <legend className="block text-sm font-medium text-text-body mb-2">Which days work?</legend>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {DAY_OPTIONS.map((day) => {
+            const selected = picker.days.includes(day.value)
+            return (
+              <button
+                key={day.value}
+                type="button"
+                onClick={() => update({ days: toggle(picker.days, day.value) })}
+                aria-pressed={selected}
+                aria-label={day.name}
+                className={`
+                  min-w-[3.25rem] px-3 py-2 rounded-lg border-2 text-sm font-medium
+                  focus:outline-none focus:ring-2 focus:ring-primary-500
+                  transition-colors duration-normal
+                  ${selected ? 'bg-primary-500 border-primary-500 text-white' : 'bg-white border-neutral-300 text-text-primary hover:border-primary-500'}
+                `}
+              >
+                {day.label}
+              </button>
+            )
+          })}
+        </div>
+        <div className="flex flex-wrap gap-3 text-sm">
+          {DAY_SHORTCUTS.map((shortcut) => (
+            <button
+              key={shortcut.label}
+              type="button"
+              onClick={() => update({ days: shortcut.days })}
+              className="text-primary-600 underline hover:text-primary-700"
+            >
+              {shortcut.label}
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      {/* Times */}
+      <fieldset disabled={isLoading}>
+        <legend className="block text-sm font-medium text-text-body mb-2">What times of day?</legend>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          {TIME_BANDS.map((band) => {
+            const selected = picker.bands.includes(band.id)
+            return (
+              <button
+                key={band.id}
+                type="button"
+                onClick={() => update({ bands: toggle(picker.bands, band.id) })}
+                aria-pressed={selected}
+                className={`
+                  px-4 py-3 rounded-lg border-2 text-left
+                  focus:outline-none focus:ring-2 focus:ring-primary-500
+                  transition-colors duration-normal
+                  ${selected ? 'bg-primary-50 border-primary-500' : 'bg-white border-neutral-300 hover:border-primary-500'}
+                `}
+              >
+                <span className="block text-base font-medium text-text-primary">{band.label}</span>
+                <span className="block text-sm text-text-secondary">{band.hours}</span>
+              </button>
+            )
+          })}
+        </div>
+        <p className="text-sm text-text-secondary mt-2">Leave all unselected if any time works.</p>
+      </fieldset>
+
+      {/* Date range */}
+      <fieldset disabled={isLoading}>
+        <legend className="block text-sm font-medium text-text-body mb-2">Between which dates? (optional)</legend>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <label className="flex flex-col text-sm text-text-body">
+            From
+            <input
+              type="date"
+              value={picker.startDate}
+              min={today}
+              onChange={(e) => update({ startDate: e.target.value })}
+              className="mt-1 px-4 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </label>
+          <label className="flex flex-col text-sm text-text-body">
+            To
+            <input
+              type="date"
+              value={picker.endDate}
+              min={picker.startDate || today}
+              onChange={(e) => update({ endDate: e.target.value })}
+              className="mt-1 px-4 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </label>
+        </div>
+      </fieldset>
+
+      {shownError && (
+        <div id="picker-error" className="text-sm text-warning-600" role="alert" aria-live="polite">
+          {shownError}
+        </div>
+      )}
+
+      <div>
+        <Button
+          type="submit"
+          variant="primary"
+          size="large"
+          disabled={isLoading}
+          loading={isLoading}
+          ariaLabel={isLoading ? 'Finding available appointments' : 'Find available times'}
+          className="w-full sm:w-auto"
+        >
+          {isLoading ? 'Finding Available Times...' : 'Find Available Times'}
+        </Button>
+      </div>
+    </form>
+  )
+}
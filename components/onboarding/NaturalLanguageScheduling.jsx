@@ -5,24 +5,44 @@ import { useOnboardingState } from '@/lib/context/OnboardingContext'
 import Button from '@/components/shared/Button'
 import CharacterCounter from '@/components/shared/CharacterCounter'
 
+const ROLE_LABELS = {
+  parent: 'You',
+  assistant: 'We understood',
+}
+
 /**
  * NaturalLanguageScheduling Component
  * 
  * Allows users to input their availability preferences in natural language.
+ * In follow-up mode it refines the last interpretation instead ("actually not
+ * Fridays", "anything earlier?"), showing the conversation so far. The parent's
+ * messages are kept in the scheduling conversation in OnboardingContext.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSubmit - Called with the message
+ * @param {boolean} props.isLoading - Loading state
+ * @param {string|null} props.error - Error from the last message
+ * @param {boolean} props.isFollowUp - Refine the current interpretation
  */
-export default function NaturalLanguageScheduling({ onSubmit, isLoading, error }) {
-  const { schedulingInput, setSchedulingInput } = useOnboardingState()
-  const [input, setInput] = useState(schedulingInput || '')
+export default function NaturalLanguageScheduling({ onSubmit, isLoading, error, isFollowUp = false }) {
+  const {
+    schedulingInput,
+    setSchedulingInput,
+    schedulingConversation,
+    addSchedulingTurn,
+    clearSchedulingConversation,
+  } = useOnboardingState()
+  const [input, setInput] = useState(isFollowUp ? '' : schedulingInput || '')
   const [characterCount, setCharacterCount] = useState(0)
 
-  // Restore input from context on mount
+  // Restore input from context on mount (follow-ups start empty)
   useEffect(() => {
-    if (schedulingInput) {
+    if (schedulingInput && !isFollowUp) {
       setInput(schedulingInput)
     }
-  }, [schedulingInput])
+  }, [schedulingInput, isFollowUp])
 
-  const MIN_LENGTH = 10
+  const MIN_LENGTH = isFollowUp ? 2 : 10
   const MAX_LENGTH = 500
 
   // Update character count when input changes
@@ -31,14 +51,21 @@ export default function NaturalLanguageScheduling({ onSubmit, isLoading, error }
   }, [input])
 
   // Validate input
-  const isValid = input.length >= MIN_LENGTH && input.length <= MAX_LENGTH
+  const isValid = input.trim().length >= MIN_LENGTH && input.length <= MAX_LENGTH
   const isDisabled = !isValid || isLoading
 
   // Update context when input changes (on submit)
   const handleSubmit = (e) => {
     e.preventDefault()
     if (isValid && !isLoading) {
-      setSchedulingInput(input) // Update context
+      if (isFollowUp) {
+        setInput('')
+      } else {
+        // A new description starts the conversation over
+        setSchedulingInput(input) // Update context
+        clearSchedulingConversation()
+      }
+      addSchedulingTurn({ role: 'parent', text: input })
       onSubmit(input)
     }
   }
@@ -54,19 +81,39 @@ export default function NaturalLanguageScheduling({ onSubmit, isLoading, error }
   return (
     <form onSubmit={handleSubmit} className="w-full">
       <div className="space-y-4">
+        {/* Conversation so far */}
+        {isFollowUp && schedulingConversation.length > 0 && (
+          <ol className="space-y-2" aria-label="Your scheduling conversation">
+            {schedulingConversation.map((turn, index) => (
+              <li
+                key={index}
+                className={`
+                  rounded-lg px-4 py-2 text-sm
+                  ${turn.role === 'parent' ? 'bg-neutral-100 text-text-primary' : 'bg-primary-50 text-text-body'}
+                `}
+              >
+                <span className="font-medium">{ROLE_LABELS[turn.role]}: </span>
+                {turn.text}
+              </li>
+            ))}
+          </ol>
+        )}
+
         {/* Textarea Input */}
         <div>
-          <label htmlFor="availability-input" className="sr-only">
-            Enter your availability preferences
+          <label htmlFor="availability-input" className={isFollowUp ? 'block text-sm font-medium text-text-body mb-2' : 'sr-only'}>
+            {isFollowUp ? 'Anything to change?' : 'Enter your availability preferences'}
           </label>
           <textarea
             id="availability-input"
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKeyDown}
-            placeholder="Tell us when you're available. For example: 'I'm only free on weekdays after 5pm' or 'I can do an appointment between 9am and 11am next Tuesday and Thursday'"
+            placeholder={isFollowUp
+              ? "For example: 'actually not Fridays' or 'anything earlier?'"
+              : "Tell us when you're available. For example: 'I'm only free on weekdays after 5pm' or 'I can do an appointment between 9am and 11am next Tuesday and Thursday'"}
             disabled={isLoading}
-            rows={5}
+            rows={isFollowUp ? 2 : 5}
             maxLength={MAX_LENGTH}
             className={`
               w-full px-4 py-3 rounded-lg border-2
@@ -77,7 +124,7 @@ export default function NaturalLanguageScheduling({ onSubmit, isLoading, error }
               transition-colors duration-normal
               ${error ? 'border-warning-500 focus:ring-warning-500' : 'border-neutral-300'}
             `}
-            aria-label="Enter your availability preferences"
+            aria-label={isFollowUp ? 'Describe what to change about your availability' : 'Enter your availability preferences'}
             aria-describedby={error ? 'error-message' : 'character-count'}
             aria-invalid={error ? 'true' : 'false'}
           />
@@ -108,10 +155,10 @@ export default function NaturalLanguageScheduling({ onSubmit, isLoading, error }
             size="large"
             disabled={isDisabled}
             loading={isLoading}
-            ariaLabel={isLoading ? 'Finding available appointments' : 'Find available times'}
+            ariaLabel={isLoading ? 'Finding available appointments' : isFollowUp ? 'Update available times' : 'Find available times'}
             className="w-full sm:w-auto"
           >
-            {isLoading ? 'Finding Available Times...' : 'Find Available Times'}
+            {isLoading ? 'Finding Available Times...' : isFollowUp ? 'Update Times' : 'Find Available Times'}
           </Button>
         </div>
 
@@ -0,0 +1,44 @@
+'use client'
+
+import { US_STATES } from '@/lib/utils/insurance-validation'
+
+const STATE_OPTIONS = [...US_STATES].sort()
+
+/**
+ * PatientStateSelect Component
+ *
+ * Asks which state the child lives in. Clinicians can only see patients in
+ * states where they are licensed, so matching uses this to filter slots.
+ *
+ * @param {Object} props
+ * @param {string|null} props.value - Selected state abbreviation
+ * @param {Function} props.onChange - Called with the new abbreviation (or null)
+ * @param {boolean} props.disabled - Disabled state
+ */
+export default function PatientStateSelect({ value, onChange, disabled = false }) {
+  return (
+    <div className="mb-6">
+      <label htmlFor="patient-state" className="block text-sm font-medium text-text-body mb-1">
+        Which state does your child live in?
+      </label>
+      <select
+        id="patient-state"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+        className="w-full sm:w-48 px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white shadow-sm disabled:bg-neutral-100"
+        aria-describedby="patient-state-help"
+      >
+        <option value="">Select a state</option>
+        {STATE_OPTIONS.map((state) => (
+          <option key={state} value={state}>
+            {state}
+          </option>
+        ))}
+      </select>
+      <p id="patient-state-help" className="mt-1 text-sm text-text-secondary">
+        We only show clinicians licensed in your child&apos;s state.
+      </p>
+    </div>
+  )
+}
@@ -1,14 +1,26 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { CheckCircleIcon } from '@heroicons/react/24/solid'
 import { useOnboardingState } from '@/lib/context/OnboardingContext'
 import { detectUserTimezone } from '@/lib/utils/timezone-utils'
+import { isValidUSState } from '@/lib/utils/insurance-validation'
+import { getSymptomCategoryWeights } from '@/lib/utils/clinician-fit'
+import { getSafetyConcerns } from '@/lib/constants/symptom-mapping'
+import { DEFAULT_APPOINTMENT_TYPE } from '@/lib/constants/appointment-types'
+import { describePreferences } from '@/lib/utils/interpretation-chips'
+import { isSameSlot, appendSlotPage } from '@/lib/utils/result-formatter'
+import { holdAppointment, confirmAppointment, releaseHold } from '@/lib/api/appointments-client'
 import FAQChatbot from '@/components/shared/FAQChatbot'
 import Button from '@/components/shared/Button'
 import NaturalLanguageScheduling from './NaturalLanguageScheduling'
+import ManualSchedulingPicker from './ManualSchedulingPicker'
 import AvailabilityResults from './AvailabilityResults'
+import InterpretationChips from './InterpretationChips'
 import SchedulingConfirmation from './SchedulingConfirmation'
+import PatientStateSelect from './PatientStateSelect'
+import LanguagePreferenceSelect from './LanguagePreferenceSelect'
+import AppointmentTypeSelect from './AppointmentTypeSelect'
 
 // Flow phases (moved outside component to avoid recreation on each render)
 const PHASES = {
@@ -19,23 +31,68 @@ const PHASES = {
   CONFIRMATION: 'confirmation',
 }
 
+// Ways to enter availability
+const ENTRY_MODES = {
+  TEXT: 'text',
+  PICKER: 'picker',
+}
+
+// Earlier parent messages sent along with a follow-up
+const MAX_FOLLOW_UP_CONTEXT = 5
+
+// Chip edits are re-matched once the family pauses, so a burst of edits is one
+// request (match-availability allows 10 a minute)
+const CHIP_REMATCH_DELAY_MS = 800
+
+// Booking errors meaning the slot can no longer be booked by anyone
+const SLOT_CONFLICT_CODES = ['SLOT_TAKEN', 'SLOT_UNAVAILABLE']
+
+/**
+ * Check whether an appointment is an active hold on a slot
+ */
+function isHoldForSlot(appointment, slot) {
+  return Boolean(
+    appointment &&
+    slot &&
+    appointment.status === 'held' &&
+    appointment.clinicianId === slot.clinicianId &&
+    appointment.startTime === slot.startTime
+  )
+}
+
 /**
  * SchedulingAssistant Component
  * 
- * Natural language scheduling interface with AI-powered interpretation and matching.
+ * Natural language scheduling interface with AI-powered interpretation and matching,
+ * plus a structured day/time picker for families who'd rather pick than describe.
+ * What we understood is shown above the results as chips the family can edit,
+ * or refine in follow-up messages ("actually not Fridays").
  */
 export default function SchedulingAssistant() {
   const {
     schedulingInput,
+    schedulingConversation,
     interpretedPreferences,
     matchedSlots,
     selectedSlot,
     appointmentConfirmed,
+    appointment,
+    insuranceValidationResults,
+    extractedInsuranceData,
+    extractedSymptoms,
+    crisisRiskLevel,
+    patientState,
+    setPatientState,
     setSchedulingInput,
+    addSchedulingTurn,
+    clearSchedulingConversation,
     setInterpretedPreferences,
     setMatchedSlots,
     setSelectedSlot,
     setAppointmentConfirmed,
+    setAppointment,
+    ensureSession,
+    sessionId,
     isInitialized,
   } = useOnboardingState()
 
@@ -43,6 +100,38 @@ export default function SchedulingAssistant() {
   const [userTimezone, setUserTimezone] = useState('America/Los_Angeles')
   const [error, setError] = useState(null)
   const [isConfirmed, setIsConfirmed] = useState(false)
+  const [isBooking, setIsBooking] = useState(false)
+  const [isHolding, setIsHolding] = useState(false)
+  const [excludedForLicensure, setExcludedForLicensure] = useState(0)
+  const [excludedForLanguage, setExcludedForLanguage] = useState(0)
+  const [languagePreference, setLanguagePreference] = useState(null)
+  const [bookingError, setBookingError] = useState(null)
+  const [slotTaken, setSlotTaken] = useState(false)
+  const [entryMode, setEntryMode] = useState(ENTRY_MODES.TEXT)
+  const [isRefreshing, setIsRefreshing] = useState(false)
+  const [refreshError, setRefreshError] = useState(null)
+  const [matchedSeries, setMatchedSeries] = useState([])
+  const [hasMoreSlots, setHasMoreSlots] = useState(false)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
+  const [appointmentTypes, setAppointmentTypes] = useState([])
+  const [appointmentType, setAppointmentType] = useState(DEFAULT_APPOINTMENT_TYPE)
+
+  // Latest live re-match, so slower earlier responses don't overwrite newer ones
+  const latestMatchRequest = useRef(0)
+  const chipRematchTimer = useRef(null)
+  // Server offset of the next "show more" page. It only moves forward by the
+  // slots each page returned; slots dropped after a booking conflict don't
+  // move it back.
+  const nextMatchOffset = useRef(0)
+
+  // Drop a pending chip re-match when leaving the screen
+  useEffect(() => () => clearTimeout(chipRematchTimer.current), [])
+
+  // Families who reported safety concerns, or whose answers contained crisis
+  // language, see the earliest available times first
+  const hasSafetyConcerns = Object.keys(getSafetyConcerns(extractedSymptoms)).length > 0 ||
+    crisisRiskLevel !== 'none'
 
   // Initialize phase based on context state
   useEffect(() => {
@@ -65,12 +154,195 @@ export default function SchedulingAssistant() {
     }
   }, [isInitialized, selectedSlot, matchedSlots, schedulingInput, appointmentConfirmed])
 
+  // Restore the language preference from the last interpretation
+  useEffect(() => {
+    if (!isInitialized) return
+    if (interpretedPreferences?.languagePreference) {
+      setLanguagePreference(interpretedPreferences.languagePreference)
+    }
+  }, [isInitialized, interpretedPreferences])
+
+  // Restore the appointment type the shown times were matched for
+  useEffect(() => {
+    if (!isInitialized) return
+    const restoredType = selectedSlot?.appointmentType || matchedSlots?.[0]?.appointmentType
+    if (restoredType) {
+      setAppointmentType(restoredType)
+    }
+  }, [isInitialized, selectedSlot, matchedSlots])
+
+  // Load the appointment types the organization's contract covers
+  useEffect(() => {
+    const loadAppointmentTypes = async () => {
+      try {
+        const response = await fetch('/api/appointment-types')
+        const data = await response.json()
+        setAppointmentTypes(data.appointmentTypes || [])
+        setAppointmentType(current => (
+          data.appointmentTypes?.some(type => type.id === current) ? current : data.defaultAppointmentType
+        ))
+      } catch (err) {
+        // Matching falls back to the default type
+        console.error('Error loading appointment types:', err)
+      }
+    }
+    loadAppointmentTypes()
+  }, [])
+
+  // Default the patient's state to the plan holder's state from the insurance card
+  useEffect(() => {
+    if (!isInitialized || patientState) return
+
+    const planHolderState = extractedInsuranceData?.plan_holder_state
+    if (isValidUSState(planHolderState)) {
+      setPatientState(planHolderState)
+    }
+  }, [isInitialized, patientState, extractedInsuranceData, setPatientState])
+
   // Detect user timezone on mount
   useEffect(() => {
     const detectedTimezone = detectUserTimezone()
     setUserTimezone(detectedTimezone)
   }, [])
 
+  // Show a scheduling error and return to the availability input
+  const handleSchedulingError = (err) => {
+    console.error('Scheduling error:', err)
+
+    // Handle different error types
+    if (err.message.includes('Connection') || err.message.includes('network')) {
+      setError('Connection error. Please check your internet and try again.')
+    } else if (err.message.includes('understanding') || err.message.includes('interpret')) {
+      setError('We\'re having trouble understanding your availability. Please try rephrasing, pick your days and times instead, or contact us for help.')
+    } else {
+      setError(err.message || 'An error occurred. Please try again.')
+    }
+
+    setPhase(PHASES.INPUT)
+  }
+
+  // Request matching slots for preferences (offset pages through more times)
+  const requestMatches = async (preferences, offset = 0) => {
+    const symptomCategoryWeights = getSymptomCategoryWeights(extractedSymptoms)
+
+    const matchResponse = await fetch('/api/match-availability', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        interpretedPreferences: preferences,
+        organizationId: 85685,
+        sessionId,
+        patientState,
+        // Prefer clinicians in-network for the family's matched insurance
+        credentialedInsuranceId: insuranceValidationResults?.is_valid_insurance
+          ? insuranceValidationResults.matched_insurance?.id || null
+          : null,
+        // Favor clinicians suited to the child's needs (category totals only, not individual symptoms)
+        symptomCategoryWeights: Object.keys(symptomCategoryWeights).length > 0 ? symptomCategoryWeights : null,
+        // Safety concerns need care as soon as possible
+        prioritizeEarliest: hasSafetyConcerns,
+        appointmentType,
+        offset,
+      }),
+    })
+
+    const matchData = await matchResponse.json()
+
+    if (!matchData.success) {
+      throw new Error(matchData.error || 'Failed to match availability')
+    }
+
+    return matchData
+  }
+
+  // Show matched slots
+  const showMatches = (matchData) => {
+    setMatchedSlots(matchData.matchedSlots || [])
+    setMatchedSeries(matchData.matchedSeries || [])
+    nextMatchOffset.current = (matchData.matchedSlots || []).length
+    setHasMoreSlots(Boolean(matchData.pagination?.hasMore))
+    setLoadMoreError(null)
+    setExcludedForLicensure(matchData.excludedForLicensure || 0)
+    setExcludedForLanguage(matchData.excludedForLanguage || 0)
+  }
+
+  // Match availability for interpreted (or picked) preferences
+  const findAvailableTimes = async (preferences) => {
+    latestMatchRequest.current += 1
+    setRefreshError(null)
+    setPhase(PHASES.MATCHING)
+
+    const matchData = await requestMatches(preferences)
+
+    // Success - show results
+    showMatches(matchData)
+    setPhase(PHASES.RESULTS)
+  }
+
+  // Re-match as the family edits what we understood, once they pause
+  const handlePreferencesChange = (preferences) => {
+    setInterpretedPreferences(preferences)
+    setRefreshError(null)
+    setIsRefreshing(true)
+
+    // Newer edits (and any other re-match) supersede this one
+    const requestId = ++latestMatchRequest.current
+    clearTimeout(chipRematchTimer.current)
+    chipRematchTimer.current = setTimeout(() => {
+      if (requestId === latestMatchRequest.current) {
+        rematchPreferences(preferences)
+      }
+    }, CHIP_REMATCH_DELAY_MS)
+  }
+
+  // Re-match for updated preferences, staying on the results
+  const rematchPreferences = async (preferences) => {
+    setInterpretedPreferences(preferences)
+    setRefreshError(null)
+    setIsRefreshing(true)
+
+    const requestId = ++latestMatchRequest.current
+    try {
+      const matchData = await requestMatches(preferences)
+      if (requestId !== latestMatchRequest.current) return
+      showMatches(matchData)
+    } catch (err) {
+      if (requestId !== latestMatchRequest.current) return
+      console.error('Scheduling error:', err)
+      setRefreshError('We couldn\'t update your times. Please try that change again.')
+    } finally {
+      if (requestId === latestMatchRequest.current) {
+        setIsRefreshing(false)
+      }
+    }
+  }
+
+  // Show the next page of times below the ones already shown
+  const handleShowMore = async () => {
+    setLoadMoreError(null)
+    setIsLoadingMore(true)
+
+    // A re-match started meanwhile replaces these results, so drop this page
+    const requestId = latestMatchRequest.current
+    try {
+      const matchData = await requestMatches(interpretedPreferences, nextMatchOffset.current)
+      if (requestId !== latestMatchRequest.current) return
+      nextMatchOffset.current += (matchData.matchedSlots || []).length
+      // Skips times already shown and stops at what the session can store
+      const { slots, hasMore } = appendSlotPage(matchedSlots, matchData.matchedSlots || [], matchData.pagination?.hasMore)
+      setMatchedSlots(slots)
+      setHasMoreSlots(hasMore)
+    } catch (err) {
+      if (requestId !== latestMatchRequest.current) return
+      console.error('Scheduling error:', err)
+      setLoadMoreError('We couldn\'t load more times. Please try again.')
+    } finally {
+      setIsLoadingMore(false)
+    }
+  }
+
   // Handle form submit
   const handleSubmit = async (input) => {
     setSchedulingInput(input)
@@ -96,72 +368,197 @@ export default function SchedulingAssistant() {
         throw new Error(interpretData.error || 'Failed to interpret availability')
       }
 
-      setInterpretedPreferences(interpretData.interpretedPreferences)
+      // The language picked in the form wins over one mentioned in the text
+      const preferences = {
+        ...interpretData.interpretedPreferences,
+        languagePreference: languagePreference || interpretData.interpretedPreferences.languagePreference || null,
+      }
+      setLanguagePreference(preferences.languagePreference)
+      setInterpretedPreferences(preferences)
+      addSchedulingTurn({ role: 'assistant', text: describePreferences(preferences) })
 
       // Step 2: Match availability
-      setPhase(PHASES.MATCHING)
+      await findAvailableTimes(preferences)
+    } catch (err) {
+      handleSchedulingError(err)
+    }
+  }
+
+  // Refine the current interpretation with a follow-up message, staying on the results
+  const handleFollowUp = async (input) => {
+    setRefreshError(null)
+    setIsRefreshing(true)
+
+    const requestId = ++latestMatchRequest.current
+    // The conversation here predates this message
+    const earlierInputs = schedulingConversation
+      .filter(turn => turn.role === 'parent')
+      .map(turn => turn.text)
+      .slice(-MAX_FOLLOW_UP_CONTEXT)
 
-      const matchResponse = await fetch('/api/match-availability', {
+    try {
+      const interpretResponse = await fetch('/api/interpret-scheduling', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          interpretedPreferences: interpretData.interpretedPreferences,
-          organizationId: 85685,
+          userInput: input,
+          userTimezone: userTimezone,
+          previousPreferences: interpretedPreferences,
+          conversation: earlierInputs,
         }),
       })
 
-      const matchData = await matchResponse.json()
+      const interpretData = await interpretResponse.json()
 
-      if (!matchData.success) {
-        throw new Error(matchData.error || 'Failed to match availability')
+      if (!interpretData.success) {
+        throw new Error(interpretData.error || 'Failed to interpret availability')
       }
+      if (requestId !== latestMatchRequest.current) return
 
-      // Success - show results
-      setMatchedSlots(matchData.matchedSlots || [])
-      setPhase(PHASES.RESULTS)
+      // The merged preferences already carry the language chosen earlier
+      const preferences = interpretData.interpretedPreferences
+      setLanguagePreference(preferences.languagePreference || null)
+      addSchedulingTurn({ role: 'assistant', text: describePreferences(preferences) })
+
+      await rematchPreferences(preferences)
     } catch (err) {
+      if (requestId !== latestMatchRequest.current) return
       console.error('Scheduling error:', err)
+      setRefreshError('We couldn\'t understand that change. Please try rephrasing it, or adjust the choices above.')
+      setIsRefreshing(false)
+    }
+  }
 
-      // Handle different error types
-      if (err.message.includes('Connection') || err.message.includes('network')) {
-        setError('Connection error. Please check your internet and try again.')
-      } else if (err.message.includes('understanding') || err.message.includes('interpret')) {
-        setError('We\'re having trouble understanding your availability. Please try rephrasing or contact us for help.')
-    } else {
-        setError(err.message || 'An error occurred. Please try again.')
-      }
+  // Handle picker submit - no interpretation needed
+  const handlePickerSubmit = async (pickedPreferences) => {
+    setError(null)
+    clearSchedulingConversation()
 
-      setPhase(PHASES.INPUT)
+    const preferences = { ...pickedPreferences, languagePreference: languagePreference || null }
+    setInterpretedPreferences(preferences)
+
+    try {
+      await findAvailableTimes(preferences)
+    } catch (err) {
+      handleSchedulingError(err)
+    }
+  }
+
+  // Show a booking error, dropping the slot if another family has it
+  const handleBookingError = (err, slot) => {
+    console.error('Booking error:', err)
+
+    if (SLOT_CONFLICT_CODES.includes(err.code)) {
+      // Someone else got there first - stop offering this slot
+      setMatchedSlots(matchedSlots.filter(matched => !isSameSlot(matched, slot)))
+      setSlotTaken(true)
+      setBookingError('Sorry, that time was just booked by another family. Please choose another time.')
+    } else {
+      setBookingError('We couldn\'t book your appointment. Please try again.')
     }
   }
 
-  // Handle slot selection
-  const handleSelectSlot = (slot) => {
+  // Release this session's hold so other families can book the slot
+  const releaseCurrentHold = () => {
+    if (!appointment || appointment.status !== 'held' || !sessionId) return
+
+    setAppointment(null)
+    releaseHold(appointment.appointmentId, sessionId).catch((err) => {
+      // The hold lapses on its own, so this is not user-facing
+      console.warn('Unable to release hold:', err)
+    })
+  }
+
+  // Handle slot selection - hold the slot while the family confirms
+  const handleSelectSlot = async (slot) => {
+    setBookingError(null)
+    setSlotTaken(false)
     setSelectedSlot(slot)
     setPhase(PHASES.CONFIRMATION)
+
+    if (isHoldForSlot(appointment, slot)) return
+
+    setIsHolding(true)
+    try {
+      const { sessionId: holdSessionId } = await ensureSession()
+      // Placing a new hold releases this session's previous one server-side
+      const heldAppointment = await holdAppointment(holdSessionId, slot)
+      setAppointment(heldAppointment)
+    } catch (err) {
+      handleBookingError(err, slot)
+    } finally {
+      setIsHolding(false)
+    }
   }
 
-  // Handle confirmation
-  const handleConfirm = () => {
-    // Show success message
-    // Note: No actual appointment booking - just storing preference
-    setIsConfirmed(true)
-    setAppointmentConfirmed(true)
-    // TODO: Navigate to completion/confirmation screen in final onboarding step
+  // Handle confirmation - confirm the hold (re-holding if it lapsed)
+  const handleConfirm = async () => {
+    setIsBooking(true)
+    setBookingError(null)
+    setSlotTaken(false)
+
+    try {
+      const { sessionId: bookingSessionId } = await ensureSession()
+
+      let heldAppointment = isHoldForSlot(appointment, selectedSlot)
+        ? appointment
+        : await holdAppointment(bookingSessionId, selectedSlot)
+
+      let bookedAppointment
+      try {
+        bookedAppointment = await confirmAppointment(heldAppointment.appointmentId, bookingSessionId)
+      } catch (err) {
+        if (err.code !== 'HOLD_EXPIRED') throw err
+
+        // Our hold lapsed - take the slot again if it's still free
+        heldAppointment = await holdAppointment(bookingSessionId, selectedSlot)
+        bookedAppointment = await confirmAppointment(heldAppointment.appointmentId, bookingSessionId)
+      }
+
+      setAppointment(bookedAppointment)
+      setIsConfirmed(true)
+      setAppointmentConfirmed(true)
+    } catch (err) {
+      handleBookingError(err, selectedSlot)
+    } finally {
+      setIsBooking(false)
+    }
   }
 
   // Handle try again
   const handleTryAgain = () => {
+    releaseCurrentHold()
+    latestMatchRequest.current += 1
+    setIsRefreshing(false)
+    setRefreshError(null)
+    clearSchedulingConversation()
     setPhase(PHASES.INPUT)
     setError(null)
     setMatchedSlots([])
+    setMatchedSeries([])
+    setHasMoreSlots(false)
     setSelectedSlot(null)
   }
 
+  // Open the picker pre-filled with how we read their availability
+  const handleAdjustPreferences = () => {
+    handleTryAgain()
+    setEntryMode(ENTRY_MODES.PICKER)
+  }
+
+  // Switch between describing availability and picking it
+  const handleEntryModeChange = (mode) => {
+    setEntryMode(mode)
+    setError(null)
+  }
+
   // Handle back from confirmation
   const handleBackFromConfirmation = () => {
+    releaseCurrentHold()
+    setBookingError(null)
+    setSlotTaken(false)
     setPhase(PHASES.RESULTS)
   }
 
@@ -183,6 +580,16 @@ export default function SchedulingAssistant() {
               <p className="text-base text-success-800 text-center">
                 Amazing! You are one step closer to quality care. Please check your email for more details.
               </p>
+              {appointment?.bookingReference && (
+                <p className="text-base text-success-800 text-center mt-3">
+                  Your booking reference is <strong>{appointment.bookingReference}</strong>.
+                </p>
+              )}
+              {selectedSlot?.seriesLabel && (
+                <p className="text-base text-success-800 text-center mt-3">
+                  This booked your first session only; later sessions are scheduled with your clinician.
+                </p>
+              )}
             </div>
             <Button
               onClick={() => window.open('https://www.daybreakhealth.com/', '_blank')}
@@ -215,6 +622,55 @@ export default function SchedulingAssistant() {
               </h2>
 
               {phase === PHASES.INPUT && (
+                <AppointmentTypeSelect
+                  appointmentTypes={appointmentTypes}
+                  value={appointmentType}
+                  onChange={setAppointmentType}
+                  disabled={isLoading}
+                />
+              )}
+
+              {phase === PHASES.INPUT && (
+                <PatientStateSelect
+                  value={patientState}
+                  onChange={setPatientState}
+                  disabled={isLoading}
+                />
+              )}
+
+              {phase === PHASES.INPUT && (
+                <LanguagePreferenceSelect
+                  value={languagePreference}
+                  onChange={setLanguagePreference}
+                  disabled={isLoading}
+                />
+              )}
+
+              {phase === PHASES.INPUT && (
+                <div className="flex rounded-lg border border-neutral-300 p-1 mb-6 w-full sm:w-fit" role="group" aria-label="How to enter your availability">
+                  {[
+                    { mode: ENTRY_MODES.TEXT, label: 'Describe in words' },
+                    { mode: ENTRY_MODES.PICKER, label: 'Pick days & times' },
+                  ].map(({ mode, label }) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => handleEntryModeChange(mode)}
+                      aria-pressed={entryMode === mode}
+                      className={`
+                        flex-1 sm:flex-none px-4 py-2 rounded-md text-sm font-medium
+                        focus:outline-none focus:ring-2 focus:ring-primary-500
+                        transition-colors duration-normal
+                        ${entryMode === mode ? 'bg-primary-500 text-white' : 'text-text-body hover:bg-primary-50'}
+                      `}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {phase === PHASES.INPUT && entryMode === ENTRY_MODES.TEXT && (
                 <NaturalLanguageScheduling
                   onSubmit={handleSubmit}
                   isLoading={isLoading}
@@ -222,6 +678,16 @@ export default function SchedulingAssistant() {
                 />
               )}
 
+              {phase === PHASES.INPUT && entryMode === ENTRY_MODES.PICKER && (
+                <ManualSchedulingPicker
+                  initialPreferences={interpretedPreferences}
+                  userTimezone={userTimezone}
+                  onSubmit={handlePickerSubmit}
+                  isLoading={isLoading}
+                  error={error}
+                />
+              )}
+
               {phase === PHASES.INTERPRETING && (
                 <div className="text-center py-12" role="status" aria-live="polite">
                   <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500 mb-4" />
@@ -240,11 +706,41 @@ export default function SchedulingAssistant() {
                 </div>
               )}
 
+              {phase === PHASES.RESULTS && interpretedPreferences && (
+                <InterpretationChips
+                  preferences={interpretedPreferences}
+                  onChange={handlePreferencesChange}
+                  isUpdating={isRefreshing}
+                />
+              )}
+
+              {phase === PHASES.RESULTS && interpretedPreferences && (
+                <div className="mb-6">
+                  <NaturalLanguageScheduling
+                    onSubmit={handleFollowUp}
+                    isLoading={isRefreshing}
+                    error={refreshError}
+                    isFollowUp
+                  />
+                </div>
+              )}
+
               {phase === PHASES.RESULTS && (
                 <AvailabilityResults
                   slots={matchedSlots}
+                  series={matchedSeries}
+                  excludedForLicensure={excludedForLicensure}
+                  patientState={patientState}
+                  excludedForLanguage={excludedForLanguage}
+                  languagePreference={languagePreference}
+                  prioritizedEarliest={hasSafetyConcerns}
                   onSelectSlot={handleSelectSlot}
                   onTryAgain={handleTryAgain}
+                  onAdjustPreferences={handleAdjustPreferences}
+                  hasMore={hasMoreSlots}
+                  onShowMore={handleShowMore}
+                  isLoadingMore={isLoadingMore}
+                  loadMoreError={loadMoreError}
                 />
               )}
 
@@ -253,12 +749,17 @@ export default function SchedulingAssistant() {
                   selectedSlot={selectedSlot}
                   onConfirm={handleConfirm}
                   onBack={handleBackFromConfirmation}
+                  isBooking={isBooking}
+                  isHolding={isHolding}
+                  holdExpiresAt={isHoldForSlot(appointment, selectedSlot) ? appointment.holdExpiresAt : null}
+                  bookingError={bookingError}
+                  slotTaken={slotTaken}
                 />
               )}
             </section>
 
-            {/* Help Section - Only show during input phase */}
-            {phase === PHASES.INPUT && (
+            {/* Help Section - Only show while describing availability in words */}
+            {phase === PHASES.INPUT && entryMode === ENTRY_MODES.TEXT && (
               <section aria-labelledby="help-heading" className="bg-primary-50 border border-primary-200 rounded-lg p-6 mb-8">
                 <h2 id="help-heading" className="text-lg font-semibold text-primary-900 mb-3">
                   Need Help?
@@ -2,14 +2,35 @@
 
 import { CheckCircleIcon } from '@heroicons/react/24/solid'
 import Button from '@/components/shared/Button'
+import ClinicianProfile from './ClinicianProfile'
 
 /**
  * SchedulingConfirmation Component
  * 
- * Displays selected appointment slot for confirmation.
+ * Displays selected appointment slot for confirmation and books it.
+ *
+ * @param {Object} props
+ * @param {Object} props.selectedSlot - Slot chosen from the results
+ * @param {Function} props.onConfirm - Books the slot
+ * @param {Function} props.onBack - Returns to the results to choose another time
+ * @param {boolean} props.isBooking - Whether booking is in progress
+ * @param {boolean} props.isHolding - Whether the slot is being held
+ * @param {string} props.holdExpiresAt - When the hold on this slot lapses (ISO string)
+ * @param {string} props.bookingError - Error message from the last booking attempt
+ * @param {boolean} props.slotTaken - Whether the slot was booked by someone else
  */
-export default function SchedulingConfirmation({ selectedSlot, onConfirm, onBack }) {
+export default function SchedulingConfirmation({
+  selectedSlot,
+  onConfirm,
+  onBack,
+  isBooking = false,
+  isHolding = false,
+  holdExpiresAt = null,
+  bookingError = null,
+  slotTaken = false,
+}) {
   const handleConfirm = () => {
+    if (isBooking || isHolding) return
     onConfirm()
   }
 
@@ -32,12 +53,24 @@ export default function SchedulingConfirmation({ selectedSlot, onConfirm, onBack
       {/* Selected Slot Display */}
       <div className="bg-primary-50 border-2 border-primary-200 rounded-lg p-6">
         <h2 className="text-xl font-heading font-semibold text-primary-500 mb-4">
-          Confirm Your Appointment Preference
+          Confirm Your Appointment
         </h2>
         
         <div className="space-y-3">
+          {selectedSlot.seriesLabel && (
+            <div>
+              <div className="text-sm text-text-secondary mb-1">Weekly time</div>
+              <div className="text-lg font-medium text-text-primary">
+                {selectedSlot.seriesLabel}
+              </div>
+              <p className="text-sm text-text-secondary mt-1">
+                First session only: confirming books the session below. Later sessions are scheduled with your clinician.
+              </p>
+            </div>
+          )}
+
           <div>
-            <div className="text-sm text-text-secondary mb-1">Date</div>
+            <div className="text-sm text-text-secondary mb-1">{selectedSlot.seriesLabel ? 'First session' : 'Date'}</div>
             <div className="text-lg font-medium text-text-primary">
               {selectedSlot.formattedDate}
             </div>
@@ -56,26 +89,70 @@ export default function SchedulingConfirmation({ selectedSlot, onConfirm, onBack
               {selectedSlot.timezoneName}
             </div>
           </div>
+
+          {selectedSlot.clinician && (
+            <div>
+              <div className="text-sm text-text-secondary mb-1">Clinician</div>
+              <ClinicianProfile clinician={selectedSlot.clinician} defaultExpanded />
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Hold Status */}
+      {isHolding && (
+        <p className="text-sm text-text-secondary text-center" role="status" aria-live="polite">
+          Reserving this time for you...
+        </p>
+      )}
+      {!isHolding && holdExpiresAt && !bookingError && (
+        <p className="text-sm text-text-secondary text-center" role="status" aria-live="polite">
+          We&apos;re holding this time for you until{' '}
+          {new Date(holdExpiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.
+        </p>
+      )}
+
+      {/* Booking Error */}
+      {bookingError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4" role="alert">
+          <p className="text-sm text-red-800">
+            {bookingError}
+          </p>
+        </div>
+      )}
+
       {/* Action Buttons */}
-      <div className="flex justify-center">
-        <Button
-          variant="primary"
-          size="large"
-          onClick={handleConfirm}
-          onKeyDown={handleKeyDown}
-          ariaLabel="Confirm appointment preference"
-        >
-          Confirm Appointment
-        </Button>
+      <div className="flex justify-center gap-4">
+        {slotTaken ? (
+          <Button
+            variant="primary"
+            size="large"
+            onClick={onBack}
+            ariaLabel="Choose another appointment time"
+          >
+            Choose Another Time
+          </Button>
+        ) : (
+          <Button
+            variant="primary"
+            size="large"
+            onClick={handleConfirm}
+            onKeyDown={handleKeyDown}
+            loading={isBooking}
+            disabled={isBooking || isHolding}
+            ariaLabel="Confirm appointment"
+          >
+            {isBooking ? 'Booking...' : 'Confirm Appointment'}
+          </Button>
+        )}
       </div>
 
       {/* Info Message */}
       <div className="bg-informational-50 border border-informational-200 rounded-lg p-4">
         <p className="text-sm text-informational-800">
-          <strong>Note:</strong> This confirms your preference. A care coordinator will reach out to you within 1-2 business days to finalize the appointment.
+          <strong>Note:</strong> {selectedSlot.seriesLabel
+            ? 'This books your first session only; later sessions are scheduled with your clinician.'
+            : 'This books your appointment.'} A care coordinator will reach out to you within 1-2 business days with next steps.
         </p>
       </div>
     </div>
@@ -2,13 +2,18 @@
 
 import { CheckIcon } from '@heroicons/react/24/solid'
 import Button from '@/components/shared/Button'
+import ClinicianProfile from './ClinicianProfile'
 
 /**
  * SlotCard Component
  * 
  * Displays a single appointment time slot with selection capability.
+ * Shows a "Speaks ..." badge when the clinician speaks the requested language,
+ * and an expandable clinician profile when one is available. Weekly series
+ * are shown by their label ("Tuesdays 4:00–4:50pm starting Oct 28") and say
+ * that only the first session is booked.
  */
-export default function SlotCard({ slot, isSelected, onSelect }) {
+export default function SlotCard({ slot, isSelected, onSelect, languageLabel = null }) {
   const handleSelect = () => {
     onSelect()
   }
@@ -35,7 +40,9 @@ export default function SlotCard({ slot, isSelected, onSelect }) {
       `}
       role="option"
       aria-selected={isSelected}
-      aria-label={`Appointment slot: ${slot.formattedDate} at ${slot.formattedTime} ${slot.timezoneName}`}
+      aria-label={slot.seriesLabel
+        ? `Weekly appointment series: ${slot.seriesLabel} ${slot.timezoneName}. Books the first session only; later sessions are scheduled with your clinician`
+        : `Appointment slot: ${slot.formattedDate} at ${slot.formattedTime} ${slot.timezoneName}`}
     >
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         {/* Slot Information */}
@@ -49,14 +56,22 @@ export default function SlotCard({ slot, isSelected, onSelect }) {
             )}
             <div className="flex-1">
               <div className="font-heading font-semibold text-primary-500 text-lg mb-1">
-                {slot.formattedDate}
+                {slot.seriesLabel || slot.formattedDate}
               </div>
               <div className="text-text-body text-base mb-1">
-                {slot.formattedTime}
+                {slot.seriesLabel
+                  ? `${slot.weeks} weekly ${slot.durationMinutes}-minute sessions (books the first session only)`
+                  : slot.formattedTime}
               </div>
               <div className="text-text-secondary text-sm">
                 {slot.timezoneName}
               </div>
+              {languageLabel && (
+                <span className="inline-block mt-2 px-2 py-0.5 rounded-full bg-primary-100 text-primary-700 text-xs font-medium">
+                  Speaks {languageLabel}
+                </span>
+              )}
+              <ClinicianProfile clinician={slot.clinician} />
             </div>
           </div>
         </div>
@@ -68,7 +83,9 @@ export default function SlotCard({ slot, isSelected, onSelect }) {
             size="medium"
             onClick={handleSelect}
             onKeyDown={handleKeyDown}
-            ariaLabel={`Select appointment on ${slot.formattedDate} at ${slot.formattedTime}`}
+            ariaLabel={slot.seriesLabel
+              ? `Select weekly appointments, ${slot.seriesLabel}, booking the first session only`
+              : `Select appointment on ${slot.formattedDate} at ${slot.formattedTime}`}
             className="min-w-[140px]"
           >
             {isSelected ? 'Selected' : 'Select This Time'}
@@ -1,16 +1,26 @@
 'use client'
 
 import { useCallback, useEffect, useRef, useState } from 'react'
-import { SYMPTOMS, SYMPTOM_CATEGORIES, getSymptomsByCategory } from '@/lib/constants/symptom-mapping'
+import { SYMPTOMS, SYMPTOM_CATEGORIES, getSymptomsByCategory, getSafetyConcerns } from '@/lib/constants/symptom-mapping'
 import Button from '@/components/shared/Button'
+import CrisisResources from './CrisisResources'
 
 /**
  * SymptomReviewForm Component
  * 
  * Displays and allows editing of extracted symptoms organized by category.
  * Features auto-save with visual confirmation and professional clinical format.
+ * Crisis resources are shown as soon as any Safety Concerns symptom is marked Daily or Some,
+ * or when crisis language was detected in the narrative answers.
  */
-export default function SymptomReviewForm({ extractedSymptoms, onSymptomChange, onContinue, saveConfirmations = {} }) {
+export default function SymptomReviewForm({
+  extractedSymptoms,
+  onSymptomChange,
+  onContinue,
+  saveConfirmations = {},
+  safetyFollowUpStatus = 'pending',
+  crisisLanguageDetected = false,
+}) {
   const continueButtonRef = useRef(null)
   const firstEmptyDropdownRef = useRef(null)
   const firstDropdownRef = useRef(null)
@@ -47,6 +57,7 @@ export default function SymptomReviewForm({ extractedSymptoms, onSymptomChange,
   }, [localSymptoms])
 
   const summary = calculateSummary()
+  const hasSafetyConcerns = crisisLanguageDetected || Object.keys(getSafetyConcerns(localSymptoms)).length > 0
 
   // Handle symptom change - update local state immediately, then call parent handler
   const handleSymptomChange = useCallback((symptomKey, newValue) => {
@@ -84,6 +95,9 @@ export default function SymptomReviewForm({ extractedSymptoms, onSymptomChange,
         Skip to continue button
       </a>
 
+      {/* Crisis resources */}
+      {hasSafetyConcerns && <CrisisResources followUpStatus={safetyFollowUpStatus} />}
+
       {/* Explanatory text */}
       <div className="mb-6">
         <p className="text-base text-text-body">
@@ -1,11 +1,17 @@
 'use client'
 
 import { useState, useRef, useCallback } from 'react'
-import { XMarkIcon, PhotoIcon, DocumentIcon } from '@heroicons/react/24/outline'
+import { XMarkIcon, PhotoIcon, DocumentIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { preprocessImage, isHeicFile, HEIC_ACCEPT } from '@/lib/utils/image-preprocessing'
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB in bytes
 const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf']
 
+const QUALITY_MESSAGES = {
+  blurry: 'This photo looks blurry. Hold the camera steady and make sure the text is in focus.',
+  glare: 'There is glare on this photo. Tilt the card or move away from direct light.',
+}
+
 /**
  * FileUpload Component
  * 
@@ -21,6 +27,14 @@ const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'
  * @param {string} props.error - Error message to display
  * @param {boolean} props.required - Whether the field is required
  * @param {string} props.className - Additional CSS classes
+ * @param {Array} props.pages - Rendered pages of a PDF preview: { id, label, thumbnail }
+ * @param {Array} props.pagePickers - Page choices shown under a PDF preview:
+ *   { id, label, selectedPageId, onSelect(pageId|null), allowNone }
+ * @param {string} props.pagesNote - Note shown under the page thumbnails
+ * @param {boolean} props.preprocess - Prepare photos in the browser before handing them
+ *   to onFileSelect: HEIC is converted to JPEG, EXIF orientation applied, the photo
+ *   cropped to the card and scaled down, and blur/glare warnings shown. onFileSelect
+ *   then receives (file, { quality, cropped, converted })
  */
 export default function FileUpload({
   label,
@@ -32,19 +46,27 @@ export default function FileUpload({
   error = null,
   required = false,
   className = '',
+  pages = [],
+  pagePickers = [],
+  pagesNote = null,
+  preprocess = false,
 }) {
   const [isDragging, setIsDragging] = useState(false)
   const [internalError, setInternalError] = useState(null)
+  const [isProcessing, setIsProcessing] = useState(false)
+  const [processed, setProcessed] = useState(null)
   const fileInputRef = useRef(null)
   const dropZoneRef = useRef(null)
 
   // Validate file
   const validateFile = useCallback((file) => {
     // Check file type
-    if (!ALLOWED_TYPES.includes(file.type)) {
+    if (!ALLOWED_TYPES.includes(file.type) && !(preprocess && isHeicFile(file))) {
       return {
         valid: false,
-        error: "This file type is not supported. Please upload a JPEG, PNG, or PDF file.",
+        error: preprocess
+          ? "This file type is not supported. Please upload a JPEG, PNG, HEIC, or PDF file."
+          : "This file type is not supported. Please upload a JPEG, PNG, or PDF file.",
       }
     }
 
@@ -57,11 +79,12 @@ export default function FileUpload({
     }
 
     return { valid: true, error: null }
-  }, [maxSize])
+  }, [maxSize, preprocess])
 
   // Handle file selection
-  const handleFileSelect = useCallback((file) => {
+  const handleFileSelect = useCallback(async (file) => {
     setInternalError(null)
+    setProcessed(null)
     
     // Handle null/undefined file
     if (!file) {
@@ -86,8 +109,30 @@ export default function FileUpload({
       return
     }
 
-    onFileSelect?.(file)
-  }, [validateFile, onFileSelect])
+    if (!preprocess) {
+      onFileSelect?.(file)
+      return
+    }
+
+    setIsProcessing(true)
+    try {
+      const result = await preprocessImage(file)
+      setProcessed({ file: result.file, warnings: result.quality?.warnings || [] })
+      onFileSelect?.(result.file, {
+        quality: result.quality,
+        cropped: result.cropped,
+        converted: result.converted,
+      })
+    } catch (error) {
+      console.error('Error preparing image:', error)
+      setInternalError(error.code === 'HEIC_UNREADABLE'
+        ? 'We couldn\'t read this HEIC photo. Please export it as a JPEG or take a screenshot and try again.'
+        : 'We couldn\'t read this image. Please try a different photo.')
+      onFileSelect?.(null)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [validateFile, onFileSelect, preprocess])
 
   // Handle drag events
   const handleDragEnter = useCallback((e) => {
@@ -114,6 +159,7 @@ export default function FileUpload({
     e.preventDefault()
     e.stopPropagation()
     setIsDragging(false)
+    if (isProcessing) return
 
     try {
       const files = Array.from(e.dataTransfer.files || [])
@@ -126,7 +172,7 @@ export default function FileUpload({
       console.error('Error handling file drop:', error)
       setInternalError('An error occurred while processing the file. Please try again.')
     }
-  }, [handleFileSelect])
+  }, [handleFileSelect, isProcessing])
 
   // Handle file input change
   const handleInputChange = useCallback((e) => {
@@ -147,13 +193,15 @@ export default function FileUpload({
 
   // Handle click to browse
   const handleClick = useCallback(() => {
+    if (isProcessing) return
     fileInputRef.current?.click()
-  }, [])
+  }, [isProcessing])
 
   // Handle remove
   const handleRemove = useCallback((e) => {
     e.stopPropagation()
     setInternalError(null)
+    setProcessed(null)
     if (fileInputRef.current) {
       fileInputRef.current.value = ''
     }
@@ -167,6 +215,9 @@ export default function FileUpload({
   // Display error (prop error takes precedence)
   const displayError = error || internalError
 
+  // Quality warnings belong to the photo they were measured on
+  const qualityWarnings = processed && processed.file === preview ? processed.warnings : []
+
   return (
     <div className={`w-full ${className}`}>
       {/* Label */}
@@ -184,7 +235,7 @@ export default function FileUpload({
       <input
         ref={fileInputRef}
         type="file"
-        accept={accept}
+        accept={preprocess ? `${accept},${HEIC_ACCEPT}` : accept}
         onChange={handleInputChange}
         className="hidden"
         id={fileInputRef.current?.id || `file-upload-${label}`}
@@ -243,6 +294,65 @@ export default function FileUpload({
                 </button>
               </div>
             ) : null}
+
+            {/* PDF page thumbnails */}
+            {isPDF && pages.length > 0 && pagePickers.map((picker) => (
+              <fieldset key={picker.id} className="mt-4">
+                <legend className="text-sm font-medium text-text-body mb-2">{picker.label}</legend>
+                <div className="flex flex-wrap gap-3">
+                  {pages.map((page) => {
+                    const isSelected = picker.selectedPageId === page.id
+                    return (
+                      <button
+                        key={page.id}
+                        type="button"
+                        onClick={() => picker.onSelect?.(page.id)}
+                        className={`rounded border-2 p-1 bg-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
+                          isSelected ? 'border-primary-500' : 'border-neutral-200 hover:border-primary-300'
+                        }`}
+                        aria-pressed={isSelected}
+                        aria-label={`${picker.label}: ${page.label}`}
+                      >
+                        {/* eslint-disable-next-line @next/next/no-img-element */}
+                        <img
+                          src={page.thumbnail}
+                          alt=""
+                          className="h-[100px] w-auto object-contain"
+                        />
+                        <span className="block text-xs text-text-secondary mt-1">{page.label}</span>
+                      </button>
+                    )
+                  })}
+                  {picker.allowNone && (
+                    <button
+                      type="button"
+                      onClick={() => picker.onSelect?.(null)}
+                      className={`rounded border-2 px-3 text-xs text-text-secondary bg-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
+                        picker.selectedPageId === null ? 'border-primary-500' : 'border-neutral-200 hover:border-primary-300'
+                      }`}
+                      aria-pressed={picker.selectedPageId === null}
+                    >
+                      None
+                    </button>
+                  )}
+                </div>
+              </fieldset>
+            ))}
+            {isPDF && pages.length > 0 && pagesNote && (
+              <p className="text-xs text-text-secondary mt-2">{pagesNote}</p>
+            )}
+
+            {/* Photo quality warnings */}
+            {qualityWarnings.length > 0 && (
+              <ul className="mt-4 space-y-2" aria-live="polite">
+                {qualityWarnings.map((warning) => (
+                  <li key={warning} className="flex items-start gap-2 text-sm text-warning-600">
+                    <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" aria-hidden="true" />
+                    <span>{QUALITY_MESSAGES[warning]}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         </div>
       ) : (
@@ -266,6 +376,7 @@ export default function FileUpload({
           `}
           role="button"
           tabIndex={0}
+          aria-busy={isProcessing}
           aria-label={`${label || 'File upload'} - Drag and drop or click to browse`}
           onKeyDown={(e) => {
             if (e.key === 'Enter' || e.key === ' ') {
@@ -274,14 +385,23 @@ export default function FileUpload({
             }
           }}
         >
-          <PhotoIcon className="mx-auto h-12 w-12 text-neutral-400 mb-4" />
-          <p className="text-sm font-medium text-text-body mb-1">
-            Drag and drop your file here, or click to browse
-          </p>
-          <p className="text-xs text-text-secondary">
-            JPEG, PNG, or PDF (max 10MB)
-          </p>
-          {!preview && (
+          {isProcessing ? (
+            <div className="flex flex-col items-center gap-3" aria-live="polite">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+              <p className="text-sm font-medium text-text-body">Preparing your photo...</p>
+            </div>
+          ) : (
+            <>
+              <PhotoIcon className="mx-auto h-12 w-12 text-neutral-400 mb-4" />
+              <p className="text-sm font-medium text-text-body mb-1">
+                Drag and drop your file here, or click to browse
+              </p>
+              <p className="text-xs text-text-secondary">
+                {preprocess ? 'JPEG, PNG, HEIC, or PDF (max 10MB)' : 'JPEG, PNG, or PDF (max 10MB)'}
+              </p>
+            </>
+          )}
+          {!preview && !isProcessing && (
             <p className="text-xs text-neutral-400 mt-2">
               Please submit your insurance card to continue
             </p>
@@ -0,0 +1,161 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Button from '@/components/shared/Button'
+
+/**
+ * SaveForLaterDialog Component
+ *
+ * Modal that collects the parent's email and sends a "finish later" link.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSubmit - Async handler called with the email, resolves to { expiresAt }
+ * @param {string} props.note - Optional note about what is (not) saved on this screen
+ */
+export default function SaveForLaterDialog({ isOpen, onClose, onSubmit, note }) {
+  const [email, setEmail] = useState('')
+  const [status, setStatus] = useState('idle') // 'idle' | 'sending' | 'sent'
+  const [error, setError] = useState(null)
+  const [expiresAt, setExpiresAt] = useState(null)
+
+  // Reset when reopened
+  useEffect(() => {
+    if (isOpen) {
+      setStatus('idle')
+      setError(null)
+    }
+  }, [isOpen])
+
+  // Handle Escape key to close
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && status !== 'sending') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscape)
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, status, onClose])
+
+  if (!isOpen) return null
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      setError('Please enter a valid email address')
+      return
+    }
+
+    setStatus('sending')
+    setError(null)
+    try {
+      const result = await onSubmit(email.trim())
+      setExpiresAt(result?.expiresAt || null)
+      setStatus('sent')
+    } catch (submitError) {
+      console.error('Save for later error:', submitError)
+      setError('We couldn\'t send your link. Please try again.')
+      setStatus('idle')
+    }
+  }
+
+  const expiresOn = expiresAt
+    ? new Date(expiresAt).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })
+    : null
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={() => status !== 'sending' && onClose()}
+    >
+      <div
+        className="bg-white rounded-lg max-w-md w-full p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="save-for-later-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="save-for-later-title" className="text-2xl font-heading font-bold text-primary-500 mb-2">
+          Save and finish later
+        </h2>
+
+        {status === 'sent' ? (
+          <>
+            <p className="text-base text-text-body mb-2" role="status">
+              We sent a link to <strong>{email.trim()}</strong>. Open it on any device to pick up where you left off.
+            </p>
+            {expiresOn && (
+              <p className="text-sm text-text-secondary mb-6">
+                The link expires on {expiresOn}.
+              </p>
+            )}
+            <div className="flex justify-end">
+              <Button onClick={onClose} variant="primary" size="medium" ariaLabel="Close">
+                Done
+              </Button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} noValidate>
+            <p className="text-base text-text-body mb-4">
+              We&apos;ll email you a secure link to continue where you left off.
+            </p>
+            {note && (
+              <p className="text-sm text-text-secondary mb-4">
+                {note}
+              </p>
+            )}
+
+            <label htmlFor="save-for-later-email" className="block text-sm font-medium text-text-body mb-1">
+              Email address
+            </label>
+            <input
+              id="save-for-later-email"
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white shadow-sm"
+              aria-invalid={!!error}
+              aria-describedby={error ? 'save-for-later-error' : undefined}
+              autoFocus
+            />
+            {error && (
+              <p id="save-for-later-error" className="mt-2 text-sm text-red-600" role="alert">
+                {error}
+              </p>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+              <Button
+                onClick={onClose}
+                variant="text"
+                size="medium"
+                disabled={status === 'sending'}
+                ariaLabel="Cancel"
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="primary"
+                size="medium"
+                loading={status === 'sending'}
+                disabled={status === 'sending'}
+                ariaLabel="Email me a link"
+              >
+                Email me a link
+              </Button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
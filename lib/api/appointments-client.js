@@ -0,0 +1,103 @@
+/**
+ * Appointments API Client
+ *
+ * Client-side functions for booking appointments.
+ * Errors carry the API's `code` (e.g. 'SLOT_TAKEN') so the UI can react to conflicts.
+ */
+
+const API_BASE = '/api/appointments';
+
+/**
+ * Build an Error from a failed API response
+ * @param {Response} response - Fetch response
+ * @param {string} fallbackMessage - Message used when the body has none
+ * @returns {Promise<Error>} Error with status and code attached
+ */
+async function toError(response, fallbackMessage) {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (parseError) {
+    // Non-JSON error body
+  }
+
+  const error = new Error(body.error || fallbackMessage);
+  error.status = response.status;
+  error.code = body.code || null;
+  return error;
+}
+
+/**
+ * Hold a matched slot for an onboarding session
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} slot - Slot from /api/match-availability
+ * @returns {Promise<object>} Held appointment
+ */
+export async function holdAppointment(sessionId, slot) {
+  const response = await fetch(API_BASE, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ sessionId, slot }),
+  });
+
+  if (!response.ok) {
+    throw await toError(response, 'Failed to hold appointment');
+  }
+
+  return response.json();
+}
+
+/**
+ * Confirm a held appointment
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {Promise<object>} Confirmed appointment
+ */
+export async function confirmAppointment(appointmentId, sessionId) {
+  return updateAppointmentStatus(appointmentId, sessionId, 'confirmed');
+}
+
+/**
+ * Release a hold so the slot is offered to other families again
+ * @param {string} appointmentId - UUID of the held appointment
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {Promise<object>} Released appointment
+ */
+export async function releaseHold(appointmentId, sessionId) {
+  return updateAppointmentStatus(appointmentId, sessionId, 'released');
+}
+
+/**
+ * Cancel a held or confirmed appointment
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {Promise<object>} Cancelled appointment
+ */
+export async function cancelAppointment(appointmentId, sessionId) {
+  return updateAppointmentStatus(appointmentId, sessionId, 'cancelled');
+}
+
+/**
+ * PATCH an appointment's status
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {string} status - 'confirmed', 'released' or 'cancelled'
+ * @returns {Promise<object>} Updated appointment
+ */
+async function updateAppointmentStatus(appointmentId, sessionId, status) {
+  const response = await fetch(`${API_BASE}?appointmentId=${encodeURIComponent(appointmentId)}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ sessionId, status }),
+  });
+
+  if (!response.ok) {
+    throw await toError(response, 'Failed to update appointment');
+  }
+
+  return response.json();
+}
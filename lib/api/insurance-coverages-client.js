@@ -0,0 +1,48 @@
+/**
+ * Insurance Coverages API Client
+ *
+ * Client-side functions for saving the insurance card a family reviewed
+ * and reading back the coverages on file.
+ */
+
+const API_BASE = '/api/insurance-coverages';
+
+/**
+ * Save a reviewed insurance card
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} coverage - { level, insuranceData, credentialedInsuranceId }
+ * @returns {Promise<object>} Saved coverage
+ */
+export async function saveInsuranceCoverage(sessionId, { level, insuranceData, credentialedInsuranceId = null }) {
+  const response = await fetch(API_BASE, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ sessionId, level, insuranceData, credentialedInsuranceId }),
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    throw new Error(errorBody.error || 'Failed to save insurance');
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the coverages on file for a session's patient
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {Promise<array>} Coverages, primary first
+ */
+export async function getInsuranceCoverages(sessionId) {
+  const response = await fetch(`${API_BASE}?sessionId=${encodeURIComponent(sessionId)}`);
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    throw new Error(errorBody.error || 'Failed to load insurance');
+  }
+
+  const { coverages } = await response.json();
+  return coverages;
+}
@@ -0,0 +1,109 @@
+/**
+ * Onboarding Session API Client
+ *
+ * Client-side functions for interacting with onboarding session API endpoints
+ */
+
+const API_BASE = '/api/onboarding/session';
+
+/**
+ * Create a new onboarding session
+ * @returns {Promise<object>} Created session ({ sessionId, patientId, ... })
+ */
+export async function createOnboardingSession() {
+  const response = await fetch(API_BASE, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to create onboarding session');
+  }
+
+  return response.json();
+}
+
+/**
+ * Get an onboarding session
+ * @param {string} sessionId - UUID of the session
+ * @returns {Promise<object|null>} Session or null if not found
+ */
+export async function getOnboardingSession(sessionId) {
+  const response = await fetch(`${API_BASE}?sessionId=${encodeURIComponent(sessionId)}`);
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get onboarding session');
+  }
+
+  return response.json();
+}
+
+/**
+ * Partial update of an onboarding session
+ * @param {string} sessionId - UUID of the session
+ * @param {object} data - Session fields to update
+ * @returns {Promise<object>} Updated session
+ */
+export async function updateOnboardingSession(sessionId, data) {
+  const response = await fetch(`${API_BASE}?sessionId=${encodeURIComponent(sessionId)}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ data }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to update onboarding session');
+  }
+
+  return response.json();
+}
+
+/**
+ * Email a "save and finish later" link for an onboarding session
+ * @param {string} sessionId - UUID of the session
+ * @param {string} email - Parent's email address
+ * @returns {Promise<{success: boolean, expiresAt: number}>} Result with link expiry
+ */
+export async function requestResumeLink(sessionId, email) {
+  const response = await fetch('/api/onboarding/resume', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ sessionId, email }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to send resume link');
+  }
+
+  return response.json();
+}
+
+/**
+ * Restore an onboarding session from a resume link token
+ * @param {string} token - Token from the resume link
+ * @returns {Promise<object>} Session
+ */
+export async function resumeOnboardingSession(token) {
+  const response = await fetch(`/api/onboarding/resume?token=${encodeURIComponent(token)}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to resume onboarding session');
+  }
+
+  return response.json();
+}
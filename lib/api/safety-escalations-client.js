@@ -0,0 +1,51 @@
+/**
+ * Safety Escalations API Client
+ *
+ * Client-side functions for flagging a session for urgent care-coordinator
+ * follow-up when safety concerns or crisis language are reported.
+ */
+
+const API_BASE = '/api/safety-escalations';
+
+/**
+ * Post an escalation report
+ * @param {object} body - Request body
+ * @returns {Promise<object>} { escalationId, status }
+ */
+async function postEscalation(body) {
+  const response = await fetch(API_BASE, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    throw new Error(errorBody.error || 'Failed to report safety concerns');
+  }
+
+  return response.json();
+}
+
+/**
+ * Flag a session for urgent follow-up
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} concerns - Safety symptom key -> "Daily" | "Some" (see getSafetyConcerns)
+ * @returns {Promise<object>} { escalationId, status }
+ */
+export async function reportSafetyConcerns(sessionId, concerns) {
+  return postEscalation({ sessionId, concerns });
+}
+
+/**
+ * Flag a session whose narrative answers contain crisis language
+ * Only the risk level and categories are sent - never the answer text.
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} crisisLanguage - { riskLevel, categories } (see detectCrisisLanguageInAnswers)
+ * @returns {Promise<object>} { escalationId, status }
+ */
+export async function reportCrisisLanguage(sessionId, crisisLanguage) {
+  return postEscalation({ sessionId, crisisLanguage });
+}
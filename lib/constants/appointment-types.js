@@ -0,0 +1,77 @@
+/**
+ * Appointment Type Constants
+ *
+ * What a family can schedule, and how each type is matched and booked:
+ * session length, the start-time grid, the gap kept free around a clinician's
+ * other sessions, and how many options to show. Therapy types are offered
+ * only when the organization's contract includes their service
+ * (contracts.services, e.g. ["individual_therapy", "family_therapy"]).
+ */
+
+export const APPOINTMENT_TYPES = [
+  {
+    id: 'intake_call',
+    label: 'Intake call',
+    description: 'A 15-minute call with a care coordinator to get started',
+    service: null, // Every contract includes intake
+    durationMinutes: 15,
+    stepMinutes: 15,
+    bufferMinutes: 0,
+    maxResults: 8,
+    recurring: false,
+  },
+  {
+    id: 'individual_therapy',
+    label: 'Therapy session',
+    description: 'A 50-minute session for your child with a therapist',
+    service: 'individual_therapy',
+    durationMinutes: 50,
+    stepMinutes: 30,
+    bufferMinutes: 10,
+    maxResults: 5,
+    recurring: true,
+  },
+  {
+    id: 'family_therapy',
+    label: 'Family session',
+    description: 'A 50-minute session for your child and family with a therapist',
+    service: 'family_therapy',
+    durationMinutes: 50,
+    stepMinutes: 30,
+    bufferMinutes: 10,
+    maxResults: 5,
+    recurring: true,
+  },
+]
+
+export const DEFAULT_APPOINTMENT_TYPE = 'individual_therapy'
+
+/**
+ * Look up an appointment type by id
+ * @param {string} id - Appointment type id (e.g. "family_therapy")
+ * @returns {Object|null} Appointment type, or null if unknown
+ */
+export const getAppointmentType = (id) => {
+  return APPOINTMENT_TYPES.find(type => type.id === id) || null
+}
+
+/**
+ * Check whether a value is a known appointment type id
+ * @param {*} id - Value to check
+ * @returns {boolean} True if known
+ */
+export const isValidAppointmentType = (id) => {
+  return getAppointmentType(id) !== null
+}
+
+/**
+ * Appointment types covered by a contract's services
+ * @param {Array<string>|null} services - Contracted services (null = no contract on file, offer every type)
+ * @returns {Array<Object>} Appointment types
+ */
+export const getAppointmentTypesForServices = (services) => {
+  if (!Array.isArray(services)) {
+    return APPOINTMENT_TYPES
+  }
+  return APPOINTMENT_TYPES.filter(type => type.service === null || services.includes(type.service))
+}
@@ -0,0 +1,46 @@
+/**
+ * Care Language Constants
+ *
+ * Languages families can request for sessions. Codes are ISO 639-2, matching
+ * clinicians.care_languages (e.g. ["eng", "spa"]).
+ */
+
+export const CARE_LANGUAGES = [
+  { code: 'eng', label: 'English', aliases: ['en', 'english'] },
+  { code: 'spa', label: 'Spanish', aliases: ['es', 'spanish', 'español', 'espanol'] },
+  { code: 'zho', label: 'Chinese (Mandarin or Cantonese)', aliases: ['zh', 'chi', 'chinese', 'mandarin', 'cantonese'] },
+  { code: 'vie', label: 'Vietnamese', aliases: ['vi', 'vietnamese'] },
+  { code: 'tgl', label: 'Tagalog', aliases: ['tl', 'tagalog', 'filipino'] },
+  { code: 'kor', label: 'Korean', aliases: ['ko', 'korean'] },
+  { code: 'ara', label: 'Arabic', aliases: ['ar', 'arabic'] },
+  { code: 'fra', label: 'French', aliases: ['fr', 'fre', 'french'] },
+  { code: 'por', label: 'Portuguese', aliases: ['pt', 'portuguese'] },
+  { code: 'rus', label: 'Russian', aliases: ['ru', 'russian'] },
+  { code: 'hin', label: 'Hindi', aliases: ['hi', 'hindi'] },
+  { code: 'ase', label: 'American Sign Language', aliases: ['asl', 'american sign language', 'sign language'] },
+]
+
+/**
+ * Normalize a language code or name to an ISO 639-2 care language code
+ * @param {string} value - Code or name (e.g. "es", "spa", "Spanish")
+ * @returns {string|null} Care language code, or null if not supported
+ */
+export const normalizeLanguageCode = (value) => {
+  if (typeof value !== 'string') {
+    return null
+  }
+
+  const normalized = value.trim().toLowerCase()
+  const language = CARE_LANGUAGES.find(l => l.code === normalized || l.aliases.includes(normalized))
+  return language ? language.code : null
+}
+
+/**
+ * Get the display label for a care language code
+ * @param {string} code - Care language code
+ * @returns {string} Label, or the code itself if unknown
+ */
+export const getLanguageLabel = (code) => {
+  const language = CARE_LANGUAGES.find(l => l.code === code)
+  return language ? language.label : code
+}
@@ -0,0 +1,54 @@
+/**
+ * Insurance Coverage Constants
+ *
+ * Codes used by the insurance_coverages table (see migration 004) for
+ * coverages a family enters during onboarding.
+ */
+
+// insurance_coverages.level: a child can have primary and secondary insurance
+export const COVERAGE_LEVELS = [
+  { id: 'primary', label: 'Primary insurance', level: 1 },
+  { id: 'secondary', label: 'Secondary insurance', level: 2 },
+]
+
+export const DEFAULT_COVERAGE_LEVEL = 'primary'
+
+// insurance_coverages.kind: 0=non-insurance, 2=insurance
+export const COVERAGE_KIND_INSURANCE = 2
+
+// insurance_coverages.eligibility: 0=unknown, 2=submitted, 4=eligible, 6=expired
+export const ELIGIBILITY_STATUSES = {
+  0: 'unknown',
+  2: 'submitted',
+  4: 'eligible',
+  6: 'expired',
+}
+
+export const ELIGIBILITY_SUBMITTED = 2
+
+/**
+ * Check whether a coverage level id is known
+ * @param {string} id - Coverage level id
+ * @returns {boolean} True if known
+ */
+export function isValidCoverageLevel(id) {
+  return COVERAGE_LEVELS.some(level => level.id === id)
+}
+
+/**
+ * Get a coverage level by id
+ * @param {string} id - Coverage level id ('primary' or 'secondary')
+ * @returns {Object|null} Coverage level, or null if unknown
+ */
+export function getCoverageLevel(id) {
+  return COVERAGE_LEVELS.find(level => level.id === id) || null
+}
+
+/**
+ * Get a coverage level by its insurance_coverages.level number
+ * @param {number} level - Level number
+ * @returns {Object} Coverage level (primary for unknown numbers)
+ */
+export function getCoverageLevelByNumber(level) {
+  return COVERAGE_LEVELS.find(entry => entry.level === level) || getCoverageLevel(DEFAULT_COVERAGE_LEVEL)
+}
@@ -69,3 +69,23 @@ export const getAllSymptomKeys = () => {
   return SYMPTOMS.map(s => s.key)
 }
 
+
+/**
+ * Get reported Safety Concerns symptoms (suicidal thoughts, self-harm, hearing/seeing things)
+ * @param {Object} symptoms - Symptom key → "Daily" | "Some" | "None" | ""
+ * @returns {Object} Safety symptom key → "Daily" | "Some" for each concern reported
+ */
+export const getSafetyConcerns = (symptoms) => {
+  const concerns = {}
+  if (!symptoms || typeof symptoms !== 'object') {
+    return concerns
+  }
+
+  getSymptomsByCategory('Safety Concerns').forEach(symptom => {
+    const value = symptoms[symptom.key]
+    if (value === 'Daily' || value === 'Some') {
+      concerns[symptom.key] = value
+    }
+  })
+  return concerns
+}
@@ -1,12 +1,21 @@
 'use client'
 
-import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react'
 import { 
   saveToLocalStorage, 
   loadFromLocalStorage,
   removeFromLocalStorage
 } from '../utils/localStorage'
 import { getAllSymptomKeys } from '../constants/symptom-mapping'
+import { sanitizeUuid } from '../utils/sanitization'
+import { isValidUSState } from '../utils/insurance-validation'
+import { RISK_LEVELS, maxRiskLevel } from '../utils/crisis-language-detector'
+import {
+  createOnboardingSession,
+  updateOnboardingSession,
+  requestResumeLink,
+  resumeOnboardingSession
+} from '../api/onboarding-client'
 
 /**
  * OnboardingContext
@@ -17,6 +26,15 @@ import { getAllSymptomKeys } from '../constants/symptom-mapping'
  * - Extraction metadata
  * - Insurance upload status
  * - FAQ open/closed state
+ * - Scheduling conversation (recent availability messages, sessionStorage only)
+ * - Crisis language risk from the narrative answers (sessionStorage only)
+ * - Server-side onboarding session (sessionId/patientId)
+ *
+ * State is cached in sessionStorage and synced to the server-side onboarding
+ * session once the user leaves the landing page. Opening the app with
+ * `?resume={token}` (a signed "save and finish later" link) hydrates state
+ * from the server so a parent can resume on another device. The session id
+ * on its own never restores a session.
  */
 
 const OnboardingContext = createContext(undefined)
@@ -28,30 +46,104 @@ const STORAGE_KEYS = {
   INSURANCE_UPLOADED: 'insurance_uploaded',
   FAQ_OPEN: 'faq_open',
   SCHEDULING_INPUT: 'scheduling_input',
+  SCHEDULING_CONVERSATION: 'scheduling_conversation',
+  PATIENT_STATE: 'patient_state',
   INTERPRETED_PREFERENCES: 'interpreted_preferences',
   MATCHED_SLOTS: 'matched_slots',
   SELECTED_SLOT: 'selected_slot',
   APPOINTMENT_CONFIRMED: 'appointment_confirmed',
+  APPOINTMENT: 'appointment',
+  CRISIS_RISK_LEVEL: 'crisis_risk_level',
+  SESSION_ID: 'session_id',
+  PATIENT_ID: 'patient_id',
 }
 
+// Debounce delay for syncing state to the server-side session
+const SERVER_SYNC_DELAY = 1000
+
+// Scheduling conversation turns kept (parent messages and our replies)
+const MAX_SCHEDULING_TURNS = 10
+const SCHEDULING_TURN_ROLES = ['parent', 'assistant']
+
 const INITIAL_STATE = {
   currentStep: 1,
   extractedSymptoms: {},
   extractionMetadata: { extractedAt: null, model: null },
   insuranceUploaded: false,
-  extractedInsuranceData: null, // Extracted insurance data (not persisted)
-  insuranceValidationResults: null, // Insurance validation results (not persisted)
+  extractedInsuranceData: null, // Extracted insurance data (server session only)
+  insuranceValidationResults: null, // Insurance validation results (server session only)
   faqOpen: false,
   schedulingInput: '',
+  schedulingConversation: [], // Recent scheduling turns ({ role, text }), oldest first (sessionStorage only)
+  patientState: null, // Two-letter US state the child lives in (for clinician licensure)
   interpretedPreferences: null,
   matchedSlots: [],
   selectedSlot: null,
   appointmentConfirmed: false,
+  appointment: null, // Booked appointment ({ appointmentId, bookingReference, status, ... })
+  crisisRiskLevel: 'none', // Highest crisis-language risk detected in the narrative answers (sessionStorage only)
+  sessionId: null,
+  patientId: null,
+}
+
+/**
+ * Map a server-side onboarding session to context state
+ * @param {Object} session - Session returned by /api/onboarding/session
+ * @returns {Object} Partial context state
+ */
+function sessionToState(session) {
+  return {
+    currentStep: session.currentStep,
+    extractedSymptoms: session.extractedSymptoms,
+    extractionMetadata: session.extractionMetadata,
+    insuranceUploaded: session.insuranceData !== null,
+    extractedInsuranceData: session.insuranceData,
+    insuranceValidationResults: session.insuranceValidation,
+    schedulingInput: session.schedulingInput,
+    patientState: session.patientState,
+    interpretedPreferences: session.interpretedPreferences,
+    matchedSlots: session.matchedSlots,
+    selectedSlot: session.selectedSlot,
+    appointmentConfirmed: session.appointmentConfirmed,
+    appointment: session.appointment || null,
+    sessionId: session.sessionId,
+    patientId: session.patientId,
+  }
+}
+
+/**
+ * Map context state to the fields synced to the server-side session
+ * @param {Object} state - Context state
+ * @returns {Object} Session update payload
+ */
+function stateToSessionData(state) {
+  return {
+    status: state.appointmentConfirmed ? 'completed' : 'in_progress',
+    currentStep: state.currentStep,
+    extractedSymptoms: state.extractedSymptoms,
+    extractionMetadata: state.extractionMetadata,
+    insuranceData: state.extractedInsuranceData,
+    insuranceValidation: state.insuranceValidationResults,
+    schedulingInput: state.schedulingInput,
+    patientState: state.patientState,
+    interpretedPreferences: state.interpretedPreferences,
+    matchedSlots: state.matchedSlots,
+    selectedSlot: state.selectedSlot,
+    appointmentConfirmed: state.appointmentConfirmed,
+  }
 }
 
 export function OnboardingProvider({ children }) {
   const [state, setState] = useState(INITIAL_STATE)
   const [isInitialized, setIsInitialized] = useState(false)
+  const [resumeError, setResumeError] = useState(null)
+  const isCreatingSessionRef = useRef(false)
+  const syncTimerRef = useRef(null)
+  const stateRef = useRef(state)
+
+  useEffect(() => {
+    stateRef.current = state
+  }, [state])
 
   // Validate and sanitize state
   const validateState = useCallback((state) => {
@@ -116,6 +208,18 @@ export function OnboardingProvider({ children }) {
       ? state.schedulingInput
       : ''
 
+    // Validate schedulingConversation (must be an array of { role, text } turns)
+    const schedulingConversation = Array.isArray(state.schedulingConversation)
+      ? state.schedulingConversation
+        .filter(turn => turn && SCHEDULING_TURN_ROLES.includes(turn.role) && typeof turn.text === 'string')
+        .slice(-MAX_SCHEDULING_TURNS)
+      : []
+
+    // Validate patientState (must be a US state abbreviation or null)
+    const patientState = isValidUSState(state.patientState)
+      ? state.patientState.toUpperCase().trim()
+      : null
+
     // Validate interpretedPreferences (must be object or null)
     const interpretedPreferences = (state.interpretedPreferences === null || 
       (typeof state.interpretedPreferences === 'object' && !Array.isArray(state.interpretedPreferences)))
@@ -138,18 +242,33 @@ export function OnboardingProvider({ children }) {
       ? state.appointmentConfirmed
       : false
 
-    // Validate extractedInsuranceData (must be object or null, not persisted)
+    // Validate appointment (must be object or null)
+    const appointment = (state.appointment === null ||
+      (typeof state.appointment === 'object' && !Array.isArray(state.appointment)))
+      ? state.appointment
+      : null
+
+    // Validate crisisRiskLevel (must be a known risk level)
+    const crisisRiskLevel = RISK_LEVELS.includes(state.crisisRiskLevel)
+      ? state.crisisRiskLevel
+      : 'none'
+
+    // Validate extractedInsuranceData (must be object or null)
     const extractedInsuranceData = (state.extractedInsuranceData === null || 
       (typeof state.extractedInsuranceData === 'object' && !Array.isArray(state.extractedInsuranceData)))
       ? state.extractedInsuranceData
       : null
 
-    // Validate insuranceValidationResults (must be object or null, not persisted)
+    // Validate insuranceValidationResults (must be object or null)
     const insuranceValidationResults = (state.insuranceValidationResults === null || 
       (typeof state.insuranceValidationResults === 'object' && !Array.isArray(state.insuranceValidationResults)))
       ? state.insuranceValidationResults
       : null
 
+    // Validate sessionId and patientId (must be UUID or null)
+    const sessionId = sanitizeUuid(state.sessionId)
+    const patientId = sanitizeUuid(state.patientId)
+
     return {
       currentStep: step,
       extractedSymptoms: symptoms,
@@ -159,74 +278,110 @@ export function OnboardingProvider({ children }) {
       insuranceValidationResults,
       faqOpen: faq,
       schedulingInput,
+      schedulingConversation,
+      patientState,
       interpretedPreferences,
       matchedSlots,
       selectedSlot,
       appointmentConfirmed,
+      appointment,
+      crisisRiskLevel,
+      sessionId,
+      patientId,
     }
   }, [])
 
-  // Load state from sessionStorage on mount
+  // Load state from the server session (if resuming) or sessionStorage on mount
   useEffect(() => {
-    try {
-      // Check URL step parameter first (takes precedence over sessionStorage)
-      let initialStep = 1
-      if (typeof window !== 'undefined') {
-        const urlParams = new URLSearchParams(window.location.search)
-        const stepFromUrl = parseInt(urlParams.get('step') || '0', 10)
-        // Valid steps: 1-8, but step 5 is removed
-        if (stepFromUrl >= 1 && stepFromUrl <= 8 && stepFromUrl !== 5) {
-          initialStep = stepFromUrl
+    const initialize = async () => {
+      try {
+        // Check URL step parameter first (takes precedence over sessionStorage)
+        let initialStep = 1
+        let resumeToken = null
+        if (typeof window !== 'undefined') {
+          const urlParams = new URLSearchParams(window.location.search)
+          const stepFromUrl = parseInt(urlParams.get('step') || '0', 10)
+          // Valid steps: 1-8, but step 5 is removed
+          if (stepFromUrl >= 1 && stepFromUrl <= 8 && stepFromUrl !== 5) {
+            initialStep = stepFromUrl
+          }
+          resumeToken = urlParams.get('resume')
+        }
+
+        // Resuming from a "finish later" link: the server session replaces local state
+        if (resumeToken) {
+          try {
+            const session = await resumeOnboardingSession(resumeToken)
+            setState(validateState({ ...INITIAL_STATE, ...sessionToState(session) }))
+            return
+          } catch (error) {
+            console.warn('Unable to resume onboarding session:', error)
+            setResumeError(error.message)
+          }
         }
-      }
       
-      const savedStep = loadFromLocalStorage(STORAGE_KEYS.CURRENT_STEP, 1)
-      const savedSymptoms = loadFromLocalStorage(STORAGE_KEYS.EXTRACTED_SYMPTOMS, {})
-      const savedMetadata = loadFromLocalStorage(STORAGE_KEYS.EXTRACTION_METADATA, { extractedAt: null, model: null })
-      const savedInsurance = loadFromLocalStorage(STORAGE_KEYS.INSURANCE_UPLOADED, false)
-      const savedFaq = loadFromLocalStorage(STORAGE_KEYS.FAQ_OPEN, false)
-      const savedSchedulingInput = loadFromLocalStorage(STORAGE_KEYS.SCHEDULING_INPUT, '')
-      const savedInterpretedPreferences = loadFromLocalStorage(STORAGE_KEYS.INTERPRETED_PREFERENCES, null)
-      const savedMatchedSlots = loadFromLocalStorage(STORAGE_KEYS.MATCHED_SLOTS, [])
-      const savedSelectedSlot = loadFromLocalStorage(STORAGE_KEYS.SELECTED_SLOT, null)
-      const savedAppointmentConfirmed = loadFromLocalStorage(STORAGE_KEYS.APPOINTMENT_CONFIRMED, false)
-
-      // One-time migration: Clear old surveyAnswers if it exists
-      const oldSurveyAnswers = loadFromLocalStorage('survey_answers', null)
-      if (oldSurveyAnswers !== null) {
-        try {
-          removeFromLocalStorage('survey_answers')
-        } catch (migrationError) {
-          console.warn('Error during migration from surveyAnswers:', migrationError)
+        const savedStep = loadFromLocalStorage(STORAGE_KEYS.CURRENT_STEP, 1)
+        const savedSymptoms = loadFromLocalStorage(STORAGE_KEYS.EXTRACTED_SYMPTOMS, {})
+        const savedMetadata = loadFromLocalStorage(STORAGE_KEYS.EXTRACTION_METADATA, { extractedAt: null, model: null })
+        const savedInsurance = loadFromLocalStorage(STORAGE_KEYS.INSURANCE_UPLOADED, false)
+        const savedFaq = loadFromLocalStorage(STORAGE_KEYS.FAQ_OPEN, false)
+        const savedSchedulingInput = loadFromLocalStorage(STORAGE_KEYS.SCHEDULING_INPUT, '')
+        const savedSchedulingConversation = loadFromLocalStorage(STORAGE_KEYS.SCHEDULING_CONVERSATION, [])
+        const savedPatientState = loadFromLocalStorage(STORAGE_KEYS.PATIENT_STATE, null)
+        const savedInterpretedPreferences = loadFromLocalStorage(STORAGE_KEYS.INTERPRETED_PREFERENCES, null)
+        const savedMatchedSlots = loadFromLocalStorage(STORAGE_KEYS.MATCHED_SLOTS, [])
+        const savedSelectedSlot = loadFromLocalStorage(STORAGE_KEYS.SELECTED_SLOT, null)
+        const savedAppointmentConfirmed = loadFromLocalStorage(STORAGE_KEYS.APPOINTMENT_CONFIRMED, false)
+        const savedAppointment = loadFromLocalStorage(STORAGE_KEYS.APPOINTMENT, null)
+        const savedCrisisRiskLevel = loadFromLocalStorage(STORAGE_KEYS.CRISIS_RISK_LEVEL, 'none')
+        const savedSessionId = loadFromLocalStorage(STORAGE_KEYS.SESSION_ID, null)
+        const savedPatientId = loadFromLocalStorage(STORAGE_KEYS.PATIENT_ID, null)
+
+        // One-time migration: Clear old surveyAnswers if it exists
+        const oldSurveyAnswers = loadFromLocalStorage('survey_answers', null)
+        if (oldSurveyAnswers !== null) {
+          try {
+            removeFromLocalStorage('survey_answers')
+          } catch (migrationError) {
+            console.warn('Error during migration from surveyAnswers:', migrationError)
+          }
         }
-      }
 
-      // Use URL step if valid, otherwise use saved step (skip step 5)
-      const finalStep = (initialStep >= 1 && initialStep <= 8 && initialStep !== 5) ? initialStep : (savedStep === 5 ? 1 : savedStep)
-
-      const loadedState = {
-        currentStep: finalStep,
-        extractedSymptoms: savedSymptoms,
-        extractionMetadata: savedMetadata,
-        insuranceUploaded: savedInsurance,
-        faqOpen: savedFaq,
-        schedulingInput: savedSchedulingInput,
-        interpretedPreferences: savedInterpretedPreferences,
-        matchedSlots: savedMatchedSlots,
-        selectedSlot: savedSelectedSlot,
-        appointmentConfirmed: savedAppointmentConfirmed,
-      }
+        // Use URL step if valid, otherwise use saved step (skip step 5)
+        const finalStep = (initialStep >= 1 && initialStep <= 8 && initialStep !== 5) ? initialStep : (savedStep === 5 ? 1 : savedStep)
+
+        const loadedState = {
+          currentStep: finalStep,
+          extractedSymptoms: savedSymptoms,
+          extractionMetadata: savedMetadata,
+          insuranceUploaded: savedInsurance,
+          faqOpen: savedFaq,
+          schedulingInput: savedSchedulingInput,
+          schedulingConversation: savedSchedulingConversation,
+          patientState: savedPatientState,
+          interpretedPreferences: savedInterpretedPreferences,
+          matchedSlots: savedMatchedSlots,
+          selectedSlot: savedSelectedSlot,
+          appointmentConfirmed: savedAppointmentConfirmed,
+          appointment: savedAppointment,
+          crisisRiskLevel: savedCrisisRiskLevel,
+          sessionId: savedSessionId,
+          patientId: savedPatientId,
+        }
 
-      // Validate and sanitize loaded state
-      const validatedState = validateState(loadedState)
-      setState(validatedState)
-    } catch (error) {
-      console.error('Error initializing state:', error)
-      setState(INITIAL_STATE)
-    } finally {
-      // CRITICAL: Always set isInitialized, even if there's an error
-      setIsInitialized(true)
+        // Validate and sanitize loaded state
+        const validatedState = validateState(loadedState)
+        setState(validatedState)
+      } catch (error) {
+        console.error('Error initializing state:', error)
+        setState(INITIAL_STATE)
+      } finally {
+        // CRITICAL: Always set isInitialized, even if there's an error
+        setIsInitialized(true)
+      }
     }
+
+    initialize()
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
@@ -279,6 +434,18 @@ export function OnboardingProvider({ children }) {
       console.warn('Error saving schedulingInput to sessionStorage:', error)
     }
 
+    try {
+      saveToLocalStorage(STORAGE_KEYS.SCHEDULING_CONVERSATION, state.schedulingConversation)
+    } catch (error) {
+      console.warn('Error saving schedulingConversation to sessionStorage:', error)
+    }
+
+    try {
+      saveToLocalStorage(STORAGE_KEYS.PATIENT_STATE, state.patientState)
+    } catch (error) {
+      console.warn('Error saving patientState to sessionStorage:', error)
+    }
+
     try {
       saveToLocalStorage(STORAGE_KEYS.INTERPRETED_PREFERENCES, state.interpretedPreferences)
     } catch (error) {
@@ -296,6 +463,67 @@ export function OnboardingProvider({ children }) {
     } catch (error) {
       console.warn('Error saving selectedSlot to sessionStorage:', error)
     }
+
+    try {
+      saveToLocalStorage(STORAGE_KEYS.APPOINTMENT, state.appointment)
+    } catch (error) {
+      console.warn('Error saving appointment to sessionStorage:', error)
+    }
+
+    try {
+      saveToLocalStorage(STORAGE_KEYS.CRISIS_RISK_LEVEL, state.crisisRiskLevel)
+    } catch (error) {
+      console.warn('Error saving crisisRiskLevel to sessionStorage:', error)
+    }
+
+    try {
+      saveToLocalStorage(STORAGE_KEYS.SESSION_ID, state.sessionId)
+      saveToLocalStorage(STORAGE_KEYS.PATIENT_ID, state.patientId)
+    } catch (error) {
+      console.warn('Error saving session ids to sessionStorage:', error)
+    }
+  }, [state, isInitialized])
+
+  // Create the server-side session once the user leaves the landing page
+  useEffect(() => {
+    if (!isInitialized || state.sessionId || state.currentStep <= 1) return
+    if (isCreatingSessionRef.current) return
+
+    isCreatingSessionRef.current = true
+    createOnboardingSession()
+      .then((session) => {
+        setState(prev => ({ ...prev, sessionId: session.sessionId, patientId: session.patientId }))
+      })
+      .catch((error) => {
+        // Onboarding still works from sessionStorage; retry on the next step change
+        console.warn('Unable to create onboarding session:', error)
+      })
+      .finally(() => {
+        isCreatingSessionRef.current = false
+      })
+  }, [isInitialized, state.sessionId, state.currentStep])
+
+  // Sync state to the server-side session (debounced)
+  useEffect(() => {
+    if (!isInitialized || !state.sessionId) return
+
+    if (syncTimerRef.current) {
+      clearTimeout(syncTimerRef.current)
+    }
+
+    const sessionId = state.sessionId
+    const data = stateToSessionData(state)
+    syncTimerRef.current = setTimeout(() => {
+      updateOnboardingSession(sessionId, data).catch((error) => {
+        console.warn('Unable to sync onboarding session:', error)
+      })
+    }, SERVER_SYNC_DELAY)
+
+    return () => {
+      if (syncTimerRef.current) {
+        clearTimeout(syncTimerRef.current)
+      }
+    }
   }, [state, isInitialized])
 
   // Update current step
@@ -402,6 +630,33 @@ export function OnboardingProvider({ children }) {
     setState(prev => ({ ...prev, schedulingInput: input }))
   }, [])
 
+  // Add a turn to the scheduling conversation, keeping only the most recent
+  const addSchedulingTurn = useCallback((turn) => {
+    if (!turn || !SCHEDULING_TURN_ROLES.includes(turn.role) || typeof turn.text !== 'string') {
+      console.warn('Invalid turn provided to addSchedulingTurn')
+      return
+    }
+    setState(prev => ({
+      ...prev,
+      schedulingConversation: [...prev.schedulingConversation, { role: turn.role, text: turn.text }]
+        .slice(-MAX_SCHEDULING_TURNS),
+    }))
+  }, [])
+
+  // Start the scheduling conversation over
+  const clearSchedulingConversation = useCallback(() => {
+    setState(prev => ({ ...prev, schedulingConversation: [] }))
+  }, [])
+
+  // Update patient state (US state abbreviation or null)
+  const setPatientState = useCallback((patientState) => {
+    if (patientState !== null && !isValidUSState(patientState)) {
+      console.warn('Invalid patientState provided to setPatientState')
+      return
+    }
+    setState(prev => ({ ...prev, patientState: patientState ? patientState.toUpperCase().trim() : null }))
+  }, [])
+
   // Update interpreted preferences
   const setInterpretedPreferences = useCallback((preferences) => {
     if (preferences !== null && (typeof preferences !== 'object' || Array.isArray(preferences))) {
@@ -439,6 +694,27 @@ export function OnboardingProvider({ children }) {
     saveToLocalStorage(STORAGE_KEYS.APPOINTMENT_CONFIRMED, confirmed)
   }, [])
 
+  // Update booked appointment
+  const setAppointment = useCallback((appointment) => {
+    if (appointment !== null && (typeof appointment !== 'object' || Array.isArray(appointment))) {
+      console.warn('Invalid appointment provided to setAppointment')
+      return
+    }
+    setState(prev => ({ ...prev, appointment }))
+  }, [])
+
+  // Record crisis language risk; once detected it stays raised for the session
+  const setCrisisRiskLevel = useCallback((riskLevel) => {
+    if (!RISK_LEVELS.includes(riskLevel)) {
+      console.warn('Invalid riskLevel provided to setCrisisRiskLevel')
+      return
+    }
+    setState(prev => {
+      const crisisRiskLevel = maxRiskLevel(prev.crisisRiskLevel, riskLevel)
+      return crisisRiskLevel === prev.crisisRiskLevel ? prev : { ...prev, crisisRiskLevel }
+    })
+  }, [])
+
   // Update extracted insurance data (not persisted)
   const setExtractedInsuranceData = useCallback((data) => {
     if (data !== null && (typeof data !== 'object' || Array.isArray(data))) {
@@ -457,6 +733,37 @@ export function OnboardingProvider({ children }) {
     setState(prev => ({ ...prev, insuranceValidationResults: results }))
   }, [])
 
+  // Return the server-side session ids, creating the session if needed
+  const ensureSession = useCallback(async () => {
+    const { sessionId, patientId } = stateRef.current
+    if (sessionId) {
+      return { sessionId, patientId }
+    }
+
+    const session = await createOnboardingSession()
+    setState(prev => ({ ...prev, sessionId: session.sessionId, patientId: session.patientId }))
+    return { sessionId: session.sessionId, patientId: session.patientId }
+  }, [])
+
+  // Save progress to the server and email a "finish later" link
+  const saveForLater = useCallback(async (email) => {
+    const { sessionId, patientId } = await ensureSession()
+
+    // Flush pending changes so the link restores the latest state
+    if (syncTimerRef.current) {
+      clearTimeout(syncTimerRef.current)
+    }
+    await updateOnboardingSession(sessionId, stateToSessionData(stateRef.current))
+
+    const { expiresAt } = await requestResumeLink(sessionId, email)
+    return { sessionId, patientId, expiresAt }
+  }, [ensureSession])
+
+  // Clear the resume link error once it has been shown
+  const clearResumeError = useCallback(() => {
+    setResumeError(null)
+  }, [])
+
   // Handle browser back/forward buttons
   useEffect(() => {
     if (typeof window === 'undefined') return
@@ -511,10 +818,19 @@ export function OnboardingProvider({ children }) {
     setInsuranceValidationResults,
     setFaqOpen,
     setSchedulingInput,
+    addSchedulingTurn,
+    clearSchedulingConversation,
+    setPatientState,
     setInterpretedPreferences,
     setMatchedSlots,
     setSelectedSlot,
     setAppointmentConfirmed,
+    setAppointment,
+    setCrisisRiskLevel,
+    ensureSession,
+    saveForLater,
+    resumeError,
+    clearResumeError,
     isInitialized,
   }
 
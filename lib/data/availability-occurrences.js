@@ -0,0 +1,249 @@
+/**
+ * Availability Occurrences
+ *
+ * Fetches candidate availability for matching from the
+ * clinician_availability_occurrences table (migration 017), where repeating
+ * availabilities are already expanded into one row per date. Candidates are
+ * narrowed by date window, weekday and local time band in Postgres, so the
+ * matcher only scores occurrences that could fit the family's preferences.
+ * Weekly series get their own candidates, since they run past the requested
+ * dates.
+ */
+
+import { query } from '../db/client'
+import { buildCandidateFilters, buildSeriesCandidateFilters } from '../utils/candidate-filters'
+import { toPublicClinicianProfile } from '../utils/clinician-profile'
+import { parseSpecialtyCategories } from '../utils/clinician-fit'
+
+const ORGANIZATION_ID = 85685
+
+// Occurrences cover a rolling window, so they're rebuilt at least twice a day
+const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000
+
+// How often to check whether a refresh is due
+const FRESHNESS_CHECK_INTERVAL_MS = 5 * 60 * 1000
+
+let lastFreshnessCheckAt = 0
+let refreshInFlight = null
+
+/**
+ * Rebuild the occurrence table from clinician_availabilities
+ * @returns {Promise<number>} Number of occurrences
+ */
+export async function refreshAvailabilityOccurrences() {
+  const result = await query('SELECT refresh_clinician_availability_occurrences() AS count')
+  const count = result.rows[0].count
+  console.log(`Refreshed availability occurrences. Total records: ${count}`)
+  return count
+}
+
+/**
+ * Refresh the occurrence table if it is empty or stale
+ * Checks at most every few minutes, and runs one refresh at a time per
+ * process; imports refresh it directly. The rebuild takes a while, so request
+ * handlers start it without awaiting it (see refreshOccurrencesInBackground).
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Check even if one ran recently
+ * @returns {Promise<boolean>} True if the table was refreshed
+ */
+export async function ensureOccurrencesFresh({ force = false } = {}) {
+  const now = Date.now()
+  if (refreshInFlight || (!force && now - lastFreshnessCheckAt < FRESHNESS_CHECK_INTERVAL_MS)) {
+    return false
+  }
+  lastFreshnessCheckAt = now
+
+  const result = await query('SELECT MAX(refreshed_at) AS refreshed_at FROM clinician_availability_occurrences')
+  const refreshedAt = result.rows[0].refreshed_at
+  if (refreshedAt && now - new Date(refreshedAt).getTime() < REFRESH_INTERVAL_MS) {
+    return false
+  }
+  if (refreshInFlight) {
+    return false
+  }
+
+  refreshInFlight = refreshAvailabilityOccurrences()
+  try {
+    await refreshInFlight
+  } finally {
+    refreshInFlight = null
+  }
+  return true
+}
+
+/**
+ * Start a staleness check and refresh without waiting for it
+ * Matching keeps reading the last refresh meanwhile.
+ */
+export function refreshOccurrencesInBackground() {
+  ensureOccurrencesFresh().catch(error => {
+    console.error('Error refreshing availability occurrences:', error)
+  })
+}
+
+/**
+ * Build the WHERE clause for candidate occurrences
+ * @param {Object} filters - Filters from buildCandidateFilters
+ * @param {number} organizationId - Parent organization id
+ * @returns {{where: string, params: Array}} SQL conditions and parameters
+ */
+function buildCandidateConditions(filters, organizationId) {
+  const conditions = ['o.parent_organization_id = $1', 'o.range_start > NOW()']
+  const params = [organizationId]
+
+  if (filters.repeatingOnly) {
+    conditions.push('o.expanded_from_repeating')
+  }
+
+  if (filters.specificDates) {
+    params.push(filters.specificDates)
+    conditions.push(`o.local_date = ANY($${params.length}::date[])`)
+  }
+
+  if (filters.dateWindow?.startDate) {
+    params.push(filters.dateWindow.startDate)
+    conditions.push(`o.local_date >= $${params.length}::date`)
+  }
+
+  if (filters.dateWindow?.endDate) {
+    params.push(filters.dateWindow.endDate)
+    conditions.push(`o.local_date <= $${params.length}::date`)
+  }
+
+  if (filters.daysOfWeek) {
+    params.push(filters.daysOfWeek)
+    conditions.push(`o.local_day_of_week = ANY($${params.length}::smallint[])`)
+  }
+
+  if (filters.timeBands) {
+    params.push(filters.timeBands.map(band => band.startMinutes))
+    const startsParam = params.length
+    params.push(filters.timeBands.map(band => band.endMinutes))
+    const endsParam = params.length
+    conditions.push(`EXISTS (
+        SELECT 1 FROM unnest($${startsParam}::int[], $${endsParam}::int[]) AS band(start_minutes, end_minutes)
+        WHERE o.local_start_minutes < band.end_minutes
+          AND o.local_end_minutes > band.start_minutes
+      )`)
+  }
+
+  return { where: conditions.join('\n        AND '), params }
+}
+
+/**
+ * Query candidate occurrences with clinician details
+ * @param {string} where - SQL conditions
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Rows
+ */
+async function queryCandidates(where, params) {
+  // Clinician licensure and languages are joined in so matching can filter on
+  // them; profile fields feed the public clinician card on each slot and
+  // specialties feed symptom-based clinician fit
+  const result = await query(`
+      SELECT
+        o.id,
+        o.availability_id,
+        o.user_id,
+        o.range_start,
+        o.range_end,
+        o.timezone,
+        o.appointment_location_id,
+        o.parent_organization_id,
+        o.expanded_from_repeating,
+        c.licensed_states,
+        c.states_active,
+        c.care_languages,
+        c.first_name,
+        c.last_name,
+        c.preferred_name,
+        c.preferred_pronoun,
+        c.title,
+        c.bio,
+        c.specialties
+      FROM clinician_availability_occurrences o
+      LEFT JOIN LATERAL (
+        SELECT licensed_states, states_active, care_languages,
+               first_name, last_name, preferred_name, preferred_pronoun, title,
+               profile_data->>'bio' AS bio,
+               profile_data->'specialties' AS specialties
+        FROM clinicians
+        WHERE healthie_id = o.user_id::text
+        LIMIT 1
+      ) c ON true
+      WHERE ${where}
+      ORDER BY o.range_start ASC
+    `, params)
+  return result.rows
+}
+
+/**
+ * Convert an occurrence row to the availability record the matcher expects
+ * @param {Object} row - Database row
+ * @returns {Object} Availability record
+ */
+function toAvailabilityRecord(row) {
+  return {
+    // One-time availabilities keep their numeric id; repeating occurrences are "<id>_<date>"
+    id: row.expanded_from_repeating ? row.id : row.availability_id,
+    original_id: row.availability_id,
+    user_id: row.user_id,
+    range_start: row.range_start instanceof Date ? row.range_start.toISOString() : row.range_start,
+    range_end: row.range_end instanceof Date ? row.range_end.toISOString() : row.range_end,
+    timezone: row.timezone,
+    is_repeating: false,
+    expanded_from_repeating: row.expanded_from_repeating,
+    appointment_location_id: row.appointment_location_id,
+    parent_organization_id: row.parent_organization_id,
+    licensed_states: row.licensed_states || [],
+    states_active: row.states_active || [],
+    care_languages: row.care_languages || [],
+    clinician: toPublicClinicianProfile(row),
+    specialty_categories: parseSpecialtyCategories(row),
+  }
+}
+
+/**
+ * Find availability occurrences that could fit the preferences
+ * When nothing matches, the weekday and time filters are dropped, then the
+ * date window, so the matcher can still offer the closest times (specific
+ * dates are always kept).
+ * @param {Object} preferences - Interpreted user preferences
+ * @param {Object} options - Options
+ * @param {number} options.organizationId - Parent organization id
+ * @returns {Promise<Object>} Availability data for the matcher: { all } for
+ *   one-off slots and { series } (repeating occurrences) for matchRecurringSeries
+ */
+export async function findCandidateAvailabilities(preferences, { organizationId = ORGANIZATION_ID } = {}) {
+  const filters = buildCandidateFilters(preferences)
+  let rows = await queryFilteredCandidates(filters, organizationId)
+
+  if (rows.length === 0 && (filters.daysOfWeek || filters.timeBands)) {
+    rows = await queryFilteredCandidates({ ...filters, daysOfWeek: null, timeBands: null }, organizationId)
+  }
+
+  if (rows.length === 0 && filters.dateWindow) {
+    rows = await queryFilteredCandidates({ ...filters, dateWindow: null, daysOfWeek: null, timeBands: null }, organizationId)
+  }
+
+  const all = rows.map(toAvailabilityRecord)
+
+  // Series start on the requested dates but need the following weeks too
+  const seriesFilters = buildSeriesCandidateFilters(preferences)
+  const series = seriesFilters
+    ? (await queryFilteredCandidates(seriesFilters, organizationId)).map(toAvailabilityRecord)
+    : all.filter(avail => avail.expanded_from_repeating)
+
+  return { all, series }
+}
+
+/**
+ * Query candidate occurrences for a set of filters
+ * @param {Object} filters - Filters from buildCandidateFilters or buildSeriesCandidateFilters
+ * @param {number} organizationId - Parent organization id
+ * @returns {Promise<Array>} Rows
+ */
+function queryFilteredCandidates(filters, organizationId) {
+  const { where, params } = buildCandidateConditions(filters, organizationId)
+  return queryCandidates(where, params)
+}
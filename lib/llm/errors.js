@@ -0,0 +1,51 @@
+/**
+ * LLM Errors
+ *
+ * Error helpers shared by every provider, so routes can classify failures
+ * the same way whichever backend produced them.
+ */
+
+export const TIMEOUT_MESSAGE = 'Request timeout'
+
+/**
+ * Thrown when the selected provider is missing required configuration
+ */
+export class LLMConfigurationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'LLMConfigurationError'
+  }
+}
+
+/**
+ * Check whether a provider call timed out
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True for timeouts
+ */
+export function isTimeoutError(error) {
+  return error?.message === TIMEOUT_MESSAGE
+}
+
+/**
+ * Check whether a provider call was rate limited
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True for rate limits
+ */
+export function isRateLimitError(error) {
+  return error?.status === 429 || error?.code === 'rate_limit_exceeded'
+}
+
+/**
+ * Reject with a timeout error if a provider call takes too long
+ * @param {Promise} promise - Provider call
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise} The call's result
+ */
+export function withTimeout(promise, timeoutMs) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(TIMEOUT_MESSAGE)), timeoutMs)
+  })
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
@@ -0,0 +1,113 @@
+/**
+ * Fixture Provider
+ *
+ * Deterministic, offline replay of recorded chat completions, so the
+ * onboarding flow can be run and tested with no network or API key.
+ *
+ * A fixture holds the recorded responses for one task:
+ *   {
+ *     "model": "gpt-3.5-turbo",
+ *     "responses": [
+ *       { "match": "weekend", "content": { ... } },
+ *       { "match": "[rate-limit]", "error": { "status": 429, "message": "Rate limit reached" } },
+ *       { "content": { ... } }
+ *     ]
+ *   }
+ * The first response whose `match` appears in the user messages
+ * (case-insensitive) is replayed; a response without `match` is the default.
+ * `content` may be a string or an object (sent as JSON). `error` replays a
+ * failure instead, with `{ "timeout": true }` standing in for a timeout.
+ */
+
+import { TIMEOUT_MESSAGE } from './errors'
+
+/**
+ * Collect the text the user sent, ignoring system prompts and images
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} Lowercased user text
+ */
+function getUserText(messages) {
+  return (messages || [])
+    .filter(message => message.role === 'user')
+    .flatMap(message => (
+      Array.isArray(message.content)
+        ? message.content.filter(part => part.type === 'text').map(part => part.text)
+        : [message.content]
+    ))
+    .join('\n')
+    .toLowerCase()
+}
+
+/**
+ * Pick the recorded response for a request
+ * @param {Object} fixture - Fixture for the task
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Object|null} Recorded response, or null if none applies
+ */
+export function findFixtureResponse(fixture, messages) {
+  const responses = Array.isArray(fixture?.responses) ? fixture.responses : []
+  const userText = getUserText(messages)
+
+  return responses.find(response => (
+    typeof response.match === 'string' && userText.includes(response.match.toLowerCase())
+  )) || responses.find(response => response.match === undefined) || null
+}
+
+/**
+ * Build the error a recorded failure stands for
+ * @param {Object} recorded - Recorded error ({ status, code, message } or { timeout: true })
+ * @returns {Error} Error shaped like the OpenAI SDK's
+ */
+function toError(recorded) {
+  if (recorded.timeout) {
+    return new Error(TIMEOUT_MESSAGE)
+  }
+
+  const error = new Error(recorded.message || 'Recorded fixture error')
+  error.status = recorded.status
+  error.code = recorded.code
+  return error
+}
+
+/**
+ * Create a fixture provider
+ * @param {Object} options
+ * @param {Function} options.getFixture - (task) => fixture object, or null if none is recorded
+ * @returns {Object} Provider with createChatCompletion()
+ */
+export function createFixtureProvider({ getFixture }) {
+  return {
+    name: 'fixture',
+
+    /**
+     * Replay a recorded chat completion
+     * @param {Object} request
+     * @param {string} request.task - LLM task name
+     * @param {string} request.model - Requested model (used if the fixture doesn't record one)
+     * @param {Array<Object>} request.messages - Chat messages
+     * @returns {Promise<Object>} Chat completion in OpenAI's shape
+     */
+    async createChatCompletion({ task, model, messages }) {
+      const fixture = getFixture(task)
+      const response = fixture ? findFixtureResponse(fixture, messages) : null
+
+      if (!response) {
+        throw new Error(`No recorded fixture response for task "${task}"`)
+      }
+
+      if (response.error) {
+        throw toError(response.error)
+      }
+
+      const content = typeof response.content === 'string'
+        ? response.content
+        : JSON.stringify(response.content)
+
+      return {
+        model: fixture.model || model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      }
+    }
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * LLM Provider Layer
+ *
+ * Single entry point for the routes that call a language model
+ * (extract-symptoms, extract-insurance, interpret-scheduling). The backend
+ * and per-task models come from the environment:
+ *
+ *   LLM_PROVIDER        'openai' (default) | 'openai-compatible' | 'fixture'
+ *   OPENAI_API_KEY      Required for 'openai'
+ *   LLM_BASE_URL        Required for 'openai-compatible' (e.g. http://localhost:11434/v1)
+ *   LLM_API_KEY         Optional key for 'openai-compatible'
+ *   LLM_FIXTURES_DIR    Optional directory of <task>.json fixtures for 'fixture'
+ *   LLM_MODEL           Model for every task (e.g. a local server's only model)
+ *   LLM_MODEL_<TASK>    Model for one task, e.g. LLM_MODEL_EXTRACT_INSURANCE
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { createOpenAIProvider } from './openai-provider'
+import { createFixtureProvider } from './fixture-provider'
+import { LLMConfigurationError } from './errors'
+import extractSymptomsFixture from './fixtures/extract-symptoms.json'
+import extractInsuranceFixture from './fixtures/extract-insurance.json'
+import interpretSchedulingFixture from './fixtures/interpret-scheduling.json'
+
+export { LLMConfigurationError, isTimeoutError, isRateLimitError } from './errors'
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'fixture']
+
+// Default model per task (insurance card extraction needs vision)
+export const LLM_TASKS = {
+  'extract-symptoms': { defaultModel: 'gpt-3.5-turbo' },
+  'extract-insurance': { defaultModel: 'gpt-4o' },
+  'interpret-scheduling': { defaultModel: 'gpt-3.5-turbo' }
+}
+
+const BUNDLED_FIXTURES = {
+  'extract-symptoms': extractSymptomsFixture,
+  'extract-insurance': extractInsuranceFixture,
+  'interpret-scheduling': interpretSchedulingFixture
+}
+
+/**
+ * Resolve the model for a task
+ * @param {string} task - Key of LLM_TASKS
+ * @param {Object} env - Environment variables
+ * @returns {string} Model name
+ */
+export function getModelForTask(task, env = process.env) {
+  if (!LLM_TASKS[task]) {
+    throw new Error(`Unknown LLM task: ${task}`)
+  }
+
+  const taskVariable = `LLM_MODEL_${task.toUpperCase().replace(/-/g, '_')}`
+  return env[taskVariable] || env.LLM_MODEL || LLM_TASKS[task].defaultModel
+}
+
+/**
+ * Load a task's fixture, from LLM_FIXTURES_DIR if set, else the bundled one
+ * @param {string} task - Key of LLM_TASKS
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Fixture, or null if none is recorded
+ */
+function loadFixture(task, env) {
+  if (!env.LLM_FIXTURES_DIR) {
+    return BUNDLED_FIXTURES[task] || null
+  }
+
+  const file = path.join(env.LLM_FIXTURES_DIR, `${task}.json`)
+  if (!fs.existsSync(file)) {
+    return null
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/**
+ * Create the provider selected by the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider with createChatCompletion()
+ * @throws {LLMConfigurationError} If the provider is unknown or misconfigured
+ */
+export function getLLMProvider(env = process.env) {
+  const providerName = env.LLM_PROVIDER || 'openai'
+
+  switch (providerName) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new LLMConfigurationError('OPENAI_API_KEY is not set')
+      }
+      return createOpenAIProvider({ name: 'openai', apiKey: env.OPENAI_API_KEY })
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new LLMConfigurationError('LLM_BASE_URL is not set')
+      }
+      // Local servers usually ignore the key, but the SDK requires one
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL
+      })
+
+    case 'fixture':
+      return createFixtureProvider({ getFixture: task => loadFixture(task, env) })
+
+    default:
+      throw new LLMConfigurationError(
+        `Unknown LLM_PROVIDER "${providerName}" (expected one of: ${LLM_PROVIDERS.join(', ')})`
+      )
+  }
+}
+
+/**
+ * Request a chat completion for a task with the configured provider and model
+ * @param {Object} provider - Provider from getLLMProvider()
+ * @param {Object} request
+ * @param {string} request.task - Key of LLM_TASKS
+ * @param {Array<Object>} request.messages - Chat messages
+ * @param {string} [request.responseFormat] - 'json_object' for JSON mode
+ * @param {number} [request.temperature] - Sampling temperature
+ * @param {number} request.timeoutMs - Timeout in milliseconds
+ * @returns {Promise<Object>} Chat completion in OpenAI's shape ({ model, choices, usage })
+ */
+export function createChatCompletion(provider, { task, messages, responseFormat, temperature, timeoutMs }) {
+  return provider.createChatCompletion({
+    task,
+    model: getModelForTask(task),
+    messages,
+    responseFormat,
+    temperature,
+    timeoutMs
+  })
+}
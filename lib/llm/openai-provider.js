@@ -0,0 +1,53 @@
+/**
+ * OpenAI Provider
+ *
+ * Chat completions through the `openai` package. Also serves any
+ * OpenAI-compatible server (vLLM, Ollama, LM Studio, ...) by pointing
+ * baseURL at it.
+ */
+
+import OpenAI from 'openai'
+import { withTimeout } from './errors'
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * @param {Object} options
+ * @param {string} options.name - Provider name for logging
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.baseURL] - Server URL (omit for api.openai.com)
+ * @returns {Object} Provider with createChatCompletion()
+ */
+export function createOpenAIProvider({ name, apiKey, baseURL }) {
+  const clients = new Map()
+
+  // One client per timeout, since the SDK fixes it at construction
+  const getClient = (timeoutMs) => {
+    if (!clients.has(timeoutMs)) {
+      clients.set(timeoutMs, new OpenAI({ apiKey, baseURL, timeout: timeoutMs }))
+    }
+    return clients.get(timeoutMs)
+  }
+
+  return {
+    name,
+
+    /**
+     * Request a chat completion
+     * @param {Object} request
+     * @param {string} request.model - Model name
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {string} [request.responseFormat] - 'json_object' for JSON mode
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {number} request.timeoutMs - Timeout in milliseconds
+     * @returns {Promise<Object>} OpenAI chat completion
+     */
+    createChatCompletion({ model, messages, responseFormat, temperature, timeoutMs }) {
+      const params = { model, messages, temperature }
+      if (responseFormat) {
+        params.response_format = { type: responseFormat }
+      }
+
+      return withTimeout(getClient(timeoutMs).chat.completions.create(params), timeoutMs)
+    }
+  }
+}
@@ -4,6 +4,10 @@
  * System and user prompts for OpenAI API to interpret natural language scheduling preferences.
  */
 
+import { CARE_LANGUAGES } from '../constants/care-languages'
+
+const LANGUAGE_CODE_LIST = CARE_LANGUAGES.map(l => `"${l.code}" (${l.label})`).join(', ')
+
 /**
  * Get system prompt for scheduling interpretation
  * @returns {string} System prompt
@@ -16,6 +20,7 @@ Extract the following information from user input:
 2. Time ranges (convert to 24-hour format, assume user's local timezone)
 3. Date constraints (calculate actual dates from relative terms like "next week", "this Tuesday")
 4. Recurring patterns (weekdays, weekends, daily, none)
+5. Clinician language preference (e.g. "Spanish-speaking therapist")
 
 Return a JSON object with this structure:
 {
@@ -29,7 +34,8 @@ Return a JSON object with this structure:
     "relative": "next_week"
   },
   "specificDates": ["2025-10-15", "2025-10-17"],
-  "recurringPattern": "weekdays"
+  "recurringPattern": "weekdays",
+  "languagePreference": {"code": "spa", "required": true}
 }
 
 IMPORTANT:
@@ -45,13 +51,17 @@ IMPORTANT:
 - If no specific dates are mentioned, leave specificDates as empty array
 - If no date constraints are mentioned, set startDate and endDate to null
 - recurringPattern should be one of: "weekdays", "weekends", "daily", "none"
+- languagePreference is null unless the user mentions a language for the clinician or sessions
+- languagePreference.code must be one of: ${LANGUAGE_CODE_LIST}
+- languagePreference.required is true when the language is a must ("needs to speak Spanish", "Spanish-speaking therapist") and false when it is a nice-to-have ("Spanish would be nice", "ideally in Korean")
 
 Examples:
 - "I'm free weekdays after 5pm" → daysOfWeek: [1,2,3,4,5], timeRanges: [{"start": "17:00", "end": "23:59", "timezone": "America/Los_Angeles"}], recurringPattern: "weekdays"
 - "Next Tuesday and Thursday between 9am and 11am" → specificDates: ["2025-10-15", "2025-10-17"], timeRanges: [{"start": "09:00", "end": "11:00", "timezone": "America/Los_Angeles"}], recurringPattern: "none"
 - "Weekends in the morning" → daysOfWeek: [0,6], timeRanges: [{"start": "06:00", "end": "12:00", "timezone": "America/Los_Angeles"}], recurringPattern: "weekends"
 - "Next week, any day after 2pm" → dateConstraints: {"startDate": "2025-10-15", "endDate": "2025-10-21", "relative": "next_week"}, timeRanges: [{"start": "14:00", "end": "23:59", "timezone": "America/Los_Angeles"}], recurringPattern: "none"
-- "Today or tomorrow, evening hours" → specificDates: ["2025-10-15", "2025-10-16"], timeRanges: [{"start": "18:00", "end": "23:59", "timezone": "America/Los_Angeles"}], recurringPattern: "none"`
+- "Today or tomorrow, evening hours" → specificDates: ["2025-10-15", "2025-10-16"], timeRanges: [{"start": "18:00", "end": "23:59", "timezone": "America/Los_Angeles"}], recurringPattern: "none"
+- "Weekday mornings with a Spanish-speaking therapist" → daysOfWeek: [1,2,3,4,5], timeRanges: [{"start": "06:00", "end": "12:00", "timezone": "America/Los_Angeles"}], recurringPattern: "weekdays", languagePreference: {"code": "spa", "required": true}`
 }
 
 /**
@@ -72,3 +82,37 @@ User timezone: ${userTimezone}
 Extract the scheduling preferences from the above user input. Convert all relative dates to actual dates based on the current date provided.`
 }
 
+
+/**
+ * Get user prompt for refining an earlier interpretation with a follow-up
+ * @param {string} followUp - User's follow-up ("actually not Fridays", "anything earlier?")
+ * @param {Object} previousPreferences - Preferences the follow-up refines
+ * @param {Array<string>} earlierInputs - User's earlier messages, oldest first
+ * @param {string} currentDate - Current date in YYYY-MM-DD format
+ * @param {string} currentTime - Current time in HH:MM format in user's timezone
+ * @param {string} userTimezone - User's IANA timezone
+ * @returns {string} User prompt
+ */
+export function getRefinementPrompt(followUp, previousPreferences, earlierInputs, currentDate, currentTime, userTimezone) {
+  const history = earlierInputs.length > 0
+    ? earlierInputs.map(input => `- "${input}"`).join('\n')
+    : '- (none)'
+
+  return `Earlier messages from the user:
+${history}
+
+Current scheduling preferences:
+${JSON.stringify(previousPreferences)}
+
+Follow-up: "${followUp}"
+
+Current date: ${currentDate} (YYYY-MM-DD format)
+Current time: ${currentTime} (HH:MM format in user's timezone)
+User timezone: ${userTimezone}
+
+Update the current scheduling preferences with the follow-up and return the complete merged JSON object in the same structure.
+- Change only what the follow-up mentions; keep every other field as it is
+- "Actually not Fridays" removes Friday from the days (and recurringPattern becomes "none" unless the remaining days are exactly weekdays or weekends)
+- "Anything earlier?" or "anything later?" without a time widens the time ranges by about two hours in that direction
+- Convert relative dates in the follow-up to actual dates based on the current date provided`
+}
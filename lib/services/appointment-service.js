@@ -0,0 +1,446 @@
+/**
+ * Appointment Service
+ *
+ * Books clinician availability slots selected during onboarding.
+ * Appointments move through a hold -> confirmed lifecycle:
+ * - holdSlot() re-checks the slot against clinician availability occurrences
+ *   and existing appointments inside a transaction, then writes a 'held' row
+ * - confirmAppointment() turns the hold into a confirmed booking
+ * Double booking is prevented by the excl_appointments_clinician_overlap
+ * constraint; the explicit checks here exist to return friendly errors.
+ */
+
+import crypto from 'crypto';
+import { db, transaction } from '../db/client';
+import { getAppointmentType, DEFAULT_APPOINTMENT_TYPE } from '../constants/appointment-types';
+import { ValidationError, NotFoundError, ConflictError, DatabaseError } from './errors';
+
+export const HOLD_DURATION_MINUTES = 10;
+
+const BOOKING_REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const BOOKING_REFERENCE_LENGTH = 8;
+
+/**
+ * Place a hold on a matched slot for an onboarding session
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} slot - Slot from formatMatchedSlots ({ availabilityId, clinicianId, startTime, endTime, timezone, locationId, appointmentType })
+ * @returns {Promise<object>} Held appointment (client format)
+ */
+export async function holdSlot(sessionId, slot) {
+  const validationErrors = validateSlot(slot);
+  if (validationErrors.length > 0) {
+    throw new ValidationError('Invalid slot', validationErrors);
+  }
+
+  const { baseId } = parseAvailabilityId(slot.availabilityId);
+  const appointmentType = getAppointmentType(slot.appointmentType ?? DEFAULT_APPOINTMENT_TYPE);
+  const startTime = new Date(slot.startTime);
+  const endTime = new Date(slot.endTime);
+
+  try {
+    const appointment = await transaction(async (client) => {
+      const sessionResult = await client.query(
+        'SELECT id, patient_id FROM onboarding_sessions WHERE id = $1',
+        [sessionId]
+      );
+      const session = sessionResult.rows[0];
+      if (!session) {
+        throw new NotFoundError('Onboarding session not found');
+      }
+
+      // A family holds one slot at a time - release any previous hold
+      await client.query(
+        `UPDATE appointments
+         SET status = 'cancelled', cancelled_at = NOW()
+         WHERE onboarding_session_id = $1 AND status = 'held'`,
+        [sessionId]
+      );
+
+      // Stale holds for this clinician should no longer block the slot
+      await expireStaleHolds(client, slot.clinicianId);
+
+      // Re-check the slot against the occurrence it was matched from
+      const availabilityResult = await client.query(
+        `SELECT ca.id, ca.user_id, ca.timezone, ca.appointment_location_id, o.range_start, o.range_end
+         FROM clinician_availability_occurrences o
+         JOIN clinician_availabilities ca ON ca.id = o.availability_id
+         WHERE o.id = $1 AND ca.id = $2 AND ca.user_id = $3 AND ca.deleted_at IS NULL
+         FOR SHARE OF ca`,
+        [String(slot.availabilityId), baseId, slot.clinicianId]
+      );
+      const availability = availabilityResult.rows[0];
+      if (!availability || !slotFitsAvailability(availability, startTime, endTime, appointmentType.stepMinutes)) {
+        throw new ConflictError('This time is no longer available', 'SLOT_UNAVAILABLE');
+      }
+
+      // Keep the appointment type's buffer free around the clinician's other sessions
+      const overlapResult = await client.query(
+        `SELECT 1 FROM appointments
+         WHERE clinician_user_id = $1
+           AND status IN ('held', 'confirmed')
+           AND tstzrange(start_time, end_time) && tstzrange(
+             $2::timestamptz - ($4 || ' minutes')::interval,
+             $3::timestamptz + ($4 || ' minutes')::interval
+           )
+         LIMIT 1`,
+        [slot.clinicianId, startTime.toISOString(), endTime.toISOString(), String(appointmentType.bufferMinutes)]
+      );
+      if (overlapResult.rows.length > 0) {
+        throw new ConflictError('This time was just booked by another family', 'SLOT_TAKEN');
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO appointments (
+           booking_reference,
+           onboarding_session_id,
+           patient_id,
+           clinician_availability_id,
+           clinician_user_id,
+           start_time,
+           end_time,
+           timezone,
+           appointment_location_id,
+           appointment_type,
+           status,
+           hold_expires_at
+         ) VALUES (
+           $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'held',
+           NOW() + ($11 || ' minutes')::interval
+         )
+         RETURNING *`,
+        [
+          generateBookingReference(),
+          sessionId,
+          session.patient_id,
+          availability.id,
+          availability.user_id,
+          startTime.toISOString(),
+          endTime.toISOString(),
+          slot.timezone || availability.timezone,
+          availability.appointment_location_id,
+          appointmentType.id,
+          String(HOLD_DURATION_MINUTES)
+        ]
+      );
+
+      return insertResult.rows[0];
+    });
+
+    await logAuditEvent('appointment_held', appointment.patient_id, appointment.id);
+    return formatAppointment(appointment);
+  } catch (error) {
+    if (error instanceof ConflictError || error instanceof NotFoundError) {
+      throw error;
+    }
+
+    // Lost a race with a concurrent booking at the exclusion constraint
+    if (error.code === '23P01') {
+      throw new ConflictError('This time was just booked by another family', 'SLOT_TAKEN');
+    }
+
+    console.error('Error holding appointment slot:', error);
+    throw new DatabaseError('Failed to hold appointment slot');
+  }
+}
+
+/**
+ * Confirm a held appointment
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {string} sessionId - UUID of the onboarding session that holds it
+ * @returns {Promise<object>} Confirmed appointment (client format)
+ */
+export async function confirmAppointment(appointmentId, sessionId) {
+  try {
+    const appointment = await transaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM appointments WHERE id = $1 FOR UPDATE',
+        [appointmentId]
+      );
+      const existing = result.rows[0];
+
+      if (!existing || existing.onboarding_session_id !== sessionId) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      // Confirming twice is a no-op
+      if (existing.status === 'confirmed') {
+        return existing;
+      }
+
+      // A hold that is still 'held' (even past hold_expires_at) has not been
+      // taken by anyone else - holdSlot() expires stale holds before booking
+      if (existing.status !== 'held') {
+        throw new ConflictError('Your hold on this time has ended', 'HOLD_EXPIRED');
+      }
+
+      const availabilityResult = await client.query(
+        'SELECT 1 FROM clinician_availabilities WHERE id = $1 AND deleted_at IS NULL',
+        [existing.clinician_availability_id]
+      );
+      if (availabilityResult.rows.length === 0) {
+        throw new ConflictError('This time is no longer available', 'SLOT_UNAVAILABLE');
+      }
+
+      const updateResult = await client.query(
+        `UPDATE appointments
+         SET status = 'confirmed', confirmed_at = NOW(), hold_expires_at = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [appointmentId]
+      );
+
+      return updateResult.rows[0];
+    });
+
+    await logAuditEvent('appointment_confirmed', appointment.patient_id, appointment.id);
+    return formatAppointment(appointment);
+  } catch (error) {
+    if (error instanceof ConflictError || error instanceof NotFoundError) {
+      throw error;
+    }
+
+    console.error('Error confirming appointment:', error);
+    throw new DatabaseError('Failed to confirm appointment');
+  }
+}
+
+/**
+ * Cancel a held or confirmed appointment
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {string} sessionId - UUID of the onboarding session that owns it
+ * @returns {Promise<object>} Cancelled appointment (client format)
+ */
+export async function cancelAppointment(appointmentId, sessionId) {
+  const query = `
+    UPDATE appointments
+    SET status = 'cancelled', cancelled_at = NOW()
+    WHERE id = $1
+      AND onboarding_session_id = $2
+      AND status IN ('held', 'confirmed')
+    RETURNING *
+  `;
+
+  let result;
+  try {
+    result = await db.query(query, [appointmentId, sessionId]);
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    throw new DatabaseError('Failed to cancel appointment');
+  }
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Active appointment not found');
+  }
+
+  await logAuditEvent('appointment_cancelled', result.rows[0].patient_id, appointmentId);
+  return formatAppointment(result.rows[0]);
+}
+
+/**
+ * Get an appointment by ID
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {string} sessionId - UUID of the onboarding session that owns it
+ * @returns {Promise<object|null>} Appointment (client format) or null if the session has no such appointment
+ */
+export async function getAppointment(appointmentId, sessionId) {
+  try {
+    const result = await db.query(
+      'SELECT * FROM appointments WHERE id = $1 AND onboarding_session_id = $2',
+      [appointmentId, sessionId]
+    );
+    return result.rows[0] ? formatAppointment(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    throw new DatabaseError('Failed to fetch appointment');
+  }
+}
+
+/**
+ * Mark holds past hold_expires_at as expired so they stop blocking slots
+ * @param {object} client - Database client (inside a transaction) or db
+ * @param {number} clinicianUserId - Optional clinician to limit the sweep to
+ * @returns {Promise<number>} Number of holds expired
+ */
+export async function expireStaleHolds(client = db, clinicianUserId = null) {
+  const values = [];
+  let clinicianFilter = '';
+
+  if (clinicianUserId !== null) {
+    values.push(clinicianUserId);
+    clinicianFilter = 'AND clinician_user_id = $1';
+  }
+
+  const result = await client.query(
+    `UPDATE appointments
+     SET status = 'expired'
+     WHERE status = 'held' AND hold_expires_at < NOW() ${clinicianFilter}`,
+    values
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Convert a database row to the shape returned by the API
+ * @param {object} row - appointments row
+ * @returns {object} Appointment in client format
+ */
+export function formatAppointment(row) {
+  return {
+    appointmentId: row.id,
+    bookingReference: row.booking_reference,
+    status: row.status,
+    clinicianId: row.clinician_user_id,
+    availabilityId: row.clinician_availability_id,
+    startTime: toIsoString(row.start_time),
+    endTime: toIsoString(row.end_time),
+    timezone: row.timezone,
+    locationId: row.appointment_location_id,
+    appointmentType: row.appointment_type,
+    holdExpiresAt: toIsoString(row.hold_expires_at),
+    confirmedAt: toIsoString(row.confirmed_at)
+  };
+}
+
+/**
+ * Validate a slot sent by the client
+ * @param {object} slot - Slot to validate
+ * @returns {array} Array of validation error objects
+ */
+function validateSlot(slot) {
+  const errors = [];
+
+  if (!slot || typeof slot !== 'object' || Array.isArray(slot)) {
+    errors.push({ field: 'slot', message: 'Slot must be an object' });
+    return errors;
+  }
+
+  if (!parseAvailabilityId(slot.availabilityId)) {
+    errors.push({ field: 'availabilityId', message: 'Invalid availabilityId' });
+  }
+
+  if (!Number.isInteger(slot.clinicianId)) {
+    errors.push({ field: 'clinicianId', message: 'clinicianId must be an integer' });
+  }
+
+  const appointmentType = getAppointmentType(slot.appointmentType ?? DEFAULT_APPOINTMENT_TYPE);
+  if (!appointmentType) {
+    errors.push({ field: 'appointmentType', message: 'Invalid appointmentType' });
+    return errors;
+  }
+
+  const startTime = new Date(slot.startTime);
+  const endTime = new Date(slot.endTime);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+    errors.push({ field: 'startTime', message: 'startTime and endTime must be valid ISO dates' });
+    return errors;
+  }
+
+  // A one-off slot, or the first session of a weekly series
+  const durationMinutes = (endTime - startTime) / (60 * 1000);
+  if (durationMinutes !== appointmentType.durationMinutes) {
+    errors.push({
+      field: 'endTime',
+      message: `${appointmentType.label} slots must be ${appointmentType.durationMinutes} minutes long`
+    });
+  }
+
+  if (startTime <= new Date()) {
+    errors.push({ field: 'startTime', message: 'Slot must be in the future' });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse an availabilityId from a matched slot
+ * One-time availabilities use the row id; occurrences of repeating
+ * availabilities use "<id>_<YYYY-MM-DD>" (see clinician_availability_occurrences).
+ * @param {number|string} availabilityId - Availability id from a matched slot
+ * @returns {{baseId: number, occurrenceDate: string|null}|null} Parsed id or null if invalid
+ */
+function parseAvailabilityId(availabilityId) {
+  if (Number.isInteger(availabilityId)) {
+    return { baseId: availabilityId, occurrenceDate: null };
+  }
+
+  if (typeof availabilityId !== 'string') {
+    return null;
+  }
+
+  const match = availabilityId.match(/^(\d+)(?:_(\d{4}-\d{2}-\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  return { baseId: parseInt(match[1], 10), occurrenceDate: match[2] || null };
+}
+
+/**
+ * Check that a slot lies within the occurrence it came from and on a slot boundary
+ * @param {object} occurrence - Occurrence row (range_start, range_end)
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @param {number} stepMinutes - Start-time grid of the appointment type
+ * @returns {boolean} True if the slot is still offered
+ */
+function slotFitsAvailability(occurrence, startTime, endTime, stepMinutes) {
+  const occurrenceStart = new Date(occurrence.range_start);
+  const occurrenceEnd = new Date(occurrence.range_end);
+  const offsetMs = startTime - occurrenceStart;
+
+  return (
+    startTime >= occurrenceStart &&
+    endTime <= occurrenceEnd &&
+    offsetMs % (stepMinutes * 60 * 1000) === 0
+  );
+}
+
+/**
+ * Generate a short booking reference (e.g. "DB-7K3M9QXP")
+ * @returns {string} Booking reference
+ */
+function generateBookingReference() {
+  const bytes = crypto.randomBytes(BOOKING_REFERENCE_LENGTH);
+  let reference = '';
+  for (const byte of bytes) {
+    reference += BOOKING_REFERENCE_ALPHABET[byte % BOOKING_REFERENCE_ALPHABET.length];
+  }
+  return `DB-${reference}`;
+}
+
+/**
+ * Convert a Date (or null) from pg to an ISO string
+ * @param {Date|string|null} value - Value from the database
+ * @returns {string|null} ISO string or null
+ */
+function toIsoString(value) {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Log audit event for appointment changes
+ * @param {string} action - Action performed
+ * @param {string} patientId - UUID of patient
+ * @param {string} appointmentId - UUID of appointment
+ * @param {object} metadata - Additional metadata
+ */
+async function logAuditEvent(action, patientId, appointmentId, metadata = {}) {
+  try {
+    // This would integrate with your audit logging system
+    // For now, just console log for HIPAA compliance
+    console.log('[AUDIT]', {
+      timestamp: new Date().toISOString(),
+      action,
+      patient_id: patientId,
+      appointment_id: appointmentId,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error logging audit event:', error);
+    // Don't throw - audit logging failures shouldn't break the main operation
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Contract Service
+ *
+ * Reads which services an organization's contracts cover, so scheduling only
+ * offers appointment types the family's school or district pays for.
+ * The organization is set per deployment with CONTRACT_ORGANIZATION_ID
+ * (organizations.id); contracts on the organization and on its parent
+ * district both count.
+ */
+
+import { db } from '../db/client';
+import { getAppointmentTypesForServices } from '../constants/appointment-types';
+import { sanitizeUuid } from '../utils/sanitization';
+import { DatabaseError } from './errors';
+
+/**
+ * Get the organization whose contracts apply to this deployment
+ * @returns {string|null} organizations.id, or null if not configured
+ */
+export function getContractOrganizationId() {
+  return sanitizeUuid(process.env.CONTRACT_ORGANIZATION_ID);
+}
+
+/**
+ * Get the services covered by an organization's active contracts
+ * @param {string} organizationId - UUID of the organization
+ * @returns {Promise<array>} Contracted services (e.g. ['individual_therapy', 'family_therapy'])
+ */
+export async function getContractedServices(organizationId) {
+  const query = `
+    SELECT DISTINCT UNNEST(c.services) AS service
+    FROM org_contracts oc
+    JOIN contracts c ON c.id = oc.contract_id
+    WHERE oc.organization_id IN (
+        SELECT id FROM organizations WHERE id = $1
+        UNION
+        SELECT parent_organization_id FROM organizations WHERE id = $1
+      )
+      AND c._fivetran_deleted IS NOT TRUE
+      AND c.effective_date <= CURRENT_DATE
+      AND (c.end_date IS NULL OR c.end_date >= CURRENT_DATE)
+  `;
+
+  try {
+    const result = await db.query(query, [organizationId]);
+    return result.rows.map(row => row.service);
+  } catch (error) {
+    console.error('Error fetching contracted services:', error);
+    throw new DatabaseError('Failed to fetch contracted services');
+  }
+}
+
+/**
+ * Get the appointment types this deployment can offer
+ * Every type is offered when no contract organization is configured.
+ * @returns {Promise<array>} Appointment types (see lib/constants/appointment-types.js)
+ */
+export async function getContractedAppointmentTypes() {
+  const organizationId = getContractOrganizationId();
+  if (!organizationId) {
+    return getAppointmentTypesForServices(null);
+  }
+
+  const services = await getContractedServices(organizationId);
+  return getAppointmentTypesForServices(services);
+}
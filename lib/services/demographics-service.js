@@ -8,6 +8,7 @@
 import { db } from '../db/client';
 import { sanitizeInput, sanitizeTextArea } from '../utils/sanitization';
 import { validateDemographics } from '../utils/demographics-validation';
+import { ValidationError, NotFoundError, DatabaseError } from './errors';
 
 /**
  * Create a new demographics record for a patient
@@ -426,29 +427,5 @@ async function logAuditEvent(action, patientId, userId, demographicsId, metadata
   }
 }
 
-// Custom error classes
-export class ValidationError extends Error {
-  constructor(message, errors = []) {
-    super(message);
-    this.name = 'ValidationError';
-    this.errors = errors;
-    this.statusCode = 400;
-  }
-}
-
-export class NotFoundError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'NotFoundError';
-    this.statusCode = 404;
-  }
-}
-
-export class DatabaseError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'DatabaseError';
-    this.statusCode = 500;
-  }
-}
-
+// Custom error classes (re-exported for existing imports)
+export { ValidationError, NotFoundError, DatabaseError };
@@ -0,0 +1,447 @@
+/**
+ * Document Storage Service
+ *
+ * Encrypted storage for uploaded documents (insurance card images). Each
+ * document is encrypted with its own data key (see utils/document-encryption)
+ * and written to a pluggable storage adapter; the stored_documents table
+ * (migration 018) keeps the storage key, the wrapped data key and the
+ * retention deadline. Callers only see the opaque URL /api/documents/<id>,
+ * which is served to authorized callers by the documents route.
+ *
+ * The adapter for new documents is selected with DOCUMENT_STORAGE:
+ * - 'local' (default): files under DOCUMENT_STORAGE_DIR (default .document-storage/)
+ * - 's3': an S3-compatible bucket (AWS S3 in production, MinIO locally), see createS3Adapter()
+ *
+ * Other adapters can be added with registerStorageAdapter(). An adapter is an
+ * object with async put(key, data, options), get(key) and remove(key)
+ * methods. Existing documents are always read through the adapter they were
+ * written with.
+ *
+ * Documents expire DOCUMENT_RETENTION_DAYS (default 90) after upload. Expired
+ * documents are no longer served and are purged from storage.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { db, transaction } from '../db/client';
+import { encryptDocument, decryptDocument, DOCUMENT_KEY_VERSION } from '../utils/document-encryption';
+import { signS3Request, hashPayload } from '../utils/s3-signature';
+import { sanitizeUuid } from '../utils/sanitization';
+import { ValidationError, NotFoundError, DatabaseError } from './errors';
+
+export const DOCUMENT_PURPOSES = ['insurance_card_front', 'insurance_card_back'];
+
+export const DEFAULT_RETENTION_DAYS = 90;
+
+const DOCUMENT_URL_PREFIX = '/api/documents/';
+
+// Purge expired documents at most hourly (checked when documents are stored)
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurgeAt = 0;
+
+const adapters = {
+  local: createLocalDiskAdapter(),
+  s3: createS3Adapter()
+};
+
+/**
+ * Register (or replace) a storage adapter
+ * @param {string} name - Adapter name used in DOCUMENT_STORAGE
+ * @param {{put: Function, get: Function, remove: Function}} adapter - Adapter implementation
+ */
+export function registerStorageAdapter(name, adapter) {
+  if (!adapter || typeof adapter.put !== 'function' || typeof adapter.get !== 'function' || typeof adapter.remove !== 'function') {
+    throw new Error('Storage adapter must implement put(key, data, options), get(key) and remove(key)');
+  }
+  adapters[name] = adapter;
+}
+
+/**
+ * Get the configured storage adapter for new documents
+ * @returns {{name: string, adapter: object}} Adapter and its name
+ */
+export function getStorageAdapter() {
+  const name = process.env.DOCUMENT_STORAGE || 'local';
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw new Error(`Unknown DOCUMENT_STORAGE: ${name}`);
+  }
+
+  return { name, adapter };
+}
+
+/**
+ * Get document lifetime from DOCUMENT_RETENTION_DAYS (defaults to 90 days)
+ * @returns {number} Retention in days
+ */
+export function getRetentionDays() {
+  const days = parseInt(process.env.DOCUMENT_RETENTION_DAYS || '', 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Opaque URL for a document
+ * @param {string} documentId - Document UUID
+ * @returns {string} URL served by the documents route
+ */
+export function documentUrl(documentId) {
+  return `${DOCUMENT_URL_PREFIX}${documentId}`;
+}
+
+/**
+ * Get the document id from an opaque document URL
+ * @param {string} url - URL returned by storeDocument
+ * @returns {string|null} Document UUID, or null if the URL is not a document URL
+ */
+export function parseDocumentUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith(DOCUMENT_URL_PREFIX)) {
+    return null;
+  }
+  return sanitizeUuid(url.slice(DOCUMENT_URL_PREFIX.length));
+}
+
+/**
+ * Encrypt and store a document
+ * @param {object} document - Document to store
+ * @param {string} document.sessionId - UUID of the onboarding session it was uploaded in
+ * @param {string} document.purpose - One of DOCUMENT_PURPOSES
+ * @param {Buffer} document.data - Document contents
+ * @param {string} document.contentType - MIME type
+ * @returns {Promise<{documentId: string, url: string}>} Document id and opaque URL
+ */
+export async function storeDocument({ sessionId, purpose, data, contentType }) {
+  if (!DOCUMENT_PURPOSES.includes(purpose)) {
+    throw new ValidationError('Invalid document purpose');
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new ValidationError('Document is empty');
+  }
+
+  try {
+    await purgeExpiredDocumentsIfDue();
+  } catch (error) {
+    // Retention is retried on the next upload
+    console.error('Error purging expired documents:', error);
+  }
+
+  const documentId = crypto.randomUUID();
+  const storageKey = `documents/${documentId}`;
+  const { name, adapter } = getStorageAdapter();
+  const { payload, wrappedKey, checksum } = encryptDocument(data, { aad: documentId });
+
+  await adapter.put(storageKey, payload, { contentType: 'application/octet-stream' });
+
+  try {
+    await db.query(
+      `INSERT INTO stored_documents (
+        id, onboarding_session_id, purpose, storage_adapter, storage_key,
+        content_type, byte_size, checksum_sha256, wrapped_key, key_version, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + ($11 * INTERVAL '1 day'))`,
+      [
+        documentId, sessionId, purpose, name, storageKey,
+        contentType, data.length, checksum, wrappedKey, DOCUMENT_KEY_VERSION, getRetentionDays()
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording document:', error);
+    await removeObject(adapter, storageKey);
+    throw new DatabaseError('Failed to store document');
+  }
+
+  await logAuditEvent('document_stored', documentId, { purpose, storage: name });
+
+  return { documentId, url: documentUrl(documentId) };
+}
+
+/**
+ * Read and decrypt a stored document
+ * The whole object is decrypted before anything is returned, so no plaintext
+ * leaves the service until the GCM auth tag has been verified (card images
+ * are at most 10 MB).
+ * @param {string} documentId - Document UUID
+ * @param {object} context - Audit context
+ * @param {string} context.accessedBy - Who is reading the document (e.g. 'staff')
+ * @returns {Promise<{data: Buffer, contentType: string, byteSize: number, purpose: string}>} Document contents and metadata
+ */
+export async function readDocument(documentId, { accessedBy } = {}) {
+  let document;
+  try {
+    const result = await db.query(
+      `SELECT id, purpose, storage_adapter, storage_key, content_type, byte_size, wrapped_key
+       FROM stored_documents
+       WHERE id = $1 AND deleted_at IS NULL AND expires_at > NOW()`,
+      [documentId]
+    );
+    document = result.rows[0];
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    throw new DatabaseError('Failed to fetch document');
+  }
+
+  if (!document) {
+    throw new NotFoundError('Document not found');
+  }
+
+  const adapter = adapters[document.storage_adapter];
+  if (!adapter) {
+    throw new Error(`Storage adapter is not registered: ${document.storage_adapter}`);
+  }
+
+  const payload = await adapter.get(document.storage_key);
+  const data = decryptDocument(payload, document.wrapped_key, { aad: document.id });
+
+  await logAuditEvent('document_accessed', document.id, { purpose: document.purpose, accessed_by: accessedBy || null });
+
+  return {
+    data,
+    contentType: document.content_type,
+    byteSize: data.length,
+    purpose: document.purpose
+  };
+}
+
+/**
+ * Delete a document: its data key is destroyed first, then the stored object
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<boolean>} True if a live document was deleted
+ */
+export async function deleteDocument(documentId) {
+  const deleted = await markDeleted('id = $1', [documentId]);
+  await removeObjects(deleted);
+  return deleted.length > 0;
+}
+
+/**
+ * Purge documents past their retention deadline
+ * Card URLs pointing at purged documents are cleared from insurance_coverages.
+ * @param {object} options - Options
+ * @param {number} options.limit - Maximum documents to purge in one run
+ * @returns {Promise<number>} Number of documents purged
+ */
+export async function purgeExpiredDocuments({ limit = 100 } = {}) {
+  const purged = await markDeleted(
+    `id IN (
+      SELECT id FROM stored_documents
+      WHERE deleted_at IS NULL AND expires_at <= NOW()
+      ORDER BY expires_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )`,
+    [limit]
+  );
+
+  await removeObjects(purged);
+
+  if (purged.length > 0) {
+    await logAuditEvent('documents_purged', null, { count: purged.length });
+  }
+
+  return purged.length;
+}
+
+/**
+ * Purge expired documents if the last purge was long enough ago
+ * @returns {Promise<number>} Number of documents purged
+ */
+async function purgeExpiredDocumentsIfDue() {
+  const now = Date.now();
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) {
+    return 0;
+  }
+  lastPurgeAt = now;
+  return purgeExpiredDocuments();
+}
+
+/**
+ * Destroy the data keys of matching live documents and clear coverage card URLs
+ * @param {string} condition - SQL condition on stored_documents
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array<{id: string, storage_adapter: string, storage_key: string}>>} Deleted documents
+ */
+async function markDeleted(condition, params) {
+  try {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE stored_documents
+         SET deleted_at = NOW(), wrapped_key = NULL
+         WHERE ${condition} AND deleted_at IS NULL
+         RETURNING id, storage_adapter, storage_key`,
+        params
+      );
+
+      const urls = result.rows.map(row => documentUrl(row.id));
+      if (urls.length > 0) {
+        await client.query(
+          `UPDATE insurance_coverages
+           SET front_card_url = CASE WHEN front_card_url = ANY($1) THEN NULL ELSE front_card_url END,
+               back_card_url = CASE WHEN back_card_url = ANY($1) THEN NULL ELSE back_card_url END,
+               updated_at = NOW()
+           WHERE front_card_url = ANY($1) OR back_card_url = ANY($1)`,
+          [urls]
+        );
+      }
+
+      return result.rows;
+    });
+  } catch (error) {
+    console.error('Error deleting documents:', error);
+    throw new DatabaseError('Failed to delete documents');
+  }
+}
+
+/**
+ * Remove the stored objects of deleted documents
+ * Their data keys are already gone, so a failed removal leaves only unreadable ciphertext.
+ * @param {Array<{storage_adapter: string, storage_key: string}>} documents - Deleted documents
+ */
+async function removeObjects(documents) {
+  for (const document of documents) {
+    const adapter = adapters[document.storage_adapter];
+    if (adapter) {
+      await removeObject(adapter, document.storage_key);
+    }
+  }
+}
+
+/**
+ * Remove one stored object, logging failures
+ * @param {object} adapter - Storage adapter
+ * @param {string} key - Storage key
+ */
+async function removeObject(adapter, key) {
+  try {
+    await adapter.remove(key);
+  } catch (error) {
+    console.error('Error removing stored document:', error.message);
+  }
+}
+
+/**
+ * Adapter that keeps documents on the local disk (development, single-server deployments)
+ * @returns {{put: Function, get: Function, remove: Function}} Storage adapter
+ */
+function createLocalDiskAdapter() {
+  const rootDir = () => process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), '.document-storage');
+
+  return {
+    async put(key, data) {
+      const filePath = path.join(rootDir(), key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+      await fs.writeFile(filePath, data, { mode: 0o600 });
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(path.join(rootDir(), key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new NotFoundError('Document not found');
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(rootDir(), key), { force: true });
+    }
+  };
+}
+
+/**
+ * Adapter for S3-compatible object storage, configured with:
+ * - DOCUMENT_S3_BUCKET (required)
+ * - DOCUMENT_S3_REGION (default us-east-1)
+ * - DOCUMENT_S3_ENDPOINT, e.g. http://localhost:9000 for MinIO (default AWS S3; path-style URLs when set)
+ * - DOCUMENT_S3_ACCESS_KEY_ID, DOCUMENT_S3_SECRET_ACCESS_KEY, DOCUMENT_S3_SESSION_TOKEN (optional)
+ * @returns {{put: Function, get: Function, remove: Function}} Storage adapter
+ */
+function createS3Adapter() {
+  const config = () => {
+    const bucket = process.env.DOCUMENT_S3_BUCKET;
+    const accessKeyId = process.env.DOCUMENT_S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.DOCUMENT_S3_SECRET_ACCESS_KEY;
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('DOCUMENT_S3_BUCKET, DOCUMENT_S3_ACCESS_KEY_ID and DOCUMENT_S3_SECRET_ACCESS_KEY must be set for DOCUMENT_STORAGE=s3');
+    }
+
+    return {
+      bucket,
+      endpoint: process.env.DOCUMENT_S3_ENDPOINT ? process.env.DOCUMENT_S3_ENDPOINT.replace(/\/+$/, '') : null,
+      credentials: {
+        region: process.env.DOCUMENT_S3_REGION || 'us-east-1',
+        accessKeyId,
+        secretAccessKey,
+        sessionToken: process.env.DOCUMENT_S3_SESSION_TOKEN || null
+      }
+    };
+  };
+
+  const send = async (method, key, { body, headers = {} } = {}) => {
+    const { bucket, endpoint, credentials } = config();
+    const url = endpoint
+      ? `${endpoint}/${bucket}/${key}`
+      : `https://${bucket}.s3.${credentials.region}.amazonaws.com/${key}`;
+
+    const signedHeaders = signS3Request(
+      { method, url, headers, payloadHash: hashPayload(body || '') },
+      credentials
+    );
+
+    return fetch(url, { method, headers: signedHeaders, body });
+  };
+
+  return {
+    async put(key, data, { contentType } = {}) {
+      const response = await send('PUT', key, {
+        body: data,
+        headers: { 'content-type': contentType || 'application/octet-stream' }
+      });
+      if (!response.ok) {
+        throw new Error(`S3 PUT failed with status ${response.status}`);
+      }
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) {
+        throw new NotFoundError('Document not found');
+      }
+      if (!response.ok) {
+        throw new Error(`S3 GET failed with status ${response.status}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`S3 DELETE failed with status ${response.status}`);
+      }
+    }
+  };
+}
+
+/**
+ * Log audit event for document access (no document contents)
+ * @param {string} action - Action performed
+ * @param {string|null} documentId - Document UUID
+ * @param {object} metadata - Additional metadata
+ */
+async function logAuditEvent(action, documentId, metadata = {}) {
+  try {
+    // This would integrate with your audit logging system
+    // For now, just console log for HIPAA compliance
+    console.log('[AUDIT]', {
+      timestamp: new Date().toISOString(),
+      action,
+      document_id: documentId,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error logging audit event:', error);
+    // Don't throw - audit logging failures shouldn't break the main operation
+  }
+}
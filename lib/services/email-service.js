@@ -0,0 +1,142 @@
+/**
+ * Email Service
+ *
+ * Pluggable email delivery. The transport is selected with EMAIL_TRANSPORT:
+ * - 'console' (default): logs messages to the server console
+ * - 'file': writes each message as JSON to EMAIL_OUTBOX_DIR (default .email-outbox/)
+ *
+ * Production transports (SMTP, SES, ...) can be added with registerEmailTransport().
+ * A transport is an object with an async send(message) method. In production
+ * EMAIL_TRANSPORT must name one of them: the development transports would
+ * write magic links and addresses to logs or disk.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { escapeHtml } from '../utils/sanitization';
+
+// Transports that only make sense in local development
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const transports = {
+  console: createConsoleTransport(),
+  file: createFileTransport()
+};
+
+/**
+ * Register (or replace) an email transport
+ * @param {string} name - Transport name used in EMAIL_TRANSPORT
+ * @param {{send: Function}} transport - Transport implementation
+ */
+export function registerEmailTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Email transport must implement send(message)');
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Get the configured email transport
+ * @returns {{send: Function}} Email transport
+ */
+export function getEmailTransport() {
+  const name = process.env.EMAIL_TRANSPORT || 'console';
+
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error('EMAIL_TRANSPORT must be set to a production transport in production');
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+
+  return transport;
+}
+
+/**
+ * Send an email with the configured transport
+ * @param {object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body
+ * @returns {Promise<object>} Transport result
+ */
+export async function sendEmail(message) {
+  const email = {
+    from: process.env.EMAIL_FROM || 'Daybreak Health <no-reply@daybreakhealth.com>',
+    ...message
+  };
+
+  return getEmailTransport().send(email);
+}
+
+/**
+ * Send a "finish your onboarding" email with a resume link
+ * @param {string} to - Recipient address
+ * @param {string} resumeUrl - Magic link that resumes the onboarding session
+ * @param {number} expiresAt - Link expiry timestamp (milliseconds)
+ * @returns {Promise<object>} Transport result
+ */
+export async function sendResumeLinkEmail(to, resumeUrl, expiresAt) {
+  const expiresOn = new Date(expiresAt).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  return sendEmail({
+    to,
+    subject: 'Finish your Daybreak Health onboarding',
+    text: [
+      'You can pick up right where you left off:',
+      '',
+      resumeUrl,
+      '',
+      `This link expires on ${expiresOn}. If you didn't request it, you can ignore this email.`
+    ].join('\n'),
+    html: [
+      '<p>You can pick up right where you left off.</p>',
+      `<p><a href="${escapeHtml(resumeUrl)}">Continue onboarding</a></p>`,
+      `<p>This link expires on ${expiresOn}. If you didn't request it, you can ignore this email.</p>`
+    ].join('\n')
+  });
+}
+
+/**
+ * Transport that logs messages to the console (local development)
+ * @returns {{send: Function}} Email transport
+ */
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log('[EMAIL]', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { delivered: true, transport: 'console' };
+    }
+  };
+}
+
+/**
+ * Transport that writes messages to JSON files (local testing)
+ * @returns {{send: Function}} Email transport
+ */
+function createFileTransport() {
+  return {
+    async send(message) {
+      const outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), '.email-outbox');
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+      return { delivered: true, transport: 'file', path: filePath };
+    }
+  };
+}
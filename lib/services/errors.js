@@ -0,0 +1,49 @@
+/**
+ * Service Errors
+ *
+ * Custom error classes shared by the server-side services.
+ * API routes map these to HTTP responses using statusCode.
+ */
+
+export class ValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.statusCode = 400;
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+export class DatabaseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.statusCode = 500;
+  }
+}
+
+export class UnauthorizedError extends Error {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+export class ConflictError extends Error {
+  constructor(message, code = 'CONFLICT') {
+    super(message);
+    this.name = 'ConflictError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
@@ -0,0 +1,444 @@
+/**
+ * Insurance Coverage Service
+ *
+ * Saves the insurance card details a family reviewed during onboarding to
+ * insurance_coverages for the session's patient. A patient has at most one
+ * onboarding coverage per level (primary, secondary); saving again replaces
+ * it. When the card matched a credentialed insurance, its OpenPM
+ * organization is copied onto the coverage for billing. Card images are
+ * kept in document storage and referenced by front_card_url/back_card_url.
+ */
+
+import { db, transaction } from '../db/client';
+import { sanitizeInput } from '../utils/sanitization';
+import { validateInsuranceData } from '../utils/insurance-validation';
+import {
+  getCoverageLevel,
+  getCoverageLevelByNumber,
+  isValidCoverageLevel,
+  COVERAGE_KIND_INSURANCE,
+  ELIGIBILITY_STATUSES,
+  ELIGIBILITY_SUBMITTED
+} from '../constants/insurance-coverage';
+import { BACK_FIRST_FIELDS, CARD_FIELDS, CARD_SIDES } from '../utils/insurance-card-merge';
+import { storeDocument, parseDocumentUrl } from './document-storage-service';
+import { ValidationError, NotFoundError, DatabaseError } from './errors';
+
+// Card fields stored as text
+const STRING_FIELDS = [
+  'insurance_company_name',
+  'member_id',
+  'group_id',
+  'plan_holder_first_name',
+  'plan_holder_last_name',
+  'plan_holder_city',
+  'plan_holder_street_address',
+  'plan_holder_zip_code'
+];
+
+// Back-of-card details without a column of their own, kept in profile_data.card_details
+const CARD_DETAIL_FIELDS = BACK_FIRST_FIELDS;
+
+const CARD_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
+
+// plan_holder_dob is read as text so dates don't shift with the server timezone
+const COVERAGE_COLUMNS = `
+  id, level, kind, eligibility, system_labels, insurance_company_name, member_id, group_id,
+  plan_holder_first_name, plan_holder_last_name, plan_holder_dob::text AS plan_holder_dob,
+  plan_holder_country, plan_holder_state, plan_holder_city, plan_holder_street_address,
+  plan_holder_zip_code, plan_holder_legal_gender, openpm_insurance_organization_id,
+  openpm_insurance_organization_name, front_card_url, back_card_url, profile_data,
+  created_at, updated_at
+`;
+
+/**
+ * Store the card images uploaded for a session (encrypted, see document-storage-service)
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} images - { front, back } each { data: Buffer, contentType } (back optional)
+ * @returns {Promise<{front_card_url: string|null, back_card_url: string|null}>} Opaque document URLs
+ */
+export async function storeInsuranceCardImages(sessionId, images) {
+  let session;
+  try {
+    const result = await db.query('SELECT id FROM onboarding_sessions WHERE id = $1', [sessionId]);
+    session = result.rows[0];
+  } catch (error) {
+    console.error('Error fetching onboarding session:', error);
+    throw new DatabaseError('Failed to fetch onboarding session');
+  }
+
+  if (!session) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  const urls = { front_card_url: null, back_card_url: null };
+  for (const side of CARD_SIDES) {
+    const image = images[side];
+    if (!image) continue;
+
+    if (!CARD_IMAGE_TYPES.includes(image.contentType)) {
+      throw new ValidationError(`Unsupported ${side} card image type`);
+    }
+
+    const { url } = await storeDocument({
+      sessionId,
+      purpose: `insurance_card_${side}`,
+      data: image.data,
+      contentType: image.contentType
+    });
+    urls[`${side}_card_url`] = url;
+  }
+
+  return urls;
+}
+
+/**
+ * Save a reviewed insurance card as the session patient's coverage
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} data - Coverage data
+ * @param {string} data.level - 'primary' or 'secondary'
+ * @param {object} data.insuranceData - Reviewed card fields (snake_case, as returned by /api/extract-insurance)
+ * @param {string|null} data.credentialedInsuranceId - Matched clinician_credentialed_insurances.id, if any
+ * @returns {Promise<object>} Saved coverage (client format)
+ */
+export async function saveInsuranceCoverage(sessionId, { level, insuranceData, credentialedInsuranceId = null }) {
+  if (!isValidCoverageLevel(level)) {
+    throw new ValidationError('level must be "primary" or "secondary"');
+  }
+
+  const validation = validateInsuranceData(insuranceData);
+  if (!validation.valid) {
+    throw new ValidationError('Invalid insurance data', validation.errors);
+  }
+
+  const coverageLevel = getCoverageLevel(level);
+  const card = sanitizeCoverageData(insuranceData);
+
+  try {
+    const { coverage, patientId, created } = await transaction(async (client) => {
+      // Lock the session so concurrent saves can't create two coverages at one level
+      const sessionResult = await client.query(
+        'SELECT id, patient_id FROM onboarding_sessions WHERE id = $1 FOR UPDATE',
+        [sessionId]
+      );
+      const session = sessionResult.rows[0];
+      if (!session) {
+        throw new NotFoundError('Onboarding session not found');
+      }
+
+      await assertSessionCardImages(client, sessionId, card);
+
+      const openpm = await getOpenPmOrganization(client, credentialedInsuranceId);
+      const profileData = {
+        source: 'onboarding',
+        onboarding_session_id: sessionId,
+        credentialed_insurance_id: openpm ? credentialedInsuranceId : null,
+        extraction_confidence: card.confidence,
+        card_details: card.card_details,
+        field_sources: card.field_sources,
+        card_pages: card.card_pages
+      };
+
+      const values = [
+        card.insurance_company_name,
+        card.member_id,
+        card.group_id,
+        card.plan_holder_first_name,
+        card.plan_holder_last_name,
+        card.plan_holder_dob,
+        card.plan_holder_state,
+        card.plan_holder_city,
+        card.plan_holder_street_address,
+        card.plan_holder_zip_code,
+        card.plan_holder_legal_gender,
+        openpm?.organizationId ?? null,
+        openpm?.organizationName ?? null,
+        JSON.stringify(profileData),
+        session.patient_id,
+        coverageLevel.level,
+        card.front_card_url,
+        card.back_card_url
+      ];
+
+      // Replace this level's onboarding coverage; coverages synced from other systems are left alone
+      const updateResult = await client.query(
+        `UPDATE insurance_coverages
+         SET insurance_company_name = $1,
+             member_id = $2,
+             group_id = $3,
+             plan_holder_first_name = $4,
+             plan_holder_last_name = $5,
+             plan_holder_dob = $6,
+             plan_holder_state = $7,
+             plan_holder_city = $8,
+             plan_holder_street_address = $9,
+             plan_holder_zip_code = $10,
+             plan_holder_legal_gender = $11,
+             openpm_insurance_organization_id = $12,
+             openpm_insurance_organization_name = $13,
+             profile_data = $14,
+             front_card_url = $17,
+             back_card_url = $18,
+             eligibility = ${ELIGIBILITY_SUBMITTED},
+             system_labels = ARRAY['submitted'],
+             updated_at = NOW()
+         WHERE user_id = $15
+           AND level = $16
+           AND profile_data->>'source' = 'onboarding'
+           AND _fivetran_deleted IS NOT TRUE
+         RETURNING ${COVERAGE_COLUMNS}`,
+        values
+      );
+      if (updateResult.rows[0]) {
+        return { coverage: updateResult.rows[0], patientId: session.patient_id, created: false };
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO insurance_coverages (
+           insurance_company_name,
+           member_id,
+           group_id,
+           plan_holder_first_name,
+           plan_holder_last_name,
+           plan_holder_dob,
+           plan_holder_state,
+           plan_holder_city,
+           plan_holder_street_address,
+           plan_holder_zip_code,
+           plan_holder_legal_gender,
+           openpm_insurance_organization_id,
+           openpm_insurance_organization_name,
+           profile_data,
+           user_id,
+           level,
+           front_card_url,
+           back_card_url,
+           plan_holder_country,
+           kind,
+           eligibility,
+           system_labels
+         ) VALUES (
+           $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+           $11, $12, $13, $14, $15, $16, $17, $18, 'US',
+           ${COVERAGE_KIND_INSURANCE}, ${ELIGIBILITY_SUBMITTED}, ARRAY['submitted']
+         )
+         RETURNING ${COVERAGE_COLUMNS}`,
+        values
+      );
+      return { coverage: insertResult.rows[0], patientId: session.patient_id, created: true };
+    });
+
+    await logAuditEvent(
+      created ? 'insurance_coverage_created' : 'insurance_coverage_updated',
+      patientId,
+      coverage.id,
+      { level: coverageLevel.id }
+    );
+    return formatCoverage(coverage);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    console.error('Error saving insurance coverage:', error);
+    throw new DatabaseError('Failed to save insurance coverage');
+  }
+}
+
+/**
+ * Get the coverages on file for a session's patient
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {Promise<array>} Coverages (client format), primary first
+ */
+export async function getInsuranceCoverages(sessionId) {
+  let session;
+  try {
+    const result = await db.query(
+      'SELECT id, patient_id FROM onboarding_sessions WHERE id = $1',
+      [sessionId]
+    );
+    session = result.rows[0];
+  } catch (error) {
+    console.error('Error fetching onboarding session:', error);
+    throw new DatabaseError('Failed to fetch onboarding session');
+  }
+
+  if (!session) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  const query = `
+    SELECT ${COVERAGE_COLUMNS}
+    FROM insurance_coverages
+    WHERE user_id = $1
+      AND kind = ${COVERAGE_KIND_INSURANCE}
+      AND _fivetran_deleted IS NOT TRUE
+    ORDER BY level ASC, updated_at DESC
+  `;
+
+  try {
+    const result = await db.query(query, [session.patient_id]);
+    return result.rows.map(formatCoverage);
+  } catch (error) {
+    console.error('Error fetching insurance coverages:', error);
+    throw new DatabaseError('Failed to fetch insurance coverages');
+  }
+}
+
+/**
+ * Check that the card image URLs are live documents uploaded in this session
+ * @param {object} client - Transaction client
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} card - Sanitized card fields
+ */
+async function assertSessionCardImages(client, sessionId, card) {
+  const urls = [card.front_card_url, card.back_card_url].filter(Boolean);
+  if (urls.length === 0) {
+    return;
+  }
+
+  const documentIds = urls.map(parseDocumentUrl);
+  if (documentIds.includes(null)) {
+    throw new ValidationError('Card images must be uploaded for this session');
+  }
+
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS count
+     FROM stored_documents
+     WHERE id = ANY($1::uuid[])
+       AND onboarding_session_id = $2
+       AND deleted_at IS NULL`,
+    [documentIds, sessionId]
+  );
+  if (result.rows[0].count !== new Set(documentIds).size) {
+    throw new ValidationError('Card images must be uploaded for this session');
+  }
+}
+
+/**
+ * Look up the OpenPM organization of a matched credentialed insurance
+ * @param {object} client - Transaction client
+ * @param {string|null} credentialedInsuranceId - clinician_credentialed_insurances.id
+ * @returns {Promise<{organizationId: string|null, organizationName: string|null}|null>} Organization, or null if not matched
+ */
+async function getOpenPmOrganization(client, credentialedInsuranceId) {
+  if (!credentialedInsuranceId) {
+    return null;
+  }
+
+  // legacy_id is the insurance's OpenPM organization id
+  const result = await client.query(
+    `SELECT legacy_id, open_pm_name
+     FROM clinician_credentialed_insurances
+     WHERE id = $1 AND _fivetran_deleted IS NOT TRUE`,
+    [credentialedInsuranceId]
+  );
+  const insurance = result.rows[0];
+  if (!insurance) {
+    return null;
+  }
+
+  return {
+    organizationId: insurance.legacy_id || null,
+    organizationName: insurance.open_pm_name || null
+  };
+}
+
+/**
+ * Convert a database row to client format
+ * @param {object} row - insurance_coverages row
+ * @returns {object} Coverage in client format
+ */
+export function formatCoverage(row) {
+  const coverageLevel = getCoverageLevelByNumber(row.level);
+  return {
+    coverageId: row.id,
+    level: coverageLevel.id,
+    levelLabel: coverageLevel.label,
+    insuranceCompanyName: row.insurance_company_name,
+    memberId: row.member_id,
+    groupId: row.group_id,
+    planHolderFirstName: row.plan_holder_first_name,
+    planHolderLastName: row.plan_holder_last_name,
+    planHolderDob: row.plan_holder_dob,
+    planHolderState: row.plan_holder_state,
+    planHolderCity: row.plan_holder_city,
+    planHolderZipCode: row.plan_holder_zip_code,
+    eligibility: ELIGIBILITY_STATUSES[row.eligibility] || 'unknown',
+    openpmInsuranceOrganizationName: row.openpm_insurance_organization_name,
+    // Image URLs stay server-side; the client only needs to know a side is on file
+    hasFrontCard: Boolean(row.front_card_url),
+    hasBackCard: Boolean(row.back_card_url),
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+/**
+ * Sanitize reviewed card fields for storage
+ * @param {object} data - Card fields (validated by validateInsuranceData)
+ * @returns {object} Sanitized fields (empty values as null)
+ */
+function sanitizeCoverageData(data) {
+  const sanitized = {};
+
+  for (const field of STRING_FIELDS) {
+    const value = typeof data[field] === 'string' ? sanitizeInput(data[field], 255) : '';
+    sanitized[field] = value || null;
+  }
+
+  sanitized.plan_holder_dob = data.plan_holder_dob || null;
+  sanitized.plan_holder_state = data.plan_holder_state ? data.plan_holder_state.toUpperCase().trim() : null;
+  sanitized.plan_holder_legal_gender = data.plan_holder_legal_gender ?? null;
+  sanitized.confidence = typeof data.confidence === 'string' ? data.confidence.toLowerCase() : null;
+  sanitized.front_card_url = data.front_card_url || null;
+  sanitized.back_card_url = data.back_card_url || null;
+
+  sanitized.card_details = {};
+  for (const field of CARD_DETAIL_FIELDS) {
+    const value = typeof data[field] === 'string' ? sanitizeInput(data[field], 100) : '';
+    sanitized.card_details[field] = value || null;
+  }
+
+  // Provenance only for known fields and sides
+  sanitized.field_sources = {};
+  for (const [field, side] of Object.entries(data.field_sources || {})) {
+    if (CARD_FIELDS.includes(field) && CARD_SIDES.includes(side)) {
+      sanitized.field_sources[field] = side;
+    }
+  }
+
+  // PDF page each side was read from: { upload: 'front' | 'back', pageNumber }
+  sanitized.card_pages = {};
+  for (const side of CARD_SIDES) {
+    const ref = data.card_pages?.[side];
+    const pageNumber = Number(ref?.pageNumber);
+    sanitized.card_pages[side] = ref && CARD_SIDES.includes(ref.upload) && Number.isInteger(pageNumber) && pageNumber > 0
+      ? { upload: ref.upload, pageNumber }
+      : null;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Log audit event for coverage changes
+ * @param {string} action - Action performed
+ * @param {string} patientId - UUID of patient
+ * @param {string} coverageId - UUID of coverage
+ * @param {object} metadata - Additional metadata
+ */
+async function logAuditEvent(action, patientId, coverageId, metadata = {}) {
+  try {
+    // This would integrate with your audit logging system
+    // For now, just console log for HIPAA compliance
+    console.log('[AUDIT]', {
+      timestamp: new Date().toISOString(),
+      action,
+      patient_id: patientId,
+      coverage_id: coverageId,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error logging audit event:', error);
+    // Don't throw - audit logging failures shouldn't break the main operation
+  }
+}
@@ -472,3 +472,30 @@ export async function checkInNetworkStatus(credentialedInsuranceId) {
   }
 }
 
+/**
+ * Get clinicians credentialed with an insurance
+ * Returns clinician user ids as used by clinician_availabilities.user_id
+ * (clinicians.healthie_id).
+ *
+ * @param {string} credentialedInsuranceId - Credentialed insurance ID
+ * @returns {Promise<Array<number>>} In-network clinician user ids
+ */
+export async function getInNetworkClinicianIds(credentialedInsuranceId) {
+  if (!credentialedInsuranceId) {
+    return []
+  }
+
+  const sql = `
+    SELECT DISTINCT c.healthie_id
+    FROM clinician_insurance_affiliations cia
+    JOIN clinicians c ON c.id = cia.care_provider_profile_id
+    WHERE cia.credentialed_insurance_id = $1
+      AND cia._fivetran_deleted = false
+      AND c.healthie_id IS NOT NULL
+  `
+
+  const result = await query(sql, [credentialedInsuranceId])
+  return result.rows
+    .map(row => parseInt(row.healthie_id, 10))
+    .filter(id => !isNaN(id))
+}
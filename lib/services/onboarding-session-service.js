@@ -0,0 +1,285 @@
+/**
+ * Onboarding Session Service
+ *
+ * Business logic for server-side onboarding sessions.
+ * A session links a patients_and_guardians row to everything collected
+ * during onboarding so the flow can be resumed on another device.
+ */
+
+import { db, transaction } from '../db/client';
+import { sanitizeInput, sanitizeTextArea } from '../utils/sanitization';
+import { validateSessionUpdate } from '../utils/onboarding-session-validation';
+import { formatAppointment } from './appointment-service';
+import { ValidationError, NotFoundError, DatabaseError } from './errors';
+
+// Maps client (camelCase) session fields to database columns
+const FIELD_MAPPING = {
+  status: 'status',
+  currentStep: 'current_step',
+  extractedSymptoms: 'extracted_symptoms',
+  extractionMetadata: 'extraction_metadata',
+  insuranceData: 'insurance_data',
+  insuranceValidation: 'insurance_validation',
+  schedulingInput: 'scheduling_input',
+  patientState: 'patient_state',
+  interpretedPreferences: 'interpreted_preferences',
+  matchedSlots: 'matched_slots',
+  selectedSlot: 'selected_slot',
+  appointmentConfirmed: 'appointment_confirmed'
+};
+
+const JSON_FIELDS = [
+  'extractedSymptoms',
+  'extractionMetadata',
+  'insuranceData',
+  'insuranceValidation',
+  'interpretedPreferences',
+  'matchedSlots',
+  'selectedSlot'
+];
+
+/**
+ * Create a new onboarding session along with its patients_and_guardians row
+ * @returns {Promise<object>} Created session (client format)
+ */
+export async function createSession() {
+  try {
+    const session = await transaction(async (client) => {
+      const patientResult = await client.query(
+        `INSERT INTO patients_and_guardians (role, system_labels, profile_data)
+         VALUES (1, $1, $2)
+         RETURNING id`,
+        [['dependent'], JSON.stringify({ source: 'onboarding' })]
+      );
+      const patientId = patientResult.rows[0].id;
+
+      const sessionResult = await client.query(
+        `INSERT INTO onboarding_sessions (patient_id)
+         VALUES ($1)
+         RETURNING *`,
+        [patientId]
+      );
+
+      return sessionResult.rows[0];
+    });
+
+    await logAuditEvent('onboarding_session_created', session.patient_id, session.id);
+    return formatSession(session);
+  } catch (error) {
+    console.error('Error creating onboarding session:', error);
+    throw new DatabaseError('Failed to create onboarding session');
+  }
+}
+
+/**
+ * Get an onboarding session by ID
+ * @param {string} sessionId - UUID of the session
+ * @returns {Promise<object|null>} Session (client format) or null if not found
+ */
+export async function getSession(sessionId) {
+  // Include the session's active appointment so a resumed session shows its booking
+  const query = `
+    SELECT s.*, row_to_json(a) AS appointment_row
+    FROM onboarding_sessions s
+    LEFT JOIN LATERAL (
+      SELECT * FROM appointments
+      WHERE onboarding_session_id = s.id AND status IN ('held', 'confirmed')
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) a ON true
+    WHERE s.id = $1
+  `;
+
+  try {
+    const result = await db.query(query, [sessionId]);
+    return result.rows[0] ? formatSession(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error fetching onboarding session:', error);
+    throw new DatabaseError('Failed to fetch onboarding session');
+  }
+}
+
+/**
+ * Update an onboarding session (partial)
+ * @param {string} sessionId - UUID of the session
+ * @param {object} data - Session fields to update (camelCase)
+ * @returns {Promise<object>} Updated session (client format)
+ */
+export async function updateSession(sessionId, data) {
+  // Validate input
+  const validationErrors = validateSessionUpdate(data);
+  if (validationErrors.length > 0) {
+    throw new ValidationError('Invalid onboarding session data', validationErrors);
+  }
+
+  // Check if session exists
+  const existing = await getSession(sessionId);
+  if (!existing) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  const sanitizedData = sanitizeSessionData(data);
+
+  // Build dynamic UPDATE query based on provided fields
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, dbColumn] of Object.entries(FIELD_MAPPING)) {
+    if (key in sanitizedData) {
+      let value = sanitizedData[key];
+
+      // Handle JSON fields
+      if (JSON_FIELDS.includes(key)) {
+        value = value === null ? null : JSON.stringify(value);
+      }
+
+      updates.push(`${dbColumn} = $${paramCount}`);
+      values.push(value);
+      paramCount++;
+    }
+  }
+
+  // Stamp completion time the first time a session is marked completed
+  if (sanitizedData.status === 'completed') {
+    updates.push('completed_at = COALESCE(completed_at, NOW())');
+  }
+
+  if (updates.length === 0) {
+    return existing;
+  }
+
+  // Add session id for WHERE clause
+  values.push(sessionId);
+
+  const query = `
+    UPDATE onboarding_sessions
+    SET ${updates.join(', ')}
+    WHERE id = $${paramCount}
+    RETURNING *
+  `;
+
+  try {
+    const result = await db.query(query, values);
+    await logAuditEvent(
+      'onboarding_session_updated',
+      existing.patientId,
+      sessionId,
+      { updated_fields: Object.keys(sanitizedData) }
+    );
+    return formatSession(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating onboarding session:', error);
+    throw new DatabaseError('Failed to update onboarding session');
+  }
+}
+
+/**
+ * Save the parent's email on the patient record linked to a session
+ * @param {string} sessionId - UUID of the session
+ * @param {string} email - Sanitized email address
+ * @returns {Promise<void>}
+ */
+export async function updateSessionEmail(sessionId, email) {
+  const query = `
+    UPDATE patients_and_guardians
+    SET email = $1
+    WHERE id = (SELECT patient_id FROM onboarding_sessions WHERE id = $2)
+    RETURNING id
+  `;
+
+  let result;
+  try {
+    result = await db.query(query, [email, sessionId]);
+  } catch (error) {
+    console.error('Error updating session email:', error);
+    throw new DatabaseError('Failed to update session email');
+  }
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  await logAuditEvent('onboarding_session_email_updated', result.rows[0].id, sessionId);
+}
+
+/**
+ * Convert a database row to the shape used by OnboardingContext
+ * @param {object} row - onboarding_sessions row
+ * @returns {object} Session in client format
+ */
+export function formatSession(row) {
+  return {
+    sessionId: row.id,
+    patientId: row.patient_id,
+    status: row.status,
+    currentStep: row.current_step,
+    extractedSymptoms: row.extracted_symptoms || {},
+    extractionMetadata: row.extraction_metadata || { extractedAt: null, model: null },
+    insuranceData: row.insurance_data,
+    insuranceValidation: row.insurance_validation,
+    schedulingInput: row.scheduling_input || '',
+    patientState: row.patient_state || null,
+    interpretedPreferences: row.interpreted_preferences,
+    matchedSlots: row.matched_slots || [],
+    selectedSlot: row.selected_slot,
+    appointmentConfirmed: row.appointment_confirmed || false,
+    appointment: row.appointment_row ? formatAppointment(row.appointment_row) : null,
+    completedAt: row.completed_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Sanitize session data to prevent XSS and injection attacks
+ * @param {object} data - Raw session data
+ * @returns {object} Sanitized session data (only known fields)
+ */
+function sanitizeSessionData(data) {
+  const sanitized = {};
+
+  for (const key of Object.keys(FIELD_MAPPING)) {
+    if (key in data) {
+      sanitized[key] = data[key] === undefined ? null : data[key];
+    }
+  }
+
+  if (typeof sanitized.schedulingInput === 'string') {
+    sanitized.schedulingInput = sanitizeTextArea(sanitized.schedulingInput, 500);
+  }
+
+  // Insurance card fields come from OCR and parent edits
+  if (sanitized.insuranceData) {
+    const insuranceData = {};
+    for (const [key, value] of Object.entries(sanitized.insuranceData)) {
+      insuranceData[key] = typeof value === 'string' ? sanitizeInput(value, 255) : value;
+    }
+    sanitized.insuranceData = insuranceData;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Log audit event for onboarding session changes
+ * @param {string} action - Action performed
+ * @param {string} patientId - UUID of patient
+ * @param {string} sessionId - UUID of onboarding session
+ * @param {object} metadata - Additional metadata
+ */
+async function logAuditEvent(action, patientId, sessionId, metadata = {}) {
+  try {
+    // This would integrate with your audit logging system
+    // For now, just console log for HIPAA compliance
+    console.log('[AUDIT]', {
+      timestamp: new Date().toISOString(),
+      action,
+      patient_id: patientId,
+      session_id: sessionId,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error logging audit event:', error);
+    // Don't throw - audit logging failures shouldn't break the main operation
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Resume Link Service
+ *
+ * "Save and finish later" for the onboarding flow: emails a signed, expiring
+ * magic link and restores the onboarding session when the link is opened.
+ */
+
+import { getSession, updateSessionEmail } from './onboarding-session-service';
+import { sendResumeLinkEmail } from './email-service';
+import { createResumeToken, verifyResumeToken, DEFAULT_RESUME_TOKEN_TTL_MS } from '../utils/resume-token';
+import { sanitizeEmail } from '../utils/sanitization';
+import { ValidationError, NotFoundError, UnauthorizedError } from './errors';
+
+/**
+ * Get resume link lifetime from RESUME_TOKEN_TTL_HOURS (defaults to 7 days)
+ * @returns {number} Time to live in milliseconds
+ */
+function getResumeTokenTtl() {
+  const hours = parseInt(process.env.RESUME_TOKEN_TTL_HOURS || '', 10);
+  return hours > 0 ? hours * 60 * 60 * 1000 : DEFAULT_RESUME_TOKEN_TTL_MS;
+}
+
+/**
+ * Get the public app URL resume links point at, from APP_URL
+ * Outside production the request's own origin is used when APP_URL is unset;
+ * production never builds links from request headers.
+ * @param {string} requestOrigin - Origin of the incoming request
+ * @returns {string|null} Base URL without a trailing slash, or null if APP_URL is required but unset
+ */
+export function getAppBaseUrl(requestOrigin) {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/+$/, '');
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    return null;
+  }
+
+  return requestOrigin;
+}
+
+/**
+ * Email a resume link for an onboarding session
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {string} email - Parent's email address
+ * @param {string} baseUrl - Origin used to build the link (e.g. https://app.daybreakhealth.com)
+ * @returns {Promise<{expiresAt: number}>} Link expiry timestamp
+ */
+export async function sendResumeLink(sessionId, email, baseUrl) {
+  const sanitizedEmail = sanitizeEmail(email);
+  if (!sanitizedEmail) {
+    throw new ValidationError('Invalid email address', [
+      { field: 'email', message: 'Please enter a valid email address' }
+    ]);
+  }
+
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  await updateSessionEmail(sessionId, sanitizedEmail);
+
+  const { token, expiresAt } = createResumeToken(sessionId, { ttlMs: getResumeTokenTtl() });
+  const resumeUrl = `${baseUrl}/?resume=${encodeURIComponent(token)}`;
+
+  await sendResumeLinkEmail(sanitizedEmail, resumeUrl, expiresAt);
+
+  return { expiresAt };
+}
+
+/**
+ * Restore an onboarding session from a resume token
+ * @param {string} token - Token from the resume link
+ * @returns {Promise<object>} Session (client format)
+ */
+export async function resumeSession(token) {
+  const verification = verifyResumeToken(token);
+  if (!verification.valid) {
+    throw new UnauthorizedError(verification.error, verification.code);
+  }
+
+  const session = await getSession(verification.sessionId);
+  if (!session) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  return session;
+}
@@ -0,0 +1,265 @@
+/**
+ * Safety Escalation Service
+ *
+ * Flags onboarding sessions for urgent care-coordinator follow-up when a
+ * family reports "Safety Concerns" symptoms (suicidal thoughts, self-harm,
+ * hearing or seeing things) or crisis language is detected in their
+ * narrative answers. A session has at most one unresolved escalation;
+ * repeat reports update its concerns rather than opening a new one.
+ */
+
+import { db } from '../db/client';
+import { getSafetyConcerns } from '../constants/symptom-mapping';
+import { CRISIS_CATEGORIES } from '../utils/crisis-language-detector';
+import { ValidationError, NotFoundError, DatabaseError } from './errors';
+
+// Matched phrases kept per report; the detector's phrases are a few words long
+const MAX_MATCHED_PHRASES = 20;
+const MAX_MATCHED_PHRASE_LENGTH = 200;
+
+/**
+ * Flag a session for urgent follow-up
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} concerns - Safety symptom key -> "Daily" | "Some"
+ * @returns {Promise<object>} Escalation (client format)
+ */
+export async function reportSafetyConcerns(sessionId, concerns) {
+  const safetyConcerns = getSafetyConcerns(concerns);
+  const concernCount = Object.keys(safetyConcerns).length;
+
+  if (concernCount === 0 || concernCount !== Object.keys(concerns || {}).length) {
+    throw new ValidationError('concerns must map Safety Concerns symptoms to "Daily" or "Some"');
+  }
+
+  return openOrUpdateEscalation(sessionId, safetyConcerns, [], 'symptom_review');
+}
+
+/**
+ * Flag a session whose narrative answers contain crisis language
+ * The risk level and categories are stored, plus the matched phrases when
+ * given (so care coordinators can see what triggered the flag) - never the
+ * rest of the answer text.
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} crisisLanguage - { riskLevel, categories } from detectCrisisLanguageInAnswers
+ * @param {Array<{answer: number, text: string, category: string, level: string}>} crisisLanguage.matches - Matched phrases (optional)
+ * @returns {Promise<object>} Escalation (client format)
+ */
+export async function reportCrisisLanguage(sessionId, crisisLanguage) {
+  const { riskLevel, categories, matches = [] } = crisisLanguage || {};
+
+  if (riskLevel !== 'elevated' && riskLevel !== 'high') {
+    throw new ValidationError('crisisLanguage.riskLevel must be "elevated" or "high"');
+  }
+
+  if (!Array.isArray(categories) || categories.length === 0 ||
+    !categories.every(category => CRISIS_CATEGORIES.includes(category))) {
+    throw new ValidationError(`crisisLanguage.categories must contain: ${CRISIS_CATEGORIES.join(', ')}`);
+  }
+
+  if (!Array.isArray(matches) || matches.length > MAX_MATCHED_PHRASES || !matches.every(isValidMatchedPhrase)) {
+    throw new ValidationError('crisisLanguage.matches must list matched phrases ({ answer, text, category, level })');
+  }
+
+  const concerns = {};
+  categories.forEach(category => {
+    concerns[`crisis-language:${category}`] = riskLevel;
+  });
+
+  const matchedPhrases = matches.map(({ answer, text, category, level }) => ({ answer, text, category, level }));
+
+  return openOrUpdateEscalation(sessionId, concerns, matchedPhrases, 'narrative_answers');
+}
+
+/**
+ * Check a matched phrase from the crisis language detector
+ * @param {object} match - { answer, text, category, level }
+ * @returns {boolean} True if valid
+ */
+function isValidMatchedPhrase(match) {
+  return Boolean(match) &&
+    Number.isInteger(match.answer) && match.answer >= 1 &&
+    typeof match.text === 'string' && match.text.length > 0 && match.text.length <= MAX_MATCHED_PHRASE_LENGTH &&
+    CRISIS_CATEGORIES.includes(match.category) &&
+    (match.level === 'elevated' || match.level === 'high');
+}
+
+/**
+ * Open an escalation for a session, or merge concerns into its unresolved one
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} concerns - Concern key -> severity
+ * @param {Array<object>} matchedPhrases - Crisis-language phrases behind the concerns
+ * @param {string} source - Where the concern was reported
+ * @returns {Promise<object>} Escalation (client format)
+ */
+async function openOrUpdateEscalation(sessionId, concerns, matchedPhrases, source) {
+  let session;
+  try {
+    const result = await db.query(
+      'SELECT id, patient_id FROM onboarding_sessions WHERE id = $1',
+      [sessionId]
+    );
+    session = result.rows[0];
+  } catch (error) {
+    console.error('Error fetching onboarding session:', error);
+    throw new DatabaseError('Failed to fetch onboarding session');
+  }
+
+  if (!session) {
+    throw new NotFoundError('Onboarding session not found');
+  }
+
+  // xmax = 0 only for freshly inserted rows, so coordinators are alerted once per escalation.
+  // Phrases reported again (as the parent types, then at extraction) are kept once.
+  const query = `
+    INSERT INTO safety_escalations (onboarding_session_id, concerns, matched_phrases, source)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (onboarding_session_id) WHERE status IN ('open', 'acknowledged')
+    DO UPDATE SET
+      concerns = safety_escalations.concerns || EXCLUDED.concerns,
+      matched_phrases = (
+        SELECT COALESCE(jsonb_agg(DISTINCT phrase), '[]'::jsonb)
+        FROM jsonb_array_elements(safety_escalations.matched_phrases || EXCLUDED.matched_phrases) AS phrase
+      )
+    RETURNING *, (xmax = 0) AS inserted
+  `;
+
+  let escalation;
+  try {
+    const result = await db.query(query, [sessionId, JSON.stringify(concerns), JSON.stringify(matchedPhrases), source]);
+    escalation = result.rows[0];
+  } catch (error) {
+    console.error('Error recording safety escalation:', error);
+    throw new DatabaseError('Failed to record safety escalation');
+  }
+
+  if (escalation.inserted) {
+    // This would integrate with the care-coordinator paging system
+    console.warn('[SAFETY] Urgent follow-up required', {
+      escalation_id: escalation.id,
+      session_id: sessionId,
+      source
+    });
+  }
+
+  await logAuditEvent(
+    escalation.inserted ? 'safety_escalation_opened' : 'safety_escalation_updated',
+    session.patient_id,
+    escalation.id,
+    { source }
+  );
+  return formatEscalation(escalation);
+}
+
+/**
+ * List unresolved escalations for care coordinators, oldest first
+ * @returns {Promise<array>} Escalations (client format)
+ */
+export async function listOpenEscalations() {
+  const query = `
+    SELECT e.*, s.patient_id, s.current_step
+    FROM safety_escalations e
+    JOIN onboarding_sessions s ON s.id = e.onboarding_session_id
+    WHERE e.status IN ('open', 'acknowledged')
+    ORDER BY e.created_at ASC
+  `;
+
+  try {
+    const result = await db.query(query);
+    return result.rows.map(row => ({
+      ...formatEscalation(row),
+      patientId: row.patient_id,
+      currentStep: row.current_step
+    }));
+  } catch (error) {
+    console.error('Error listing safety escalations:', error);
+    throw new DatabaseError('Failed to list safety escalations');
+  }
+}
+
+/**
+ * Move an escalation through its follow-up lifecycle
+ * @param {string} escalationId - UUID of the escalation
+ * @param {string} status - 'acknowledged' or 'resolved'
+ * @returns {Promise<object>} Updated escalation (client format)
+ */
+export async function updateEscalationStatus(escalationId, status) {
+  if (status !== 'acknowledged' && status !== 'resolved') {
+    throw new ValidationError('status must be "acknowledged" or "resolved"');
+  }
+
+  const query = `
+    UPDATE safety_escalations
+    SET status = $2,
+        acknowledged_at = COALESCE(acknowledged_at, NOW()),
+        resolved_at = CASE WHEN $2 = 'resolved' THEN NOW() ELSE resolved_at END
+    WHERE id = $1 AND status <> 'resolved'
+    RETURNING *
+  `;
+
+  let result;
+  try {
+    result = await db.query(query, [escalationId, status]);
+  } catch (error) {
+    console.error('Error updating safety escalation:', error);
+    throw new DatabaseError('Failed to update safety escalation');
+  }
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Unresolved safety escalation not found');
+  }
+
+  await logAuditEvent(`safety_escalation_${status}`, null, escalationId);
+  return formatEscalation(result.rows[0]);
+}
+
+/**
+ * Convert a safety_escalations row to client format
+ * @param {object} row - safety_escalations row
+ * @returns {object} Escalation
+ */
+export function formatEscalation(row) {
+  return {
+    escalationId: row.id,
+    sessionId: row.onboarding_session_id,
+    concerns: row.concerns || {},
+    matchedPhrases: row.matched_phrases || [],
+    source: row.source,
+    status: row.status,
+    createdAt: toIsoString(row.created_at),
+    acknowledgedAt: toIsoString(row.acknowledged_at),
+    resolvedAt: toIsoString(row.resolved_at)
+  };
+}
+
+/**
+ * Convert a timestamp to an ISO string
+ * @param {Date|string|null} value - Timestamp
+ * @returns {string|null} ISO string or null
+ */
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Log audit event for safety escalations
+ * @param {string} action - Action performed
+ * @param {string} patientId - UUID of patient
+ * @param {string} escalationId - UUID of escalation
+ * @param {object} metadata - Additional metadata
+ */
+async function logAuditEvent(action, patientId, escalationId, metadata = {}) {
+  try {
+    // This would integrate with your audit logging system
+    // For now, just console log for HIPAA compliance
+    console.log('[AUDIT]', {
+      timestamp: new Date().toISOString(),
+      action,
+      patient_id: patientId,
+      escalation_id: escalationId,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error logging audit event:', error);
+    // Don't throw - audit logging failures shouldn't break the main operation
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Slot Hold Service
+ *
+ * Short-lived holds are placed when a family selects a slot (see holdSlot()
+ * in appointment-service). While a hold is active the slot is hidden from
+ * other sessions' matches. Holds lapse after HOLD_DURATION_MINUTES and are
+ * swept lazily whenever availability is matched or holds are inspected, so
+ * no background job is required.
+ */
+
+import { db } from '../db/client';
+import { expireStaleHolds, formatAppointment } from './appointment-service';
+import { NotFoundError, DatabaseError } from './errors';
+
+// Minimum time between automatic sweeps of expired holds
+export const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let lastSweepAt = 0;
+
+/**
+ * Mark expired holds as 'expired'
+ * Throttled to once per SWEEP_INTERVAL_MS unless forced.
+ * @param {object} options - Options
+ * @param {boolean} options.force - Sweep even if a sweep ran recently
+ * @returns {Promise<number>} Number of holds expired
+ */
+export async function sweepExpiredHolds({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - lastSweepAt < SWEEP_INTERVAL_MS) {
+    return 0;
+  }
+  lastSweepAt = now;
+
+  try {
+    const expiredCount = await expireStaleHolds();
+    if (expiredCount > 0) {
+      console.log(`[HOLDS] Expired ${expiredCount} stale hold(s)`);
+    }
+    return expiredCount;
+  } catch (error) {
+    console.error('Error sweeping expired holds:', error);
+    throw new DatabaseError('Failed to sweep expired holds');
+  }
+}
+
+/**
+ * Get times that must not be offered to a session
+ * Includes confirmed appointments and other sessions' active holds.
+ * @param {object} options - Options
+ * @param {string} options.excludeSessionId - Session whose own holds stay bookable
+ * @returns {Promise<array>} Blocked times ({ clinicianId, startTime, endTime })
+ */
+export async function getBlockedTimes({ excludeSessionId = null } = {}) {
+  const query = `
+    SELECT clinician_user_id, start_time, end_time
+    FROM appointments
+    WHERE end_time > NOW()
+      AND (
+        status = 'confirmed'
+        OR (
+          status = 'held'
+          AND hold_expires_at > NOW()
+          AND onboarding_session_id IS DISTINCT FROM $1
+        )
+      )
+  `;
+
+  try {
+    const result = await db.query(query, [excludeSessionId]);
+    return result.rows.map(row => ({
+      clinicianId: row.clinician_user_id,
+      startTime: new Date(row.start_time).toISOString(),
+      endTime: new Date(row.end_time).toISOString()
+    }));
+  } catch (error) {
+    console.error('Error fetching blocked times:', error);
+    throw new DatabaseError('Failed to fetch blocked times');
+  }
+}
+
+/**
+ * Release a session's hold so the slot can be offered again
+ * @param {string} appointmentId - UUID of the held appointment
+ * @param {string} sessionId - UUID of the onboarding session that holds it
+ * @returns {Promise<object>} Released appointment (client format)
+ */
+export async function releaseHold(appointmentId, sessionId) {
+  const query = `
+    UPDATE appointments
+    SET status = 'cancelled', cancelled_at = NOW()
+    WHERE id = $1
+      AND onboarding_session_id = $2
+      AND status = 'held'
+    RETURNING *
+  `;
+
+  let result;
+  try {
+    result = await db.query(query, [appointmentId, sessionId]);
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    throw new DatabaseError('Failed to release hold');
+  }
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Active hold not found');
+  }
+
+  await logAuditEvent('hold_released', result.rows[0].patient_id, appointmentId);
+  return formatAppointment(result.rows[0]);
+}
+
+/**
+ * List active holds for support staff
+ * Runs a sweep first so lapsed holds are not reported.
+ * @returns {Promise<array>} Active holds, soonest expiry first
+ */
+export async function listActiveHolds() {
+  await sweepExpiredHolds({ force: true });
+
+  const query = `
+    SELECT a.*,
+           c.first_name AS clinician_first_name,
+           c.last_name AS clinician_last_name
+    FROM appointments a
+    LEFT JOIN clinicians c ON c.healthie_id = a.clinician_user_id::text
+    WHERE a.status = 'held' AND a.hold_expires_at > NOW()
+    ORDER BY a.hold_expires_at ASC
+  `;
+
+  try {
+    const result = await db.query(query);
+    return result.rows.map(row => ({
+      ...formatAppointment(row),
+      sessionId: row.onboarding_session_id,
+      clinicianName: [row.clinician_first_name, row.clinician_last_name].filter(Boolean).join(' ') || null,
+      heldAt: new Date(row.created_at).toISOString(),
+      secondsRemaining: Math.max(0, Math.round((new Date(row.hold_expires_at) - Date.now()) / 1000))
+    }));
+  } catch (error) {
+    console.error('Error listing active holds:', error);
+    throw new DatabaseError('Failed to list active holds');
+  }
+}
+
+/**
+ * Log audit event for hold changes
+ * @param {string} action - Action performed
+ * @param {string} patientId - UUID of patient
+ * @param {string} appointmentId - UUID of appointment
+ * @param {object} metadata - Additional metadata
+ */
+async function logAuditEvent(action, patientId, appointmentId, metadata = {}) {
+  try {
+    // This would integrate with your audit logging system
+    // For now, just console log for HIPAA compliance
+    console.log('[AUDIT]', {
+      timestamp: new Date().toISOString(),
+      action,
+      patient_id: patientId,
+      appointment_id: appointmentId,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error logging audit event:', error);
+    // Don't throw - audit logging failures shouldn't break the main operation
+  }
+}
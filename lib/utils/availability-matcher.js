@@ -6,6 +6,31 @@
  */
 
 import { toZonedTime } from 'date-fns-tz'
+import { normalizeLanguageCode } from '../constants/care-languages'
+import { getAppointmentType, DEFAULT_APPOINTMENT_TYPE } from '../constants/appointment-types'
+import { scoreClinicianFit } from './clinician-fit'
+import { diversifySlots, DEFAULT_DIVERSITY_POLICY } from './result-diversifier'
+
+// Score bonus for clinicians speaking a preferred (but not required) language
+const LANGUAGE_MATCH_BOOST = 0.15
+
+// Share of the match score given to clinician fit when symptoms are known
+const CLINICIAN_FIT_WEIGHT = 0.3
+
+// Slot settings when no appointment type is given: back-to-back 30-minute slots, top 5
+const DEFAULT_SLOT_SETTINGS = {
+  durationMinutes: 30,
+  stepMinutes: 30,
+  bufferMinutes: 0,
+  maxResults: 5,
+}
+
+// Ongoing therapy is a weekly session at a regular time
+export const SERIES_WEEKS = 4
+const MAX_SERIES_OPTIONS = 3
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
 
 /**
  * Calculate day of week match score
@@ -232,14 +257,189 @@ function calculatePatternMatchScore(userPattern, availabilityDay) {
   return 1.0 // Default: match all
 }
 
+/**
+ * Check if a slot overlaps a booked or held time for the same clinician
+ * @param {Object} slot - Slot with clinicianId, startTime and endTime
+ * @param {Array} blockedTimes - Blocked times ({ clinicianId, startTime, endTime })
+ * @param {number} bufferMinutes - Gap to keep free before and after the clinician's other sessions
+ * @returns {boolean} True if the slot is blocked
+ */
+function isSlotBlocked(slot, blockedTimes, bufferMinutes = 0) {
+  const slotStart = new Date(new Date(slot.startTime).getTime() - bufferMinutes * MINUTE_MS)
+  const slotEnd = new Date(new Date(slot.endTime).getTime() + bufferMinutes * MINUTE_MS)
+
+  return blockedTimes.some(blocked =>
+    blocked.clinicianId === slot.clinicianId &&
+    new Date(blocked.startTime) < slotEnd &&
+    new Date(blocked.endTime) > slotStart
+  )
+}
+
+/**
+ * Check if an availability's clinician is licensed in the patient's state
+ * Uses clinicians.licensed_states and clinicians.states_active.
+ * @param {Object} avail - Availability record
+ * @param {string|null} patientState - Two-letter state abbreviation (null = no filtering)
+ * @returns {boolean} True if the clinician can see a patient in that state
+ */
+export function isLicensedInState(avail, patientState) {
+  if (!patientState) {
+    return true
+  }
+
+  const state = patientState.toUpperCase()
+  const states = [...(avail.licensed_states || []), ...(avail.states_active || [])]
+  return states.some(s => typeof s === 'string' && s.trim().toUpperCase() === state)
+}
+
+/**
+ * Check if an availability's clinician speaks a language
+ * @param {Object} avail - Availability record with care_languages
+ * @param {string} languageCode - Care language code (e.g. "spa")
+ * @returns {boolean} True if the clinician lists the language in care_languages
+ */
+export function speaksLanguage(avail, languageCode) {
+  return (avail.care_languages || []).some(language => normalizeLanguageCode(language) === languageCode)
+}
+
+/**
+ * Score how well an availability window fits the preferences
+ * Day, time, date and pattern scores are weighted 0.3 / 0.4 / 0.2 / 0.1.
+ * @param {Object} preferences - Interpreted user preferences
+ * @param {Object} avail - Availability record (range_start, range_end, timezone)
+ * @returns {number} Score (0.0 to 1.0); 0 when it falls outside the requested specific dates
+ */
+function scoreAvailability(preferences, avail) {
+  const availStart = new Date(avail.range_start)
+  const availEnd = new Date(avail.range_end)
+
+  // Convert to clinician's timezone to get correct day of week and times
+  // Availability times are stored in UTC, but should be interpreted in local timezone
+  const clinicianTimezone = avail.timezone || 'America/Los_Angeles'
+  const zonedStart = toZonedTime(availStart, clinicianTimezone)
+  const zonedEnd = toZonedTime(availEnd, clinicianTimezone)
+  const availDay = zonedStart.getDay()
+
+  // Filter by specific dates if provided
+  // Also check the zoned date for specific date matching
+  if (!matchesSpecificDates(zonedStart, preferences.specificDates)) {
+    return 0
+  }
+
+  // Calculate day match score
+  const dayScore = calculateDayMatchScore(
+    preferences.daysOfWeek || [],
+    availDay,
+    preferences.recurringPattern || 'none'
+  )
+
+  // Calculate time overlap using timezone-adjusted times
+  let maxTimeOverlap = 0.0
+  if (preferences.timeRanges && preferences.timeRanges.length > 0) {
+    for (const timeRange of preferences.timeRanges) {
+      // Apply 30-minute flexibility if time range is narrow (less than 2 hours)
+      const startMinutes = timeToMinutes(timeRange.start)
+      const endMinutes = timeToMinutes(timeRange.end)
+      const rangeDuration = endMinutes - startMinutes
+
+      let userStart = timeRange.start
+      let userEnd = timeRange.end
+
+      // Apply flexibility for narrow ranges
+      if (rangeDuration < 120) { // Less than 2 hours
+        const flexible = applyTimeFlexibility(timeRange.start, timeRange.end)
+        userStart = flexible.start
+        userEnd = flexible.end
+      }
+
+      // Use zoned times for accurate comparison in clinician's timezone
+      const overlap = calculateTimeOverlap(userStart, userEnd, zonedStart, zonedEnd)
+      maxTimeOverlap = Math.max(maxTimeOverlap, overlap)
+    }
+  } else {
+    // No time preference = match all times
+    maxTimeOverlap = 1.0
+  }
+
+  // Calculate date constraint score using zoned date
+  const dateScore = calculateDateConstraintScore(zonedStart, preferences.dateConstraints)
+
+  // Calculate pattern match score
+  const patternScore = calculatePatternMatchScore(
+    preferences.recurringPattern,
+    availDay
+  )
+
+  // Calculate total score using weighted formula
+  return (
+    dayScore * 0.3 +
+    maxTimeOverlap * 0.4 +
+    dateScore * 0.2 +
+    patternScore * 0.1
+  )
+}
+
+/**
+ * Blend in how well the clinician's specialties fit the child's symptoms
+ * @param {number} totalScore - Score from scoreAvailability
+ * @param {Object} avail - Availability record with specialty_categories
+ * @param {Object|null} symptomCategoryWeights - Symptom-category weights (null = time-only scoring)
+ * @returns {{clinicianFit: number|null, blendedScore: number}} Fit (null without symptoms) and blended score
+ */
+function blendClinicianFit(totalScore, avail, symptomCategoryWeights) {
+  const clinicianFit = scoreClinicianFit(avail.specialty_categories, symptomCategoryWeights)
+  const blendedScore = clinicianFit === null
+    ? totalScore
+    : totalScore * (1 - CLINICIAN_FIT_WEIGHT) + clinicianFit * CLINICIAN_FIT_WEIGHT
+  return { clinicianFit, blendedScore }
+}
+
 /**
  * Match user preferences against availability data
  * @param {Object} preferences - Interpreted user preferences
  * @param {Object} availabilityData - Processed availability data
  * @param {string} userTimezone - User's timezone
+ * @param {Object} options - Matching options
+ * @param {Array} options.blockedTimes - Booked/held times to skip ({ clinicianId, startTime, endTime })
+ * @param {Array|null} options.inNetworkClinicianIds - Clinicians accepting the family's insurance (null = no insurance filtering)
+ * @param {string|null} options.patientState - Patient's state; clinicians not licensed there are excluded
+ * @param {Object|null} options.symptomCategoryWeights - Symptom-category weights from getSymptomCategoryWeights (null = time-only scoring)
+ * @param {boolean} options.prioritizeEarliest - Order matching slots earliest-first instead of by score (safety concerns)
+ * @param {Object|null} options.appointmentType - Appointment type from lib/constants/appointment-types.js; sets
+ *   slot length, start-time grid, buffer around booked times and result count (null = 30-minute slots, top 5)
+ * @param {Object|null} options.diversity - Spread each page across clinicians, days and times (see result-diversifier;
+ *   null = strict ranking). Not applied when prioritizing the earliest times.
+ * @param {number} options.offset - Matched slots to skip, for showing more times
  * @returns {Array} Array of matched slots with scores
  */
-export function matchAvailability(preferences, availabilityData, userTimezone) {
+export function matchAvailability(preferences, availabilityData, userTimezone, options = {}) {
+  return matchAvailabilityWithStats(preferences, availabilityData, userTimezone, options).slots
+}
+
+/**
+ * Match user preferences against availability data and report exclusions
+ * @param {Object} preferences - Interpreted user preferences
+ * @param {Object} availabilityData - Processed availability data
+ * @param {string} userTimezone - User's timezone
+ * @param {Object} options - Matching options (see matchAvailability)
+ * @returns {{slots: Array, stats: {excludedForLicensure: number, excludedForLanguage: number}, totalCount: number}}
+ *   One page of matched slots, exclusion counts, and how many slots matched in all
+ */
+export function matchAvailabilityWithStats(preferences, availabilityData, userTimezone, options = {}) {
+  const {
+    blockedTimes = [],
+    inNetworkClinicianIds = null,
+    patientState = null,
+    symptomCategoryWeights = null,
+    prioritizeEarliest = false,
+    appointmentType = null,
+    diversity = DEFAULT_DIVERSITY_POLICY,
+    offset = 0,
+  } = options
+  const { durationMinutes, stepMinutes, bufferMinutes, maxResults } = appointmentType || DEFAULT_SLOT_SETTINGS
+  let excludedForLicensure = 0
+  let excludedForLanguage = 0
+  const languagePreference = preferences.languagePreference || null
   const currentDate = new Date()
   currentDate.setHours(0, 0, 0, 0)
 
@@ -251,74 +451,15 @@ export function matchAvailability(preferences, availabilityData, userTimezone) {
   for (const avail of availabilities) {
     const availStart = new Date(avail.range_start)
     const availEnd = new Date(avail.range_end)
-    
-    // Convert to clinician's timezone to get correct day of week and times
-    // Availability times are stored in UTC, but should be interpreted in local timezone
-    const clinicianTimezone = avail.timezone || 'America/Los_Angeles'
-    const zonedStart = toZonedTime(availStart, clinicianTimezone)
-    const zonedEnd = toZonedTime(availEnd, clinicianTimezone)
-    const availDay = zonedStart.getDay()
-
-    // Filter by specific dates if provided
-    // Also check the zoned date for specific date matching
-    if (!matchesSpecificDates(zonedStart, preferences.specificDates)) {
-      continue
-    }
-
-    // Calculate day match score
-    const dayScore = calculateDayMatchScore(
-      preferences.daysOfWeek || [],
-      availDay,
-      preferences.recurringPattern || 'none'
-    )
-
-    // Calculate time overlap using timezone-adjusted times
-    let maxTimeOverlap = 0.0
-    if (preferences.timeRanges && preferences.timeRanges.length > 0) {
-      for (const timeRange of preferences.timeRanges) {
-        // Apply 30-minute flexibility if time range is narrow (less than 2 hours)
-        const startMinutes = timeToMinutes(timeRange.start)
-        const endMinutes = timeToMinutes(timeRange.end)
-        const rangeDuration = endMinutes - startMinutes
-
-        let userStart = timeRange.start
-        let userEnd = timeRange.end
-
-        // Apply flexibility for narrow ranges
-        if (rangeDuration < 120) { // Less than 2 hours
-          const flexible = applyTimeFlexibility(timeRange.start, timeRange.end)
-          userStart = flexible.start
-          userEnd = flexible.end
-        }
-
-        // Use zoned times for accurate comparison in clinician's timezone
-        const overlap = calculateTimeOverlap(userStart, userEnd, zonedStart, zonedEnd)
-        maxTimeOverlap = Math.max(maxTimeOverlap, overlap)
-      }
-    } else {
-      // No time preference = match all times
-      maxTimeOverlap = 1.0
-    }
-
-    // Calculate date constraint score using zoned date
-    const dateScore = calculateDateConstraintScore(zonedStart, preferences.dateConstraints)
+    const totalScore = scoreAvailability(preferences, avail)
 
-    // Calculate pattern match score
-    const patternScore = calculatePatternMatchScore(
-      preferences.recurringPattern,
-      availDay
-    )
-
-    // Calculate total score using weighted formula
-    const totalScore = (
-      dayScore * 0.3 +
-      maxTimeOverlap * 0.4 +
-      dateScore * 0.2 +
-      patternScore * 0.1
-    )
+    // Language: restrict to clinicians who speak a required language, boost a preferred one
+    const languageMatch = languagePreference ? speaksLanguage(avail, languagePreference.code) : null
 
     // Only include slots with some match (score > 0)
     if (totalScore > 0) {
+      const { clinicianFit, blendedScore } = blendClinicianFit(totalScore, avail, symptomCategoryWeights)
+
       matchedSlots.push({
         availabilityId: avail.id || avail.original_id || null,
         clinicianId: avail.user_id,
@@ -326,27 +467,50 @@ export function matchAvailability(preferences, availabilityData, userTimezone) {
         endTime: availEnd.toISOString(),
         timezone: avail.timezone,
         locationId: avail.appointment_location_id,
-        matchScore: totalScore,
+        matchScore: languageMatch ? blendedScore + LANGUAGE_MATCH_BOOST : blendedScore,
+        languageMatch,
+        clinicianFit,
+        licensed: isLicensedInState(avail, patientState),
         rawAvailability: avail, // Keep for formatting
       })
     }
   }
 
-  // Split all slots into 30-minute increments
-  const thirtyMinuteSlots = []
+  // Split each window into sessions of the appointment type's length, starting on its grid
+  const sessionSlots = []
   for (const slot of matchedSlots) {
     const startTime = new Date(slot.startTime)
     const endTime = new Date(slot.endTime)
-    const durationMinutes = (endTime - startTime) / (1000 * 60)
-    
-    // Split into 30-minute chunks
-    const numSlots = Math.floor(durationMinutes / 30)
-    
-    for (let i = 0; i < numSlots; i++) {
-      const slotStart = new Date(startTime.getTime() + (i * 30 * 60 * 1000))
-      const slotEnd = new Date(slotStart.getTime() + (30 * 60 * 1000))
+    const windowMinutes = (endTime - startTime) / MINUTE_MS
+
+    for (let offset = 0; offset + durationMinutes <= windowMinutes; offset += stepMinutes) {
+      const slotStart = new Date(startTime.getTime() + offset * MINUTE_MS)
+      const slotEnd = new Date(slotStart.getTime() + durationMinutes * MINUTE_MS)
+
+      const chunk = {
+        clinicianId: slot.clinicianId,
+        startTime: slotStart.toISOString(),
+        endTime: slotEnd.toISOString(),
+      }
+
+      // Skip times already booked or held by another family, keeping the buffer around them
+      if (isSlotBlocked(chunk, blockedTimes, bufferMinutes)) {
+        continue
+      }
+
+      // Skip clinicians not licensed in the patient's state
+      if (!slot.licensed) {
+        excludedForLicensure++
+        continue
+      }
+
+      // Skip clinicians who don't speak a required language
+      if (languagePreference?.required && !slot.languageMatch) {
+        excludedForLanguage++
+        continue
+      }
       
-      thirtyMinuteSlots.push({
+      sessionSlots.push({
         availabilityId: slot.availabilityId,
         clinicianId: slot.clinicianId,
         startTime: slotStart.toISOString(),
@@ -354,13 +518,20 @@ export function matchAvailability(preferences, availabilityData, userTimezone) {
         timezone: slot.timezone,
         locationId: slot.locationId,
         matchScore: slot.matchScore,
+        languageMatch: slot.languageMatch,
+        clinicianFit: slot.clinicianFit,
+        appointmentType: appointmentType?.id || null,
         rawAvailability: slot.rawAvailability,
       })
     }
   }
 
-  // Sort by score (highest first), then by date (earliest first) for ties
-  thirtyMinuteSlots.sort((a, b) => {
+  // Sort by score (highest first), then by date (earliest first) for ties.
+  // With safety concerns, the earliest matching time wins and score breaks ties.
+  sessionSlots.sort((a, b) => {
+    if (prioritizeEarliest && a.startTime !== b.startTime) {
+      return new Date(a.startTime) - new Date(b.startTime)
+    }
     if (Math.abs(a.matchScore - b.matchScore) > 0.001) {
       return b.matchScore - a.matchScore // Higher score first
     }
@@ -368,11 +539,207 @@ export function matchAvailability(preferences, availabilityData, userTimezone) {
     return new Date(a.startTime) - new Date(b.startTime)
   })
 
-  // Select top 3-5 best matches
-  const topMatches = thirtyMinuteSlots.slice(0, 5)
+  // Spread each page across clinicians, days and times; with safety concerns the earliest times win instead
+  const diversityPolicy = prioritizeEarliest ? null : diversity
+  const pageEnd = offset + maxResults
+  const diversify = (slots) => diversifySlots(slots, maxResults, diversityPolicy, pageEnd)
+
+  // With insurance, in-network clinicians come first and any remaining
+  // spots are filled with out-of-network options
+  let rankedSlots = sessionSlots
+  if (Array.isArray(inNetworkClinicianIds)) {
+    const inNetworkIds = new Set(inNetworkClinicianIds)
+    const inNetworkSlots = []
+    const outOfNetworkSlots = []
+
+    for (const slot of sessionSlots) {
+      slot.inNetwork = inNetworkIds.has(slot.clinicianId)
+      if (slot.inNetwork) {
+        inNetworkSlots.push(slot)
+      } else {
+        outOfNetworkSlots.push(slot)
+      }
+    }
+
+    rankedSlots = [...diversify(inNetworkSlots), ...diversify(outOfNetworkSlots)]
+  } else {
+    rankedSlots = diversify(sessionSlots)
+  }
+
+  // One page of the best matches, up to the appointment type's result count
+  // (an empty page is not an error)
+  return {
+    slots: rankedSlots.slice(offset, pageEnd),
+    stats: { excludedForLicensure, excludedForLanguage },
+    totalCount: rankedSlots.length,
+  }
+}
+
+/**
+ * Group occurrences expanded from repeating availabilities by their source row
+ * @param {Array} availabilities - Processed availabilities
+ * @returns {Array<Array>} Occurrences per repeating availability, earliest first
+ */
+function groupRepeatingOccurrences(availabilities) {
+  const groups = new Map()
+  for (const avail of availabilities) {
+    if (!avail.expanded_from_repeating) continue
+    if (!groups.has(avail.original_id)) {
+      groups.set(avail.original_id, [])
+    }
+    groups.get(avail.original_id).push(avail)
+  }
+
+  return [...groups.values()].map(occurrences => (
+    occurrences.sort((a, b) => new Date(a.range_start) - new Date(b.range_start))
+  ))
+}
+
+/**
+ * Build the sessions of a series starting at one occurrence
+ * @param {Array} occurrences - Occurrences of one repeating availability, earliest first
+ * @param {number} index - Occurrence holding the first session
+ * @param {number} offsetMinutes - Session start, in minutes after the occurrence starts
+ * @param {number} weeks - Number of weekly sessions
+ * @param {number} durationMinutes - Session length
+ * @returns {Array|null} Sessions ({ startTime, endTime } Dates), or null if a week is missing or too short
+ */
+function buildSeriesSessions(occurrences, index, offsetMinutes, weeks, durationMinutes) {
+  const sessions = []
+  for (let week = 0; week < weeks; week++) {
+    const occurrence = occurrences[index + week]
+    if (!occurrence) return null
+
+    const occurrenceStart = new Date(occurrence.range_start)
+    // Consecutive weeks only (days are rounded so DST shifts don't break the series)
+    if (week > 0 && Math.round((occurrenceStart - new Date(occurrences[index].range_start)) / DAY_MS) !== week * 7) {
+      return null
+    }
+
+    const startTime = new Date(occurrenceStart.getTime() + offsetMinutes * MINUTE_MS)
+    const endTime = new Date(startTime.getTime() + durationMinutes * MINUTE_MS)
+    if (endTime > new Date(occurrence.range_end)) return null
 
-  // If we have fewer than 3 but more than 0, return what we have
-  // If we have 0, return empty array (not an error)
-  return topMatches
+    sessions.push({ startTime, endTime })
+  }
+  return sessions
 }
 
+/**
+ * Match recurring weekly series: the same session time with the same
+ * clinician for several consecutive weeks, from repeating availabilities
+ * Each repeating availability offers at most its best-fitting series; the
+ * first session is scored like a one-off slot. Only recurring appointment
+ * types (therapy, not intake calls) have series.
+ * @param {Object} preferences - Interpreted user preferences
+ * @param {Object} availabilityData - Processed availability data
+ * @param {string} userTimezone - User's timezone
+ * @param {Object} options - Matching options (see matchAvailability; prioritizeEarliest is honored too)
+ * @param {number} options.weeks - Consecutive weeks required (default SERIES_WEEKS)
+ * @param {Object|null} options.appointmentType - Appointment type (null = the default therapy session)
+ * @returns {Array} Series ({ availabilityId, clinicianId, startTime, endTime, weeks, sessions, ... }), best first
+ */
+export function matchRecurringSeries(preferences, availabilityData, userTimezone, options = {}) {
+  const {
+    blockedTimes = [],
+    inNetworkClinicianIds = null,
+    patientState = null,
+    symptomCategoryWeights = null,
+    prioritizeEarliest = false,
+    weeks = SERIES_WEEKS,
+    appointmentType = null,
+  } = options
+  const sessionType = appointmentType || getAppointmentType(DEFAULT_APPOINTMENT_TYPE)
+  if (!sessionType.recurring) {
+    return []
+  }
+  const { durationMinutes: sessionMinutes, stepMinutes, bufferMinutes } = sessionType
+  const languagePreference = preferences.languagePreference || null
+  const now = new Date()
+
+  const matchedSeries = []
+
+  for (const occurrences of groupRepeatingOccurrences(availabilityData.all || [])) {
+    const avail = occurrences[0]
+
+    // Skip clinicians not licensed in the patient's state or without a required language
+    if (!isLicensedInState(avail, patientState)) continue
+    const languageMatch = languagePreference ? speaksLanguage(avail, languagePreference.code) : null
+    if (languagePreference?.required && !languageMatch) continue
+
+    let best = null
+    for (let index = 0; index + weeks <= occurrences.length; index++) {
+      const occurrence = occurrences[index]
+      const durationMinutes = (new Date(occurrence.range_end) - new Date(occurrence.range_start)) / MINUTE_MS
+
+      for (let offset = 0; offset + sessionMinutes <= durationMinutes; offset += stepMinutes) {
+        const sessions = buildSeriesSessions(occurrences, index, offset, weeks, sessionMinutes)
+        if (!sessions || sessions[0].startTime <= now) continue
+
+        // Every week must be free, not just the first
+        const isBlocked = sessions.some(session => isSlotBlocked({
+          clinicianId: avail.user_id,
+          startTime: session.startTime.toISOString(),
+          endTime: session.endTime.toISOString(),
+        }, blockedTimes, bufferMinutes))
+        if (isBlocked) continue
+
+        const totalScore = scoreAvailability(preferences, {
+          ...occurrence,
+          range_start: sessions[0].startTime.toISOString(),
+          range_end: sessions[0].endTime.toISOString(),
+        })
+        if (totalScore <= 0) continue
+
+        // Keep the best fit, and the earliest start among equal fits
+        if (!best || totalScore > best.totalScore + 0.001) {
+          best = { occurrence, sessions, totalScore }
+        }
+      }
+    }
+
+    if (!best) continue
+
+    const { clinicianFit, blendedScore } = blendClinicianFit(best.totalScore, avail, symptomCategoryWeights)
+    matchedSeries.push({
+      availabilityId: best.occurrence.id,
+      clinicianId: avail.user_id,
+      startTime: best.sessions[0].startTime.toISOString(),
+      endTime: best.sessions[0].endTime.toISOString(),
+      timezone: avail.timezone,
+      locationId: avail.appointment_location_id,
+      matchScore: languageMatch ? blendedScore + LANGUAGE_MATCH_BOOST : blendedScore,
+      languageMatch,
+      clinicianFit,
+      appointmentType: sessionType.id,
+      weeks,
+      sessions: best.sessions.map(session => ({
+        startTime: session.startTime.toISOString(),
+        endTime: session.endTime.toISOString(),
+      })),
+      rawAvailability: best.occurrence,
+    })
+  }
+
+  // Same ordering as one-off slots, with in-network clinicians first when insurance is known
+  matchedSeries.sort((a, b) => {
+    if (prioritizeEarliest && a.startTime !== b.startTime) {
+      return new Date(a.startTime) - new Date(b.startTime)
+    }
+    if (Math.abs(a.matchScore - b.matchScore) > 0.001) {
+      return b.matchScore - a.matchScore
+    }
+    return new Date(a.startTime) - new Date(b.startTime)
+  })
+
+  if (Array.isArray(inNetworkClinicianIds)) {
+    const inNetworkIds = new Set(inNetworkClinicianIds)
+    matchedSeries.forEach(series => {
+      series.inNetwork = inNetworkIds.has(series.clinicianId)
+    })
+    // Stable sort keeps the score order within each group
+    matchedSeries.sort((a, b) => Number(b.inNetwork) - Number(a.inNetwork))
+  }
+
+  return matchedSeries.slice(0, MAX_SERIES_OPTIONS)
+}
@@ -0,0 +1,174 @@
+/**
+ * Candidate Filters
+ *
+ * Turns interpretedPreferences into the coarse filters used to fetch
+ * candidate availability occurrences from Postgres. The filters only drop
+ * occurrences the matcher would score as a clear miss (wrong day, no time
+ * overlap, far outside the requested dates); everything they keep is still
+ * scored by the availability matcher.
+ */
+
+import { SERIES_WEEKS } from './availability-matcher'
+
+// The matcher pads narrow time ranges by 30 minutes, so bands are always padded
+const TIME_BAND_PADDING_MINUTES = 30
+
+// The matcher gives partial credit up to 3 days outside the requested dates;
+// one more day covers occurrences whose local date differs from the matcher's
+const DATE_WINDOW_PADDING_DAYS = 4
+
+const MINUTES_PER_DAY = 24 * 60
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Parse time string (HH:MM) to minutes since midnight
+ * @param {string} timeStr - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Move an ISO date (YYYY-MM-DD) by a number of days
+ * @param {string} date - ISO date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} ISO date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.slice(0, 10).split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * Weekday (0-6) of an ISO date
+ * @param {string} date - ISO date
+ * @returns {number} Day of week
+ */
+function dayOfWeek(date) {
+  const [year, month, day] = date.slice(0, 10).split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+/**
+ * Date window worth fetching for the preferences' date constraints
+ * @param {Object} preferences - Interpreted user preferences
+ * @returns {{startDate: string|null, endDate: string|null}|null} Padded window (null end = open), or null for any date
+ */
+function candidateDateWindow(preferences) {
+  const { startDate, endDate } = preferences.dateConstraints || {}
+  if (!startDate && !endDate) {
+    return null
+  }
+
+  return {
+    startDate: startDate ? addDays(startDate, -DATE_WINDOW_PADDING_DAYS) : null,
+    endDate: endDate ? addDays(endDate, DATE_WINDOW_PADDING_DAYS) : null,
+  }
+}
+
+/**
+ * Weekdays worth fetching for the preferences
+ * Adjacent days are kept because the matcher gives them partial credit.
+ * @param {Object} preferences - Interpreted user preferences
+ * @returns {Array<number>|null} Days (0-6), or null for any day
+ */
+function candidateDays(preferences) {
+  const pattern = preferences.recurringPattern || 'none'
+
+  if (pattern === 'weekdays') {
+    return [1, 2, 3, 4, 5]
+  }
+  if (pattern === 'weekends') {
+    return [0, 6]
+  }
+  if (pattern === 'daily' || !preferences.daysOfWeek || preferences.daysOfWeek.length === 0) {
+    return null
+  }
+
+  const days = new Set()
+  for (const day of preferences.daysOfWeek) {
+    days.add(day)
+    days.add((day + 1) % 7)
+    days.add((day + 6) % 7)
+  }
+  return days.size === 7 ? null : [...days].sort((a, b) => a - b)
+}
+
+/**
+ * Local time bands worth fetching for the preferences
+ * @param {Object} preferences - Interpreted user preferences
+ * @returns {Array<{startMinutes: number, endMinutes: number}>|null} Bands, or null for any time
+ */
+function candidateTimeBands(preferences) {
+  if (!preferences.timeRanges || preferences.timeRanges.length === 0) {
+    return null
+  }
+
+  return preferences.timeRanges.map(range => ({
+    startMinutes: Math.max(0, timeToMinutes(range.start) - TIME_BAND_PADDING_MINUTES),
+    endMinutes: Math.min(MINUTES_PER_DAY, timeToMinutes(range.end) + TIME_BAND_PADDING_MINUTES),
+  }))
+}
+
+/**
+ * Build candidate filters from interpreted preferences
+ * Date constraints become a window padded by the matcher's partial credit.
+ * Weekly series need the weeks after the requested dates; see
+ * buildSeriesCandidateFilters.
+ * @param {Object} preferences - Interpreted user preferences
+ * @returns {{specificDates: Array<string>|null, dateWindow: Object|null, daysOfWeek: Array<number>|null, timeBands: Array|null}}
+ *   Filters (null = no filter)
+ */
+export function buildCandidateFilters(preferences = {}) {
+  const specificDates = preferences.specificDates && preferences.specificDates.length > 0
+    ? [...preferences.specificDates]
+    : null
+
+  return {
+    specificDates,
+    // Specific dates already pin the days and dates
+    dateWindow: specificDates ? null : candidateDateWindow(preferences),
+    daysOfWeek: specificDates ? null : candidateDays(preferences),
+    timeBands: candidateTimeBands(preferences),
+  }
+}
+
+/**
+ * Build filters for the repeating occurrences weekly series are built from
+ * A series starts on a requested date but runs on for the following weeks,
+ * so the date filter is widened to cover them and only the weekday is pinned.
+ * @param {Object} preferences - Interpreted user preferences
+ * @param {number} weeks - Weekly sessions in a series (default SERIES_WEEKS)
+ * @returns {Object|null} Filters (as buildCandidateFilters, plus repeatingOnly),
+ *   or null when the candidate filters don't restrict dates
+ */
+export function buildSeriesCandidateFilters(preferences = {}, weeks = SERIES_WEEKS) {
+  const filters = buildCandidateFilters(preferences)
+  const seriesDays = (weeks - 1) * 7
+
+  if (filters.specificDates) {
+    const dates = [...filters.specificDates].sort()
+    return {
+      specificDates: null,
+      dateWindow: { startDate: dates[0], endDate: addDays(dates[dates.length - 1], seriesDays) },
+      daysOfWeek: [...new Set(dates.map(dayOfWeek))].sort((a, b) => a - b),
+      timeBands: filters.timeBands,
+      repeatingOnly: true,
+    }
+  }
+
+  if (filters.dateWindow) {
+    return {
+      ...filters,
+      dateWindow: {
+        startDate: filters.dateWindow.startDate,
+        endDate: filters.dateWindow.endDate ? addDays(filters.dateWindow.endDate, seriesDays) : null,
+      },
+      repeatingOnly: true,
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,123 @@
+/**
+ * Clinician Fit
+ *
+ * Scores how well a clinician's specialties fit the child's presenting
+ * needs. Extracted symptoms are rolled up into symptom-category weights,
+ * and clinician specialties (profile_data.specialties, falling back to the
+ * bio) are mapped onto the same categories.
+ */
+
+import { SYMPTOMS, SYMPTOM_CATEGORIES } from '../constants/symptom-mapping'
+
+// Specialty keywords that indicate experience with each symptom category
+export const CATEGORY_SPECIALTY_KEYWORDS = {
+  'Mood/Emotional': ['depression', 'mood', 'grief', 'emotional regulation', 'bipolar', 'self-esteem'],
+  'Behavioral': ['behavior', 'oppositional', 'odd', 'conduct', 'anger', 'disruptive', 'parent training', 'pcit'],
+  'Cognitive': ['adhd', 'attention', 'executive function', 'learning', 'focus'],
+  'Physical/Sleep': ['sleep', 'insomnia', 'eating', 'feeding', 'enuresis', 'body image'],
+  'Social': ['social', 'peer', 'bullying', 'relationship', 'school refusal'],
+  'Anxiety/Worry': ['anxiety', 'anxious', 'worry', 'panic', 'ocd', 'phobia', 'stress'],
+  'Safety Concerns': ['suicid', 'self-harm', 'self harm', 'crisis', 'psychosis', 'dbt', 'safety planning'],
+  'Other': ['trauma', 'ptsd', 'nightmare'],
+}
+
+// Weight of each symptom frequency when rolling symptoms up into categories
+const FREQUENCY_WEIGHTS = {
+  Daily: 2,
+  Some: 1,
+}
+
+/**
+ * Roll extracted symptoms up into symptom-category weights
+ * @param {Object} extractedSymptoms - Symptom key → "Daily" | "Some" | "None" | ""
+ * @returns {Object} Category → weight (only categories with a non-zero weight)
+ */
+export function getSymptomCategoryWeights(extractedSymptoms) {
+  const weights = {}
+  if (!extractedSymptoms || typeof extractedSymptoms !== 'object') {
+    return weights
+  }
+
+  for (const symptom of SYMPTOMS) {
+    const weight = FREQUENCY_WEIGHTS[extractedSymptoms[symptom.key]] || 0
+    if (weight > 0) {
+      weights[symptom.category] = (weights[symptom.category] || 0) + weight
+    }
+  }
+
+  return weights
+}
+
+/**
+ * Check that a value is a valid symptom-category weights object
+ * @param {*} weights - Value to check
+ * @returns {boolean} True if every key is a known category with a non-negative weight
+ */
+export function isValidCategoryWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return false
+  }
+
+  return Object.entries(weights).every(([category, weight]) => (
+    Object.hasOwn(SYMPTOM_CATEGORIES, category) &&
+    typeof weight === 'number' &&
+    Number.isFinite(weight) &&
+    weight >= 0
+  ))
+}
+
+/**
+ * Map a clinician's specialties onto symptom categories
+ * @param {Object} profile - { specialties, bio } from clinicians.profile_data
+ * @returns {Array<string>} Symptom categories the clinician is suited to
+ */
+export function parseSpecialtyCategories(profile) {
+  const specialties = Array.isArray(profile?.specialties)
+    ? profile.specialties
+      .map(specialty => (typeof specialty === 'string' ? specialty : specialty?.name))
+      .filter(specialty => typeof specialty === 'string')
+    : []
+
+  // Listed specialties are authoritative; the bio is only used when none are listed
+  const text = (specialties.length > 0 ? specialties.join(' | ') : profile?.bio || '').toLowerCase()
+  if (!text) {
+    return []
+  }
+
+  return Object.keys(CATEGORY_SPECIALTY_KEYWORDS).filter(category => (
+    CATEGORY_SPECIALTY_KEYWORDS[category].some(keyword => matchesKeyword(text, keyword))
+  ))
+}
+
+/**
+ * Score a clinician's fit for the child's presenting needs
+ * @param {Array<string>} specialtyCategories - Categories from parseSpecialtyCategories
+ * @param {Object} categoryWeights - Weights from getSymptomCategoryWeights
+ * @returns {number|null} Share of symptom weight the clinician covers (0.0 to 1.0), or null with no symptoms
+ */
+export function scoreClinicianFit(specialtyCategories, categoryWeights) {
+  const totalWeight = Object.values(categoryWeights || {}).reduce((sum, weight) => sum + weight, 0)
+  if (totalWeight === 0) {
+    return null
+  }
+
+  const covered = new Set(specialtyCategories || [])
+  const coveredWeight = Object.entries(categoryWeights)
+    .filter(([category]) => covered.has(category))
+    .reduce((sum, [, weight]) => sum + weight, 0)
+
+  return coveredWeight / totalWeight
+}
+
+/**
+ * Match a keyword in text. Short keywords (e.g. "odd", "ocd") must be whole
+ * words; longer ones match at a word start so "suicid" matches "suicidal".
+ * @param {string} text - Lowercase text
+ * @param {string} keyword - Lowercase keyword
+ * @returns {boolean} True if the keyword appears at a word start
+ */
+function matchesKeyword(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const pattern = keyword.length <= 4 ? `\\b${escaped}\\b` : `\\b${escaped}`
+  return new RegExp(pattern).test(text)
+}
@@ -0,0 +1,80 @@
+/**
+ * Clinician Profile
+ *
+ * Builds the public clinician profile shown to families in availability
+ * results. Only whitelisted, non-sensitive fields are included - never
+ * contact details, addresses, birthdates or internal identifiers.
+ */
+
+import { getLanguageLabel, normalizeLanguageCode } from '../constants/care-languages'
+
+const MAX_BIO_LENGTH = 600
+
+/**
+ * Build a family-facing clinician profile from a clinicians row
+ * @param {Object} row - Row with first_name, last_name, preferred_name, preferred_pronoun, title, bio, care_languages, licensed_states
+ * @returns {Object|null} Public profile, or null if the clinician has no name on file
+ */
+export function toPublicClinicianProfile(row) {
+  if (!row) {
+    return null
+  }
+
+  const firstName = cleanText(row.preferred_name) || cleanText(row.first_name)
+  const lastName = cleanText(row.last_name)
+  if (!firstName) {
+    return null
+  }
+
+  return {
+    name: [firstName, lastName].filter(Boolean).join(' '),
+    pronouns: cleanText(row.preferred_pronoun),
+    title: cleanText(row.title),
+    bio: truncate(cleanText(row.bio), MAX_BIO_LENGTH),
+    languages: uniqueList(row.care_languages, language => getLanguageLabel(normalizeLanguageCode(language) || language)),
+    licensedStates: uniqueList(row.licensed_states, state => state.toUpperCase()),
+  }
+}
+
+/**
+ * Trim a text value, returning null for empty or non-string values
+ * @param {*} value - Value to clean
+ * @returns {string|null} Trimmed string or null
+ */
+function cleanText(value) {
+  if (typeof value !== 'string') {
+    return null
+  }
+  const trimmed = value.trim()
+  return trimmed.length > 0 ? trimmed : null
+}
+
+/**
+ * Truncate text on a word boundary
+ * @param {string|null} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} Truncated text
+ */
+function truncate(text, maxLength) {
+  if (!text || text.length <= maxLength) {
+    return text
+  }
+  const cut = text.slice(0, maxLength)
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}…`
+}
+
+/**
+ * Map and de-duplicate a string array
+ * @param {Array|null} values - Values to map
+ * @param {Function} mapFn - Mapping function
+ * @returns {Array<string>} Unique mapped values
+ */
+function uniqueList(values, mapFn) {
+  if (!Array.isArray(values)) {
+    return []
+  }
+  const mapped = values
+    .filter(value => typeof value === 'string' && value.trim().length > 0)
+    .map(value => mapFn(value.trim()))
+  return [...new Set(mapped)]
+}
@@ -0,0 +1,147 @@
+/**
+ * Crisis Language Detector
+ *
+ * Deterministic, offline phrase matching for explicit crisis language in
+ * free-text answers (suicide, self-harm, psychosis, harm to others). Runs in
+ * the browser as the parent types and on the server before symptom
+ * extraction, so it must stay fast and dependency-free - no LLM calls.
+ *
+ * This is a safety net, not a diagnosis: it favors catching explicit
+ * phrases over nuance, and only skips phrases a negation directly governs
+ * ("not suicidal", "has never talked about suicide").
+ */
+
+export const RISK_LEVELS = ['none', 'elevated', 'high']
+
+export const CRISIS_CATEGORIES = ['suicide', 'self_harm', 'psychosis', 'harm_to_others']
+
+// Reflexive pronouns after "kill"/"hurt"/etc.
+const SELF = '(?:him|her|them|my|your|our)(?:self|selves)|themself'
+
+// Each pattern is matched case-insensitively against the normalized text
+const CRISIS_PATTERNS = [
+  // Suicide - explicit intent, plans or attempts
+  { category: 'suicide', level: 'high', pattern: `\\b(?:kill(?:s|ed|ing)?|end(?:s|ed|ing)?) (?:${SELF})\\b` },
+  { category: 'suicide', level: 'high', pattern: '\\b(?:end(?:s|ed|ing)? (?:his|her|their|my) (?:own )?life)\\b' },
+  { category: 'suicide', level: 'high', pattern: '\\bsuicid(?:e|al)(?: attempt| plan| note)s?\\b' },
+  { category: 'suicide', level: 'high', pattern: '\\b(?:attempted|tried to commit|tried) suicide\\b' },
+  { category: 'suicide', level: 'high', pattern: '\\b(?:want(?:s|ed|ing)?|wish(?:es|ed|ing)?|going) to (?:die|be dead)\\b' },
+  { category: 'suicide', level: 'high', pattern: '\\b(?:took|take|taking) (?:a bunch of|too many) pills\\b' },
+  { category: 'suicide', level: 'high', pattern: '\\boverdos(?:e|ed|ing)\\b' },
+  { category: 'suicide', level: 'elevated', pattern: '\\bsuicid(?:e|al)\\b' },
+  { category: 'suicide', level: 'elevated', pattern: '\\b(?:no (?:reason|point) (?:to|in) (?:live|living))\\b' },
+  { category: 'suicide', level: 'elevated', pattern: '\\bbetter off (?:dead|without (?:him|her|them|me))\\b' },
+  { category: 'suicide', level: 'elevated', pattern: "\\b(?:doesn't|does not|don't|do not) want to (?:live|be alive|be here anymore|wake up)\\b" },
+
+  // Self-harm
+  { category: 'self_harm', level: 'high', pattern: `\\b(?:cut(?:s|ting)?|burn(?:s|ed|ing)?|hurt(?:s|ing)?|harm(?:s|ed|ing)?) (?:${SELF})\\b` },
+  { category: 'self_harm', level: 'high', pattern: '\\bself[- ]?harm(?:ing|ed)?\\b' },
+  { category: 'self_harm', level: 'elevated', pattern: '\\b(?:cuts|scratches|scars|marks) on (?:his|her|their) (?:arms?|wrists?|legs?|thighs?)\\b' },
+
+  // Psychosis - hearing or seeing things others don't
+  { category: 'psychosis', level: 'high', pattern: '\\bvoices? (?:tell(?:s|ing)?|told) (?:him|her|them|me) to\\b' },
+  { category: 'psychosis', level: 'elevated', pattern: '\\bhear(?:s|ing)? voices\\b' },
+  { category: 'psychosis', level: 'elevated', pattern: "\\b(?:sees|seeing|hears|hearing) (?:things|people) (?:that )?(?:aren't|are not|isn't|is not) there\\b" },
+  { category: 'psychosis', level: 'elevated', pattern: '\\bhallucinat(?:e|es|ing|ion|ions)\\b' },
+
+  // Harm to others
+  { category: 'harm_to_others', level: 'high', pattern: '\\b(?:wants? to|going to|threaten(?:s|ed)? to|plans? to) (?:kill|shoot|stab) (?:someone|somebody|people|(?:his|her|their) (?:brother|sister|mom|dad|mother|father|teacher|classmates?))\\b' },
+  { category: 'harm_to_others', level: 'elevated', pattern: '\\b(?:brought|bring|brings) a (?:gun|knife|weapon) to school\\b' },
+].map(entry => ({ ...entry, regex: new RegExp(entry.pattern, 'gi') }))
+
+// Words that negate a phrase when they appear at most two words before it, in
+// the same clause. Kept tight on purpose: a missed negation only shows
+// resources needlessly, while an over-eager one could hide a real crisis.
+const NEGATION_PATTERN = /\b(?:no|not|never|denies|denied|without|hasn't|has not|haven't|have not|isn't|is not|doesn't|does not|didn't|did not)\b(?:\W+\w+){0,2}\W*$/i
+
+// How far back (in characters) to look for a negation cue
+const NEGATION_WINDOW = 40
+
+// Where a clause ends: a negation before one of these governs another phrase
+// ("not sleeping and wants to die", "not eating, wants to die"). "or" is left
+// out, since it continues a negated list ("not suicidal or self-harming").
+const CLAUSE_BOUNDARY = /[.!?;:,]|\b(?:and|but|so|because|though|although|then)\b/i
+
+/**
+ * Normalize text so curly quotes and repeated whitespace don't defeat matching
+ * Keeps string length unchanged so match offsets line up with the original text.
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/\s/g, ' ')
+}
+
+/**
+ * Check whether a match is preceded by a negation cue in the same clause
+ * @param {string} text - Normalized text
+ * @param {number} start - Match start offset
+ * @returns {boolean} True if the phrase is negated
+ */
+function isNegated(text, start) {
+  const preceding = text.slice(Math.max(0, start - NEGATION_WINDOW), start)
+  const clause = preceding.split(CLAUSE_BOUNDARY).pop()
+  return NEGATION_PATTERN.test(clause)
+}
+
+/**
+ * Return the more severe of two risk levels
+ * @param {string} a - Risk level
+ * @param {string} b - Risk level
+ * @returns {string} The higher risk level
+ */
+export function maxRiskLevel(a, b) {
+  return RISK_LEVELS.indexOf(a) >= RISK_LEVELS.indexOf(b) ? a : b
+}
+
+/**
+ * Detect crisis language in a piece of free text
+ * @param {string} text - Text to scan
+ * @returns {{riskLevel: string, matches: Array<{start: number, end: number, text: string, category: string, level: string}>}}
+ *   Overall risk level and the matched spans (offsets into the original text), in order
+ */
+export function detectCrisisLanguage(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { riskLevel: 'none', matches: [] }
+  }
+
+  const normalized = normalizeText(text)
+  const matches = []
+
+  for (const { category, level, regex } of CRISIS_PATTERNS) {
+    regex.lastIndex = 0
+    let match
+    while ((match = regex.exec(normalized)) !== null) {
+      const start = match.index
+      const end = start + match[0].length
+
+      // Skip negated phrases and spans already covered by a more specific pattern
+      const overlaps = matches.some(m => start < m.end && end > m.start)
+      if (!overlaps && !isNegated(normalized, start)) {
+        matches.push({ start, end, text: text.slice(start, end), category, level })
+      }
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start)
+  const riskLevel = matches.reduce((level, m) => maxRiskLevel(level, m.level), 'none')
+  return { riskLevel, matches }
+}
+
+/**
+ * Detect crisis language across several answers
+ * @param {Array<string>} answers - Free-text answers
+ * @returns {{riskLevel: string, categories: Array<string>, answers: Array<Object>}}
+ *   Overall risk level, the categories found, and per-answer results
+ */
+export function detectCrisisLanguageInAnswers(answers) {
+  const results = (Array.isArray(answers) ? answers : []).map(answer => detectCrisisLanguage(answer))
+  const riskLevel = results.reduce((level, result) => maxRiskLevel(level, result.riskLevel), 'none')
+  const categories = CRISIS_CATEGORIES.filter(category => (
+    results.some(result => result.matches.some(m => m.category === category))
+  ))
+
+  return { riskLevel, categories, answers: results }
+}
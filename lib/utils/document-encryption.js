@@ -0,0 +1,182 @@
+/**
+ * Document Encryption Utilities
+ *
+ * Envelope encryption for stored documents. Every document gets its own
+ * random AES-256-GCM data key; the data key is stored (wrapped) with the
+ * document's database record, encrypted with the master key from
+ * DOCUMENT_ENCRYPTION_KEY. Storage only ever holds ciphertext.
+ *
+ * Stored object format: 'DBD1' + iv (12 bytes) + auth tag (16 bytes) + ciphertext
+ * Wrapped key format:   '<key version>.' + base64url(iv + auth tag + encrypted data key)
+ *
+ * Both are bound to the document id through GCM additional authenticated
+ * data, so an object or key copied onto another record fails to decrypt.
+ *
+ * Server-side only (uses Node crypto).
+ */
+
+import crypto from 'crypto';
+
+export const DOCUMENT_KEY_VERSION = 'v1';
+
+const MAGIC = Buffer.from('DBD1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH + TAG_LENGTH;
+
+const DEVELOPMENT_SECRET = 'daybreak-development-document-encryption-key';
+
+/**
+ * Get the master key that wraps document data keys
+ * DOCUMENT_ENCRYPTION_KEY is 32 bytes, base64-encoded (e.g. `openssl rand -base64 32`).
+ * @returns {Buffer} 32-byte master key
+ */
+export function getDocumentMasterKey() {
+  const encoded = process.env.DOCUMENT_ENCRYPTION_KEY;
+
+  if (encoded) {
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== KEY_LENGTH) {
+      throw new Error('DOCUMENT_ENCRYPTION_KEY must be 32 bytes, base64-encoded');
+    }
+    return key;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('DOCUMENT_ENCRYPTION_KEY must be set in production');
+  }
+
+  return crypto.createHash('sha256').update(DEVELOPMENT_SECRET).digest();
+}
+
+/**
+ * Encrypt a document with a new data key
+ * @param {Buffer} data - Plaintext document
+ * @param {object} options - Options
+ * @param {string} options.aad - Document id the ciphertext is bound to
+ * @param {Buffer} options.masterKey - Master key (defaults to DOCUMENT_ENCRYPTION_KEY)
+ * @returns {{payload: Buffer, wrappedKey: string, checksum: string}} Object to store,
+ *   wrapped data key and hex SHA-256 of the plaintext
+ */
+export function encryptDocument(data, options = {}) {
+  const { aad, masterKey = getDocumentMasterKey() } = options;
+
+  if (!Buffer.isBuffer(data)) {
+    throw new Error('Document data must be a Buffer');
+  }
+  if (!aad || typeof aad !== 'string') {
+    throw new Error('aad is required to encrypt a document');
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const { iv, tag, ciphertext } = seal(dataKey, data, aad);
+
+  return {
+    payload: Buffer.concat([MAGIC, iv, tag, ciphertext]),
+    wrappedKey: wrapKey(dataKey, aad, masterKey),
+    checksum: crypto.createHash('sha256').update(data).digest('hex')
+  };
+}
+
+/**
+ * Decrypt a stored document
+ * @param {Buffer} payload - Stored object
+ * @param {string} wrappedKey - Wrapped data key from the document record
+ * @param {object} options - Options
+ * @param {string} options.aad - Document id the ciphertext is bound to
+ * @param {Buffer} options.masterKey - Master key (defaults to DOCUMENT_ENCRYPTION_KEY)
+ * @returns {Buffer} Plaintext document
+ */
+export function decryptDocument(payload, wrappedKey, options = {}) {
+  const { aad, masterKey = getDocumentMasterKey() } = options;
+  const { iv, tag } = parseHeader(payload);
+  const decipher = createDecipher(unwrapKey(wrappedKey, aad, masterKey), iv, tag, aad);
+
+  return Buffer.concat([decipher.update(payload.subarray(HEADER_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Encrypt a data key with the master key
+ * @param {Buffer} dataKey - Document data key
+ * @param {string} aad - Document id
+ * @param {Buffer} masterKey - Master key
+ * @returns {string} Wrapped key
+ */
+function wrapKey(dataKey, aad, masterKey) {
+  const { iv, tag, ciphertext } = seal(masterKey, dataKey, aad);
+  return `${DOCUMENT_KEY_VERSION}.${Buffer.concat([iv, tag, ciphertext]).toString('base64url')}`;
+}
+
+/**
+ * Decrypt a wrapped data key
+ * @param {string} wrappedKey - Wrapped key
+ * @param {string} aad - Document id
+ * @param {Buffer} masterKey - Master key
+ * @returns {Buffer} Data key
+ */
+function unwrapKey(wrappedKey, aad, masterKey) {
+  if (!aad || typeof aad !== 'string') {
+    throw new Error('aad is required to decrypt a document');
+  }
+
+  const [version, encoded] = typeof wrappedKey === 'string' ? wrappedKey.split('.') : [];
+  if (version !== DOCUMENT_KEY_VERSION || !encoded) {
+    throw new Error('Unsupported document key');
+  }
+
+  const wrapped = Buffer.from(encoded, 'base64url');
+  const decipher = createDecipher(
+    masterKey,
+    wrapped.subarray(0, IV_LENGTH),
+    wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+    aad
+  );
+  return Buffer.concat([decipher.update(wrapped.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * AES-256-GCM encrypt with a random IV
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} aad - Additional authenticated data
+ * @returns {{iv: Buffer, tag: Buffer, ciphertext: Buffer}} Encryption result
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+/**
+ * Create an AES-256-GCM decipher
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - IV
+ * @param {Buffer} tag - Auth tag
+ * @param {string} aad - Additional authenticated data
+ * @returns {crypto.DecipherGCM} Decipher
+ */
+function createDecipher(key, iv, tag, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+  return decipher;
+}
+
+/**
+ * Read the IV and auth tag from a stored object's header
+ * @param {Buffer} payload - Stored object (or its first bytes)
+ * @returns {{iv: Buffer, tag: Buffer}} Header fields
+ */
+function parseHeader(payload) {
+  if (!Buffer.isBuffer(payload) || payload.length < HEADER_LENGTH || !payload.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not an encrypted document');
+  }
+
+  return {
+    iv: payload.subarray(MAGIC.length, MAGIC.length + IV_LENGTH),
+    tag: payload.subarray(MAGIC.length + IV_LENGTH, HEADER_LENGTH)
+  };
+}
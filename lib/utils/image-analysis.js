@@ -0,0 +1,367 @@
+/**
+ * Image Analysis Utilities
+ *
+ * Pure functions used to prepare card photos in the browser before upload
+ * (see image-preprocessing.js): reading the EXIF orientation of a JPEG,
+ * finding the card inside a photo, and scoring sharpness and glare.
+ * Pixel functions take ImageData-like objects ({ data, width, height } with
+ * RGBA bytes), normally a downscaled copy of the photo.
+ */
+
+// ISO/IEC 7810 ID-1 (credit card / insurance card) proportions
+export const CARD_ASPECT_RATIO = 85.6 / 53.98
+
+// Variance of the Laplacian below which a photo is treated as blurry
+export const BLUR_THRESHOLD = 100
+
+// Share of the photo covered by glare spots above which it is treated as having glare
+export const GLARE_THRESHOLD = 0.004
+
+// 2x1 white JPEG tagged with EXIF orientation 6. Decoders that honour EXIF
+// orientation return it as 1x2, which tells the browser pipeline whether it
+// still has to rotate photos itself.
+export const ORIENTATION_TEST_JPEG = 'data:image/jpeg;base64,' +
+  '/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wBDAFA3PEY8MlBGQUZaVVBfeMiCeG5uePWvuZHI' +
+  '////////////////////////////////////////////////////2wBDAVVaWnhpeOuCguv/////////////////////' +
+  '////////////////////////////////////////////////////wAARCAABAAIDASIAAhEBAxEB/8QAFQABAQAAAAAA' +
+  'AAAAAAAAAAAAAAT/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFAEBAAAAAAAAAAAAAAAAAAAAAP/EABQRAQAAAAAAAAAA' +
+  'AAAAAAAAAAD/2gAMAwEAAhEDEQA/ALQAf//Z'
+
+const GLARE_MIN_CHANNEL = 250
+const GLARE_HALO_LUMINANCE = 230
+
+/**
+ * Read the EXIF orientation of a JPEG
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {number} Orientation 1-8 (1 when missing or not a JPEG)
+ */
+export function readExifOrientation(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  if (bytes.length < 4 || view.getUint16(0) !== 0xffd8) {
+    return 1
+  }
+
+  let offset = 2
+  while (offset + 4 <= bytes.length) {
+    const marker = view.getUint16(offset)
+    const length = view.getUint16(offset + 2)
+
+    // Start of scan: no more metadata segments
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+      return 1
+    }
+
+    // APP1 "Exif\0\0"
+    if (marker === 0xffe1 && offset + 10 <= bytes.length && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+      return readTiffOrientation(view, offset + 10, Math.min(offset + 2 + length, bytes.length))
+    }
+
+    offset += 2 + length
+  }
+
+  return 1
+}
+
+/**
+ * Read the orientation tag from the TIFF block of an EXIF segment
+ * @param {DataView} view - File contents
+ * @param {number} start - Start of the TIFF header
+ * @param {number} end - End of the segment
+ * @returns {number} Orientation 1-8
+ */
+function readTiffOrientation(view, start, end) {
+  if (start + 8 > end) {
+    return 1
+  }
+
+  const byteOrder = view.getUint16(start)
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    return 1
+  }
+  const little = byteOrder === 0x4949
+
+  const ifd = start + view.getUint32(start + 4, little)
+  if (ifd + 2 > end) {
+    return 1
+  }
+
+  const entries = view.getUint16(ifd, little)
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12
+    if (entry + 12 > end) {
+      return 1
+    }
+    if (view.getUint16(entry, little) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, little)
+      return orientation >= 1 && orientation <= 8 ? orientation : 1
+    }
+  }
+
+  return 1
+}
+
+/**
+ * Canvas size and transform that draw an image upright
+ * @param {number} orientation - EXIF orientation 1-8
+ * @param {number} width - Stored (unrotated) width
+ * @param {number} height - Stored (unrotated) height
+ * @returns {{width: number, height: number, transform: number[]}} Output size and
+ *   setTransform(a, b, c, d, e, f) arguments for drawing the stored image at 0,0
+ */
+export function getOrientationTransform(orientation, width, height) {
+  switch (orientation) {
+    case 2: return { width, height, transform: [-1, 0, 0, 1, width, 0] }
+    case 3: return { width, height, transform: [-1, 0, 0, -1, width, height] }
+    case 4: return { width, height, transform: [1, 0, 0, -1, 0, height] }
+    case 5: return { width: height, height: width, transform: [0, 1, 1, 0, 0, 0] }
+    case 6: return { width: height, height: width, transform: [0, 1, -1, 0, height, 0] }
+    case 7: return { width: height, height: width, transform: [0, -1, -1, 0, height, width] }
+    case 8: return { width: height, height: width, transform: [0, -1, 1, 0, 0, width] }
+    default: return { width, height, transform: [1, 0, 0, 1, 0, 0] }
+  }
+}
+
+/**
+ * Scale a size down so its longest side fits
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} maxDimension - Longest side allowed
+ * @returns {{width: number, height: number, scale: number}} Scaled size (never enlarged)
+ */
+export function fitWithin(width, height, maxDimension) {
+  const scale = Math.min(1, maxDimension / Math.max(width, height))
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    scale
+  }
+}
+
+/**
+ * Convert RGBA pixels to luminance
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels
+ * @returns {Float32Array} Luminance per pixel (0-255)
+ */
+function toLuminance({ data, width, height }) {
+  const gray = new Float32Array(width * height)
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]
+  }
+  return gray
+}
+
+/**
+ * Find the card inside a photo of a card lying on a plain background
+ * The background colour is taken from the photo's border; the card is the
+ * block of rows and columns that mostly differ from it. Returns null (keep
+ * the whole photo) unless the block has roughly card proportions.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels
+ * @returns {{x: number, y: number, width: number, height: number}|null} Card bounds in image pixels
+ */
+export function findCardBounds(image) {
+  const { data, width, height } = image
+  if (width < 16 || height < 16) {
+    return null
+  }
+
+  // Background colour and spread from a ring around the edge
+  const ring = Math.max(1, Math.round(Math.min(width, height) * 0.03))
+  const border = []
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < ring || y < ring || x >= width - ring || y >= height - ring) {
+        border.push(y * width + x)
+      }
+    }
+  }
+
+  const mean = [0, 1, 2].map(c => border.reduce((sum, p) => sum + data[p * 4 + c], 0) / border.length)
+  const distance = p => Math.hypot(data[p * 4] - mean[0], data[p * 4 + 1] - mean[1], data[p * 4 + 2] - mean[2])
+  const spread = Math.sqrt(border.reduce((sum, p) => sum + distance(p) ** 2, 0) / border.length)
+
+  // A busy background can't be told apart from the card
+  if (spread > 30) {
+    return null
+  }
+
+  const threshold = Math.max(40, spread * 3)
+  const rowCounts = new Array(height).fill(0)
+  const colCounts = new Array(width).fill(0)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (distance(y * width + x) > threshold) {
+        rowCounts[y]++
+        colCounts[x]++
+      }
+    }
+  }
+
+  const rows = findSingleRun(rowCounts, width * 0.2)
+  const cols = findSingleRun(colCounts, height * 0.2)
+  if (!rows || !cols) {
+    return null
+  }
+
+  const boxWidth = cols.end - cols.start + 1
+  const boxHeight = rows.end - rows.start + 1
+  const areaRatio = (boxWidth * boxHeight) / (width * height)
+  const aspect = Math.max(boxWidth, boxHeight) / Math.min(boxWidth, boxHeight)
+
+  if (areaRatio < 0.15 || areaRatio > 0.9 || Math.abs(aspect - CARD_ASPECT_RATIO) > 0.3) {
+    return null
+  }
+
+  // Keep a small margin so the card's edge isn't clipped
+  const margin = Math.round(Math.max(boxWidth, boxHeight) * 0.02)
+  const x = Math.max(0, cols.start - margin)
+  const y = Math.max(0, rows.start - margin)
+  return {
+    x,
+    y,
+    width: Math.min(width, cols.end + margin + 1) - x,
+    height: Math.min(height, rows.end + margin + 1) - y
+  }
+}
+
+/**
+ * The run of consecutive entries at or above a minimum, if there is one clear run
+ * Several sizeable runs (e.g. front and back photographed side by side)
+ * return null so nothing gets cropped away.
+ * @param {number[]} counts - Values per row or column
+ * @param {number} minimum - Minimum value
+ * @returns {{start: number, end: number}|null} Inclusive run bounds
+ */
+function findSingleRun(counts, minimum) {
+  const runs = []
+  let start = null
+
+  for (let i = 0; i <= counts.length; i++) {
+    if (i < counts.length && counts[i] >= minimum) {
+      if (start === null) start = i
+    } else if (start !== null) {
+      runs.push({ start, end: i - 1, length: i - start })
+      start = null
+    }
+  }
+
+  if (runs.length === 0) {
+    return null
+  }
+
+  runs.sort((a, b) => b.length - a.length)
+  if (runs.length > 1 && runs[1].length > runs[0].length * 0.2) {
+    return null
+  }
+  return { start: runs[0].start, end: runs[0].end }
+}
+
+/**
+ * Score how readable a photo is likely to be
+ * Sharpness is the variance of the Laplacian (low when blurry); glare is the
+ * share of the photo covered by glare spots (see measureGlare).
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels
+ * @returns {{sharpness: number, glareRatio: number, isBlurry: boolean, hasGlare: boolean, warnings: string[]}}
+ *   Scores and warnings ('blurry', 'glare')
+ */
+export function assessImageQuality(image) {
+  const { data, width, height } = image
+  const gray = toLuminance(image)
+
+  let sum = 0
+  let sumSquares = 0
+  let count = 0
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i]
+      sum += laplacian
+      sumSquares += laplacian * laplacian
+      count++
+    }
+  }
+  const sharpness = count > 0 ? sumSquares / count - (sum / count) ** 2 : 0
+
+  const glareRatio = measureGlare(image)
+
+  const isBlurry = sharpness < BLUR_THRESHOLD
+  const hasGlare = glareRatio > GLARE_THRESHOLD
+  const warnings = []
+  if (isBlurry) warnings.push('blurry')
+  if (hasGlare) warnings.push('glare')
+
+  return {
+    sharpness: Math.round(sharpness * 10) / 10,
+    glareRatio: Math.round(glareRatio * 1000) / 1000,
+    isBlurry,
+    hasGlare,
+    warnings
+  }
+}
+
+/**
+ * Share of the photo covered by glare spots
+ * A glare spot is a sizeable patch of blown-out pixels inside the photo,
+ * almost entirely surrounded by bright pixels (the halo of a reflection).
+ * Blown-out areas that reach the edge, such as the white background of a scan
+ * or screenshot, and white areas bordered by print don't count.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels
+ * @returns {number} Glare share (0-1)
+ */
+function measureGlare({ data, width, height }) {
+  const total = width * height
+  const blownOut = new Uint8Array(total)
+  for (let i = 0; i < total; i++) {
+    blownOut[i] = Math.min(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) >= GLARE_MIN_CHANNEL ? 1 : 0
+  }
+
+  const seen = new Uint8Array(total)
+  const stack = new Int32Array(total)
+  let glare = 0
+
+  for (let start = 0; start < total; start++) {
+    if (!blownOut[start] || seen[start]) continue
+
+    // Flood fill one patch of blown-out pixels
+    let size = 0
+    let touchesEdge = false
+    let ringBright = 0
+    let ringCount = 0
+    let top = 0
+    stack[top++] = start
+    seen[start] = 1
+
+    while (top > 0) {
+      const p = stack[--top]
+      const x = p % width
+      const y = (p - x) / width
+      size++
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        touchesEdge = true
+      }
+
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1]
+      for (const n of neighbours) {
+        if (n < 0) continue
+        if (blownOut[n]) {
+          if (!seen[n]) {
+            seen[n] = 1
+            stack[top++] = n
+          }
+        } else {
+          const luminance = 0.299 * data[n * 4] + 0.587 * data[n * 4 + 1] + 0.114 * data[n * 4 + 2]
+          if (luminance >= GLARE_HALO_LUMINANCE) ringBright++
+          ringCount++
+        }
+      }
+    }
+
+    // Specks are noise; reflections fade out into bright surroundings
+    if (!touchesEdge && size >= total * 0.003 && ringCount > 0 && ringBright / ringCount >= 0.8) {
+      glare += size
+    }
+  }
+
+  return total > 0 ? glare / total : 0
+}
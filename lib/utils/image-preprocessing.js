@@ -0,0 +1,269 @@
+/**
+ * Image Preprocessing
+ *
+ * Prepares an insurance card photo in the browser before it is sent to
+ * /api/extract-insurance: HEIC photos are converted to JPEG, the EXIF
+ * orientation is applied, the photo is cropped to the card when it lies on a
+ * plain background and scaled down to TARGET_MAX_DIMENSION, and the card is
+ * scored for blur and glare so the parent can retake it first.
+ *
+ * Client-side only (canvas, createImageBitmap). PDFs are passed through
+ * unchanged; they are rasterized on the server (see pdf-rasterizer.js).
+ */
+
+import {
+  ORIENTATION_TEST_JPEG,
+  readExifOrientation,
+  getOrientationTransform,
+  fitWithin,
+  findCardBounds,
+  assessImageQuality
+} from './image-analysis'
+
+export const HEIC_TYPES = ['image/heic', 'image/heif']
+export const HEIC_ACCEPT = 'image/heic,image/heif,.heic,.heif'
+
+// Longest side of the uploaded photo; plenty for the small print on a card
+export const TARGET_MAX_DIMENSION = 2000
+
+// Longest side of the copy used for cropping and quality scoring
+const ANALYSIS_MAX_DIMENSION = 512
+
+const JPEG_QUALITY = 0.85
+
+// EXIF lives in the first APP1 segment, which is at most 64KB
+const EXIF_SCAN_BYTES = 128 * 1024
+
+/**
+ * Error for photos that cannot be decoded
+ */
+export class ImagePreprocessError extends Error {
+  constructor(message, code = 'IMAGE_UNREADABLE') {
+    super(message)
+    this.name = 'ImagePreprocessError'
+    this.code = code
+  }
+}
+
+/**
+ * Whether a file is a HEIC/HEIF photo
+ * Some browsers leave the type empty for HEIC files, so the extension counts too.
+ * @param {File} file - Selected file
+ * @returns {boolean} True for HEIC/HEIF
+ */
+export function isHeicFile(file) {
+  return HEIC_TYPES.includes(file?.type) || /\.hei[cf]$/i.test(file?.name || '')
+}
+
+/**
+ * Prepare a card photo for upload
+ * @param {File} file - Selected file (JPEG, PNG, HEIC or PDF)
+ * @param {object} options - Options
+ * @param {number} options.maxDimension - Longest side of the output (default TARGET_MAX_DIMENSION)
+ * @param {boolean} options.autoCrop - Crop to the card edges when found (default true)
+ * @returns {Promise<{file: File, quality: object|null, cropped: boolean, converted: boolean}>}
+ *   File to upload, assessImageQuality() result for the card (null for PDFs),
+ *   and whether it was cropped or converted from HEIC
+ */
+export async function preprocessImage(file, { maxDimension = TARGET_MAX_DIMENSION, autoCrop = true } = {}) {
+  if (file.type === 'application/pdf') {
+    return { file, quality: null, cropped: false, converted: false }
+  }
+
+  const converted = isHeicFile(file)
+  const { image, orientation } = await decodeFile(file)
+
+  try {
+    const applyOrientation = orientation !== 1 && !(await browserAppliesOrientation())
+    const upright = getOrientationTransform(
+      applyOrientation ? orientation : 1,
+      image.naturalWidth || image.width,
+      image.naturalHeight || image.height
+    )
+
+    // Find the card and score it on a small copy
+    const analysisSize = fitWithin(upright.width, upright.height, ANALYSIS_MAX_DIMENSION)
+    const analysisCanvas = drawImage(image, upright.transform, analysisSize, {
+      x: 0,
+      y: 0,
+      scale: analysisSize.scale
+    })
+    const analysisContext = analysisCanvas.getContext('2d')
+    const analysisData = analysisContext.getImageData(0, 0, analysisSize.width, analysisSize.height)
+
+    const bounds = autoCrop ? findCardBounds(analysisData) : null
+    const quality = assessImageQuality(
+      bounds
+        ? analysisContext.getImageData(bounds.x, bounds.y, bounds.width, bounds.height)
+        : analysisData
+    )
+
+    const crop = bounds
+      ? scaleBounds(bounds, analysisSize.scale, upright)
+      : { x: 0, y: 0, width: upright.width, height: upright.height }
+    const outputSize = fitWithin(crop.width, crop.height, maxDimension)
+
+    // Nothing to change: upload the original bytes
+    if (!converted && orientation === 1 && !bounds && outputSize.scale === 1) {
+      return { file, quality, cropped: false, converted }
+    }
+
+    const outputCanvas = drawImage(image, upright.transform, outputSize, {
+      x: crop.x,
+      y: crop.y,
+      scale: outputSize.scale
+    })
+    const blob = await canvasToBlob(outputCanvas, 'image/jpeg', JPEG_QUALITY)
+    const name = `${file.name.replace(/\.[^.]+$/, '') || 'card'}.jpg`
+
+    return {
+      file: new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified }),
+      quality,
+      cropped: Boolean(bounds),
+      converted
+    }
+  } finally {
+    image.close?.()
+  }
+}
+
+/**
+ * Map card bounds found on the analysis copy back to full-size pixels
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Bounds on the copy
+ * @param {number} scale - Scale of the copy
+ * @param {{width: number, height: number}} size - Full upright size
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds in full-size pixels
+ */
+function scaleBounds(bounds, scale, size) {
+  const x = Math.round(bounds.x / scale)
+  const y = Math.round(bounds.y / scale)
+  return {
+    x,
+    y,
+    width: Math.min(size.width - x, Math.round(bounds.width / scale)),
+    height: Math.min(size.height - y, Math.round(bounds.height / scale))
+  }
+}
+
+/**
+ * Decode a selected file, converting HEIC when the browser can't decode it
+ * @param {File} file - Selected file
+ * @returns {Promise<{image: ImageBitmap|HTMLImageElement, orientation: number}>}
+ *   Decoded image and the EXIF orientation still to apply (HEIC decoders
+ *   already apply the rotation stored in the file)
+ */
+async function decodeFile(file) {
+  if (!isHeicFile(file)) {
+    const head = await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer()
+    return { image: await decodeImage(file), orientation: readExifOrientation(head) }
+  }
+
+  // Safari decodes HEIC natively
+  try {
+    return { image: await decodeImage(file), orientation: 1 }
+  } catch {
+    // Fall through to the WebAssembly decoder
+  }
+
+  let jpeg
+  try {
+    const { default: heic2any } = await import('heic2any')
+    const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: JPEG_QUALITY })
+    jpeg = Array.isArray(result) ? result[0] : result
+  } catch (error) {
+    throw new ImagePreprocessError(`Unable to convert HEIC photo: ${error?.message || error}`, 'HEIC_UNREADABLE')
+  }
+
+  return { image: await decodeImage(jpeg), orientation: 1 }
+}
+
+/**
+ * Decode an image blob
+ * @param {Blob} blob - Image data
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+async function decodeImage(blob) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(blob)
+    } catch {
+      // Some browsers only decode certain formats through <img>
+    }
+  }
+
+  const url = URL.createObjectURL(blob)
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    return image
+  } catch (error) {
+    throw new ImagePreprocessError(`Unable to read image: ${error?.message || error}`)
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+let appliesOrientationPromise = null
+
+/**
+ * Whether this browser already applies EXIF orientation when decoding
+ * (all current browsers do; older Safari and Chrome did not)
+ * @returns {Promise<boolean>} True when decoded images are already upright
+ */
+function browserAppliesOrientation() {
+  if (!appliesOrientationPromise) {
+    appliesOrientationPromise = fetch(ORIENTATION_TEST_JPEG)
+      .then(response => response.blob())
+      .then(decodeImage)
+      .then(image => {
+        const applied = (image.naturalWidth || image.width) === 1
+        image.close?.()
+        return applied
+      })
+      .catch(() => true)
+  }
+  return appliesOrientationPromise
+}
+
+/**
+ * Draw part of an image upright and scaled onto a new canvas
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ * @param {number[]} transform - Orientation transform from getOrientationTransform()
+ * @param {{width: number, height: number}} size - Canvas size
+ * @param {{x: number, y: number, scale: number}} region - Top-left of the region in
+ *   upright image pixels and the scale to draw it at
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function drawImage(image, transform, size, region) {
+  const canvas = document.createElement('canvas')
+  canvas.width = size.width
+  canvas.height = size.height
+
+  const context = canvas.getContext('2d')
+  context.imageSmoothingEnabled = true
+  context.imageSmoothingQuality = 'high'
+  context.scale(region.scale, region.scale)
+  context.translate(-region.x, -region.y)
+  context.transform(...transform)
+  context.drawImage(image, 0, 0)
+
+  return canvas
+}
+
+/**
+ * Encode a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @param {string} type - Output type
+ * @param {number} quality - Encoder quality (0-1)
+ * @returns {Promise<Blob>} Encoded image
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new ImagePreprocessError('Unable to encode image'))),
+      type,
+      quality
+    )
+  })
+}
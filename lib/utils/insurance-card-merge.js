@@ -0,0 +1,150 @@
+/**
+ * Insurance Card Merge
+ *
+ * Combines what was read from the front and back of an insurance card into
+ * one set of fields, recording which side each value came from. Member and
+ * plan-holder details are taken from the front when present; payer phone
+ * numbers and pharmacy (Rx) routing numbers are usually printed on the back.
+ */
+
+// Fields read from either side of the card
+export const CARD_FIELDS = [
+  'insurance_company_name',
+  'member_id',
+  'group_id',
+  'plan_holder_first_name',
+  'plan_holder_last_name',
+  'plan_holder_dob',
+  'plan_holder_country',
+  'plan_holder_state',
+  'plan_holder_city',
+  'plan_holder_zip_code',
+  'plan_holder_legal_gender',
+  'payer_phone',
+  'rx_bin',
+  'rx_pcn',
+  'rx_group'
+]
+
+// Fields whose back-of-card value wins when both sides have one
+export const BACK_FIRST_FIELDS = ['payer_phone', 'rx_bin', 'rx_pcn', 'rx_group']
+
+export const CARD_SIDES = ['front', 'back']
+
+const CONFIDENCE_ORDER = ['low', 'medium', 'high']
+
+/**
+ * Check whether a side has a value for a field
+ * @param {Object|null} side - Fields read from one side
+ * @param {string} field - Field name
+ * @returns {boolean} True if the value is present
+ */
+function hasValue(side, field) {
+  if (!side) {
+    return false
+  }
+  const value = side[field]
+  return value !== null && value !== undefined && value !== ''
+}
+
+/**
+ * Pick the lower of the sides' confidence levels
+ * @param {Array<Object>} sides - Sides that were read
+ * @returns {string|null} 'high' | 'medium' | 'low', or null if none was given
+ */
+function lowestConfidence(sides) {
+  const levels = sides
+    .map(side => (typeof side.confidence === 'string' ? side.confidence.toLowerCase() : null))
+    .filter(level => CONFIDENCE_ORDER.includes(level))
+
+  if (levels.length === 0) {
+    return null
+  }
+  return levels.reduce((lowest, level) => (
+    CONFIDENCE_ORDER.indexOf(level) < CONFIDENCE_ORDER.indexOf(lowest) ? level : lowest
+  ))
+}
+
+/**
+ * Merge the fields read from each side of a card
+ * A response without `front`/`back` keys is treated as the front alone.
+ * @param {Object} extraction - Model output ({ front, back } or flat fields)
+ * @returns {Object} Flat card fields plus `field_sources` (field -> 'front' | 'back'),
+ *   `confidence` and `extracted_fields`
+ */
+export function mergeCardSides(extraction) {
+  const isSided = extraction && (extraction.front !== undefined || extraction.back !== undefined)
+  const front = isSided ? extraction.front || null : extraction || null
+  const back = isSided ? extraction.back || null : null
+
+  const merged = {}
+  const fieldSources = {}
+
+  for (const field of CARD_FIELDS) {
+    const order = BACK_FIRST_FIELDS.includes(field) ? [['back', back], ['front', front]] : [['front', front], ['back', back]]
+    const source = order.find(([, side]) => hasValue(side, field))
+
+    if (source) {
+      merged[field] = source[1][field]
+      fieldSources[field] = source[0]
+    } else {
+      merged[field] = null
+    }
+  }
+
+  const sides = [front, back].filter(Boolean)
+  merged.confidence = lowestConfidence(sides)
+  merged.extracted_fields = Object.keys(fieldSources)
+  merged.field_sources = fieldSources
+
+  return merged
+}
+
+/**
+ * Count the card fields a side has values for
+ * Country is always "US", so it doesn't count as something read from the card.
+ * @param {Object|null} side - Fields read from one side
+ * @returns {number} Number of fields with a value
+ */
+export function countCardFields(side) {
+  return CARD_FIELDS.filter(field => field !== 'plan_holder_country' && hasValue(side, field)).length
+}
+
+/**
+ * Pick which pages of an upload show the front and back of the card
+ * Each page was read on its own and reports the sides it shows. The page
+ * with the most fields wins; pages from the matching upload (the front or
+ * back file input) are preferred, then earlier pages. A page showing both
+ * sides (a scan of the whole card) can supply both.
+ * @param {Array<Object>} pages - Per-page results: { upload: 'front' | 'back', front, back }
+ * @returns {{front: number|null, back: number|null}} Indexes into pages
+ */
+export function selectCardPages(pages) {
+  const pick = (side, exclude) => {
+    let best = null
+    let bestScore = null
+
+    pages.forEach((page, index) => {
+      if (index === exclude) return
+      const fields = countCardFields(page[side])
+      if (fields === 0) return
+
+      const score = [page.upload === side ? 1 : 0, fields]
+      if (!bestScore || score[0] > bestScore[0] || (score[0] === bestScore[0] && score[1] > bestScore[1])) {
+        best = index
+        bestScore = score
+      }
+    })
+
+    return best
+  }
+
+  const front = pick('front', null)
+  const sameBack = front !== null && countCardFields(pages[front].back) > 0
+  const otherBack = pick('back', front)
+
+  return {
+    front,
+    back: otherBack !== null ? otherBack : (sameBack ? front : null)
+  }
+}
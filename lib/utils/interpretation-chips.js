@@ -0,0 +1,232 @@
+/**
+ * Interpretation Chips
+ *
+ * Turns interpretedPreferences into human-readable chips ("Weekdays",
+ * "After 5pm", "Oct 20 – Oct 26") that parents can remove or adjust, and
+ * applies those edits back to the preferences object.
+ */
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const PATTERN_LABELS = {
+  weekdays: 'Weekdays',
+  weekends: 'Weekends',
+  daily: 'Any day'
+}
+
+const END_OF_DAY = '23:59'
+
+// Half-hour choices for adjusting a time range, 6am to midnight
+export const TIME_OPTIONS = [
+  ...Array.from({ length: 36 }, (_, i) => {
+    const minutes = 6 * 60 + i * 30
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+  }),
+  END_OF_DAY
+]
+
+/**
+ * Format a 24-hour time for display ("17:00" -> "5pm", "09:30" -> "9:30am")
+ * @param {string} time - Time (HH:MM)
+ * @returns {string} Display time
+ */
+export function formatClockTime(time) {
+  if (time === END_OF_DAY) {
+    return 'midnight'
+  }
+
+  const [hours, minutes] = time.split(':').map(Number)
+  const meridiem = hours >= 12 ? 'pm' : 'am'
+  const hour = hours % 12 || 12
+  return minutes === 0 ? `${hour}${meridiem}` : `${hour}:${String(minutes).padStart(2, '0')}${meridiem}`
+}
+
+/**
+ * Format an ISO date for display ("2025-10-21" -> "Tue, Oct 21")
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {boolean} withWeekday - Include the weekday
+ * @returns {string} Display date
+ */
+function formatDate(date, withWeekday = false) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    ...(withWeekday ? { weekday: 'short' } : {}),
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  })
+}
+
+/**
+ * Label a time range ("9am – 11am", "After 5pm")
+ * @param {Object} range - { start, end }
+ * @returns {string} Label
+ */
+function timeRangeLabel(range) {
+  if (range.end === END_OF_DAY) {
+    return `After ${formatClockTime(range.start)}`
+  }
+  return `${formatClockTime(range.start)} – ${formatClockTime(range.end)}`
+}
+
+/**
+ * Label a date window ("Oct 20 – Oct 26", "From Oct 20", "Until Oct 26")
+ * @param {Object} constraints - { startDate, endDate }
+ * @returns {string} Label
+ */
+function dateRangeLabel({ startDate, endDate }) {
+  if (startDate && endDate) {
+    return `${formatDate(startDate)} – ${formatDate(endDate)}`
+  }
+  return startDate ? `From ${formatDate(startDate)}` : `Until ${formatDate(endDate)}`
+}
+
+/**
+ * Describe preferences as chips
+ * "Any day" and "Any time" stand in for missing day and time limits and
+ * can't be removed.
+ * @param {Object} preferences - interpretedPreferences
+ * @returns {Array<Object>} Chips { id, kind, label, removable, ...details }
+ */
+export function getPreferenceChips(preferences) {
+  if (!preferences) {
+    return []
+  }
+
+  const chips = []
+  const pattern = preferences.recurringPattern
+  const days = preferences.daysOfWeek || []
+  const specificDates = preferences.specificDates || []
+
+  if (PATTERN_LABELS[pattern]) {
+    chips.push({ id: 'pattern', kind: 'days', label: PATTERN_LABELS[pattern], removable: pattern !== 'daily' })
+  } else if (days.length > 0 && days.length < 7) {
+    days.forEach(day => {
+      chips.push({ id: `day:${day}`, kind: 'days', label: DAY_NAMES[day], removable: true })
+    })
+  } else if (specificDates.length === 0) {
+    chips.push({ id: 'pattern', kind: 'days', label: PATTERN_LABELS.daily, removable: false })
+  }
+
+  specificDates.forEach(date => {
+    chips.push({ id: `date:${date}`, kind: 'date', label: formatDate(date, true), removable: true })
+  })
+
+  const constraints = preferences.dateConstraints
+  if (constraints && (constraints.startDate || constraints.endDate)) {
+    chips.push({
+      id: 'dateRange',
+      kind: 'dateRange',
+      label: dateRangeLabel(constraints),
+      removable: true,
+      startDate: constraints.startDate || '',
+      endDate: constraints.endDate || ''
+    })
+  }
+
+  const ranges = preferences.timeRanges || []
+  ranges.forEach((range, index) => {
+    chips.push({
+      id: `time:${index}`,
+      kind: 'time',
+      label: timeRangeLabel(range),
+      removable: true,
+      index,
+      start: range.start,
+      end: range.end
+    })
+  })
+  if (ranges.length === 0) {
+    chips.push({ id: 'time:any', kind: 'time', label: 'Any time', removable: false })
+  }
+
+  return chips
+}
+
+/**
+ * Summarize preferences in one line ("Weekdays, After 5pm")
+ * @param {Object} preferences - interpretedPreferences
+ * @returns {string} Summary
+ */
+export function describePreferences(preferences) {
+  return getPreferenceChips(preferences).map(chip => chip.label).join(', ')
+}
+
+/**
+ * Remove a chip, widening the preferences accordingly
+ * Removing the last day limit means any day; removing the last time range
+ * means any time.
+ * @param {Object} preferences - interpretedPreferences
+ * @param {string} chipId - Chip id from getPreferenceChips
+ * @returns {Object} New interpretedPreferences
+ */
+export function removePreferenceChip(preferences, chipId) {
+  const [kind, value] = chipId.split(/:(.*)/)
+  const next = { ...preferences }
+
+  if (kind === 'pattern') {
+    next.daysOfWeek = ALL_DAYS
+    next.recurringPattern = 'daily'
+  } else if (kind === 'day') {
+    next.daysOfWeek = (preferences.daysOfWeek || []).filter(day => day !== Number(value))
+    if (next.daysOfWeek.length === 0) {
+      next.daysOfWeek = ALL_DAYS
+      next.recurringPattern = 'daily'
+    }
+  } else if (kind === 'date') {
+    next.specificDates = (preferences.specificDates || []).filter(date => date !== value)
+    if (next.specificDates.length === 0 && !PATTERN_LABELS[preferences.recurringPattern] && !preferences.daysOfWeek?.length) {
+      next.daysOfWeek = ALL_DAYS
+      next.recurringPattern = 'daily'
+    }
+  } else if (kind === 'dateRange') {
+    next.dateConstraints = null
+  } else if (kind === 'time') {
+    next.timeRanges = (preferences.timeRanges || []).filter((_, index) => index !== Number(value))
+  }
+
+  return next
+}
+
+/**
+ * Adjust one time range
+ * @param {Object} preferences - interpretedPreferences
+ * @param {number} index - Index into timeRanges
+ * @param {Object} changes - { start?, end? } (HH:MM)
+ * @returns {Object|null} New interpretedPreferences, or null if the range would end before it starts
+ */
+export function updateTimeRange(preferences, index, changes) {
+  const range = { ...preferences.timeRanges[index], ...changes }
+  if (range.start >= range.end) {
+    return null
+  }
+
+  return {
+    ...preferences,
+    timeRanges: preferences.timeRanges.map((existing, i) => (i === index ? range : existing))
+  }
+}
+
+/**
+ * Adjust the date window
+ * @param {Object} preferences - interpretedPreferences
+ * @param {Object} changes - { startDate?, endDate? } (YYYY-MM-DD, or '' to clear)
+ * @returns {Object|null} New interpretedPreferences, or null if the window would end before it starts
+ */
+export function updateDateConstraints(preferences, changes) {
+  const current = preferences.dateConstraints || {}
+  const startDate = (changes.startDate ?? current.startDate) || null
+  const endDate = (changes.endDate ?? current.endDate) || null
+
+  if (startDate && endDate && endDate < startDate) {
+    return null
+  }
+
+  return {
+    ...preferences,
+    dateConstraints: startDate || endDate
+      ? { startDate, endDate, relative: null }
+      : null
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import { validateTimezone } from './timezone-utils'
+import { CARE_LANGUAGES } from '../constants/care-languages'
 
 /**
  * Validate time string in 24-hour format (HH:MM)
@@ -132,6 +133,21 @@ export function validateInterpretedPreferences(preferences) {
     errors.push(`recurringPattern must be one of: ${validPatterns.join(', ')}, found: ${preferences.recurringPattern}`)
   }
 
+  // Validate languagePreference (optional)
+  if (preferences.languagePreference !== null && preferences.languagePreference !== undefined) {
+    const languagePreference = preferences.languagePreference
+    if (typeof languagePreference !== 'object' || Array.isArray(languagePreference)) {
+      errors.push('languagePreference must be an object or null')
+    } else {
+      if (!CARE_LANGUAGES.some(l => l.code === languagePreference.code)) {
+        errors.push(`languagePreference.code must be a supported language code, found: ${languagePreference.code}`)
+      }
+      if (typeof languagePreference.required !== 'boolean') {
+        errors.push('languagePreference.required must be a boolean')
+      }
+    }
+  }
+
   return errors
 }
 
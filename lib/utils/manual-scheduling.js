@@ -0,0 +1,155 @@
+/**
+ * Manual Scheduling
+ *
+ * Converts between the structured scheduling picker (day toggles, time-of-day
+ * bands, date range) and the interpretedPreferences object used by
+ * /api/match-availability, so the picker can be pre-filled from a text
+ * interpretation and its choices matched exactly like one.
+ */
+
+const WEEKDAYS = [1, 2, 3, 4, 5]
+const WEEKENDS = [0, 6]
+
+export const DAY_OPTIONS = [
+  { value: 1, label: 'Mon', name: 'Monday' },
+  { value: 2, label: 'Tue', name: 'Tuesday' },
+  { value: 3, label: 'Wed', name: 'Wednesday' },
+  { value: 4, label: 'Thu', name: 'Thursday' },
+  { value: 5, label: 'Fri', name: 'Friday' },
+  { value: 6, label: 'Sat', name: 'Saturday' },
+  { value: 0, label: 'Sun', name: 'Sunday' }
+]
+
+// Bands use the same hours as the scheduling prompt's time-of-day words
+export const TIME_BANDS = [
+  { id: 'morning', label: 'Morning', hours: '6am – 12pm', start: '06:00', end: '12:00' },
+  { id: 'afternoon', label: 'Afternoon', hours: '12pm – 5pm', start: '12:00', end: '17:00' },
+  { id: 'evening', label: 'Evening', hours: 'After 5pm', start: '17:00', end: '23:59' }
+]
+
+/**
+ * Empty picker state
+ * @returns {Object} { days, bands, startDate, endDate }
+ */
+export function emptyPickerState() {
+  return { days: [], bands: [], startDate: '', endDate: '' }
+}
+
+/**
+ * Days of week for ISO dates
+ * @param {Array<string>} dates - Dates (YYYY-MM-DD)
+ * @returns {Array<number>} Days of week (0 = Sunday)
+ */
+function daysOfDates(dates) {
+  return dates.map(date => new Date(`${date}T00:00:00Z`).getUTCDay())
+}
+
+/**
+ * Pre-fill the picker from an interpretation
+ * Specific dates become a date range spanning them, limited to their weekdays;
+ * time ranges select every band they overlap.
+ * @param {Object|null} preferences - interpretedPreferences
+ * @returns {Object} Picker state { days, bands, startDate, endDate }
+ */
+export function preferencesToPickerState(preferences) {
+  if (!preferences || typeof preferences !== 'object') {
+    return emptyPickerState()
+  }
+
+  const specificDates = [...(preferences.specificDates || [])].sort()
+
+  let days
+  if (preferences.recurringPattern === 'weekdays') {
+    days = WEEKDAYS
+  } else if (preferences.recurringPattern === 'weekends') {
+    days = WEEKENDS
+  } else if (preferences.recurringPattern === 'daily') {
+    days = DAY_OPTIONS.map(day => day.value)
+  } else if (preferences.daysOfWeek?.length > 0) {
+    days = preferences.daysOfWeek
+  } else {
+    days = daysOfDates(specificDates)
+  }
+
+  const bands = TIME_BANDS
+    .filter(band => (preferences.timeRanges || []).some(range => range.start < band.end && range.end > band.start))
+    .map(band => band.id)
+
+  const startDate = specificDates[0] || preferences.dateConstraints?.startDate || ''
+  const endDate = specificDates[specificDates.length - 1] || preferences.dateConstraints?.endDate || ''
+
+  return {
+    days: [...new Set(days)].sort((a, b) => a - b),
+    bands,
+    startDate,
+    endDate
+  }
+}
+
+/**
+ * Validate picker state
+ * @param {Object} state - Picker state
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePickerState(state) {
+  if (!state.days || state.days.length === 0) {
+    return 'Choose at least one day.'
+  }
+
+  if (state.startDate && state.endDate && state.endDate < state.startDate) {
+    return 'The end date must be on or after the start date.'
+  }
+
+  return null
+}
+
+/**
+ * Merge selected bands into time ranges, joining neighbors (morning +
+ * afternoon is one 6am - 5pm range) so slots spanning noon still match
+ * @param {Array<string>} bandIds - Selected band ids
+ * @returns {Array<Array<string>>} [start, end] pairs (HH:MM)
+ */
+function bandsToRanges(bandIds) {
+  const ranges = []
+  TIME_BANDS.filter(band => bandIds.includes(band.id)).forEach(band => {
+    const last = ranges[ranges.length - 1]
+    if (last && last[1] === band.start) {
+      last[1] = band.end
+    } else {
+      ranges.push([band.start, band.end])
+    }
+  })
+  return ranges
+}
+
+/**
+ * Build interpretedPreferences from the picker
+ * No bands means any time of day. The language preference is left null -
+ * it comes from the separate language selector.
+ * @param {Object} state - Picker state { days, bands, startDate, endDate }
+ * @param {string} userTimezone - User's IANA timezone
+ * @returns {Object} interpretedPreferences
+ */
+export function pickerStateToPreferences(state, userTimezone) {
+  const daysOfWeek = [...new Set(state.days)].sort((a, b) => a - b)
+
+  let recurringPattern = 'none'
+  if (daysOfWeek.length === 7) {
+    recurringPattern = 'daily'
+  } else if (daysOfWeek.join() === WEEKDAYS.join()) {
+    recurringPattern = 'weekdays'
+  } else if (daysOfWeek.join() === WEEKENDS.join()) {
+    recurringPattern = 'weekends'
+  }
+
+  return {
+    daysOfWeek,
+    timeRanges: bandsToRanges(state.bands).map(([start, end]) => ({ start, end, timezone: userTimezone })),
+    dateConstraints: state.startDate || state.endDate
+      ? { startDate: state.startDate || null, endDate: state.endDate || null, relative: null }
+      : null,
+    specificDates: [],
+    recurringPattern,
+    languagePreference: null
+  }
+}
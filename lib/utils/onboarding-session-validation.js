@@ -0,0 +1,156 @@
+/**
+ * Onboarding Session Validation
+ *
+ * Validation rules for onboarding session updates.
+ * All fields are optional, but if provided, must meet constraints.
+ */
+
+import { getAllSymptomKeys } from '../constants/symptom-mapping';
+import { isValidUSState } from './insurance-validation';
+
+export const SESSION_STATUSES = ['in_progress', 'completed', 'abandoned'];
+
+const SYMPTOM_VALUES = ['Daily', 'Some', 'None', ''];
+const MAX_SCHEDULING_INPUT_LENGTH = 500;
+
+// Most times a session stores; "show more times" stops here
+export const MAX_MATCHED_SLOTS = 50;
+
+/**
+ * Validate an onboarding session update
+ * @param {object} data - Session fields to update (camelCase, as sent by the client)
+ * @returns {array} Array of validation error objects
+ */
+export function validateSessionUpdate(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push({ field: 'data', message: 'Invalid data format' });
+    return errors;
+  }
+
+  // Current step (1-8, step 5 is removed)
+  if (data.currentStep !== undefined && data.currentStep !== null) {
+    const step = data.currentStep;
+    if (!Number.isInteger(step) || step < 1 || step > 8 || step === 5) {
+      errors.push({
+        field: 'currentStep',
+        message: 'Current step must be an integer between 1 and 8 (excluding 5)'
+      });
+    }
+  }
+
+  // Status
+  if (data.status !== undefined && data.status !== null) {
+    if (!SESSION_STATUSES.includes(data.status)) {
+      errors.push({
+        field: 'status',
+        message: `Status must be one of: ${SESSION_STATUSES.join(', ')}`
+      });
+    }
+  }
+
+  // Extracted symptoms
+  if (data.extractedSymptoms !== undefined && data.extractedSymptoms !== null) {
+    if (!isPlainObject(data.extractedSymptoms)) {
+      errors.push({
+        field: 'extractedSymptoms',
+        message: 'Extracted symptoms must be an object'
+      });
+    } else {
+      const validKeys = getAllSymptomKeys();
+      for (const [key, value] of Object.entries(data.extractedSymptoms)) {
+        if (!validKeys.includes(key)) {
+          errors.push({
+            field: 'extractedSymptoms',
+            message: `Invalid symptom key: ${key}`
+          });
+        } else if (!SYMPTOM_VALUES.includes(value)) {
+          errors.push({
+            field: 'extractedSymptoms',
+            message: `Invalid value for ${key}. Must be Daily, Some, None, or empty`
+          });
+        }
+      }
+    }
+  }
+
+  // Object fields
+  const objectFields = {
+    extractionMetadata: 'Extraction metadata',
+    insuranceData: 'Insurance data',
+    insuranceValidation: 'Insurance validation',
+    interpretedPreferences: 'Interpreted preferences',
+    selectedSlot: 'Selected slot'
+  };
+
+  for (const [field, label] of Object.entries(objectFields)) {
+    if (data[field] !== undefined && data[field] !== null && !isPlainObject(data[field])) {
+      errors.push({
+        field,
+        message: `${label} must be an object`
+      });
+    }
+  }
+
+  // Scheduling input
+  if (data.schedulingInput !== undefined && data.schedulingInput !== null) {
+    if (typeof data.schedulingInput !== 'string') {
+      errors.push({
+        field: 'schedulingInput',
+        message: 'Scheduling input must be a string'
+      });
+    } else if (data.schedulingInput.length > MAX_SCHEDULING_INPUT_LENGTH) {
+      errors.push({
+        field: 'schedulingInput',
+        message: `Scheduling input must not exceed ${MAX_SCHEDULING_INPUT_LENGTH} characters (current: ${data.schedulingInput.length})`
+      });
+    }
+  }
+
+  // Patient state (two-letter US state, uppercase)
+  if (data.patientState !== undefined && data.patientState !== null) {
+    if (typeof data.patientState !== 'string' || data.patientState !== data.patientState.toUpperCase() || !isValidUSState(data.patientState)) {
+      errors.push({
+        field: 'patientState',
+        message: 'Patient state must be a two-letter US state abbreviation'
+      });
+    }
+  }
+
+  // Matched slots
+  if (data.matchedSlots !== undefined && data.matchedSlots !== null) {
+    if (!Array.isArray(data.matchedSlots)) {
+      errors.push({
+        field: 'matchedSlots',
+        message: 'Matched slots must be an array'
+      });
+    } else if (data.matchedSlots.length > MAX_MATCHED_SLOTS) {
+      errors.push({
+        field: 'matchedSlots',
+        message: `Matched slots must not exceed ${MAX_MATCHED_SLOTS} entries`
+      });
+    }
+  }
+
+  // Appointment confirmed
+  if (data.appointmentConfirmed !== undefined && data.appointmentConfirmed !== null) {
+    if (typeof data.appointmentConfirmed !== 'boolean') {
+      errors.push({
+        field: 'appointmentConfirmed',
+        message: 'appointmentConfirmed must be a boolean value'
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a plain object
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,115 @@
+/**
+ * PDF Rasterizer
+ *
+ * Renders the pages of an uploaded PDF (e.g. an insurance card downloaded
+ * from a payer portal) to JPEG images that can be sent to a vision model,
+ * plus small thumbnails the parent can pick a page from. Uses pdf.js with
+ * the @napi-rs/canvas backend.
+ *
+ * Server-side only (native canvas). Both packages are listed in
+ * serverExternalPackages in next.config.js so they are not bundled.
+ */
+
+import path from 'path';
+
+export const MAX_PDF_PAGES = 4;
+
+// Longest side of a rendered page; enough for a card in the corner of a letter page
+const PAGE_MAX_DIMENSION = 2000;
+const MAX_SCALE = 4;
+const PAGE_JPEG_QUALITY = 85;
+
+const THUMBNAIL_MAX_DIMENSION = 240;
+const THUMBNAIL_JPEG_QUALITY = 70;
+
+/**
+ * Error for PDFs that cannot be rendered (invalid, password-protected, empty)
+ */
+export class PdfRasterizeError extends Error {
+  constructor(message, code = 'PDF_UNREADABLE') {
+    super(message);
+    this.name = 'PdfRasterizeError';
+    this.code = code;
+  }
+}
+
+/**
+ * Render the first pages of a PDF
+ * @param {Buffer} data - PDF contents
+ * @param {object} options - Options
+ * @param {number} options.maxPages - Maximum pages to render (default MAX_PDF_PAGES)
+ * @returns {Promise<{pageCount: number, pages: Array<{pageNumber: number, image: {data: Buffer, contentType: string}, thumbnail: string}>}>}
+ *   Total page count and the rendered pages (thumbnail is a JPEG data URL)
+ */
+export async function rasterizePdf(data, { maxPages = MAX_PDF_PAGES } = {}) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  let pdf;
+  try {
+    pdf = await getDocument({
+      data: new Uint8Array(data),
+      isEvalSupported: false,
+      verbosity: 0,
+      standardFontDataUrl: `${path.join(process.cwd(), 'node_modules', 'pdfjs-dist', 'standard_fonts')}/`
+    }).promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw new PdfRasterizeError('PDF is password protected', 'PDF_PASSWORD');
+    }
+    throw new PdfRasterizeError(`Unable to read PDF: ${error.message}`);
+  }
+
+  try {
+    if (pdf.numPages === 0) {
+      throw new PdfRasterizeError('PDF has no pages', 'PDF_EMPTY');
+    }
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, maxPages); pageNumber++) {
+      pages.push(await renderPage(pdf, pageNumber));
+    }
+
+    return { pageCount: pdf.numPages, pages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Render one page to a JPEG and a thumbnail
+ * @param {object} pdf - pdf.js document
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Promise<{pageNumber: number, image: {data: Buffer, contentType: string}, thumbnail: string}>} Rendered page
+ */
+async function renderPage(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+
+  try {
+    const { width, height } = page.getViewport({ scale: 1 });
+    const scale = Math.min(PAGE_MAX_DIMENSION / Math.max(width, height), MAX_SCALE);
+    const viewport = page.getViewport({ scale });
+
+    const rendered = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: rendered.context, canvas: rendered.canvas, viewport }).promise;
+
+    const thumbnailScale = THUMBNAIL_MAX_DIMENSION / Math.max(rendered.canvas.width, rendered.canvas.height);
+    const thumbnailWidth = Math.max(1, Math.round(rendered.canvas.width * thumbnailScale));
+    const thumbnailHeight = Math.max(1, Math.round(rendered.canvas.height * thumbnailScale));
+    const thumbnail = pdf.canvasFactory.create(thumbnailWidth, thumbnailHeight);
+    thumbnail.context.drawImage(rendered.canvas, 0, 0, thumbnailWidth, thumbnailHeight);
+
+    const imageData = await rendered.canvas.encode('jpeg', PAGE_JPEG_QUALITY);
+    const thumbnailData = await thumbnail.canvas.encode('jpeg', THUMBNAIL_JPEG_QUALITY);
+
+    pdf.canvasFactory.destroy(rendered);
+    pdf.canvasFactory.destroy(thumbnail);
+
+    return {
+      pageNumber,
+      image: { data: imageData, contentType: 'image/jpeg' },
+      thumbnail: `data:image/jpeg;base64,${thumbnailData.toString('base64')}`
+    };
+  } finally {
+    page.cleanup();
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Result Diversifier
+ *
+ * Spreads matched slots across clinicians, days and times of day, so a page
+ * of suggestions isn't five back-to-back slots with one clinician on one
+ * afternoon. Slots are picked page by page in score order, skipping any that
+ * would crowd the page; the limits are relaxed step by step when there
+ * aren't enough varied slots to fill it.
+ */
+
+import { formatInTimeZone } from 'date-fns-tz'
+
+// Per page: at most 2 slots per clinician and per day, and same-day slots at least an hour apart
+export const DEFAULT_DIVERSITY_POLICY = {
+  maxPerClinician: 2,
+  maxPerDay: 2,
+  minGapMinutes: 60,
+}
+
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Policies to try in turn, from the full policy down to no limits
+ * @param {Object} policy - Diversity policy
+ * @returns {Array<Object>} Policies, strictest first
+ */
+function relaxations(policy) {
+  return [
+    policy,
+    { ...policy, minGapMinutes: 0 },
+    { ...policy, minGapMinutes: 0, maxPerDay: Infinity },
+    { maxPerClinician: Infinity, maxPerDay: Infinity, minGapMinutes: 0 },
+  ]
+}
+
+/**
+ * Calendar day of a slot in its own timezone
+ * @param {Object} slot - Slot with startTime and timezone
+ * @returns {string} Day (YYYY-MM-DD)
+ */
+function slotDay(slot) {
+  return formatInTimeZone(new Date(slot.startTime), slot.timezone || 'UTC', 'yyyy-MM-dd')
+}
+
+/**
+ * Check whether a slot can join a page without crowding it
+ * @param {Object} candidate - Candidate entry ({ slot, rank, day })
+ * @param {Array<Object>} page - Entries already on the page
+ * @param {Object} policy - Diversity policy
+ * @returns {boolean} True if the slot fits
+ */
+function fitsPage(candidate, page, policy) {
+  const sameClinician = page.filter(entry => entry.slot.clinicianId === candidate.slot.clinicianId)
+  if (sameClinician.length >= policy.maxPerClinician) {
+    return false
+  }
+
+  const sameDay = page.filter(entry => entry.day === candidate.day)
+  if (sameDay.length >= policy.maxPerDay) {
+    return false
+  }
+
+  const candidateStart = new Date(candidate.slot.startTime)
+  return sameDay.every(entry => (
+    Math.abs(new Date(entry.slot.startTime) - candidateStart) >= policy.minGapMinutes * MINUTE_MS
+  ))
+}
+
+/**
+ * Reorder ranked slots so every page is varied
+ * Each page keeps the slots' ranking order, and the best remaining slot
+ * always leads the next page.
+ * @param {Array} slots - Matched slots, best first
+ * @param {number} pageSize - Slots per page
+ * @param {Object|null} policy - Diversity policy (null = keep the ranking as is)
+ * @param {number} limit - Only the first `limit` slots need diversifying; the rest keep their ranking
+ * @returns {Array} The same slots, reordered
+ */
+export function diversifySlots(slots, pageSize, policy = DEFAULT_DIVERSITY_POLICY, limit = Infinity) {
+  if (!policy || slots.length <= 1) {
+    return slots
+  }
+
+  let remaining = slots.map((slot, rank) => ({ slot, rank, day: slotDay(slot) }))
+  const ordered = []
+
+  while (remaining.length > 0 && ordered.length < limit) {
+    const page = []
+    for (const pagePolicy of relaxations(policy)) {
+      for (const candidate of remaining) {
+        if (page.length >= pageSize) break
+        if (!page.includes(candidate) && fitsPage(candidate, page, pagePolicy)) {
+          page.push(candidate)
+        }
+      }
+      if (page.length >= pageSize) break
+    }
+
+    page.sort((a, b) => a.rank - b.rank)
+    ordered.push(...page.map(entry => entry.slot))
+    remaining = remaining.filter(entry => !page.includes(entry))
+  }
+
+  return [...ordered, ...remaining.map(entry => entry.slot)]
+}
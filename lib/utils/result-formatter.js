@@ -6,6 +6,7 @@
 
 import { formatInTimeZone } from 'date-fns-tz'
 import { formatTimezoneName } from './timezone-utils'
+import { MAX_MATCHED_SLOTS } from './onboarding-session-validation'
 
 /**
  * Format a single matched slot for display
@@ -39,6 +40,12 @@ function formatSlot(slot, userTimezone) {
     timezone: slotTimezone,
     locationId: slot.locationId,
     matchScore: slot.matchScore,
+    inNetwork: slot.inNetwork ?? null, // null when no insurance was provided
+    languageMatch: slot.languageMatch ?? null, // null when no language was requested
+    clinicianFit: slot.clinicianFit ?? null, // null when no symptoms were provided
+    clinician: slot.rawAvailability?.clinician || null, // Public profile (see clinician-profile.js)
+    appointmentType: slot.appointmentType ?? null, // null when matched without an appointment type
+    durationMinutes: (endTime - startTime) / (60 * 1000),
     // Formatted display fields
     formattedDate,
     formattedTime,
@@ -62,3 +69,76 @@ export function formatMatchedSlots(slots, userTimezone) {
   return slots.map(slot => formatSlot(slot, userTimezone))
 }
 
+/**
+ * Describe a weekly series ("Tuesdays 4:00–4:50pm starting Oct 28")
+ * @param {Object} series - Matched series (first session startTime/endTime)
+ * @param {string} timezone - Timezone to describe it in
+ * @returns {string} Series label
+ */
+function formatSeriesLabel(series, timezone) {
+  const startTime = new Date(series.startTime)
+  const endTime = new Date(series.endTime)
+
+  const weekday = formatInTimeZone(startTime, timezone, 'EEEE')
+  const startMeridiem = formatInTimeZone(startTime, timezone, 'aaa')
+  const endMeridiem = formatInTimeZone(endTime, timezone, 'aaa')
+  const start = formatInTimeZone(startTime, timezone, 'h:mm') + (startMeridiem !== endMeridiem ? startMeridiem : '')
+  const end = formatInTimeZone(endTime, timezone, 'h:mmaaa')
+  const firstDate = formatInTimeZone(startTime, timezone, 'MMM d')
+
+  return `${weekday}s ${start}–${end} starting ${firstDate}`
+}
+
+/**
+ * Format matched weekly series for display
+ * Each series is formatted like its first session, plus a series label and
+ * every session's times.
+ * @param {Array} series - Array of matched series from matchRecurringSeries
+ * @param {string} userTimezone - User's timezone for display
+ * @returns {Array} Array of formatted series objects
+ */
+export function formatMatchedSeries(series, userTimezone) {
+  if (!series || series.length === 0) {
+    return []
+  }
+
+  return series.map(option => {
+    const formatted = formatSlot(option, userTimezone)
+    return {
+      ...formatted,
+      weeks: option.weeks,
+      sessions: option.sessions,
+      seriesLabel: formatSeriesLabel(option, formatted.timezone),
+    }
+  })
+}
+
+/**
+ * Check whether two matched slots refer to the same time
+ * @param {Object} a - Matched slot
+ * @param {Object} b - Matched slot
+ * @returns {boolean} True for the same availability and start time
+ */
+export function isSameSlot(a, b) {
+  return a.availabilityId === b.availabilityId && a.startTime === b.startTime
+}
+
+/**
+ * Append a "show more times" page to the slots already shown
+ * Times can shift between pages as other families book, so slots already
+ * shown are skipped. The list stops at MAX_MATCHED_SLOTS, the most an
+ * onboarding session stores.
+ * @param {Array} shownSlots - Formatted slots already shown
+ * @param {Array} pageSlots - Formatted slots of the next page
+ * @param {boolean} pageHasMore - Whether the server has more pages
+ * @returns {{slots: Array, hasMore: boolean}} Slots to show and whether to offer more
+ */
+export function appendSlotPage(shownSlots, pageSlots, pageHasMore) {
+  const newSlots = pageSlots.filter(slot => !shownSlots.some(shown => isSameSlot(shown, slot)))
+  const slots = [...shownSlots, ...newSlots].slice(0, Math.max(MAX_MATCHED_SLOTS, shownSlots.length))
+
+  return {
+    slots,
+    hasMore: Boolean(pageHasMore) && newSlots.length > 0 && slots.length < MAX_MATCHED_SLOTS,
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Resume Token Utilities
+ *
+ * Signed, expiring tokens used in "save and finish later" links.
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ * The payload only carries the onboarding session id, expiry and purpose -
+ * no PHI. The same format signs the onboarding session cookie (purpose
+ * 'session'), and a token only verifies for the purpose it was created for.
+ *
+ * Server-side only (uses Node crypto).
+ */
+
+import crypto from 'crypto';
+
+export const DEFAULT_RESUME_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const DEFAULT_PURPOSE = 'resume';
+
+const DEVELOPMENT_SECRET = 'daybreak-development-resume-token-secret';
+
+/**
+ * Get the secret used to sign resume tokens
+ * @returns {string} Signing secret
+ */
+export function getResumeTokenSecret() {
+  const secret = process.env.RESUME_TOKEN_SECRET;
+
+  if (secret) {
+    return secret;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('RESUME_TOKEN_SECRET must be set in production');
+  }
+
+  return DEVELOPMENT_SECRET;
+}
+
+/**
+ * Create a signed resume token for an onboarding session
+ * @param {string} sessionId - UUID of the onboarding session
+ * @param {object} options - Options
+ * @param {string} options.secret - Signing secret (defaults to RESUME_TOKEN_SECRET)
+ * @param {number} options.ttlMs - Time to live in milliseconds
+ * @param {string} options.purpose - What the token is for ('resume' link or 'session' cookie)
+ * @param {number} options.now - Current time in milliseconds (for testing)
+ * @returns {{token: string, expiresAt: number}} Token and expiry timestamp
+ */
+export function createResumeToken(sessionId, options = {}) {
+  const {
+    secret = getResumeTokenSecret(),
+    ttlMs = DEFAULT_RESUME_TOKEN_TTL_MS,
+    purpose = DEFAULT_PURPOSE,
+    now = Date.now()
+  } = options;
+
+  if (!sessionId || typeof sessionId !== 'string') {
+    throw new Error('sessionId is required to create a resume token');
+  }
+
+  const expiresAt = now + ttlMs;
+  const payload = toBase64Url(JSON.stringify({ sid: sessionId, exp: expiresAt, use: purpose }));
+  const signature = sign(payload, secret);
+
+  return { token: `${payload}.${signature}`, expiresAt };
+}
+
+/**
+ * Verify a resume token
+ * @param {string} token - Token from the resume link
+ * @param {object} options - Options
+ * @param {string} options.secret - Signing secret (defaults to RESUME_TOKEN_SECRET)
+ * @param {string} options.purpose - Purpose the token must have been created for
+ * @param {number} options.now - Current time in milliseconds (for testing)
+ * @returns {{valid: boolean, sessionId?: string, expiresAt?: number, error?: string, code?: string}}
+ */
+export function verifyResumeToken(token, options = {}) {
+  const {
+    secret = getResumeTokenSecret(),
+    purpose = DEFAULT_PURPOSE,
+    now = Date.now()
+  } = options;
+
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Resume link is missing its token', code: 'TOKEN_MISSING' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { valid: false, error: 'Resume link is invalid', code: 'TOKEN_INVALID' };
+  }
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Resume link is invalid', code: 'TOKEN_INVALID' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Resume link is invalid', code: 'TOKEN_INVALID' };
+  }
+
+  if (!data || typeof data.sid !== 'string' || typeof data.exp !== 'number') {
+    return { valid: false, error: 'Resume link is invalid', code: 'TOKEN_INVALID' };
+  }
+
+  // Links sent before tokens carried a purpose are resume links
+  if ((data.use || DEFAULT_PURPOSE) !== purpose) {
+    return { valid: false, error: 'Resume link is invalid', code: 'TOKEN_INVALID' };
+  }
+
+  if (data.exp <= now) {
+    return { valid: false, error: 'Resume link has expired', code: 'TOKEN_EXPIRED' };
+  }
+
+  return { valid: true, sessionId: data.sid, expiresAt: data.exp };
+}
+
+/**
+ * Compute the base64url HMAC-SHA256 signature of a payload
+ * @param {string} payload - Encoded payload
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature
+ */
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Encode a string as base64url
+ * @param {string} value - String to encode
+ * @returns {string} base64url-encoded string
+ */
+function toBase64Url(value) {
+  return Buffer.from(value, 'utf8').toString('base64url');
+}
@@ -0,0 +1,46 @@
+/**
+ * Route Error Responses
+ *
+ * Maps the service errors in lib/services/errors.js to JSON responses, so API
+ * routes share one mapping. Anything else is logged and returned as a 500.
+ *
+ * Server-side only.
+ */
+
+import { NextResponse } from 'next/server';
+import { ValidationError, NotFoundError, ConflictError } from '../services/errors';
+
+/**
+ * Map a service error to a response
+ * @param {Error} error - Error thrown by a service
+ * @param {string} label - Route label for logging
+ * @returns {NextResponse} Error response
+ */
+export function errorResponse(error, label) {
+  if (error instanceof ValidationError) {
+    return NextResponse.json(
+      { error: error.message, errors: error.errors },
+      { status: 400 }
+    );
+  }
+
+  if (error instanceof NotFoundError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: 404 }
+    );
+  }
+
+  if (error instanceof ConflictError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code },
+      { status: 409 }
+    );
+  }
+
+  console.error(`Error in ${label}:`, error);
+  return NextResponse.json(
+    { error: 'Internal server error' },
+    { status: 500 }
+  );
+}
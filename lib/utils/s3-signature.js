@@ -0,0 +1,144 @@
+/**
+ * S3 Request Signing
+ *
+ * AWS Signature Version 4 for S3-compatible object storage (AWS S3, MinIO,
+ * Cloudflare R2, ...). Only what the document storage adapter needs: signing
+ * a single request with header-based authorization.
+ *
+ * Server-side only (uses Node crypto).
+ */
+
+import crypto from 'crypto';
+
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * Hex SHA-256 of a request body, for the x-amz-content-sha256 header
+ * @param {Buffer|string} body - Request body (empty for GET/DELETE)
+ * @returns {string} Hex digest
+ */
+export function hashPayload(body = '') {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * Sign an S3 request
+ * @param {object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full request URL
+ * @param {object} request.headers - Extra headers to sign (e.g. content-type)
+ * @param {string} request.payloadHash - hashPayload(body) or UNSIGNED_PAYLOAD
+ * @param {object} credentials - Credentials
+ * @param {string} credentials.region - Region (MinIO accepts 'us-east-1')
+ * @param {string} credentials.accessKeyId - Access key id
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @param {string} credentials.sessionToken - Temporary session token, if any
+ * @param {Date} now - Signing time (for testing)
+ * @returns {object} Headers to send, including Authorization
+ */
+export function signS3Request(request, credentials, now = new Date()) {
+  const { method, url, headers = {}, payloadHash = hashPayload() } = request;
+  const { region, accessKeyId, secretAccessKey, sessionToken } = credentials;
+  const parsed = new URL(url);
+
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaderValues = {
+    ...lowercaseKeys(headers),
+    host: parsed.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (sessionToken) {
+    signedHeaderValues['x-amz-security-token'] = sessionToken;
+  }
+
+  const headerNames = Object.keys(signedHeaderValues).sort();
+  const canonicalHeaders = headerNames
+    .map(name => `${name}:${String(signedHeaderValues[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalPath(parsed.pathname),
+    canonicalQuery(parsed.searchParams),
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    hashPayload(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...sendHeaders } = signedHeaderValues;
+  return {
+    ...sendHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|string} key - Key
+ * @param {string} value - Value to sign
+ * @returns {Buffer} Digest
+ */
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * URI-encode a value the way SigV4 expects (RFC 3986 unreserved characters kept)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Canonical URI: each path segment encoded once, slashes kept
+ * @param {string} pathname - URL path
+ * @returns {string} Canonical path
+ */
+function canonicalPath(pathname) {
+  return pathname
+    .split('/')
+    .map(segment => encodeRfc3986(decodeURIComponent(segment)))
+    .join('/') || '/';
+}
+
+/**
+ * Canonical query string: parameters sorted by name, then value
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Canonical query
+ */
+function canonicalQuery(params) {
+  return [...params.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Lowercase the keys of a headers object
+ * @param {object} headers - Headers
+ * @returns {object} Headers with lowercase names
+ */
+function lowercaseKeys(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
@@ -0,0 +1,711 @@
+/**
+ * Scheduling Parser
+ *
+ * Deterministic, rule-based interpretation of common availability phrases
+ * ("weekdays after 5pm", "next Tuesday and Thursday 9-11am", "weekends in
+ * the morning", "today or tomorrow evening"). Emits the same structure as the
+ * LLM interpretation (see validateInterpretedPreferences), so it can stand in
+ * when the LLM is unavailable and cross-check the LLM's date arithmetic.
+ *
+ * Conventions follow the scheduling prompt: "next Tuesday" is the first
+ * Tuesday after today, "this Tuesday" may be today, and a time with no am/pm
+ * is read from context (morning = am, afternoon/evening = pm) or, failing
+ * that, as a plausible appointment hour (1-7 pm, 8-11 am).
+ */
+
+import { CARE_LANGUAGES } from '../constants/care-languages'
+
+const WEEKDAYS = [1, 2, 3, 4, 5]
+const WEEKENDS = [0, 6]
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]
+
+// Day names and abbreviations -> day of week ("sat" and "sun" are left out as everyday words)
+const DAY_NAMES = {
+  sunday: 0,
+  monday: 1,
+  mon: 1,
+  tuesday: 2,
+  tues: 2,
+  tue: 2,
+  wednesday: 3,
+  weds: 3,
+  wed: 3,
+  thursday: 4,
+  thurs: 4,
+  thur: 4,
+  thu: 4,
+  friday: 5,
+  fri: 5,
+  saturday: 6
+}
+const DAY = `(?:${Object.keys(DAY_NAMES).join('|')})s?`
+// "Tuesday and Thursday", "mon, wed or fri"
+const DAY_LIST = `${DAY}(?:\\s*(?:,|and|or|&|/)\\s*${DAY})*`
+
+// Time of day words, matching the scheduling prompt
+const PERIODS = [
+  { pattern: /\bafter[- ]school\b/, range: ['15:00', '18:00'], meridiem: 'pm' },
+  { pattern: /\bmornings?\b/, range: ['06:00', '12:00'], meridiem: 'am' },
+  { pattern: /\b(?:lunch(?:time)?|midday)\b/, range: ['11:00', '13:00'], meridiem: null },
+  { pattern: /\bafternoons?\b/, range: ['12:00', '17:00'], meridiem: 'pm' },
+  { pattern: /\b(?:evenings?|nights?|tonight)\b/, range: ['18:00', '23:59'], meridiem: 'pm' }
+]
+
+const DAY_START = '06:00'
+const DAY_END = '23:59'
+
+// Clock time: "5", "5pm", "5:30 pm", "17:00"
+const TIME = '(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)?'
+// Keeps "after 2 weeks" or "2-3 times" from reading as clock times
+const NOT_A_TIME = '(?![\\d:a-z])(?!\\s*(?:weeks?|days?|months?|years?|hours?|hrs?|minutes?|mins?|times?|kids?|children)\\b)'
+
+const RANGE_PATTERN = new RegExp(`\\b(between\\s+|from\\s+)?${TIME}\\s*(?:-|to|until|till|through|and)\\s*${TIME}${NOT_A_TIME}`, 'g')
+const AFTER_PATTERN = new RegExp(`\\b(?:after|from|starting at|starting|past|later than)\\s+${TIME}${NOT_A_TIME}`, 'g')
+const LATER_PATTERN = new RegExp(`\\b${TIME}\\s*(?:or later|and later|onwards?|or after)\\b`, 'g')
+const BEFORE_PATTERN = new RegExp(`\\b(?:before|until|till|by|no later than|earlier than)\\s+${TIME}${NOT_A_TIME}`, 'g')
+const AT_PATTERN = new RegExp(`\\b(?:at|around)\\s+${TIME}${NOT_A_TIME}`, 'g')
+const BARE_TIME_PATTERN = new RegExp(`\\b(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)\\b`, 'g')
+
+// Phrases that make a language a nice-to-have rather than a must
+const OPTIONAL_LANGUAGE_CUES = /\b(?:would be nice|ideally|if possible|preferably|prefer(?:red)?|nice to have|bonus|a plus)\b/
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, a: 1, couple: 2, few: 3 }
+
+/**
+ * Lowercase and normalize punctuation so the patterns stay simple
+ * @param {string} text - Raw input
+ * @returns {string} Normalized text
+ */
+function normalizeInput(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[–—]/g, '-')
+    .replace(/\b([ap])\.m\.?/g, '$1m')
+    .replace(/\bnoon\b/g, '12pm')
+    .replace(/\bmidnight\b/g, '11:59pm')
+    .replace(/\s+/g, ' ')
+}
+
+/**
+ * Blank out a matched span so later patterns don't match it again
+ * @param {string} text - Text being parsed
+ * @param {Object} match - RegExp match
+ * @returns {string} Text with the span replaced by spaces
+ */
+function consume(text, match) {
+  return text.slice(0, match.index) + ' '.repeat(match[0].length) + text.slice(match.index + match[0].length)
+}
+
+/**
+ * Add days to an ISO date
+ * @param {string} isoDate - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Day of week of an ISO date
+ * @param {string} isoDate - Date (YYYY-MM-DD)
+ * @returns {number} Day of week (0 = Sunday)
+ */
+function dayOfWeek(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay()
+}
+
+/**
+ * Next date falling on a day of week
+ * @param {string} currentDate - Today (YYYY-MM-DD)
+ * @param {number} day - Day of week (0 = Sunday)
+ * @param {boolean} includeToday - Whether today counts
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function nextDateForDay(currentDate, day, includeToday) {
+  let offset = (day - dayOfWeek(currentDate) + 7) % 7
+  if (offset === 0 && !includeToday) {
+    offset = 7
+  }
+  return addDays(currentDate, offset)
+}
+
+/**
+ * Convert a matched clock time to 24-hour HH:MM
+ * @param {string} hourText - Hour digits
+ * @param {string} [minuteText] - Minute digits
+ * @param {string} [meridiem] - 'am' | 'pm'
+ * @returns {string|null} Time, or null if it isn't a valid clock time
+ */
+function toClockTime(hourText, minuteText, meridiem) {
+  let hour = Number(hourText)
+  const minute = minuteText ? Number(minuteText) : 0
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) {
+      return null
+    }
+    hour = hour % 12 + (meridiem === 'pm' ? 12 : 0)
+  } else if (hour > 23) {
+    return null
+  }
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+}
+
+/**
+ * Pick am/pm for an hour written without one
+ * @param {number} hour - Hour as written (1-12)
+ * @param {string|null} contextMeridiem - Meridiem implied by a time-of-day word
+ * @returns {string} 'am' | 'pm'
+ */
+function inferMeridiem(hour, contextMeridiem) {
+  if (contextMeridiem) {
+    return contextMeridiem
+  }
+  return hour === 12 || hour <= 7 ? 'pm' : 'am'
+}
+
+/**
+ * Resolve a single clock time, inferring am/pm if needed
+ * @param {Array<string>} parts - [hour, minute, meridiem]
+ * @param {string|null} contextMeridiem - Meridiem implied by a time-of-day word
+ * @returns {string|null} Time (HH:MM)
+ */
+function resolveTime([hourText, minuteText, meridiem], contextMeridiem) {
+  const hour = Number(hourText)
+  if (meridiem || hour === 0 || hour > 12) {
+    return toClockTime(hourText, minuteText, meridiem)
+  }
+  return toClockTime(hourText, minuteText, inferMeridiem(hour, contextMeridiem))
+}
+
+/**
+ * Possible readings of a clock time, preferred first
+ * @param {Array<string>} parts - [hour, minute, meridiem]
+ * @param {string} meridiem - Meridiem to try first if none was written
+ * @returns {Array<string>} Times (HH:MM)
+ */
+function timeCandidates([hourText, minuteText, written], meridiem) {
+  const hour = Number(hourText)
+  if (written || hour === 0 || hour > 12) {
+    return [toClockTime(hourText, minuteText, written)]
+  }
+  const other = meridiem === 'pm' ? 'am' : 'pm'
+  return [toClockTime(hourText, minuteText, meridiem), toClockTime(hourText, minuteText, other)]
+}
+
+/**
+ * Resolve a time range, letting one side's am/pm carry to the other
+ * ("9-11am", "9am-11"), and flipping it if that would end before it starts
+ * ("11-1pm" is 11am to 1pm)
+ * @param {Array<string>} startParts - [hour, minute, meridiem]
+ * @param {Array<string>} endParts - [hour, minute, meridiem]
+ * @param {string|null} contextMeridiem - Meridiem implied by a time-of-day word
+ * @returns {Array<string>|null} [start, end] (HH:MM), or null if invalid
+ */
+function resolveRange(startParts, endParts, contextMeridiem) {
+  const carried = endParts[2] || startParts[2] || inferMeridiem(Number(endParts[0]), contextMeridiem)
+
+  for (const start of timeCandidates(startParts, carried)) {
+    for (const end of timeCandidates(endParts, carried)) {
+      if (start && end && start < end) {
+        return [start, end]
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * One hour after a time, capped at the end of the day
+ * @param {string} time - Time (HH:MM)
+ * @returns {string} Time (HH:MM)
+ */
+function oneHourLater(time) {
+  const hour = Number(time.slice(0, 2)) + 1
+  return hour > 23 ? DAY_END : `${String(hour).padStart(2, '0')}${time.slice(2)}`
+}
+
+/**
+ * Extract time ranges: explicit clock times win over time-of-day words
+ * @param {string} text - Normalized text
+ * @returns {Array<Array<string>>} [start, end] pairs (HH:MM)
+ */
+function parseTimeRanges(text) {
+  const periods = PERIODS.filter(period => period.pattern.test(text))
+  const periodMeridiems = [...new Set(periods.map(period => period.meridiem).filter(Boolean))]
+  const contextMeridiem = periodMeridiems.length === 1 ? periodMeridiems[0] : null
+
+  const ranges = []
+  let remaining = text
+
+  const collect = (pattern, toRange, requireClockCue) => {
+    for (const match of text.matchAll(pattern)) {
+      // Skip spans already consumed by an earlier pattern
+      if (remaining.slice(match.index, match.index + match[0].length) !== match[0]) {
+        continue
+      }
+      if (requireClockCue && !requireClockCue(match)) {
+        continue
+      }
+      const range = toRange(match)
+      if (range) {
+        ranges.push(range)
+        remaining = consume(remaining, match)
+      }
+    }
+  }
+
+  // "9-11am", "between 9am and 11am", "from 3 to 5" - bare "2-3" needs a cue to count as times
+  collect(RANGE_PATTERN, m => resolveRange(m.slice(2, 5), m.slice(5, 8), contextMeridiem), m => (
+    Boolean(m[1] || m[3] || m[4] || m[6] || m[7] || contextMeridiem)
+  ))
+  collect(AFTER_PATTERN, m => {
+    const start = resolveTime(m.slice(1, 4), contextMeridiem)
+    return start && start < DAY_END ? [start, DAY_END] : null
+  })
+  collect(LATER_PATTERN, m => {
+    const start = resolveTime(m.slice(1, 4), contextMeridiem)
+    return start && start < DAY_END ? [start, DAY_END] : null
+  })
+  collect(BEFORE_PATTERN, m => {
+    const end = resolveTime(m.slice(1, 4), contextMeridiem)
+    return end && end > DAY_START ? [DAY_START, end] : null
+  })
+  collect(AT_PATTERN, m => {
+    const start = resolveTime(m.slice(1, 4), contextMeridiem)
+    return start ? [start, oneHourLater(start)] : null
+  })
+  collect(BARE_TIME_PATTERN, m => {
+    const start = toClockTime(m[1], m[2], m[3])
+    return start ? [start, oneHourLater(start)] : null
+  })
+
+  if (ranges.length === 0) {
+    return periods.map(period => period.range)
+  }
+  return ranges
+}
+
+/**
+ * Day of week for a matched day name ("tuesdays", "thurs")
+ * @param {string} name - Matched day name
+ * @returns {number} Day of week (0 = Sunday)
+ */
+function dayNumber(name) {
+  return DAY_NAMES[name] ?? DAY_NAMES[name.replace(/s$/, '')]
+}
+
+/**
+ * Days of week named in a matched day list
+ * @param {string} list - e.g. "tuesday and thursday"
+ * @returns {Array<number>} Days of week
+ */
+function listedDays(list) {
+  return [...list.matchAll(new RegExp(`\\b${DAY}\\b`, 'g'))].map(match => dayNumber(match[0]))
+}
+
+/**
+ * Extract specific dates and day-of-week preferences
+ * @param {string} text - Normalized text
+ * @param {string} currentDate - Today (YYYY-MM-DD)
+ * @returns {{specificDates: Array<string>, days: Array<number>, pattern: string|null,
+ *   excluded: Array<number>, onlyExcluded: boolean}} onlyExcluded is true when
+ *   days were only ruled out ("not Fridays"), never named
+ */
+function parseDays(text, currentDate) {
+  const specificDates = []
+  const days = new Set()
+  const excluded = new Set()
+  let remaining = text
+
+  // "next Tuesday and Thursday", "this coming Friday"
+  for (const match of text.matchAll(new RegExp(`\\b(next|this coming|this|coming)\\s+(${DAY_LIST})\\b`, 'g'))) {
+    listedDays(match[2]).forEach(day => {
+      specificDates.push(nextDateForDay(currentDate, day, match[1] === 'this'))
+    })
+    remaining = consume(remaining, match)
+  }
+
+  if (/\bday after tomorrow\b/.test(remaining)) {
+    specificDates.push(addDays(currentDate, 2))
+    remaining = remaining.replace(/\bday after tomorrow\b/g, ' ')
+  }
+  if (/\btomorrow\b/.test(remaining)) {
+    specificDates.push(addDays(currentDate, 1))
+  }
+  if (/\b(?:today|tonight|this (?:morning|afternoon|evening))\b/.test(remaining)) {
+    specificDates.push(currentDate)
+  }
+
+  // "any day except Wednesday", "weekdays but not Fridays"
+  for (const match of remaining.matchAll(new RegExp(`\\b(?:except|but not|not on|not|no|excluding|other than)\\s+(?:on\\s+)?(${DAY_LIST})\\b`, 'g'))) {
+    listedDays(match[1]).forEach(day => excluded.add(day))
+    remaining = consume(remaining, match)
+  }
+
+  // "Monday through Friday", "tuesday-thursday"
+  for (const match of remaining.matchAll(new RegExp(`\\b(${DAY})\\s*(?:-|to|through|thru)\\s*(${DAY})\\b`, 'g'))) {
+    const last = dayNumber(match[2])
+    for (let day = dayNumber(match[1]); ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === last) {
+        break
+      }
+    }
+    remaining = consume(remaining, match)
+  }
+
+  listedDays(remaining).forEach(day => days.add(day))
+
+  if (/\bweek ?days?\b/.test(remaining)) {
+    WEEKDAYS.forEach(day => days.add(day))
+  }
+  if (/\bweekends?\b/.test(remaining)) {
+    WEEKENDS.forEach(day => days.add(day))
+  }
+  if (/\b(?:every ?day|daily|any ?day|all week)\b/.test(remaining)) {
+    ALL_DAYS.forEach(day => days.add(day))
+  }
+
+  // "Anything but Mondays" starts from every day
+  const onlyExcluded = excluded.size > 0 && days.size === 0
+  if (onlyExcluded) {
+    ALL_DAYS.forEach(day => days.add(day))
+  }
+  excluded.forEach(day => days.delete(day))
+
+  const sortedDays = [...days].sort((a, b) => a - b)
+
+  return {
+    specificDates: [...new Set(specificDates)].sort(),
+    days: sortedDays,
+    pattern: patternForDays(sortedDays),
+    excluded: [...excluded].sort((a, b) => a - b),
+    onlyExcluded
+  }
+}
+
+/**
+ * Name the recurring pattern a set of days forms
+ * @param {Array<number>} sortedDays - Days of week, sorted
+ * @returns {string|null} "daily", "weekdays", "weekends" or null
+ */
+function patternForDays(sortedDays) {
+  if (sortedDays.length === 7) {
+    return 'daily'
+  } else if (sortedDays.join() === WEEKDAYS.join()) {
+    return 'weekdays'
+  } else if (sortedDays.join() === WEEKENDS.join()) {
+    return 'weekends'
+  }
+  return null
+}
+
+/**
+ * Extract a date window ("next week", "this week", "next two weeks", "next month")
+ * @param {string} text - Normalized text
+ * @param {string} currentDate - Today (YYYY-MM-DD)
+ * @returns {Object|null} { startDate, endDate, relative } or null
+ */
+function parseDateConstraints(text, currentDate) {
+  const weeksMatch = text.match(/\b(?:next|within the next|in the next|over the next)\s+(\d|one|two|three|four|a couple(?: of)?|couple(?: of)?|a few|few)\s+weeks\b/)
+  if (weeksMatch) {
+    const word = weeksMatch[1].replace(/^a /, '').replace(/ of$/, '')
+    const weeks = Number(word) || NUMBER_WORDS[word]
+    return { startDate: currentDate, endDate: addDays(currentDate, weeks * 7 - 1), relative: `next_${weeks}_weeks` }
+  }
+
+  if (/\bnext week\b/.test(text)) {
+    const nextMonday = nextDateForDay(currentDate, 1, false)
+    return { startDate: nextMonday, endDate: addDays(nextMonday, 6), relative: 'next_week' }
+  }
+
+  if (/\b(?:this|later this|rest of (?:the|this)) week\b/.test(text)) {
+    const daysToSunday = (7 - dayOfWeek(currentDate)) % 7
+    return { startDate: currentDate, endDate: addDays(currentDate, daysToSunday), relative: 'this_week' }
+  }
+
+  if (/\bnext month\b/.test(text)) {
+    const date = new Date(`${currentDate}T00:00:00Z`)
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 2, 0))
+    return { startDate: start.toISOString().slice(0, 10), endDate: end.toISOString().slice(0, 10), relative: 'next_month' }
+  }
+
+  return null
+}
+
+/**
+ * Extract a clinician language preference
+ * @param {string} text - Normalized text
+ * @returns {Object|null} { code, required } or null
+ */
+function parseLanguagePreference(text) {
+  const language = CARE_LANGUAGES.find(l => (
+    l.aliases
+      .filter(name => name.length > 3)
+      .some(name => new RegExp(`(?:^|[^\\p{L}])${name}(?:$|[^\\p{L}])`, 'u').test(text))
+  ))
+
+  if (!language) {
+    return null
+  }
+  return { code: language.code, required: !OPTIONAL_LANGUAGE_CUES.test(text) }
+}
+
+/**
+ * Interpret scheduling preferences with deterministic rules
+ * @param {string} userInput - Parent's availability, in their words
+ * @param {Object} context
+ * @param {string} context.currentDate - Today in the user's timezone (YYYY-MM-DD)
+ * @param {string} context.userTimezone - User's IANA timezone
+ * @returns {{preferences: Object, recognized: Object}|null} Preferences in the
+ *   interpret-scheduling structure plus which parts were understood
+ *   ({ days, times, dates, language }), or null if nothing was recognized
+ */
+export function parseSchedulingPreferences(userInput, { currentDate, userTimezone }) {
+  if (typeof userInput !== 'string' || userInput.trim().length === 0) {
+    return null
+  }
+
+  const text = normalizeInput(userInput)
+  const { specificDates, days, pattern } = parseDays(text, currentDate)
+  const dateConstraints = parseDateConstraints(text, currentDate)
+  const timeRanges = parseTimeRanges(text)
+  const languagePreference = parseLanguagePreference(text)
+
+  const recognized = {
+    days: days.length > 0,
+    times: timeRanges.length > 0,
+    dates: specificDates.length > 0 || dateConstraints !== null,
+    language: languagePreference !== null
+  }
+
+  if (!Object.values(recognized).some(Boolean)) {
+    return null
+  }
+
+  // Without named days, follow the dates asked for, or allow any day
+  let daysOfWeek = days
+  let recurringPattern = pattern || 'none'
+  if (days.length === 0) {
+    if (specificDates.length > 0) {
+      daysOfWeek = [...new Set(specificDates.map(dayOfWeek))].sort((a, b) => a - b)
+    } else {
+      daysOfWeek = ALL_DAYS
+      recurringPattern = dateConstraints ? 'none' : 'daily'
+    }
+  } else if (specificDates.length > 0) {
+    recurringPattern = 'none'
+  }
+
+  return {
+    preferences: {
+      daysOfWeek,
+      timeRanges: timeRanges.map(([start, end]) => ({ start, end, timezone: userTimezone })),
+      dateConstraints,
+      specificDates,
+      recurringPattern,
+      languagePreference
+    },
+    recognized
+  }
+}
+
+// Follow-ups asking for earlier or later times, without saying which
+const EARLIER_CUES = /\b(?:earlier|sooner in the day)\b/
+const LATER_CUES = /\blater\b/
+// How far "earlier" or "later" stretches each time range
+const WIDEN_MINUTES = 120
+
+/**
+ * Move a time, staying within the bookable day
+ * @param {string} time - Time (HH:MM)
+ * @param {number} minutes - Minutes to move by (negative for earlier)
+ * @returns {string} Time (HH:MM)
+ */
+function shiftTime(time, minutes) {
+  const [hours, mins] = time.split(':').map(Number)
+  const total = hours * 60 + mins + minutes
+  const [dayStartHours] = DAY_START.split(':').map(Number)
+  if (total <= dayStartHours * 60) {
+    return DAY_START
+  }
+  if (total >= 24 * 60 - 1) {
+    return DAY_END
+  }
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+}
+
+/**
+ * Days of week earlier preferences allow
+ * @param {Object} preferences - interpretedPreferences
+ * @returns {Array<number>} Days of week, sorted
+ */
+function allowedDays(preferences) {
+  if (preferences.recurringPattern === 'weekdays') {
+    return WEEKDAYS
+  }
+  if (preferences.recurringPattern === 'weekends') {
+    return WEEKENDS
+  }
+  if (preferences.recurringPattern === 'daily') {
+    return ALL_DAYS
+  }
+  if (preferences.daysOfWeek?.length > 0) {
+    return [...preferences.daysOfWeek].sort((a, b) => a - b)
+  }
+  if (preferences.specificDates?.length > 0) {
+    return [...new Set(preferences.specificDates.map(dayOfWeek))].sort((a, b) => a - b)
+  }
+  return ALL_DAYS
+}
+
+/**
+ * Apply a follow-up ("actually not Fridays", "anything earlier?") to earlier
+ * preferences with deterministic rules
+ * Only what the follow-up mentions changes: named days replace the days (and
+ * any specific dates), ruled-out days are dropped from them, and times, dates
+ * or a language replace their counterparts. "Earlier" and "later" without a
+ * time widen every time range by two hours.
+ * @param {Object} previousPreferences - Validated interpretedPreferences being refined
+ * @param {string} followUp - Parent's follow-up, in their words
+ * @param {Object} context
+ * @param {string} context.currentDate - Today in the user's timezone (YYYY-MM-DD)
+ * @param {string} context.userTimezone - User's IANA timezone
+ * @returns {{preferences: Object, recognized: Object}|null} Merged preferences
+ *   plus which parts the follow-up changed, or null if nothing was recognized
+ */
+export function refineSchedulingPreferences(previousPreferences, followUp, { currentDate, userTimezone }) {
+  if (typeof followUp !== 'string' || followUp.trim().length === 0) {
+    return null
+  }
+
+  const text = normalizeInput(followUp)
+  const { specificDates, days, excluded, onlyExcluded } = parseDays(text, currentDate)
+  const dateConstraints = parseDateConstraints(text, currentDate)
+  const timeRanges = parseTimeRanges(text)
+  const languagePreference = parseLanguagePreference(text)
+
+  let widen = 0
+  if (timeRanges.length === 0 && (previousPreferences.timeRanges || []).length > 0) {
+    if (EARLIER_CUES.test(text)) {
+      widen = -WIDEN_MINUTES
+    } else if (LATER_CUES.test(text)) {
+      widen = WIDEN_MINUTES
+    }
+  }
+
+  const recognized = {
+    days: days.length > 0 || excluded.length > 0,
+    times: timeRanges.length > 0 || widen !== 0,
+    dates: specificDates.length > 0 || dateConstraints !== null,
+    language: languagePreference !== null
+  }
+
+  if (!Object.values(recognized).some(Boolean)) {
+    return null
+  }
+
+  const preferences = { ...previousPreferences }
+
+  if (recognized.days) {
+    const nextDays = onlyExcluded
+      ? allowedDays(previousPreferences).filter(day => !excluded.includes(day))
+      : days
+    if (nextDays.length > 0) {
+      preferences.daysOfWeek = nextDays
+      preferences.recurringPattern = patternForDays(nextDays) || 'none'
+    }
+    // Named days replace specific dates too; ruled-out days only drop theirs
+    preferences.specificDates = onlyExcluded
+      ? (previousPreferences.specificDates || []).filter(date => !excluded.includes(dayOfWeek(date)))
+      : []
+  }
+
+  if (timeRanges.length > 0) {
+    preferences.timeRanges = timeRanges.map(([start, end]) => ({ start, end, timezone: userTimezone }))
+  } else if (widen < 0) {
+    preferences.timeRanges = previousPreferences.timeRanges.map(range => ({ ...range, start: shiftTime(range.start, widen) }))
+  } else if (widen > 0) {
+    preferences.timeRanges = previousPreferences.timeRanges.map(range => ({ ...range, end: shiftTime(range.end, widen) }))
+  }
+
+  if (recognized.dates) {
+    preferences.specificDates = specificDates
+    preferences.dateConstraints = dateConstraints
+    if (specificDates.length > 0) {
+      preferences.recurringPattern = 'none'
+    }
+  }
+
+  if (recognized.language) {
+    preferences.languagePreference = languagePreference
+  }
+
+  return { preferences, recognized }
+}
+
+/**
+ * Compare two values that may be arrays or objects
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if they serialize the same
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+/**
+ * Cross-check an LLM interpretation against the rule-based one
+ * Calendar arithmetic is deterministic, so when the rules understood which
+ * dates were asked for, their specificDates and dateConstraints replace the
+ * LLM's; every other field keeps the LLM's richer reading.
+ * @param {Object} llmPreferences - Validated LLM interpretation
+ * @param {{preferences: Object, recognized: Object}|null} ruleResult - From parseSchedulingPreferences
+ * @returns {{preferences: Object, disagreements: Array<string>, corrected: Array<string>}}
+ *   Preferences to use, fields where the two differ, and fields taken from the rules
+ */
+export function crossCheckInterpretation(llmPreferences, ruleResult) {
+  if (!ruleResult) {
+    return { preferences: llmPreferences, disagreements: [], corrected: [] }
+  }
+
+  const { preferences: rules, recognized } = ruleResult
+  const disagreements = []
+
+  if (recognized.days && !sameValue([...(llmPreferences.daysOfWeek || [])].sort((a, b) => a - b), rules.daysOfWeek)) {
+    disagreements.push('daysOfWeek')
+  }
+  if (recognized.times && !sameValue(
+    (llmPreferences.timeRanges || []).map(r => [r.start, r.end]),
+    rules.timeRanges.map(r => [r.start, r.end])
+  )) {
+    disagreements.push('timeRanges')
+  }
+  if (recognized.dates && !sameValue([...(llmPreferences.specificDates || [])].sort(), rules.specificDates)) {
+    disagreements.push('specificDates')
+  }
+  if (recognized.dates && !sameValue(
+    llmPreferences.dateConstraints && [llmPreferences.dateConstraints.startDate, llmPreferences.dateConstraints.endDate],
+    rules.dateConstraints && [rules.dateConstraints.startDate, rules.dateConstraints.endDate]
+  )) {
+    disagreements.push('dateConstraints')
+  }
+  if (recognized.language && llmPreferences.languagePreference?.code !== rules.languagePreference.code) {
+    disagreements.push('languagePreference')
+  }
+
+  const corrected = disagreements.filter(field => field === 'specificDates' || field === 'dateConstraints')
+  const preferences = { ...llmPreferences }
+  corrected.forEach(field => {
+    preferences[field] = rules[field]
+  })
+
+  return { preferences, disagreements, corrected }
+}
@@ -0,0 +1,102 @@
+/**
+ * Onboarding Session Cookie
+ *
+ * The browser that creates an onboarding session (or opens a "save and finish
+ * later" link for it) gets an HttpOnly cookie holding a signed token for the
+ * session id (see utils/resume-token, purpose 'session'). Routes that read or
+ * change a session's data check the cookie, so the session id alone is not
+ * a credential.
+ *
+ * Server-side only (uses Node crypto).
+ */
+
+import { NextResponse } from 'next/server';
+import { createResumeToken, verifyResumeToken } from './resume-token';
+
+export const SESSION_COOKIE_NAME = 'daybreak_onboarding_session';
+
+const SESSION_COOKIE_PURPOSE = 'session';
+const SESSION_COOKIE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Set the session cookie on a response
+ * @param {NextResponse} response - Outgoing response
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {NextResponse} The same response
+ */
+export function setSessionCookie(response, sessionId) {
+  const { token } = createResumeToken(sessionId, {
+    ttlMs: SESSION_COOKIE_TTL_MS,
+    purpose: SESSION_COOKIE_PURPOSE
+  });
+
+  response.cookies.set(SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: SESSION_COOKIE_TTL_MS / 1000
+  });
+
+  return response;
+}
+
+/**
+ * Get the onboarding session id from the request's session cookie
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Session UUID, or null without a valid cookie
+ */
+export function getCookieSessionId(request) {
+  const token = readCookie(request, SESSION_COOKIE_NAME);
+  const verification = verifyResumeToken(token, { purpose: SESSION_COOKIE_PURPOSE });
+  return verification.valid ? verification.sessionId : null;
+}
+
+/**
+ * Check whether the caller's browser holds the session
+ * @param {Request} request - Incoming request
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {boolean} True if the session cookie is for this session
+ */
+export function isSessionOwner(request, sessionId) {
+  return Boolean(sessionId) && getCookieSessionId(request) === sessionId;
+}
+
+/**
+ * Reject requests for a session the caller's browser does not hold
+ * Answers 404 rather than 403, so session ids can't be probed.
+ * @param {Request} request - Incoming request
+ * @param {string} sessionId - UUID of the onboarding session
+ * @returns {NextResponse|null} Error response, or null if the caller holds the session
+ */
+export function sessionAccessError(request, sessionId) {
+  if (isSessionOwner(request, sessionId)) {
+    return null;
+  }
+
+  return NextResponse.json(
+    { error: 'Onboarding session not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * Read a cookie from a request
+ * @param {Request} request - Incoming request (NextRequest or a plain Request)
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(request, name) {
+  if (request.cookies && typeof request.cookies.get === 'function') {
+    return request.cookies.get(name)?.value || null;
+  }
+
+  const header = request.headers.get('cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+}
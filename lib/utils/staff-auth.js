@@ -0,0 +1,62 @@
+/**
+ * Staff API Authentication
+ *
+ * Support-staff endpoints require the x-staff-api-key header to match the
+ * STAFF_API_KEY environment variable.
+ *
+ * Server-side only (uses Node crypto).
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+
+/**
+ * Check whether the staff API is configured
+ * @returns {boolean} True if STAFF_API_KEY is set
+ */
+export function isStaffApiConfigured() {
+  return Boolean(process.env.STAFF_API_KEY);
+}
+
+/**
+ * Check the staff API key header
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if the key matches STAFF_API_KEY
+ */
+export function isStaffRequest(request) {
+  const expected = process.env.STAFF_API_KEY;
+  const provided = request.headers.get('x-staff-api-key');
+
+  if (!expected || !provided) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Reject requests without a valid staff API key
+ * @param {Request} request - Incoming request
+ * @returns {NextResponse|null} Error response (503 when the staff API is not
+ *   configured, 401 for a missing or wrong key), or null if the caller is staff
+ */
+export function staffAuthError(request) {
+  if (!isStaffApiConfigured()) {
+    return NextResponse.json(
+      { error: 'Staff API is not configured' },
+      { status: 503 }
+    );
+  }
+
+  if (!isStaffRequest(request)) {
+    return NextResponse.json(
+      { error: 'Unauthorized' },
+      { status: 401 }
+    );
+  }
+
+  return null;
+}
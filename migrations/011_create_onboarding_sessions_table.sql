@@ -0,0 +1,129 @@
+-- PR 11: Onboarding Sessions Table
+-- Description: Create onboarding_sessions table for server-side onboarding progress
+-- Dependencies: PR 2 (patients_and_guardians table), PR 10 (demographics table)
+--
+-- IMPORTANT: This migration creates the onboarding_sessions table which ties
+-- a patients_and_guardians row to the state collected during onboarding
+-- (extracted symptoms, insurance, scheduling preferences, selected slot) so
+-- a parent can resume the flow on another device.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/011_create_onboarding_sessions_table.sql
+
+-- ============================================================================
+-- STEP 1: Create onboarding_sessions Table
+-- ============================================================================
+
+CREATE TABLE onboarding_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    patient_id UUID NOT NULL REFERENCES patients_and_guardians(id) ON DELETE CASCADE,
+
+    -- Progress
+    status VARCHAR(50) NOT NULL DEFAULT 'in_progress', -- 'in_progress', 'completed', 'abandoned'
+    current_step INTEGER NOT NULL DEFAULT 1 CHECK (current_step BETWEEN 1 AND 8 AND current_step <> 5),
+
+    -- Intake Survey
+    extracted_symptoms JSONB DEFAULT '{}', -- Map of symptom key to 'Daily' | 'Some' | 'None' | ''
+    extraction_metadata JSONB DEFAULT '{}', -- { extractedAt, model }
+
+    -- Insurance
+    insurance_data JSONB, -- Reviewed insurance card fields
+    insurance_validation JSONB, -- Result of /api/match-insurance
+
+    -- Scheduling
+    scheduling_input TEXT CHECK (char_length(scheduling_input) <= 500),
+    interpreted_preferences JSONB,
+    matched_slots JSONB DEFAULT '[]',
+    selected_slot JSONB,
+    appointment_confirmed BOOLEAN DEFAULT false,
+
+    -- Audit Fields
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- STEP 2: Create Indexes
+-- ============================================================================
+
+-- Index on patient_id for foreign key lookups
+CREATE INDEX idx_onboarding_sessions_patient_id ON onboarding_sessions(patient_id);
+
+-- Index on status for finding in-progress sessions
+CREATE INDEX idx_onboarding_sessions_status ON onboarding_sessions(status);
+
+-- Index on updated_at for sorting by recency and finding stale sessions
+CREATE INDEX idx_onboarding_sessions_updated_at ON onboarding_sessions(updated_at DESC);
+
+-- ============================================================================
+-- STEP 3: Create Trigger for updated_at
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION update_onboarding_sessions_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_onboarding_sessions_updated_at
+    BEFORE UPDATE ON onboarding_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_onboarding_sessions_updated_at();
+
+-- ============================================================================
+-- STEP 4: Add Comments for Documentation
+-- ============================================================================
+
+COMMENT ON TABLE onboarding_sessions IS 'Server-side onboarding progress for a patient, used to resume the flow across devices';
+COMMENT ON COLUMN onboarding_sessions.patient_id IS 'References the patients_and_guardians row created when the session started';
+COMMENT ON COLUMN onboarding_sessions.current_step IS 'Internal onboarding step (1-8, step 5 is unused)';
+COMMENT ON COLUMN onboarding_sessions.extracted_symptoms IS 'JSON map of symptom keys to frequency as reviewed by the parent';
+COMMENT ON COLUMN onboarding_sessions.insurance_data IS 'JSON object of insurance card fields as reviewed by the parent';
+COMMENT ON COLUMN onboarding_sessions.selected_slot IS 'JSON object of the availability slot the parent selected';
+COMMENT ON COLUMN onboarding_sessions.status IS 'Can be "in_progress", "completed", or "abandoned"';
+
+-- ============================================================================
+-- STEP 5: Grant Table Permissions
+-- ============================================================================
+
+-- Grant permissions to application role
+GRANT SELECT, INSERT, UPDATE, DELETE ON onboarding_sessions TO daybreak_app;
+
+-- Grant read-only permissions
+GRANT SELECT ON onboarding_sessions TO daybreak_readonly;
+
+-- Grant all permissions to admin role
+GRANT ALL PRIVILEGES ON onboarding_sessions TO daybreak_admin;
+
+-- ============================================================================
+-- STEP 6: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('011_create_onboarding_sessions_table', 'Create onboarding_sessions table for server-side onboarding progress with indexes, triggers, and permissions')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify table exists:
+-- SELECT table_name FROM information_schema.tables
+-- WHERE table_schema = 'public' AND table_name = 'onboarding_sessions';
+
+-- Verify indexes exist:
+-- SELECT indexname, tablename FROM pg_indexes
+-- WHERE tablename = 'onboarding_sessions'
+-- ORDER BY indexname;
+
+-- Verify trigger exists:
+-- SELECT trigger_name, event_manipulation, event_object_table
+-- FROM information_schema.triggers
+-- WHERE event_object_table = 'onboarding_sessions';
+
+-- Find sessions that have not been touched in a week:
+-- SELECT id, patient_id, current_step, updated_at FROM onboarding_sessions
+-- WHERE status = 'in_progress' AND updated_at < NOW() - INTERVAL '7 days';
@@ -0,0 +1,144 @@
+-- PR 12: Appointments Table
+-- Description: Create appointments table for booking clinician availability slots
+-- Dependencies: PR 7 (clinician_availabilities table), PR 11 (onboarding_sessions table)
+--
+-- IMPORTANT: This migration creates the appointments table used to book the
+-- slot a family selects during onboarding. Appointments move through a
+-- hold -> confirmed lifecycle. An exclusion constraint guarantees that a
+-- clinician can never have two active (held or confirmed) appointments whose
+-- times overlap, so two families cannot book the same 30-minute block.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/012_create_appointments_table.sql
+
+-- ============================================================================
+-- STEP 1: Enable btree_gist (needed for the overlap exclusion constraint)
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- ============================================================================
+-- STEP 2: Create appointments Table
+-- ============================================================================
+
+CREATE TABLE appointments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    booking_reference VARCHAR(20) NOT NULL,
+
+    -- Who booked
+    onboarding_session_id UUID REFERENCES onboarding_sessions(id) ON DELETE SET NULL,
+    patient_id UUID REFERENCES patients_and_guardians(id) ON DELETE SET NULL,
+
+    -- What was booked
+    clinician_availability_id INTEGER NOT NULL REFERENCES clinician_availabilities(id),
+    clinician_user_id INTEGER NOT NULL, -- clinician_availabilities.user_id (clinicians.healthie_id)
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    timezone VARCHAR(100) NOT NULL,
+    appointment_location_id INTEGER,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'held', -- 'held', 'confirmed', 'cancelled', 'expired'
+    hold_expires_at TIMESTAMPTZ,
+    confirmed_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+
+    -- Audit Fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_appointments_status CHECK (status IN ('held', 'confirmed', 'cancelled', 'expired')),
+    CONSTRAINT chk_appointments_time_range CHECK (end_time > start_time),
+
+    -- Prevent double booking: no overlapping active appointments per clinician
+    CONSTRAINT excl_appointments_clinician_overlap EXCLUDE USING gist (
+        clinician_user_id WITH =,
+        tstzrange(start_time, end_time) WITH &&
+    ) WHERE (status IN ('held', 'confirmed'))
+);
+
+-- ============================================================================
+-- STEP 3: Create Indexes
+-- ============================================================================
+
+-- Unique booking reference shown to families
+CREATE UNIQUE INDEX idx_appointments_booking_reference ON appointments(booking_reference);
+
+-- Index on onboarding_session_id for looking up a session's appointment
+CREATE INDEX idx_appointments_onboarding_session_id ON appointments(onboarding_session_id);
+
+-- Index on patient_id for foreign key lookups
+CREATE INDEX idx_appointments_patient_id ON appointments(patient_id);
+
+-- Index for finding a clinician's booked time
+CREATE INDEX idx_appointments_clinician_start ON appointments(clinician_user_id, start_time);
+
+-- Partial index for expiring stale holds
+CREATE INDEX idx_appointments_hold_expires_at ON appointments(hold_expires_at) WHERE status = 'held';
+
+-- ============================================================================
+-- STEP 4: Create Trigger for updated_at
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION update_appointments_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_appointments_updated_at
+    BEFORE UPDATE ON appointments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_appointments_updated_at();
+
+-- ============================================================================
+-- STEP 5: Add Comments for Documentation
+-- ============================================================================
+
+COMMENT ON TABLE appointments IS 'Appointments booked from clinician availability during onboarding';
+COMMENT ON COLUMN appointments.booking_reference IS 'Short human-readable reference shown on the confirmation screen (e.g. "DB-7K3M9QXP")';
+COMMENT ON COLUMN appointments.clinician_availability_id IS 'The clinician_availabilities row (one-time or repeating) the slot was taken from';
+COMMENT ON COLUMN appointments.clinician_user_id IS 'Clinician user id from clinician_availabilities.user_id (clinicians.healthie_id)';
+COMMENT ON COLUMN appointments.status IS 'Can be "held", "confirmed", "cancelled", or "expired"';
+COMMENT ON COLUMN appointments.hold_expires_at IS 'When a held appointment stops blocking the slot';
+COMMENT ON CONSTRAINT excl_appointments_clinician_overlap ON appointments IS 'A clinician cannot have overlapping held or confirmed appointments';
+
+-- ============================================================================
+-- STEP 6: Grant Table Permissions
+-- ============================================================================
+
+-- Grant permissions to application role
+GRANT SELECT, INSERT, UPDATE, DELETE ON appointments TO daybreak_app;
+
+-- Grant read-only permissions
+GRANT SELECT ON appointments TO daybreak_readonly;
+
+-- Grant all permissions to admin role
+GRANT ALL PRIVILEGES ON appointments TO daybreak_admin;
+
+-- ============================================================================
+-- STEP 7: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('012_create_appointments_table', 'Create appointments table with hold/confirmed lifecycle and double-booking exclusion constraint')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify table exists:
+-- SELECT table_name FROM information_schema.tables
+-- WHERE table_schema = 'public' AND table_name = 'appointments';
+
+-- Verify constraints:
+-- SELECT conname, contype FROM pg_constraint
+-- WHERE conrelid = 'appointments'::regclass;
+
+-- Active appointments for a clinician:
+-- SELECT booking_reference, start_time, end_time, status FROM appointments
+-- WHERE clinician_user_id = 12345 AND status IN ('held', 'confirmed')
+-- ORDER BY start_time;
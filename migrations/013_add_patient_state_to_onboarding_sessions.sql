@@ -0,0 +1,45 @@
+-- PR 13: Patient State on Onboarding Sessions
+-- Description: Add patient_state to onboarding_sessions for state licensure filtering
+-- Dependencies: PR 11 (onboarding_sessions table)
+--
+-- IMPORTANT: Clinicians may only see patients located in states where they
+-- are licensed (clinicians.licensed_states / clinicians.states_active).
+-- This migration stores the state the child lives in so availability
+-- matching can exclude clinicians who are not licensed there, including
+-- when a parent resumes onboarding on another device.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/013_add_patient_state_to_onboarding_sessions.sql
+
+-- ============================================================================
+-- STEP 1: Add patient_state Column
+-- ============================================================================
+
+ALTER TABLE onboarding_sessions
+    ADD COLUMN IF NOT EXISTS patient_state VARCHAR(2);
+
+ALTER TABLE onboarding_sessions
+    ADD CONSTRAINT chk_onboarding_sessions_patient_state
+    CHECK (patient_state IS NULL OR patient_state ~ '^[A-Z]{2}$');
+
+-- ============================================================================
+-- STEP 2: Add Comments for Documentation
+-- ============================================================================
+
+COMMENT ON COLUMN onboarding_sessions.patient_state IS 'Two-letter US state the patient lives in (defaults from the insurance card plan_holder_state); used for clinician licensure filtering';
+
+-- ============================================================================
+-- STEP 3: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('013_add_patient_state_to_onboarding_sessions', 'Add patient_state to onboarding_sessions for state licensure filtering')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify column exists:
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'onboarding_sessions' AND column_name = 'patient_state';
@@ -0,0 +1,111 @@
+-- PR 14: Safety Escalations Table
+-- Description: Create safety_escalations table for urgent care-coordinator follow-up
+-- Dependencies: PR 11 (onboarding_sessions table)
+--
+-- IMPORTANT: When symptom review marks a "Safety Concerns" symptom
+-- (suicidal thoughts, self-harm, hearing or seeing things) as Daily or Some,
+-- the family is shown crisis resources immediately and the session is
+-- flagged here so a care coordinator follows up urgently. Each session has
+-- at most one open escalation; later reports update its concerns.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/014_create_safety_escalations_table.sql
+
+-- ============================================================================
+-- STEP 1: Create safety_escalations Table
+-- ============================================================================
+
+CREATE TABLE safety_escalations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    onboarding_session_id UUID NOT NULL REFERENCES onboarding_sessions(id) ON DELETE CASCADE,
+
+    -- What was reported
+    concerns JSONB NOT NULL DEFAULT '{}', -- Safety symptom key -> "Daily" | "Some"
+    source VARCHAR(50) NOT NULL DEFAULT 'symptom_review',
+
+    -- Follow-up lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'open', -- 'open', 'acknowledged', 'resolved'
+    acknowledged_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ,
+
+    -- Audit Fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_safety_escalations_status CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    CONSTRAINT chk_safety_escalations_concerns CHECK (jsonb_typeof(concerns) = 'object')
+);
+
+-- ============================================================================
+-- STEP 2: Create Indexes
+-- ============================================================================
+
+-- One unresolved escalation per session
+CREATE UNIQUE INDEX idx_safety_escalations_unresolved_session
+    ON safety_escalations(onboarding_session_id)
+    WHERE status IN ('open', 'acknowledged');
+
+-- Care-coordinator queue: unresolved escalations, oldest first
+CREATE INDEX idx_safety_escalations_queue
+    ON safety_escalations(created_at)
+    WHERE status IN ('open', 'acknowledged');
+
+-- ============================================================================
+-- STEP 3: Create Trigger for updated_at
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION update_safety_escalations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_safety_escalations_updated_at
+    BEFORE UPDATE ON safety_escalations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_safety_escalations_updated_at();
+
+-- ============================================================================
+-- STEP 4: Add Comments for Documentation
+-- ============================================================================
+
+COMMENT ON TABLE safety_escalations IS 'Onboarding sessions flagged for urgent care-coordinator follow-up because of reported safety concerns';
+COMMENT ON COLUMN safety_escalations.concerns IS 'Safety Concerns symptoms and their frequency, e.g. {"suicidal-thoughts": "Some"}';
+COMMENT ON COLUMN safety_escalations.source IS 'Where the concern was reported (currently "symptom_review")';
+COMMENT ON COLUMN safety_escalations.status IS 'Can be "open", "acknowledged" (coordinator is following up), or "resolved"';
+
+-- ============================================================================
+-- STEP 5: Grant Table Permissions
+-- ============================================================================
+
+-- Grant permissions to application role
+GRANT SELECT, INSERT, UPDATE, DELETE ON safety_escalations TO daybreak_app;
+
+-- Grant read-only permissions
+GRANT SELECT ON safety_escalations TO daybreak_readonly;
+
+-- Grant all permissions to admin role
+GRANT ALL PRIVILEGES ON safety_escalations TO daybreak_admin;
+
+-- ============================================================================
+-- STEP 6: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('014_create_safety_escalations_table', 'Create safety_escalations table for urgent care-coordinator follow-up')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify table exists:
+-- SELECT table_name FROM information_schema.tables
+-- WHERE table_schema = 'public' AND table_name = 'safety_escalations';
+
+-- Unresolved escalations, oldest first:
+-- SELECT id, onboarding_session_id, concerns, status, created_at FROM safety_escalations
+-- WHERE status IN ('open', 'acknowledged')
+-- ORDER BY created_at;
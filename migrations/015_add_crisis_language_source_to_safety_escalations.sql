@@ -0,0 +1,47 @@
+-- PR 15: Crisis Language Safety Escalations
+-- Description: Allow safety escalations raised from crisis language in narrative answers
+-- Dependencies: PR 14 (safety_escalations table)
+--
+-- IMPORTANT: Crisis language (suicide, self-harm, psychosis, harm to others)
+-- is now detected in the intake narrative answers as the parent types and
+-- before symptom extraction. Those escalations use source "narrative_answers"
+-- and record only the risk level per category, e.g.
+-- {"crisis-language:suicide": "high"} - never the answer text.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/015_add_crisis_language_source_to_safety_escalations.sql
+
+-- ============================================================================
+-- STEP 1: Constrain source Values
+-- ============================================================================
+
+ALTER TABLE safety_escalations
+    ADD CONSTRAINT chk_safety_escalations_source
+    CHECK (source IN ('symptom_review', 'narrative_answers'));
+
+-- ============================================================================
+-- STEP 2: Update Comments for Documentation
+-- ============================================================================
+
+COMMENT ON COLUMN safety_escalations.concerns IS 'Reported concerns and their severity: Safety Concerns symptoms (e.g. {"suicidal-thoughts": "Some"}) and crisis-language categories (e.g. {"crisis-language:self_harm": "high"})';
+COMMENT ON COLUMN safety_escalations.source IS 'Where the concern was first reported: "symptom_review" or "narrative_answers"';
+
+-- ============================================================================
+-- STEP 3: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('015_add_crisis_language_source_to_safety_escalations', 'Allow safety escalations raised from crisis language in narrative answers')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify constraint exists:
+-- SELECT conname FROM pg_constraint
+-- WHERE conrelid = 'safety_escalations'::regclass AND conname = 'chk_safety_escalations_source';
+
+-- Escalations raised from narrative answers:
+-- SELECT id, onboarding_session_id, concerns, status FROM safety_escalations
+-- WHERE source = 'narrative_answers' ORDER BY created_at;
@@ -0,0 +1,50 @@
+-- PR 16: Appointment Types
+-- Description: Record which appointment type (intake call, therapy session, family session) was booked
+-- Dependencies: PR 12 (appointments table)
+--
+-- IMPORTANT: Appointments are no longer always 30 minutes. The appointment
+-- type sets the session length, start-time grid and the buffer kept free
+-- around a clinician's other sessions (see lib/constants/appointment-types.js).
+-- Existing rows predate appointment types and keep appointment_type NULL.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/016_add_appointment_type_to_appointments.sql
+
+-- ============================================================================
+-- STEP 1: Add appointment_type Column
+-- ============================================================================
+
+ALTER TABLE appointments
+    ADD COLUMN appointment_type VARCHAR(50);
+
+ALTER TABLE appointments
+    ADD CONSTRAINT chk_appointments_appointment_type
+    CHECK (appointment_type IN ('intake_call', 'individual_therapy', 'family_therapy'));
+
+-- ============================================================================
+-- STEP 2: Update Comments for Documentation
+-- ============================================================================
+
+COMMENT ON COLUMN appointments.appointment_type IS 'Booked appointment type: "intake_call", "individual_therapy" or "family_therapy" (NULL for bookings made before appointment types)';
+
+-- ============================================================================
+-- STEP 3: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('016_add_appointment_type_to_appointments', 'Record the appointment type of each booking')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify column and constraint exist:
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'appointments' AND column_name = 'appointment_type';
+-- SELECT conname FROM pg_constraint
+-- WHERE conrelid = 'appointments'::regclass AND conname = 'chk_appointments_appointment_type';
+
+-- Bookings by type:
+-- SELECT appointment_type, COUNT(*) FROM appointments
+-- WHERE status = 'confirmed' GROUP BY appointment_type;
@@ -0,0 +1,197 @@
+-- PR 17: Availability Occurrences
+-- Description: Materialize clinician availability occurrences so matching can filter candidates in Postgres
+-- Dependencies: PR 7 (clinician_availabilities table)
+--
+-- IMPORTANT: Matching used to load every availability into memory, expand
+-- repeating ones and score all of them on each request. Occurrences are now
+-- expanded here instead: one row per one-time availability and one row per
+-- date of a repeating availability, for the next 60 days. Each row carries
+-- its local date, weekday and start/end minutes in the clinician's timezone,
+-- so candidates can be narrowed by date, weekday and time band with indexed
+-- queries before they are scored.
+--
+-- Occurrence ids are the availabilityId used by matched slots and bookings:
+-- "<availability id>" for one-time availabilities and
+-- "<availability id>_<YYYY-MM-DD>" (local date) for repeating ones.
+--
+-- Refresh with SELECT refresh_clinician_availability_occurrences(); after
+-- importing availabilities. The app also refreshes the table when it is more
+-- than 12 hours old, so the 60-day window keeps moving without a cron job.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/017_create_availability_occurrences_table.sql
+
+-- ============================================================================
+-- STEP 1: Create clinician_availability_occurrences Table
+-- ============================================================================
+
+CREATE TABLE clinician_availability_occurrences (
+    id VARCHAR(40) PRIMARY KEY, -- "123" or "123_2025-10-28"
+    availability_id INTEGER NOT NULL REFERENCES clinician_availabilities(id) ON DELETE CASCADE,
+    occurrence_date DATE, -- local date of a repeating availability's occurrence, NULL for one-time
+    user_id INTEGER NOT NULL, -- clinician (clinicians.healthie_id)
+    range_start TIMESTAMPTZ NOT NULL,
+    range_end TIMESTAMPTZ NOT NULL,
+    timezone VARCHAR(100) NOT NULL,
+    appointment_location_id INTEGER,
+    parent_organization_id INTEGER,
+    local_date DATE NOT NULL,
+    local_day_of_week SMALLINT NOT NULL, -- 0=Sunday, 6=Saturday
+    local_start_minutes SMALLINT NOT NULL, -- minutes after local midnight
+    local_end_minutes SMALLINT NOT NULL, -- may exceed 1440 when the occurrence runs past midnight
+    expanded_from_repeating BOOLEAN NOT NULL DEFAULT false,
+    refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_availability_occurrences_range CHECK (range_end > range_start),
+    CONSTRAINT chk_availability_occurrences_day CHECK (local_day_of_week BETWEEN 0 AND 6)
+);
+
+-- ============================================================================
+-- STEP 2: Create Indexes
+-- ============================================================================
+
+-- Candidate search: organization and upcoming window
+CREATE INDEX idx_availability_occurrences_org_start
+    ON clinician_availability_occurrences(parent_organization_id, range_start);
+
+-- Candidate search: weekday and time band
+CREATE INDEX idx_availability_occurrences_org_day_time
+    ON clinician_availability_occurrences(parent_organization_id, local_day_of_week, local_start_minutes, local_end_minutes);
+
+-- Candidate search: specific dates
+CREATE INDEX idx_availability_occurrences_org_date
+    ON clinician_availability_occurrences(parent_organization_id, local_date);
+
+-- Occurrences of one availability (series matching, booking re-checks)
+CREATE INDEX idx_availability_occurrences_availability
+    ON clinician_availability_occurrences(availability_id);
+
+-- ============================================================================
+-- STEP 3: Create Refresh Function
+-- ============================================================================
+
+-- Rebuild every occurrence in the next p_window_days days; returns the row count.
+-- Runs in one transaction, so matching sees either the old or the new rows.
+CREATE OR REPLACE FUNCTION refresh_clinician_availability_occurrences(p_window_days INTEGER DEFAULT 60)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    -- One refresh at a time
+    PERFORM pg_advisory_xact_lock(hashtext('refresh_clinician_availability_occurrences'));
+
+    DELETE FROM clinician_availability_occurrences;
+
+    -- One-time availabilities
+    INSERT INTO clinician_availability_occurrences (
+        id, availability_id, occurrence_date, user_id, range_start, range_end, timezone,
+        appointment_location_id, parent_organization_id, local_date, local_day_of_week,
+        local_start_minutes, local_end_minutes, expanded_from_repeating
+    )
+    SELECT
+        ca.id::TEXT,
+        ca.id,
+        NULL,
+        ca.user_id,
+        ca.range_start,
+        ca.range_end,
+        z.tz,
+        ca.appointment_location_id,
+        ca.parent_organization_id,
+        (ca.range_start AT TIME ZONE z.tz)::DATE,
+        EXTRACT(DOW FROM ca.range_start AT TIME ZONE z.tz),
+        EXTRACT(HOUR FROM ca.range_start AT TIME ZONE z.tz) * 60 + EXTRACT(MINUTE FROM ca.range_start AT TIME ZONE z.tz),
+        EXTRACT(HOUR FROM ca.range_start AT TIME ZONE z.tz) * 60 + EXTRACT(MINUTE FROM ca.range_start AT TIME ZONE z.tz)
+            + EXTRACT(EPOCH FROM ca.range_end - ca.range_start) / 60,
+        false
+    FROM clinician_availabilities ca
+    CROSS JOIN LATERAL (SELECT COALESCE(NULLIF(ca.timezone, ''), 'America/Los_Angeles') AS tz) z
+    WHERE ca.deleted_at IS NULL
+      AND ca.is_repeating IS NOT TRUE
+      AND ca.range_end > ca.range_start
+      AND ca.range_end > NOW()
+      AND ca.range_start < NOW() + make_interval(days => p_window_days);
+
+    -- Repeating availabilities: every matching weekday from the later of today and
+    -- the first occurrence, through the window or end_on, at the same local time
+    INSERT INTO clinician_availability_occurrences (
+        id, availability_id, occurrence_date, user_id, range_start, range_end, timezone,
+        appointment_location_id, parent_organization_id, local_date, local_day_of_week,
+        local_start_minutes, local_end_minutes, expanded_from_repeating
+    )
+    SELECT
+        ca.id::TEXT || '_' || TO_CHAR(d.day, 'YYYY-MM-DD'),
+        ca.id,
+        d.day,
+        ca.user_id,
+        (d.day + (ca.range_start AT TIME ZONE z.tz)::TIME) AT TIME ZONE z.tz,
+        ((d.day + (ca.range_start AT TIME ZONE z.tz)::TIME) AT TIME ZONE z.tz) + (ca.range_end - ca.range_start),
+        z.tz,
+        ca.appointment_location_id,
+        ca.parent_organization_id,
+        d.day,
+        ca.day_of_week,
+        EXTRACT(HOUR FROM ca.range_start AT TIME ZONE z.tz) * 60 + EXTRACT(MINUTE FROM ca.range_start AT TIME ZONE z.tz),
+        EXTRACT(HOUR FROM ca.range_start AT TIME ZONE z.tz) * 60 + EXTRACT(MINUTE FROM ca.range_start AT TIME ZONE z.tz)
+            + EXTRACT(EPOCH FROM ca.range_end - ca.range_start) / 60,
+        true
+    FROM clinician_availabilities ca
+    CROSS JOIN LATERAL (SELECT COALESCE(NULLIF(ca.timezone, ''), 'America/Los_Angeles') AS tz) z
+    CROSS JOIN LATERAL (
+        SELECT series::DATE AS day
+        FROM generate_series(
+            GREATEST((NOW() AT TIME ZONE z.tz)::DATE, (ca.range_start AT TIME ZONE z.tz)::DATE),
+            LEAST(
+                (NOW() AT TIME ZONE z.tz)::DATE + p_window_days,
+                COALESCE((ca.end_on AT TIME ZONE z.tz)::DATE, 'infinity'::DATE)
+            ),
+            INTERVAL '1 day'
+        ) AS series
+    ) d
+    WHERE ca.deleted_at IS NULL
+      AND ca.is_repeating = true
+      AND ca.day_of_week BETWEEN 0 AND 6
+      AND ca.range_end > ca.range_start
+      AND EXTRACT(DOW FROM d.day) = ca.day_of_week;
+
+    SELECT COUNT(*) INTO v_count FROM clinician_availability_occurrences;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- STEP 4: Grant Permissions
+-- ============================================================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON clinician_availability_occurrences TO daybreak_app;
+GRANT SELECT ON clinician_availability_occurrences TO daybreak_readonly;
+GRANT ALL PRIVILEGES ON clinician_availability_occurrences TO daybreak_admin;
+GRANT EXECUTE ON FUNCTION refresh_clinician_availability_occurrences(INTEGER) TO daybreak_app, daybreak_admin;
+
+-- ============================================================================
+-- STEP 5: Populate and Record Migration
+-- ============================================================================
+
+SELECT refresh_clinician_availability_occurrences();
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('017_create_availability_occurrences_table', 'Materialize clinician availability occurrences for indexed candidate matching')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Occurrences per clinician in the window:
+-- SELECT user_id, COUNT(*) FROM clinician_availability_occurrences
+-- GROUP BY user_id ORDER BY COUNT(*) DESC;
+
+-- Weekday evening candidates use the weekday/time index:
+-- EXPLAIN SELECT id FROM clinician_availability_occurrences
+-- WHERE parent_organization_id = 85685
+--   AND local_day_of_week = ANY(ARRAY[1, 2, 3, 4, 5]::SMALLINT[])
+--   AND local_start_minutes < 1260 AND local_end_minutes > 990
+--   AND range_start > NOW();
+
+-- Last refresh:
+-- SELECT MAX(refreshed_at) FROM clinician_availability_occurrences;
@@ -0,0 +1,110 @@
+-- PR 18: Stored Documents Table
+-- Description: Create stored_documents table for encrypted uploads (insurance card images)
+-- Dependencies: PR 11 (onboarding_sessions table)
+--
+-- IMPORTANT: Document contents never live in the database. Each upload is
+-- encrypted with its own AES-256-GCM data key and written to the configured
+-- storage adapter (local disk or S3-compatible); this table keeps the
+-- storage key and the data key wrapped with DOCUMENT_ENCRYPTION_KEY.
+-- Clearing wrapped_key makes the stored object unreadable, so purging an
+-- expired document clears it before the object is deleted. Clients only
+-- ever see the opaque URL /api/documents/<id>.
+--
+-- Named stored_documents because PR 8 already created a documents table
+-- (imported form documents: version, label, checkboxes, urls, names).
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/018_create_stored_documents_table.sql
+
+-- ============================================================================
+-- STEP 1: Create stored_documents Table
+-- ============================================================================
+
+CREATE TABLE stored_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    onboarding_session_id UUID REFERENCES onboarding_sessions(id) ON DELETE SET NULL,
+    purpose VARCHAR(50) NOT NULL, -- 'insurance_card_front', 'insurance_card_back'
+
+    -- Where the encrypted object is stored
+    storage_adapter VARCHAR(20) NOT NULL, -- 'local', 's3'
+    storage_key TEXT NOT NULL,
+
+    -- Object metadata
+    content_type VARCHAR(100) NOT NULL,
+    byte_size INTEGER NOT NULL,
+    checksum_sha256 VARCHAR(64) NOT NULL, -- Of the plaintext, hex
+
+    -- Envelope encryption
+    wrapped_key TEXT, -- Data key encrypted with the master key; NULL once purged
+    key_version VARCHAR(20) NOT NULL DEFAULT 'v1',
+
+    -- Retention
+    expires_at TIMESTAMPTZ NOT NULL,
+    deleted_at TIMESTAMPTZ,
+
+    -- Audit Fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_stored_documents_purpose CHECK (purpose IN ('insurance_card_front', 'insurance_card_back')),
+    CONSTRAINT chk_stored_documents_byte_size CHECK (byte_size >= 0),
+    CONSTRAINT chk_stored_documents_wrapped_key CHECK (deleted_at IS NOT NULL OR wrapped_key IS NOT NULL)
+);
+
+-- ============================================================================
+-- STEP 2: Create Indexes
+-- ============================================================================
+
+-- Documents uploaded for a session
+CREATE INDEX idx_stored_documents_session
+    ON stored_documents(onboarding_session_id)
+    WHERE deleted_at IS NULL;
+
+-- Retention sweep: live documents past their expiry
+CREATE INDEX idx_stored_documents_expires_at
+    ON stored_documents(expires_at)
+    WHERE deleted_at IS NULL;
+
+-- ============================================================================
+-- STEP 3: Add Comments for Documentation
+-- ============================================================================
+
+COMMENT ON TABLE stored_documents IS 'Encrypted uploads (insurance card images); contents live in document storage, not the database';
+COMMENT ON COLUMN stored_documents.storage_key IS 'Object key in the storage adapter; opaque, contains no PHI';
+COMMENT ON COLUMN stored_documents.wrapped_key IS 'Per-document AES-256-GCM data key, encrypted with DOCUMENT_ENCRYPTION_KEY (NULL once purged)';
+COMMENT ON COLUMN stored_documents.key_version IS 'Version of the master key that wrapped the data key';
+COMMENT ON COLUMN stored_documents.expires_at IS 'Retention limit (DOCUMENT_RETENTION_DAYS); expired documents are no longer served and are purged';
+COMMENT ON COLUMN stored_documents.deleted_at IS 'When the object was purged from storage';
+
+-- ============================================================================
+-- STEP 4: Grant Table Permissions
+-- ============================================================================
+
+-- Grant permissions to application role
+GRANT SELECT, INSERT, UPDATE, DELETE ON stored_documents TO daybreak_app;
+
+-- Grant read-only permissions
+GRANT SELECT ON stored_documents TO daybreak_readonly;
+
+-- Grant all permissions to admin role
+GRANT ALL PRIVILEGES ON stored_documents TO daybreak_admin;
+
+-- ============================================================================
+-- STEP 5: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('018_create_stored_documents_table', 'Create stored_documents table for encrypted uploads')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify table exists:
+-- SELECT table_name FROM information_schema.tables
+-- WHERE table_schema = 'public' AND table_name = 'stored_documents';
+
+-- Documents due for purge:
+-- SELECT id, purpose, storage_adapter, expires_at FROM stored_documents
+-- WHERE deleted_at IS NULL AND expires_at <= NOW()
+-- ORDER BY expires_at;
@@ -0,0 +1,50 @@
+-- PR 19: Crisis Language Matched Phrases
+-- Description: Record the phrases that raised a crisis-language safety escalation
+-- Dependencies: PR 15 (crisis-language safety escalations)
+--
+-- IMPORTANT: Symptom extraction now flags the session itself when the
+-- narrative answers contain crisis language, instead of relying on the
+-- browser to report it. Care coordinators need to see what triggered the
+-- flag, so the matched phrases are kept with the escalation, e.g.
+-- [{"answer": 2, "text": "wants to die", "category": "suicide", "level": "high"}].
+-- Only the matched phrase is stored - never the rest of the answer.
+--
+-- Usage:
+--   psql -U <superuser> -d daybreak_health -f migrations/019_add_matched_phrases_to_safety_escalations.sql
+
+-- ============================================================================
+-- STEP 1: Add matched_phrases Column
+-- ============================================================================
+
+ALTER TABLE safety_escalations
+    ADD COLUMN matched_phrases JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE safety_escalations
+    ADD CONSTRAINT chk_safety_escalations_matched_phrases
+    CHECK (jsonb_typeof(matched_phrases) = 'array');
+
+-- ============================================================================
+-- STEP 2: Update Comments for Documentation
+-- ============================================================================
+
+COMMENT ON COLUMN safety_escalations.matched_phrases IS 'Crisis-language phrases that raised the escalation: answer number (1-5), matched text, category and level';
+
+-- ============================================================================
+-- STEP 3: Record Migration
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, description)
+VALUES ('019_add_matched_phrases_to_safety_escalations', 'Record the phrases that raised a crisis-language safety escalation')
+ON CONFLICT (version) DO NOTHING;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify column exists:
+-- SELECT column_name, data_type FROM information_schema.columns
+-- WHERE table_name = 'safety_escalations' AND column_name = 'matched_phrases';
+
+-- Escalations with matched phrases:
+-- SELECT id, onboarding_session_id, concerns, matched_phrases FROM safety_escalations
+-- WHERE matched_phrases <> '[]' ORDER BY created_at;
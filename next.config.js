@@ -3,7 +3,8 @@ const nextConfig = {
   compiler: {
     removeConsole: process.env.NODE_ENV === 'production',
   },
+  // Native canvas and pdf.js (PDF insurance cards) are loaded from node_modules at runtime
+  serverExternalPackages: ['pdfjs-dist', '@napi-rs/canvas'],
 }
 
 module.exports = nextConfig
-
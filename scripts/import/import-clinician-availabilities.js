@@ -1,6 +1,7 @@
 /**
  * Import Script: clinician_availabilities
  * Description: Import clinician_availabilities.csv into clinician_availabilities table
+ *   and refresh clinician_availability_occurrences (PR 17) for matching
  * Dependencies: PR 7 (clinician_availabilities table must exist)
  * 
  * Usage:
@@ -206,6 +207,15 @@ async function importData() {
   // Verification query
   const countResult = await query('SELECT COUNT(*) as count FROM clinician_availabilities');
   console.log(`\nTotal records in table: ${countResult.rows[0].count}`);
+
+  // Rebuild the expanded occurrences that matching queries (migration 017)
+  const occurrenceCheck = await query(`SELECT to_regproc('refresh_clinician_availability_occurrences') IS NOT NULL AS exists`);
+  if (occurrenceCheck.rows[0].exists) {
+    const refreshResult = await query('SELECT refresh_clinician_availability_occurrences() AS count');
+    console.log(`Availability occurrences refreshed: ${refreshResult.rows[0].count}`);
+  } else {
+    console.warn('Skipping occurrence refresh: run migration 017_create_availability_occurrences_table.sql to enable it.');
+  }
 }
 
 // Run import